@@ -0,0 +1,106 @@
+import { oneLine } from 'common-tags';
+
+import hasher from 'dispensary/hasher';
+import { AddonsLinterUserError, i18n } from 'utils';
+
+export const BASELINE_VERSION = 1;
+
+/*
+ * Compute the fingerprint of a message. Line and column numbers are not part
+ * of it on purpose: the content of the source line the message points to is
+ * used instead, so that a message is still matched when code is added or
+ * removed above it.
+ */
+export function getMessageFingerprint(message, sourceLine) {
+  return hasher(
+    JSON.stringify([
+      message.code,
+      message.file || '',
+      message.instancePath || '',
+      message.message || '',
+      typeof sourceLine === 'string' ? sourceLine.trim() : '',
+    ])
+  );
+}
+
+/*
+ * Create the baseline object to write in a baseline file out of a list of
+ * `{ message, fingerprint }` entries.
+ */
+export function createBaseline(entries) {
+  const byFingerprint = {};
+
+  entries.forEach(({ message, fingerprint }) => {
+    if (!byFingerprint[fingerprint]) {
+      byFingerprint[fingerprint] = {
+        code: message.code,
+        file: message.file,
+        fingerprint,
+        count: 0,
+      };
+    }
+    byFingerprint[fingerprint].count++;
+  });
+
+  return {
+    version: BASELINE_VERSION,
+    messages: Object.values(byFingerprint).sort(
+      (a, b) =>
+        a.code.localeCompare(b.code) ||
+        (a.file || '').localeCompare(b.file || '') ||
+        a.fingerprint.localeCompare(b.fingerprint)
+    ),
+  };
+}
+
+export function parseBaseline(content, baselinePath) {
+  let baseline;
+
+  try {
+    baseline = JSON.parse(content);
+  } catch (err) {
+    baseline = null;
+  }
+
+  if (
+    !baseline ||
+    baseline.version !== BASELINE_VERSION ||
+    !Array.isArray(baseline.messages)
+  ) {
+    throw new AddonsLinterUserError(
+      i18n.sprintf(
+        i18n._(oneLine`Invalid baseline file %(baselinePath)s, it can be
+          created using --write-baseline.`),
+        { baselinePath }
+      )
+    );
+  }
+
+  return baseline;
+}
+
+/*
+ * Return the entries (`{ message, fingerprint }`) already in the baseline.
+ * Each baseline entry hides as many messages as its count, any additional
+ * message with the same fingerprint is a new finding.
+ */
+export function getBaselineMatches(baseline, entries) {
+  const counts = {};
+  baseline.messages.forEach(({ fingerprint, count }) => {
+    counts[fingerprint] = (counts[fingerprint] || 0) + (count || 1);
+  });
+
+  // The first occurrences of a fingerprint in its file are matched, whatever
+  // the order the messages were collected in (e.g. when a file is scanned
+  // again in watch mode).
+  const byLocation = ({ message: a }, { message: b }) =>
+    (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0);
+
+  return [...entries].sort(byLocation).filter(({ fingerprint }) => {
+    if (counts[fingerprint] > 0) {
+      counts[fingerprint]--;
+      return true;
+    }
+    return false;
+  });
+}
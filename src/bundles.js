@@ -0,0 +1,157 @@
+import * as espree from 'espree';
+import { ECMA_VERSION } from 'addons-scanner-utils/dist/const';
+
+import { walkAst } from 'utils';
+
+// The runtimes of webpack, browserify and the CommonJS plugin of rollup.
+const BUNDLE_MARKERS_REGEX =
+  /__webpack_require__|webpackChunk|webpackJsonp|"function"==typeof require&&require|typeof require=="function"&&require|commonjsGlobal|getDefaultExportFromCjs/;
+
+// The module IDs are numbers or paths, e.g. `./src/index.js`.
+const MODULE_ID_REGEX = /^\d+$|\//;
+
+function isFunction(node) {
+  return (
+    Boolean(node) &&
+    ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type) &&
+    node.body.type === 'BlockStatement' &&
+    // e.g. `function (module, exports, __webpack_require__)`.
+    node.params.length <= 3
+  );
+}
+
+function getKey(property) {
+  if (property.type !== 'Property' || property.kind !== 'init') {
+    return null;
+  }
+  if (!property.computed && property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  return property.key.type === 'Literal' ? String(property.key.value) : null;
+}
+
+// Return the module functions of a module map, e.g. the `{ "./a.js":
+// function (module, exports) {} }` of webpack or the `{ 1: [function (require,
+// module, exports) {}, { "./a": 2 }] }` of browserify, as `[id, function]`
+// pairs, or `null`.
+function getModuleMapFunctions(node) {
+  let modules = null;
+
+  if (node.type === 'ObjectExpression' && node.properties.length) {
+    modules = node.properties.map((property) => {
+      const id = getKey(property);
+      let fn = property.value;
+
+      if (
+        fn &&
+        fn.type === 'ArrayExpression' &&
+        fn.elements.length === 2 &&
+        fn.elements[1] &&
+        fn.elements[1].type === 'ObjectExpression'
+      ) {
+        [fn] = fn.elements;
+      }
+      return id !== null && MODULE_ID_REGEX.test(id) && isFunction(fn)
+        ? [id, fn]
+        : null;
+    });
+  }
+  // The webpack production builds use arrays, the IDs are the indexes.
+  if (node.type === 'ArrayExpression' && node.elements.some(Boolean)) {
+    modules = node.elements
+      .map((element, index) => [String(index), element])
+      .filter(([, element]) => element !== null)
+      .map(([id, element]) => (isFunction(element) ? [id, element] : null));
+  }
+
+  return modules && modules.every(Boolean) ? modules : null;
+}
+
+// Return the function wrapping a CommonJS module bundled by rollup, e.g.
+// `(function (module) {} (jquery))`, as an `[id, function]` pair, or `null`.
+function getWrappedModuleFunction(node) {
+  if (
+    node.type === 'CallExpression' &&
+    isFunction(node.callee) &&
+    node.callee.params.length &&
+    node.callee.params[0].type === 'Identifier' &&
+    ['exports', 'module'].includes(node.callee.params[0].name) &&
+    node.arguments.length &&
+    node.arguments.every((argument) => argument.type === 'Identifier')
+  ) {
+    return [node.arguments[0].name, node.callee];
+  }
+  return null;
+}
+
+function parse(code) {
+  for (const sourceType of ['script', 'module']) {
+    try {
+      return espree.parse(code, {
+        ecmaVersion: ECMA_VERSION,
+        sourceType,
+        range: true,
+        loc: true,
+      });
+    } catch (error) {
+      // Try the next source type.
+    }
+  }
+  return null;
+}
+
+// Whether a `{ line, column }` location is in a module returned by
+// `getBundledModules()`.
+export function isInBundledModule({ line, column = 1 }, { start, end }) {
+  return (
+    (line > start.line || (line === start.line && column >= start.column)) &&
+    (line < end.line || (line === end.line && column <= end.column))
+  );
+}
+
+/*
+ * Return the modules of a file bundled by webpack, browserify or rollup as
+ * `{ id, code, start, end }` objects, where `id` is the ID of the module in
+ * the bundle (e.g. `./node_modules/jquery/dist/jquery.js`), `code` the code
+ * of the module and `start` and `end` its `{ line, column }` locations in the
+ * bundle (the columns start at 1).
+ */
+export function getBundledModules(code) {
+  if (typeof code !== 'string' || !BUNDLE_MARKERS_REGEX.test(code)) {
+    return [];
+  }
+  const ast = parse(code);
+  if (!ast) {
+    return [];
+  }
+
+  const modules = [];
+  walkAst(ast, (node) => {
+    const wrappedModule = getWrappedModuleFunction(node);
+    const moduleFunctions =
+      getModuleMapFunctions(node) || (wrappedModule ? [wrappedModule] : []);
+
+    moduleFunctions.forEach(([id, fn]) => {
+      const { body } = fn;
+      modules.push({
+        id,
+        code: code.slice(body.range[0] + 1, body.range[1] - 1),
+        start: { line: body.loc.start.line, column: body.loc.start.column + 1 },
+        end: { line: body.loc.end.line, column: body.loc.end.column },
+      });
+    });
+  });
+
+  // The modules of a bundled module (e.g. a library built with webpack) are
+  // part of it.
+  return modules
+    .sort(
+      (a, b) => a.start.line - b.start.line || a.start.column - b.start.column
+    )
+    .filter(
+      (module, index, sortedModules) =>
+        !sortedModules
+          .slice(0, index)
+          .some((other) => isInBundledModule(module.start, other))
+    );
+}
@@ -3,6 +3,8 @@ import { oneLine } from 'common-tags';
 
 import log from 'logger';
 import options from 'yargs-options';
+import { loadProjectConfig, mergeProjectConfig } from 'project-config';
+import { hasMultiplePackages } from 'utils';
 
 import { version } from '../package';
 
@@ -18,6 +20,30 @@ export function terminalWidth(_process = process) {
   return 78;
 }
 
+export function applyProjectConfig(
+  argv,
+  parser,
+  { _loadProjectConfig = loadProjectConfig } = {}
+) {
+  const defaulted = (parser && parser.parsed && parser.parsed.defaulted) || {};
+
+  // When linting several packages, the project config of each package is
+  // merged by `MultiLinter`, which needs to know the options that have not
+  // been passed on the command line.
+  if (hasMultiplePackages(argv._)) {
+    Object.defineProperty(argv, 'defaultedOptions', { value: defaulted });
+    return argv;
+  }
+
+  const projectConfig = _loadProjectConfig(argv._[0], {
+    trusted: argv.trustProjectConfig,
+  });
+  if (projectConfig) {
+    mergeProjectConfig(argv, projectConfig, { defaulted });
+  }
+  return argv;
+}
+
 export function getConfig({ useCLI = true, argv } = {}) {
   if (useCLI === false) {
     log.error(oneLine`Config requested from CLI, but not in CLI mode.
@@ -33,11 +59,15 @@ export function getConfig({ useCLI = true, argv } = {}) {
   return (
     cliArgv
       .usage(
-        `Usage: ./$0 [options] addon-package-or-dir \n\n
+        `Usage: ./$0 [options] addon-package-or-dir [...]
+       ./$0 [options] diff old-addon-package-or-dir new-addon-package-or-dir \n\n
       Add-ons Linter (JS Edition) v${version}`
       )
       .options(options)
-      // Require one non-option.
+      // Merge the project config file found in the package directory (if
+      // any), the options passed on the command line take precedence.
+      .middleware(applyProjectConfig, true)
+      // Require at least one non-option.
       .demand(1)
       .help('help')
       .alias('h', 'help')
@@ -8,10 +8,16 @@ import * as constants from 'const';
 // --Taneleer Tivan
 
 export default class Collector {
-  constructor(config = {}) {
+  constructor(config = {}, { onMessage = null } = {}) {
     this.config = config;
+    // Called with each message recorded, e.g. to stream them while the
+    // package is being linted.
+    this.onMessage = onMessage;
     this.messagesByInstancePath = {};
     this.scannedFiles = {};
+    // Messages suppressed by an inline comment, they are not reported but
+    // kept for auditing purposes.
+    this.suppressed = [];
 
     constants.MESSAGE_TYPES.forEach((type) => {
       this[`${type}s`] = [];
@@ -26,27 +32,51 @@ export default class Collector {
     return len;
   }
 
+  isFileSelected(file) {
+    return !file || this.config.scanFile.some((v) => v === file);
+  }
+
   _addMessage(type, opts, _Message = Message) {
     // Filter the messages reported by file when the Linter has been configured
     // with a custom scanFile array using --scan-file CLI option.
-    if (this.config.scanFile && opts.file) {
-      if (!this.config.scanFile.some((v) => v === opts.file)) {
+    if (this.config.scanFile && !this.isFileSelected(opts.file)) {
+      return;
+    }
+
+    // Override the severity of the message (or drop it) when the Linter has
+    // been configured with a custom severity for its code using the `rules`
+    // config option.
+    let messageType = type;
+    const { rules } = this.config;
+    if (rules && Object.prototype.hasOwnProperty.call(rules, opts.code)) {
+      if (rules[opts.code] === constants.RULE_SEVERITY_OFF) {
         return;
       }
+      messageType = rules[opts.code];
     }
 
     // Message will throw for incorrect types.
     // we have a test to ensure that is the case.
-    const message = new _Message(type, opts);
-    if (typeof this.messageList(type) === 'undefined') {
-      throw new Error(`Message type "${type}" not currently collected`);
+    const message = new _Message(messageType, opts);
+    if (typeof this.messageList(messageType) === 'undefined') {
+      throw new Error(`Message type "${messageType}" not currently collected`);
     }
 
     if (!this.isDuplicateMessage(message)) {
-      this._recordMessage(message, type);
+      this._recordMessage(message, messageType);
     }
   }
 
+  addSuppressedMessage(type, opts, _Message = Message) {
+    if (this.config.scanFile && !this.isFileSelected(opts.file)) {
+      return;
+    }
+
+    const message = new _Message(type, opts);
+    message.justification = opts.justification;
+    this.suppressed.push(message);
+  }
+
   messageList(type) {
     return this[`${type}s`];
   }
@@ -66,6 +96,35 @@ export default class Collector {
       this.messagesAtInstancePath(message.instancePath).push(message);
     }
     this.messageList(type).push(message);
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  removeMessages(messages) {
+    constants.MESSAGE_TYPES.forEach((type) => {
+      this[`${type}s`] = this[`${type}s`].filter(
+        (message) => !messages.includes(message)
+      );
+    });
+    // The removed messages must not prevent the same messages from being
+    // reported again (e.g. when a file is scanned again).
+    Object.keys(this.messagesByInstancePath).forEach((instancePath) => {
+      this.messagesByInstancePath[instancePath] = this.messagesByInstancePath[
+        instancePath
+      ].filter((message) => !messages.includes(message));
+    });
+  }
+
+  // Add back messages removed with `removeMessages()`, they are not passed
+  // to `onMessage` again.
+  restoreMessages(messages) {
+    messages.forEach((message) => {
+      if (message.instancePath) {
+        this.messagesAtInstancePath(message.instancePath).push(message);
+      }
+      this.messageList(message.type).push(message);
+    });
   }
 
   isDuplicateMessage(message) {
@@ -27,11 +27,34 @@ export const ESLINT_RULE_MAPPING = {
   'webextension-deprecated-api': ESLINT_WARNING,
   'webextension-unsupported-api': ESLINT_WARNING,
   'content-scripts-file-absent': ESLINT_ERROR,
+  'module-imports': ESLINT_ERROR,
+  'remote-code': ESLINT_WARNING,
+  'tainted-data-flow': ESLINT_WARNING,
   'webextension-api-compat': ESLINT_WARNING,
   'webextension-api-compat-android': ESLINT_WARNING,
+  'webextension-api-compat-browsers': ESLINT_WARNING,
+  'webextension-api-permissions': ESLINT_ERROR,
   ...EXTERNAL_RULE_MAPPING,
 };
 
+// The permissions that are not only used by the APIs requiring them (e.g.
+// `clipboardWrite` also allows `document.execCommand('copy')`), they are
+// never reported as unused.
+export const PERMISSIONS_NOT_ONLY_USED_BY_APIS = [
+  'clipboardRead',
+  'clipboardWrite',
+  'webRequestBlocking',
+];
+
+// The browser API "used" by the code passing the `browser` or `chrome`
+// namespace around (e.g. `register(browser)`), the APIs it uses can't be
+// known then. See `getBrowserApiUses()`.
+export const ANY_BROWSER_API = '*';
+
+// The comment directive used to suppress JavaScript findings on the next
+// line, e.g. `// addons-linter-disable-next-line NO_IMPLIED_EVAL -- reason`.
+export const INLINE_SUPPRESSION_DIRECTIVE = 'addons-linter-disable-next-line';
+
 export const VALIDATION_ERROR = 'error';
 export const VALIDATION_NOTICE = 'notice';
 export const VALIDATION_WARNING = 'warning';
@@ -48,6 +71,35 @@ export const MESSAGE_TYPES = [
   VALIDATION_WARNING,
 ];
 
+// The severities a message code can be set to using the `rules` config
+// option, `off` suppresses the message.
+export const RULE_SEVERITY_OFF = 'off';
+export const RULE_SEVERITIES = [RULE_SEVERITY_OFF, ...MESSAGE_TYPES];
+
+// The codes of the messages listed in the Firefox for Android readiness
+// section of the output, with `--target android`.
+export const ANDROID_MESSAGE_CODES = [
+  'ANDROID_INCOMPATIBLE_API',
+  'ANDROID_PARTIAL_API',
+  'ANDROID_REMOVED_API',
+  'ANDROID_UNSUPPORTED_API',
+  'ANDROID_UNSUPPORTED_MANIFEST_KEY',
+  'ANDROID_UNSUPPORTED_PERMISSION',
+  'KEY_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION',
+  'PERMISSION_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION',
+];
+
+// Mapping of the message types to the SARIF result levels, used by the
+// `sarif` output.
+export const SARIF_LEVELS = {
+  [VALIDATION_ERROR]: 'error',
+  [VALIDATION_NOTICE]: 'note',
+  [VALIDATION_WARNING]: 'warning',
+};
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA_URL = 'https://json.schemastore.org/sarif-2.1.0.json';
+
 // Package type constants.
 export const PACKAGE_ANY = 0;
 export const PACKAGE_EXTENSION = 1;
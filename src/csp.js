@@ -0,0 +1,192 @@
+import { oneLine } from 'common-tags';
+
+import { CSP_KEYWORD_RE } from 'const';
+import { parseCspPolicy } from 'utils';
+
+// The directives used for each type of resource, in order, when the
+// resource's own directive is missing.
+// See https://www.w3.org/TR/CSP3/#directive-fallback-list
+export const CSP_FALLBACKS = {
+  'script-src-elem': ['script-src-elem', 'script-src', 'default-src'],
+  'script-src-attr': ['script-src-attr', 'script-src', 'default-src'],
+  'style-src-elem': ['style-src-elem', 'style-src', 'default-src'],
+  'style-src-attr': ['style-src-attr', 'style-src', 'default-src'],
+  'worker-src': ['worker-src', 'child-src', 'script-src', 'default-src'],
+  'frame-src': ['frame-src', 'child-src', 'default-src'],
+  'connect-src': ['connect-src', 'default-src'],
+  'font-src': ['font-src', 'default-src'],
+  'img-src': ['img-src', 'default-src'],
+  'manifest-src': ['manifest-src', 'default-src'],
+  'media-src': ['media-src', 'default-src'],
+  'object-src': ['object-src', 'default-src'],
+};
+
+// The types of resources running code: the `<script>` elements, the inline
+// event handlers and the workers.
+export const CSP_SCRIPT_RESOURCE_TYPES = [
+  'script-src-elem',
+  'script-src-attr',
+  'worker-src',
+];
+
+// The policies used when the manifest doesn't set them, by manifest version
+// and `content_security_policy` key. The sandbox policy is the one of Chrome,
+// the sandboxed pages can't access the extension APIs.
+// See https://developer.mozilla.org/docs/Mozilla/Add-ons/WebExtensions/manifest.json/content_security_policy
+export const DEFAULT_CSP = {
+  2: {
+    extension_pages: "script-src 'self'; object-src 'self';",
+  },
+  3: {
+    extension_pages: "script-src 'self'; upgrade-insecure-requests;",
+    sandbox: oneLine`
+      sandbox allow-scripts allow-forms allow-popups allow-modals;
+      script-src 'self' 'unsafe-inline' 'unsafe-eval'; child-src 'self';`,
+  },
+};
+
+// Return the default policy of a `content_security_policy` key, the keys of
+// Manifest Version 3 other than `sandbox` (e.g. the legacy `content_scripts`)
+// use the policy of the extension pages.
+export function getDefaultCsp(manifestVersion, key = 'extension_pages') {
+  const policies = manifestVersion >= 3 ? DEFAULT_CSP[3] : DEFAULT_CSP[2];
+  return policies[key] || policies.extension_pages;
+}
+
+// The keywords (in addition to `CSP_KEYWORD_RE`) that don't allow more code
+// to run: `'strict-dynamic'` only extends the trust of the scripts allowed by
+// the other sources, which are checked on their own.
+// See https://www.w3.org/TR/CSP3/#grammardef-keyword-source
+const CSP_SAFE_KEYWORDS = [
+  "'report-sample'",
+  "'strict-dynamic'",
+  "'unsafe-allow-redirects'",
+];
+
+// The scheme sources (e.g. `https:`) and the host sources (e.g.
+// `https://*.example.com:443/path`) of a directive.
+const CSP_SCHEME_SOURCE_RE = /^[a-z][a-z\d+.-]*:$/i;
+const CSP_HOST_SOURCE_RE =
+  /^([a-z][a-z\d+.-]*:\/\/)?(\*|(\*\.)?[a-z\d-]+(\.[a-z\d-]+)*)(:(\d+|\*))?(\/\S*)?$/i;
+
+/*
+ * Return the directive applying to a type of resource (e.g. `worker-src`) in
+ * a policy parsed with `parseCspPolicy()` as `{ name, values }`, or `null`
+ * when the policy doesn't restrict it.
+ */
+export function getEffectiveDirective(directives, resourceType) {
+  const name = (CSP_FALLBACKS[resourceType] || [resourceType]).find(
+    (directive) => Object.prototype.hasOwnProperty.call(directives, directive)
+  );
+  return name ? { name, values: directives[name] } : null;
+}
+
+/*
+ * Return the kind of a source of a directive, or `null` when it only allows
+ * the code of the extension:
+ *
+ * - `unsafe-eval`: `'unsafe-eval'`
+ * - `unsafe-inline`: `'unsafe-inline'` or `'unsafe-hashes'`
+ * - `nonce`: e.g. `'nonce-abc'`
+ * - `hash`: e.g. `'sha256-…'`
+ * - `wildcard`: `*` or a host with a wildcard, e.g. `*.example.com`
+ * - `data`: `data:`
+ * - `blob`: `blob:`
+ * - `insecure`: a source without TLS, e.g. `http:` or `ws://example.com`
+ * - `remote`: any other host or scheme source, e.g. `https:` or `example.com`
+ *
+ * The other keywords (e.g. `'report-sample'`) and the values that are not
+ * sources (which are ignored by the browsers) only allow the code of the
+ * extension.
+ */
+export function getCspSourceKind(value) {
+  if (CSP_KEYWORD_RE.test(value) || CSP_SAFE_KEYWORDS.includes(value)) {
+    return null;
+  }
+  if (value === "'unsafe-eval'") {
+    return 'unsafe-eval';
+  }
+  if (["'unsafe-inline'", "'unsafe-hashes'"].includes(value)) {
+    return 'unsafe-inline';
+  }
+  if (value.startsWith("'nonce-")) {
+    return 'nonce';
+  }
+  if (/^'sha(256|384|512)-/.test(value)) {
+    return 'hash';
+  }
+  if (!CSP_SCHEME_SOURCE_RE.test(value) && !CSP_HOST_SOURCE_RE.test(value)) {
+    return null;
+  }
+  if (value.includes('*')) {
+    return 'wildcard';
+  }
+  if (['data:', 'blob:'].includes(value)) {
+    return value.slice(0, -1);
+  }
+  if (/^(http|ws|ftp):/.test(value)) {
+    return 'insecure';
+  }
+  return 'remote';
+}
+
+// Return the kinds of sources running code in a policy.
+function getScriptSourceKinds(directives) {
+  const kinds = new Set();
+  CSP_SCRIPT_RESOURCE_TYPES.forEach((resourceType) => {
+    const directive = getEffectiveDirective(directives, resourceType);
+    (directive ? directive.values : []).forEach((value) => {
+      kinds.add(getCspSourceKind(value));
+    });
+  });
+  return kinds;
+}
+
+/*
+ * Return the problems of the policy of a `content_security_policy` key as
+ * `{ directive, value, kind }` objects, where `kind` is the kind of the value
+ * returned by `getCspSourceKind()`, or `missing` (and `value` is `null`) when
+ * the policy doesn't restrict the scripts.
+ *
+ * Each type of resource running code is checked with the directive applying
+ * to it, the kinds of sources allowed by the default policy of the key (e.g.
+ * `'unsafe-eval'` in the sandboxed pages) are not problems.
+ */
+export function getCspProblems(
+  policy,
+  { manifestVersion = 2, key = 'extension_pages' } = {}
+) {
+  const directives = parseCspPolicy(policy);
+  const allowedKinds = getScriptSourceKinds(
+    parseCspPolicy(getDefaultCsp(manifestVersion, key))
+  );
+  const problems = [];
+
+  const addProblem = (problem) => {
+    if (
+      !problems.some(
+        ({ directive, value }) =>
+          directive === problem.directive && value === problem.value
+      )
+    ) {
+      problems.push(problem);
+    }
+  };
+
+  CSP_SCRIPT_RESOURCE_TYPES.forEach((resourceType) => {
+    const directive = getEffectiveDirective(directives, resourceType);
+
+    if (!directive) {
+      addProblem({ directive: 'script-src', value: null, kind: 'missing' });
+      return;
+    }
+    directive.values.forEach((value) => {
+      const kind = getCspSourceKind(value);
+      if (kind && !allowedKinds.has(kind)) {
+        addProblem({ directive: directive.name, value, kind });
+      }
+    });
+  });
+
+  return problems;
+}
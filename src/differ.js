@@ -0,0 +1,333 @@
+import { parse } from 'jsonc-parser';
+
+import { createBaseline, getBaselineMatches } from 'baseline';
+import * as constants from 'const';
+import Dispensary from 'dispensary';
+import Linter from 'linter';
+import { isHostPermission } from 'migration';
+import { AddonsLinterUserError, i18n } from 'utils';
+
+export const DIFF_COMMAND = 'diff';
+
+// The options that can't be used when comparing two packages.
+const UNSUPPORTED_OPTIONS = [
+  'baseline',
+  'fix',
+  'fixDryRun',
+  'metadata',
+  'migrateToMv3',
+  'watch',
+  'writeBaseline',
+];
+
+// Whether the linter has been invoked as `addons-linter diff old new`.
+export function isDiffCommand(args = []) {
+  return args.length === 3 && args[0] === DIFF_COMMAND;
+}
+
+// Return the `{ added, removed }` values of two lists, without duplicates.
+export function diffLists(oldList, newList) {
+  const oldSet = new Set(oldList);
+  const newSet = new Set(newList);
+
+  return {
+    added: [...newSet].filter((value) => !oldSet.has(value)).sort(),
+    removed: [...oldSet].filter((value) => !newSet.has(value)).sort(),
+  };
+}
+
+/*
+ * Return the API permissions, the host permissions and the optional
+ * permissions (API and host) requested by a manifest. For Manifest Version 2,
+ * the host permissions are listed in `permissions`.
+ */
+export function getPermissions(manifest) {
+  const asList = (value) =>
+    Array.isArray(value)
+      ? value.filter((permission) => typeof permission === 'string')
+      : [];
+  const permissions = asList(manifest.permissions);
+
+  return {
+    permissions: permissions.filter(
+      (permission) => !isHostPermission(permission)
+    ),
+    hostPermissions: [
+      ...permissions.filter(isHostPermission),
+      ...asList(manifest.host_permissions),
+    ],
+    optionalPermissions: [
+      ...asList(manifest.optional_permissions),
+      ...asList(manifest.optional_host_permissions),
+    ],
+  };
+}
+
+// Return the content security policies of a manifest by key, a string policy
+// (Manifest Version 2) applies to the extension pages.
+export function getContentSecurityPolicies(manifest) {
+  const csp = manifest.content_security_policy;
+
+  if (typeof csp === 'string') {
+    return { extension_pages: csp };
+  }
+  return csp && typeof csp === 'object' ? { ...csp } : {};
+}
+
+/*
+ * Compare the manifests of two versions of an add-on, the content security
+ * policy changes are listed as `{ key, old, new }` (`old` or `new` is `null`
+ * when the policy is not set).
+ */
+export function diffManifests(oldManifest, newManifest) {
+  const oldPermissions = getPermissions(oldManifest);
+  const newPermissions = getPermissions(newManifest);
+  const oldCSP = getContentSecurityPolicies(oldManifest);
+  const newCSP = getContentSecurityPolicies(newManifest);
+
+  return {
+    permissions: diffLists(
+      oldPermissions.permissions,
+      newPermissions.permissions
+    ),
+    hostPermissions: diffLists(
+      oldPermissions.hostPermissions,
+      newPermissions.hostPermissions
+    ),
+    optionalPermissions: diffLists(
+      oldPermissions.optionalPermissions,
+      newPermissions.optionalPermissions
+    ),
+    csp: [...new Set([...Object.keys(oldCSP), ...Object.keys(newCSP)])]
+      .sort()
+      .filter((key) => oldCSP[key] !== newCSP[key])
+      .map((key) => ({
+        key,
+        old: oldCSP[key] ?? null,
+        new: newCSP[key] ?? null,
+      })),
+  };
+}
+
+/*
+ * Compare the `{ message, fingerprint }` entries of two versions of an
+ * add-on. The fingerprints are the ones of the baseline files, they don't
+ * depend on line numbers so that a message is not reported as new because
+ * code has been added above it.
+ */
+export function diffMessageEntries(oldEntries, newEntries) {
+  const getUnmatchedMessages = (baselineEntries, entries) => {
+    const matches = new Set(
+      getBaselineMatches(createBaseline(baselineEntries), entries)
+    );
+    return entries
+      .filter((entry) => !matches.has(entry))
+      .map(({ message }) => message);
+  };
+
+  return {
+    added: getUnmatchedMessages(oldEntries, newEntries),
+    removed: getUnmatchedMessages(newEntries, oldEntries),
+  };
+}
+
+/*
+ * Compare two versions of an add-on (`addons-linter diff old.xpi new.xpi`):
+ * the files, libraries, permissions and content security policies that
+ * changed, and the linter messages that are new or resolved.
+ */
+export default class Differ {
+  constructor(config) {
+    this.config = config;
+    [, this.oldPackagePath, this.newPackagePath] = config._;
+    this.dispensary = new Dispensary();
+    this.oldLinter = null;
+    this.newLinter = null;
+    this.diff = null;
+  }
+
+  validateConfig() {
+    const option = UNSUPPORTED_OPTIONS.find((name) => this.config[name]);
+    if (option) {
+      throw new AddonsLinterUserError(
+        i18n.sprintf(
+          i18n._('The "%(option)s" option can not be used with "diff".'),
+          { option }
+        )
+      );
+    }
+
+    if (!['json', 'none', 'text'].includes(this.config.output)) {
+      throw new AddonsLinterUserError(
+        i18n.sprintf(
+          i18n._('The "%(output)s" output is not supported with "diff".'),
+          { output: this.config.output }
+        )
+      );
+    }
+  }
+
+  createLinter(packagePath, { _Linter = Linter } = {}) {
+    return new _Linter(
+      {
+        ...this.config,
+        _: [packagePath],
+        output: 'none',
+        runAsBinary: false,
+      },
+      { dispensary: this.dispensary }
+    );
+  }
+
+  // Lint a package and return what is compared in the diff.
+  async lintPackage(linter, deps = {}) {
+    await linter.run({
+      ...deps,
+      // The errors are thrown and printed by the caller.
+      _console: { log: () => {}, error: () => {} },
+    });
+
+    // The metadata is missing when the package can't be read (e.g. a corrupt
+    // zip file), only its messages are compared then.
+    const { addonMetadata } = linter;
+    const files = addonMetadata ? await linter.io.getFiles() : {};
+    let manifest = {};
+    if (Object.prototype.hasOwnProperty.call(files, constants.MANIFEST_JSON)) {
+      manifest =
+        parse(await linter.io.getFileAsString(constants.MANIFEST_JSON)) || {};
+    }
+
+    return {
+      files: Object.keys(files),
+      libraries: Object.values((addonMetadata && addonMetadata.jsLibs) || {}),
+      manifest,
+      version: addonMetadata ? addonMetadata.version : null,
+      messageEntries: await linter.fingerprintMessages(),
+    };
+  }
+
+  async run({ _Linter = Linter, _console = console, ...deps } = {}) {
+    this.validateConfig();
+
+    this.oldLinter = this.createLinter(this.oldPackagePath, { _Linter });
+    this.newLinter = this.createLinter(this.newPackagePath, { _Linter });
+    const [oldPackage, newPackage] = await Promise.all([
+      this.lintPackage(this.oldLinter, deps),
+      this.lintPackage(this.newLinter, deps),
+    ]);
+    this.oldLinter.closeIO();
+    this.newLinter.closeIO();
+
+    this.diff = {
+      old: {
+        packagePath: this.oldPackagePath,
+        version: oldPackage.version,
+      },
+      new: {
+        packagePath: this.newPackagePath,
+        version: newPackage.version,
+      },
+      files: diffLists(oldPackage.files, newPackage.files),
+      libraries: diffLists(oldPackage.libraries, newPackage.libraries),
+      ...diffManifests(oldPackage.manifest, newPackage.manifest),
+      messages: diffMessageEntries(
+        oldPackage.messageEntries,
+        newPackage.messageEntries
+      ),
+    };
+
+    this.print(_console);
+
+    // This is skipped in the code coverage because the
+    // test runs against un-instrumented code.
+    /* istanbul ignore if */
+    if (this.config.runAsBinary === true) {
+      process.exit(this.exitCode);
+    }
+
+    return this.diff;
+  }
+
+  // The diff fails when the new version has new errors (or new warnings
+  // with `--warnings-as-errors`).
+  get exitCode() {
+    const failed = this.diff.messages.added.some(
+      ({ type }) =>
+        type === constants.VALIDATION_ERROR ||
+        (type === constants.VALIDATION_WARNING &&
+          this.config.warningsAsErrors === true)
+    );
+    return failed ? 1 : 0;
+  }
+
+  print(_console = console) {
+    if (this.config.output === 'none') {
+      return;
+    }
+    if (this.config.output === 'json') {
+      _console.log(
+        JSON.stringify(this.diff, null, this.config.pretty ? 4 : undefined)
+      );
+    } else {
+      _console.log(this.textOutput());
+    }
+  }
+
+  textOutput() {
+    const { diff } = this;
+    const out = [
+      i18n.sprintf(
+        i18n._(
+          'Comparing %(oldPath)s (%(oldVersion)s) to %(newPath)s (%(newVersion)s)'
+        ),
+        {
+          oldPath: diff.old.packagePath,
+          oldVersion: diff.old.version,
+          newPath: diff.new.packagePath,
+          newVersion: diff.new.version,
+        }
+      ),
+    ];
+
+    const pushSection = (title, lines) => {
+      out.push('');
+      out.push(`${title}:`);
+      if (lines.length) {
+        lines.forEach((line) => out.push(`  ${line}`));
+      } else {
+        out.push(`  ${i18n._('No changes.')}`);
+      }
+    };
+    const listChanges = ({ added, removed }) => [
+      ...added.map((value) => `+ ${value}`),
+      ...removed.map((value) => `- ${value}`),
+    ];
+
+    pushSection(i18n._('Files'), listChanges(diff.files));
+    pushSection(i18n._('Libraries'), listChanges(diff.libraries));
+    pushSection(i18n._('Permissions'), listChanges(diff.permissions));
+    pushSection(i18n._('Host permissions'), listChanges(diff.hostPermissions));
+    pushSection(
+      i18n._('Optional permissions'),
+      listChanges(diff.optionalPermissions)
+    );
+    pushSection(
+      i18n._('Content security policy'),
+      diff.csp.flatMap(({ key, old, new: newPolicy }) => [
+        `${key}:`,
+        ...(old === null ? [] : [`  - ${old}`]),
+        ...(newPolicy === null ? [] : [`  + ${newPolicy}`]),
+      ])
+    );
+    pushSection(i18n._('Messages'), [
+      ...diff.messages.added.map((message) =>
+        this.newLinter.formatMessageLine('+', message)
+      ),
+      ...diff.messages.removed.map((message) =>
+        this.oldLinter.formatMessageLine('-', message)
+      ),
+    ]);
+
+    return out.join('\n');
+  }
+}
@@ -1,8 +1,42 @@
 // The entire content of hashes.txt will be part of the addons-linter.js
 // bundle.
+import semver from 'semver';
+
+import ADVISORIES from 'dispensary/advisories';
 import HASHES from 'dispensary/hashes.txt';
+import LIBRARIES from 'dispensary/libraries';
 import createHash from 'dispensary/hasher';
 
+// Return the contents a module of a bundle could have had as a file: the
+// bundlers may indent the code of the modules (rollup) and add comments
+// after it (webpack).
+function getModuleFileContents(code) {
+  const lines = code.replace(/\/\*{3}\/\s*$/, '').split('\n');
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  const contents = [
+    lines.join('\n').trim(),
+    lines
+      .map((line) => line.slice(indent))
+      .join('\n')
+      .trim(),
+  ];
+
+  return [...new Set(contents)].flatMap((content) => [content, `${content}\n`]);
+}
+
+// Return the version in the banner comment of a library, e.g. `3.4.1` for
+// `/*! jQuery v3.4.1 | (c) JS Foundation and other contributors */`.
+function getBannerVersion(code) {
+  const banner = code.trim().match(/^\/\*[\s\S]*?\*\//);
+  const version = banner
+    ? banner[0].match(/\bv?(\d+\.\d+\.\d+(?:-[\w.]+)?)\b/)
+    : null;
+  return version ? version[1] : null;
+}
+
 export default class Dispensary {
   constructor() {
     this._cachedHashes = null;
@@ -32,6 +66,101 @@ export default class Dispensary {
     return false;
   }
 
+  /*
+   * Match the code of a module of a bundle (see `getBundledModules()`)
+   * against the cached hashes, like a file.
+   */
+  matchModuleCode(code) {
+    for (const contents of getModuleFileContents(code)) {
+      const library = this.match(contents);
+      if (library) {
+        return library;
+      }
+    }
+    return false;
+  }
+
+  /*
+   * Match a module of a bundle by the file name of its ID (e.g.
+   * `./node_modules/jquery/dist/jquery.js`) and the version in its banner
+   * comment, when they are the ones of a known library. Anyone can write
+   * such a module: its code is not the one of the library.
+   */
+  matchModuleBanner({ id, code }) {
+    const version = getBannerVersion(code);
+    const filename = id.split('/').pop();
+    if (!version || !id.includes('node_modules/')) {
+      return false;
+    }
+
+    for (const library of this._getLibraries()) {
+      const filenames = [
+        library.filenameOutput || library.filename,
+        library.filenameMinifiedOutput || library.filenameMinified,
+      ].filter(Boolean);
+
+      if (library.versions.includes(version) && filenames.includes(filename)) {
+        return `${library.name}.${version}.${filename}`;
+      }
+    }
+
+    return false;
+  }
+
+  /*
+   * Return the name, the version and the file of a library returned by
+   * `match()` as `{ name, version, file }`, e.g. `{ name: 'jquery', version:
+   * '3.2.1', file: 'jquery.min.js' }` for `jquery.3.2.1.jquery.min.js`, or
+   * `null` when it is not a known library.
+   */
+  getLibraryVersion(library) {
+    for (const { name, versions } of this._getLibraries()) {
+      // The longest version matches, e.g. `1.0.1` rather than `1.0` for
+      // `dojo.1.0.1.dojo.js`.
+      const [version] = versions
+        .filter((libraryVersion) =>
+          library.startsWith(`${name}.${libraryVersion}.`)
+        )
+        .sort((a, b) => b.length - a.length);
+
+      if (version) {
+        return {
+          name,
+          version,
+          file: library.slice(`${name}.${version}.`.length),
+        };
+      }
+    }
+    return null;
+  }
+
+  /*
+   * Return the advisories of `advisories.json` affecting a version of a
+   * library, see `getLibraryVersion()`.
+   */
+  getAdvisories({ name, version }) {
+    const semverVersion = semver.valid(version) || semver.coerce(version);
+
+    if (!semverVersion) {
+      return [];
+    }
+    return this._getAdvisories().filter(
+      (advisory) =>
+        advisory.library === name &&
+        semver.satisfies(semverVersion, advisory.vulnerableVersions, {
+          includePrerelease: true,
+        })
+    );
+  }
+
+  _getAdvisories() {
+    return ADVISORIES;
+  }
+
+  _getLibraries() {
+    return LIBRARIES;
+  }
+
   _getCachedHashes() {
     return HASHES.split('\n').filter((value) => {
       return value && value.length > 0 && value.substr(0, 1) !== '#';
@@ -0,0 +1,176 @@
+import { createTwoFilesPatch } from 'diff';
+import {
+  applyEdits,
+  findNodeAtLocation,
+  getNodeValue,
+  modify,
+  parseTree,
+} from 'jsonc-parser';
+
+// Convert a JSON pointer (e.g. `/browser_specific_settings/gecko/id`) into a
+// path as expected by jsonc-parser, array indexes have to be numbers.
+export function parseJSONPointer(pointer, tree) {
+  const jsonPath = [];
+  let node = tree;
+
+  pointer
+    .split('/')
+    .slice(1)
+    .forEach((segment) => {
+      const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+      const isIndex = node && node.type === 'array' && /^\d+$/.test(key);
+      jsonPath.push(isIndex ? parseInt(key, 10) : key);
+      node = node && findNodeAtLocation(tree, jsonPath);
+    });
+
+  return jsonPath;
+}
+
+// Guess how the JSON text is indented to keep the same formatting in the
+// inserted values.
+export function getFormattingOptions(text) {
+  const indentation = /^[ \t]+(?=["}\]])/m.exec(text);
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+
+  if (indentation && indentation[0].startsWith('\t')) {
+    return { insertSpaces: false, tabSize: 1, eol };
+  }
+  return {
+    insertSpaces: true,
+    tabSize: indentation ? indentation[0].length : 2,
+    eol,
+  };
+}
+
+function getIndentation(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+function stringify(value, indentation, { insertSpaces, tabSize, eol }) {
+  return JSON.stringify(value, null, insertSpaces ? ' '.repeat(tabSize) : '\t')
+    .split('\n')
+    .join(`${eol}${indentation}`);
+}
+
+function setValue(text, tree, jsonPath, value) {
+  const formattingOptions = getFormattingOptions(text);
+  const node = findNodeAtLocation(tree, jsonPath);
+
+  // Replace an existing value in place.
+  if (node) {
+    return applyEdits(text, [
+      {
+        offset: node.offset,
+        length: node.length,
+        content: stringify(
+          value,
+          getIndentation(text, node.parent ? node.parent.offset : node.offset),
+          formattingOptions
+        ),
+      },
+    ]);
+  }
+
+  // Add a new property after the last one of a multi-line object, using the
+  // same indentation.
+  const parentNode = findNodeAtLocation(tree, jsonPath.slice(0, -1));
+  const key = jsonPath[jsonPath.length - 1];
+  const lastProperty =
+    parentNode &&
+    parentNode.type === 'object' &&
+    typeof key === 'string' &&
+    parentNode.children[parentNode.children.length - 1];
+
+  if (
+    lastProperty &&
+    /[\r\n]/.test(text.slice(parentNode.offset, lastProperty.offset))
+  ) {
+    const indentation = getIndentation(text, lastProperty.offset);
+    return applyEdits(text, [
+      {
+        offset: lastProperty.offset + lastProperty.length,
+        length: 0,
+        content: `,${formattingOptions.eol}${indentation}${JSON.stringify(
+          key
+        )}: ${stringify(value, indentation, formattingOptions)}`,
+      },
+    ]);
+  }
+
+  return applyEdits(text, modify(text, jsonPath, value, { formattingOptions }));
+}
+
+function removeValue(text, jsonPath) {
+  // No formatting options: only the property (or array element) is removed.
+  return applyEdits(text, modify(text, jsonPath, undefined, {}));
+}
+
+function applyOperation(text, operation) {
+  const tree = parseTree(text);
+  const jsonPath = parseJSONPointer(operation.path, tree);
+
+  switch (operation.op) {
+    case 'add':
+    case 'replace':
+      return setValue(text, tree, jsonPath, operation.value);
+    case 'remove':
+      return removeValue(text, jsonPath);
+    case 'move': {
+      const fromPath = parseJSONPointer(operation.from, tree);
+      const fromNode = findNodeAtLocation(tree, fromPath);
+      if (!fromNode) {
+        throw new Error(`Unable to move "${operation.from}": not found`);
+      }
+
+      const sameParent =
+        fromPath.length === jsonPath.length &&
+        typeof jsonPath[jsonPath.length - 1] === 'string' &&
+        fromPath.slice(0, -1).every((key, index) => key === jsonPath[index]);
+
+      // Renaming a property is done in place to keep its position and the
+      // comments around it.
+      if (sameParent && !findNodeAtLocation(tree, jsonPath)) {
+        const keyNode = fromNode.parent.children[0];
+        return applyEdits(text, [
+          {
+            offset: keyNode.offset,
+            length: keyNode.length,
+            content: JSON.stringify(jsonPath[jsonPath.length - 1]),
+          },
+        ]);
+      }
+
+      const updatedText = removeValue(text, fromPath);
+      return setValue(
+        updatedText,
+        parseTree(updatedText),
+        jsonPath,
+        getNodeValue(fromNode)
+      );
+    }
+    default:
+      throw new Error(`Unsupported JSON patch operation "${operation.op}"`);
+  }
+}
+
+/*
+ * Apply a JSON patch (RFC 6902, only the `add`, `remove`, `replace` and
+ * `move` operations are supported) to a JSON text. Unlike applying the patch
+ * to the parsed JSON, this keeps the formatting and comments of the text.
+ */
+export function applyJSONPatch(text, patch) {
+  return patch.reduce(applyOperation, text);
+}
+
+export function createUnifiedDiff(filename, oldText, newText) {
+  return createTwoFilesPatch(
+    `a/${filename}`,
+    `b/${filename}`,
+    oldText,
+    newText,
+    undefined,
+    undefined,
+    { context: 3 }
+  );
+}
@@ -1,3 +1,5 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
 import path from 'path';
 
 import columnify from 'columnify';
@@ -18,6 +20,9 @@ import {
   checkMinNodeVersion,
   i18n,
   couldBeMinifiedCode,
+  getSourceMapUrl,
+  escapeXML,
+  getAndroidMinVersion,
   getLineAndColumnFromMatch,
   AddonsLinterUserError,
 } from 'utils';
@@ -33,15 +38,77 @@ import JSONScanner from 'scanners/json';
 import LangpackScanner from 'scanners/langpack';
 import { MINER_BLOCKLIST } from 'miner_blocklist';
 import Dispensary from 'dispensary';
-
-export default class Linter {
-  constructor(config) {
+import {
+  createBaseline,
+  getBaselineMatches,
+  getMessageFingerprint,
+  parseBaseline,
+} from 'baseline';
+import { getApiPermissionNames, getApiPermissions } from 'schema/browser-apis';
+import {
+  getManifestEntryPoints,
+  getPackageGraph,
+  resolveReference,
+} from 'reachability';
+import { diffMessages, watchDirectory } from 'watcher';
+import { applyJSONPatch, createUnifiedDiff } from 'fixer';
+import { getBundledModules, isInBundledModule } from 'bundles';
+import {
+  PORTABILITY_BROWSERS,
+  formatBrowserNames,
+  getApiBrowserSupport,
+  getCompatibilityMatrix,
+  getUnsupportedBrowsers,
+} from 'portability';
+import {
+  getApiMigrationItem,
+  getManifestMigrationItemsFromText,
+  getRemovedApi,
+} from 'migration';
+
+import { version } from '../package';
+
+// Simple logging adapter for addons-scanner-utils IO.
+const stderr = {
+  debug: (message) => log.debug(message),
+  error: (message) => log.error(message),
+  info: (message) => log.info(message),
+};
+
+/*
+ * The linter emits the following events while linting a package:
+ *
+ * - `metadata`: the add-on metadata, once extracted
+ * - `file:start` and `file:done`: `{ file }` before and after a file is
+ *   scanned
+ * - `message`: each message reported (before the baseline is applied)
+ */
+export default class Linter extends EventEmitter {
+  // The `dispensary` can be shared by several instances (e.g. when linting
+  // several packages, see `MultiLinter`) to only load the hashes once.
+  constructor(config, { dispensary = new Dispensary() } = {}) {
+    super();
     this.config = config;
+    this.dispensary = dispensary;
     [this.packagePath] = config._;
     this.io = null;
     this.chalk = new chalk.Instance({ enabled: !this.config.boring });
-    this.collector = new Collector(config);
+    this.collector = this.createCollector();
     this.addonMetadata = null;
+    // The fixes proposed by the manifest parser, see `fix()`.
+    this.manifestFixes = [];
+    // The manifest keys and permissions not supported by the browsers of
+    // `--browsers`, see `getBrowserCompatibility()`.
+    this.manifestBrowserIssues = [];
+    // The browser APIs used by each JavaScript file, see
+    // `checkUnusedPermissions()`.
+    this.browserApis = {};
+    // The files loaded by the extension according to its manifest and the
+    // files referenced by each file, see `checkFileReferences()`.
+    this.manifestEntryPoints = null;
+    this.fileReferences = {};
+    // The messages hidden by the baseline, see `applyBaseline()`.
+    this.baselineMessages = [];
     this.shouldScanFile = this.shouldScanFile.bind(this);
   }
 
@@ -59,12 +126,26 @@ export default class Linter {
 
       this._config.scanFile = scanFile;
     }
+
+    // normalize the browsers option into an array.
+    if (typeof this._config.browsers === 'string') {
+      this._config.browsers = this._config.browsers
+        .split(',')
+        .map((browser) => browser.trim())
+        .filter((browser) => browser);
+    }
   }
 
   get config() {
     return this._config;
   }
 
+  createCollector() {
+    return new Collector(this.config, {
+      onMessage: (message) => this.emit('message', message),
+    });
+  }
+
   validateConfig() {
     const { minManifestVersion, maxManifestVersion } = this.config;
     if (maxManifestVersion < minManifestVersion) {
@@ -77,6 +158,52 @@ export default class Linter {
       `)
       );
     }
+
+    const { browsers } = this.config;
+    if (typeof browsers !== 'undefined') {
+      const unknownBrowsers = (
+        Array.isArray(browsers) ? browsers : [browsers]
+      ).filter((browser) => !PORTABILITY_BROWSERS.includes(browser));
+      if (unknownBrowsers.length) {
+        throw new AddonsLinterUserError(
+          i18n.sprintf(
+            i18n._(oneLine`Invalid browsers option: unknown browser(s)
+              %(unknown)s, it should be a comma separated list of:
+              %(browsers)s.`),
+            {
+              unknown: unknownBrowsers.join(', '),
+              browsers: PORTABILITY_BROWSERS.join(', '),
+            }
+          )
+        );
+      }
+    }
+
+    const { rules } = this.config;
+    if (typeof rules !== 'undefined') {
+      if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new AddonsLinterUserError(
+          i18n._(oneLine`Invalid rules option: it should map message codes to
+            a severity, e.g. --rules.MANIFEST_CSP=off`)
+        );
+      }
+
+      Object.keys(rules).forEach((code) => {
+        if (!constants.RULE_SEVERITIES.includes(rules[code])) {
+          throw new AddonsLinterUserError(
+            i18n.sprintf(
+              i18n._(oneLine`Invalid severity "%(severity)s" for the
+                "%(code)s" rule, it should be one of: %(severities)s.`),
+              {
+                code,
+                severity: rules[code],
+                severities: constants.RULE_SEVERITIES.join(', '),
+              }
+            )
+          );
+        }
+      });
+    }
   }
 
   colorize(type) {
@@ -146,6 +273,10 @@ export default class Linter {
     }
     if (this.config.output === 'json') {
       _console.log(this.toJSON(this.config.pretty));
+    } else if (this.config.output === 'sarif') {
+      _console.log(this.toSARIF());
+    } else if (this.config.output === 'junit') {
+      _console.log(this.toJUnit());
     } else {
       _console.log(this.textOutput());
     }
@@ -164,6 +295,182 @@ export default class Linter {
     return _JSON.stringify.apply(null, args);
   }
 
+  // Build a SARIF 2.1.0 log (https://sarifweb.azurewebsites.net/) out of the
+  // collected messages, e.g. to upload the results to a code scanning
+  // dashboard. Each message code is mapped to a single rule descriptor.
+  toSARIF({
+    input = this.output,
+    pretty = this.config.pretty,
+    _messages = messages,
+  } = {}) {
+    const rules = [];
+    const ruleIndexes = {};
+    const results = [];
+
+    constants.MESSAGE_TYPES.forEach((type) => {
+      input[`${type}s`].forEach((message) => {
+        if (!Object.prototype.hasOwnProperty.call(ruleIndexes, message.code)) {
+          // Use the message definitions for the rule text when there is one,
+          // some messages are generated by functions and only export their
+          // code as a string.
+          const definition =
+            _messages[message.code] &&
+            typeof _messages[message.code] === 'object'
+              ? _messages[message.code]
+              : message;
+
+          ruleIndexes[message.code] = rules.length;
+          rules.push({
+            id: message.code,
+            shortDescription: {
+              text: definition.message || message.message || message.code,
+            },
+            fullDescription: {
+              text:
+                definition.description ||
+                message.description ||
+                definition.message ||
+                message.code,
+            },
+            defaultConfiguration: {
+              level: constants.SARIF_LEVELS[type],
+            },
+          });
+        }
+
+        const result = {
+          ruleId: message.code,
+          ruleIndex: ruleIndexes[message.code],
+          level: constants.SARIF_LEVELS[type],
+          message: {
+            text: message.message || message.code,
+          },
+        };
+
+        if (message.file) {
+          const physicalLocation = {
+            artifactLocation: { uri: message.file },
+          };
+
+          if (message.line) {
+            physicalLocation.region = { startLine: message.line };
+            if (message.column) {
+              physicalLocation.region.startColumn = message.column;
+            }
+          }
+
+          result.locations = [{ physicalLocation }];
+        }
+
+        results.push(result);
+      });
+    });
+
+    return this.toJSON({
+      input: {
+        $schema: constants.SARIF_SCHEMA_URL,
+        version: constants.SARIF_VERSION,
+        runs: [
+          {
+            tool: {
+              driver: {
+                name: 'addons-linter',
+                version,
+                informationUri: 'https://github.com/mozilla/addons-linter',
+                rules,
+              },
+            },
+            results,
+          },
+        ],
+      },
+      pretty,
+    });
+  }
+
+  // Build a JUnit XML report for CI test dashboards: every scanned file is a
+  // testsuite, every error and warning a failing testcase in it. Files
+  // without any error or warning are reported as a single passing testcase.
+  toJUnit({
+    input = this.output,
+    scannedFiles = this.collector.scannedFiles,
+  } = {}) {
+    const suites = {};
+    const getSuite = (name) => {
+      if (!suites[name]) {
+        suites[name] = [];
+      }
+      return suites[name];
+    };
+
+    Object.keys(scannedFiles).forEach(getSuite);
+
+    [constants.VALIDATION_ERROR, constants.VALIDATION_WARNING].forEach(
+      (type) => {
+        input[`${type}s`].forEach((message) => {
+          // Messages not related to a file are about the package itself.
+          getSuite(message.file || this.packagePath).push({ type, message });
+        });
+      }
+    );
+
+    let totalTests = 0;
+    let totalFailures = 0;
+    const out = [];
+
+    Object.keys(suites).forEach((name) => {
+      const failures = suites[name];
+      const tests = failures.length || 1;
+      const classname = escapeXML(name);
+
+      totalTests += tests;
+      totalFailures += failures.length;
+
+      out.push(
+        `  <testsuite name="${classname}" tests="${tests}" failures="${failures.length}" errors="0" skipped="0">`
+      );
+
+      if (!failures.length) {
+        out.push(
+          `    <testcase classname="${classname}" name="${classname}" />`
+        );
+      }
+
+      failures.forEach(({ type, message }) => {
+        let location = name;
+        if (message.line) {
+          location += `:${message.line}`;
+          if (message.column) {
+            location += `:${message.column}`;
+          }
+        }
+
+        const testcaseName = escapeXML(`${message.code} (${location})`);
+        const failureMessage = escapeXML(message.message || message.code);
+        const details = escapeXML(
+          [message.description, location].filter((detail) => detail).join('\n')
+        );
+
+        out.push(
+          `    <testcase classname="${classname}" name="${testcaseName}">`
+        );
+        out.push(
+          `      <failure type="${type}" message="${failureMessage}">${details}</failure>`
+        );
+        out.push('    </testcase>');
+      });
+
+      out.push('  </testsuite>');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="addons-linter" tests="${totalTests}" failures="${totalFailures}" errors="0">`,
+      ...out,
+      '</testsuites>',
+    ].join('\n');
+  }
+
   textOutput(_terminalWidth = terminalWidth) {
     const maxColumns = _terminalWidth();
     const out = [];
@@ -265,6 +572,83 @@ export default class Linter {
       }
     });
 
+    if (this.output.android) {
+      const { ready, minVersion, issues } = this.output.android;
+      out.push(`${i18n._('FIREFOX FOR ANDROID READINESS')}:`);
+      out.push('');
+      out.push(
+        ready
+          ? i18n._('The add-on is ready for Firefox for Android.')
+          : i18n._('The add-on is not ready for Firefox for Android.')
+      );
+      if (minVersion) {
+        out.push(
+          i18n.sprintf(i18n._('Minimum Firefox for Android version: %(v)s'), {
+            v: minVersion,
+          })
+        );
+      }
+      issues.forEach(({ type, code, message, file }) => {
+        out.push(
+          `  ${this.colorize(type)(code)}: ${message}${
+            file ? ` (${file})` : ''
+          }`
+        );
+      });
+      out.push('');
+    }
+
+    if (this.output.browsers) {
+      const { browsers, features, unsupportedCount } = this.output.browsers;
+      out.push(`${i18n._('BROWSER COMPATIBILITY')}:`);
+      out.push('');
+      if (features.length) {
+        const columnsConfig = {
+          name: { headingTransform: () => i18n._('Feature'), maxWidth: 50 },
+        };
+        browsers.forEach((browser) => {
+          columnsConfig[browser] = {
+            headingTransform: () => formatBrowserNames([browser]),
+          };
+        });
+        out.push(
+          columnify(
+            features.map(({ name, support }) => {
+              const row = { name };
+              browsers.forEach((browser) => {
+                if (support[browser] === null) {
+                  row[browser] = '?';
+                } else {
+                  row[browser] = support[browser]
+                    ? i18n._('yes')
+                    : this.colorize(constants.VALIDATION_WARNING)(i18n._('no'));
+                }
+              });
+              return row;
+            }),
+            {
+              columns: ['name', ...browsers],
+              columnSplitter: '   ',
+              config: columnsConfig,
+            }
+          )
+        );
+        out.push('');
+      }
+      browsers.forEach((browser) => {
+        out.push(
+          i18n.sprintf(
+            i18n._('%(browser)s: %(count)s unsupported feature(s)'),
+            {
+              browser: formatBrowserNames([browser]),
+              count: unsupportedCount[browser],
+            }
+          )
+        );
+      });
+      out.push('');
+    }
+
     if (this.output.scanFile) {
       out.push(`Selected files: ${this.output.scanFile.join(', ')}`);
       out.push('');
@@ -289,9 +673,70 @@ export default class Linter {
       output[messageType] = this.collector[messageType];
       output.summary[messageType] = this.collector[messageType].length;
     });
+    output.suppressed = this.collector.suppressed;
+
+    if (this.config.target === 'android') {
+      output.android = this.getAndroidReadiness();
+    }
+    if (this.config.browsers && this.config.browsers.length) {
+      output.browsers = this.getBrowserCompatibility();
+    }
     return output;
   }
 
+  /*
+   * Return the compatibility matrix of the browsers given with `--browsers`
+   * (see `getCompatibilityMatrix()`): the manifest keys, permissions and
+   * browser APIs used by the add-on that some of them don't support.
+   */
+  getBrowserCompatibility() {
+    const { browsers } = this.config;
+    const apis = new Set();
+    Object.values(this.browserApis).forEach((fileApis) => {
+      fileApis
+        .filter((api) => api.includes('.'))
+        .forEach((api) => apis.add(api));
+    });
+
+    const apiIssues = [...apis]
+      .sort()
+      .map((api) => ({
+        type: 'api',
+        name: api,
+        support: getApiBrowserSupport(api, browsers, {
+          addonMetadata: this.addonMetadata || {},
+        }),
+      }))
+      .filter(({ support }) => getUnsupportedBrowsers(support).length);
+
+    return getCompatibilityMatrix(
+      [...this.manifestBrowserIssues, ...apiIssues],
+      browsers
+    );
+  }
+
+  // Return the Firefox for Android readiness of the add-on with `--target
+  // android`: the add-on is ready when none of the Firefox for Android
+  // messages is an error or a warning.
+  getAndroidReadiness() {
+    const issues = [];
+    constants.MESSAGE_TYPES.forEach((type) => {
+      this.collector[`${type}s`].forEach((message) => {
+        if (constants.ANDROID_MESSAGE_CODES.includes(message.code)) {
+          issues.push(message);
+        }
+      });
+    });
+
+    return {
+      minVersion: this.addonMetadata
+        ? getAndroidMinVersion(this.addonMetadata)
+        : null,
+      ready: !issues.some(({ type }) => type !== constants.VALIDATION_NOTICE),
+      issues,
+    };
+  }
+
   async getAddonMetadata({
     _log = log,
     ManifestJSONParser = DefaultManifestJSONParser,
@@ -310,6 +755,8 @@ export default class Linter {
           constants.ALREADY_SIGNED_REGEX.test(filename)
         ),
         selfHosted: this.config.selfHosted,
+        target: this.config.target,
+        browsers: this.config.browsers,
         schemaValidatorOptions: {
           privileged: this.config.privileged,
           minManifestVersion: this.config.minManifestVersion,
@@ -324,12 +771,23 @@ export default class Linter {
       }
 
       this.addonMetadata = manifestParser.getMetadata();
+      this.manifestFixes = manifestParser.fixes;
+      this.manifestBrowserIssues = manifestParser.browserIssues;
+      // Only extensions have scripts and pages.
+      this.manifestEntryPoints =
+        manifestParser.isStaticTheme ||
+        manifestParser.isLanguagePack ||
+        manifestParser.isDictionary ||
+        !manifestParser.parsedJSON
+          ? null
+          : getManifestEntryPoints(manifestParser.parsedJSON);
     } else {
       _log.warn(
         `No ${constants.MANIFEST_JSON} was found in the package metadata`
       );
       this.collector.addError(messages.TYPE_NO_MANIFEST_JSON);
       this.addonMetadata = {};
+      this.manifestEntryPoints = null;
     }
     this.addonMetadata.totalScannedFileSize = 0;
     return this.addonMetadata;
@@ -395,6 +853,8 @@ export default class Linter {
   }
 
   async scanFile(filename) {
+    this.emit('file:start', { file: filename });
+
     let scanResult = { linterMessages: [], scannedFiles: [] };
     const ScannerClass = this.getScanner(filename);
     const fileData = await this.io.getFile(
@@ -443,13 +903,48 @@ export default class Linter {
         disabledRules: this.config.disableLinterRules,
         existingFiles: this.io.files,
         privileged: this.config.privileged,
+        target: this.config.target,
+        browsers: this.config.browsers,
+        sourceMap:
+          ScannerClass === JavaScriptScanner
+            ? await this.getSourceMap(filename, fileData)
+            : null,
       });
 
       scanResult = await scanner.scan();
     }
 
     // messages should be a list of raw message data objects.
-    const { linterMessages, scannedFiles } = scanResult;
+    const {
+      linterMessages: scannedMessages,
+      scannedFiles,
+      suppressedMessages = [],
+      browserApis,
+      references,
+    } = scanResult;
+
+    // The code of the libraries bundled in the file is not linted, like the
+    // files of the known libraries, unless the module was only matched by its
+    // banner.
+    const bundledJsLibs = Object.values(
+      (this.addonMetadata && this.addonMetadata.bundledJsLibs) || {}
+    ).filter(
+      (bundledJsLib) => bundledJsLib.file === filename && bundledJsLib.identical
+    );
+    const linterMessages = scannedMessages.filter(
+      (message) =>
+        !message.line ||
+        !bundledJsLibs.some((bundledJsLib) =>
+          isInBundledModule(message, bundledJsLib)
+        )
+    );
+
+    if (browserApis) {
+      this.browserApis[filename] = browserApis;
+    }
+    if (references) {
+      this.fileReferences[filename] = references;
+    }
 
     linterMessages.forEach((message) => {
       if (typeof message.type === 'undefined') {
@@ -458,9 +953,39 @@ export default class Linter {
       this.collector._addMessage(message.type, message);
     });
 
+    suppressedMessages.forEach((message) => {
+      this.collector.addSuppressedMessage(message.type, message);
+    });
+
     scannedFiles.forEach((_filename) => {
       this.collector.recordScannedFile(_filename, ScannerClass.scannerName);
     });
+
+    this.emit('file:done', { file: filename });
+  }
+
+  /*
+   * Return the source map of a JavaScript file as `{ file, map }`, when the
+   * file has a `sourceMappingURL` comment pointing to a `.map` file of the
+   * package, or `null`.
+   */
+  async getSourceMap(filename, code) {
+    const url = getSourceMapUrl(code);
+    const file = url
+      ? resolveReference(filename, { type: 'sourceMap', value: url })
+      : null;
+
+    if (!file || !this.io.files[file]) {
+      return null;
+    }
+
+    try {
+      const map = JSON.parse(await this.io.getFileAsString(file));
+      return { file, map };
+    } catch (error) {
+      log.debug(`Could not read the source map ${file}: ${error.message}`);
+      return null;
+    }
   }
 
   async extractMetadata({
@@ -473,13 +998,6 @@ export default class Linter {
 
     const stats = await this.checkFileExists(this.packagePath);
 
-    // Simple logging adapter for addons-scanner-utils IO.
-    const stderr = {
-      debug: (message) => log.debug(message),
-      error: (message) => log.error(message),
-      info: (message) => log.info(message),
-    };
-
     if (stats.isFile()) {
       if (this.packagePath.endsWith('.crx')) {
         log.info('Package is a file ending in .crx; parsing as a CRX');
@@ -507,6 +1025,7 @@ export default class Linter {
 
     let addonMetadata = await this.getAddonMetadata();
     addonMetadata = await this.markSpecialFiles(addonMetadata);
+    this.emit('metadata', addonMetadata);
 
     log.info('Metadata option is set to %s', this.config.metadata);
     if (this.config.metadata === true) {
@@ -529,6 +1048,174 @@ export default class Linter {
     return addonMetadata;
   }
 
+  async getSourceLines(filename, cache = {}) {
+    if (!filename || !this.io || !this.io.files || !this.io.files[filename]) {
+      return [];
+    }
+
+    if (!cache[filename]) {
+      // eslint-disable-next-line no-param-reassign
+      cache[filename] = this.io
+        .getFileAsString(filename)
+        .then((content) => content.split(/\r?\n/))
+        .catch((err) => {
+          log.debug(`Unable to read ${filename}: ${err}`);
+          return [];
+        });
+    }
+
+    return cache[filename];
+  }
+
+  async fingerprintMessages() {
+    const cache = {};
+    const entries = [];
+
+    for (const type of constants.MESSAGE_TYPES) {
+      for (const message of this.collector[`${type}s`]) {
+        const sourceLines = message.line
+          ? await this.getSourceLines(message.file, cache)
+          : [];
+        entries.push({
+          message,
+          fingerprint: getMessageFingerprint(
+            message,
+            sourceLines[message.line - 1]
+          ),
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  async applyBaseline({ _fs = fs } = {}) {
+    const { baseline: baselinePath, writeBaseline } = this.config;
+
+    if (!baselinePath && !writeBaseline) {
+      return;
+    }
+
+    const entries = await this.fingerprintMessages();
+
+    if (writeBaseline) {
+      log.info(`Writing baseline to ${writeBaseline}`);
+      await _fs.promises.writeFile(
+        writeBaseline,
+        `${JSON.stringify(createBaseline(entries), null, 2)}\n`
+      );
+    }
+
+    if (baselinePath) {
+      let content;
+      try {
+        content = await _fs.promises.readFile(baselinePath, 'utf8');
+      } catch (err) {
+        throw new AddonsLinterUserError(
+          i18n.sprintf(
+            i18n._('Unable to read baseline file %(baselinePath)s: %(error)s'),
+            { baselinePath, error: err.message }
+          )
+        );
+      }
+
+      const matches = getBaselineMatches(
+        parseBaseline(content, baselinePath),
+        entries
+      );
+      log.info(`${matches.length} message(s) hidden by the baseline`);
+      this.baselineMessages = matches.map(({ message }) => message);
+      this.collector.removeMessages(this.baselineMessages);
+    }
+  }
+
+  /*
+   * Report the permissions declared in the manifest that none of the APIs
+   * used by the JavaScript files require. The APIs used without the
+   * permission they require are reported by the `webextension-api-permissions`
+   * rule.
+   */
+  checkUnusedPermissions() {
+    // All the files must have been scanned to know the APIs used (the known
+    // libraries are not), and none of them can pass the namespace around.
+    if (
+      this.config.scanFile ||
+      !this.addonMetadata ||
+      !Array.isArray(this.addonMetadata.permissions) ||
+      Object.keys(this.addonMetadata.jsLibs || {}).length ||
+      Object.values(this.browserApis).some((apis) =>
+        apis.includes(constants.ANY_BROWSER_API)
+      )
+    ) {
+      return;
+    }
+
+    const apiPermissions = getApiPermissionNames();
+    const usedPermissions = new Set();
+    Object.values(this.browserApis).forEach((apis) => {
+      apis.forEach((api) => {
+        const [namespace, property] = api.split('.');
+        getApiPermissions(namespace, property).forEach((permissions) => {
+          permissions.forEach((permission) => usedPermissions.add(permission));
+        });
+      });
+    });
+
+    [
+      ['permissions', this.addonMetadata.permissions],
+      ['optional_permissions', this.addonMetadata.optionalPermissions || []],
+    ].forEach(([property, permissions]) => {
+      permissions.forEach((permission, index) => {
+        if (
+          apiPermissions.has(permission) &&
+          !usedPermissions.has(permission) &&
+          !constants.PERMISSIONS_NOT_ONLY_USED_BY_APIS.includes(permission)
+        ) {
+          this.collector.addWarning(
+            messages.manifestPermissionUnused(
+              permission,
+              `/${property}/${index}`
+            )
+          );
+        }
+      });
+    });
+  }
+
+  /*
+   * Report the scripts, pages and stylesheets that are not loaded by the
+   * manifest entry points or by the files they load, and the references to
+   * files that are not in the package.
+   */
+  checkFileReferences() {
+    // All the files must have been scanned to know what they load.
+    if (this.config.scanFile || !this.manifestEntryPoints) {
+      return;
+    }
+
+    const files = Object.keys(this.io.files);
+    const { reachableFiles, missingReferences } = getPackageGraph(
+      this.manifestEntryPoints,
+      this.fileReferences,
+      files
+    );
+
+    files
+      .filter(
+        (file) =>
+          !reachableFiles.has(file) &&
+          [CSSScanner, HTMLScanner, JavaScriptScanner].includes(
+            this.getScanner(file)
+          )
+      )
+      .forEach((file) => {
+        this.collector.addNotice(messages.fileUnreachable(file));
+      });
+    missingReferences.forEach((reference) => {
+      this.collector.addWarning(messages.referencedFileMissing(reference));
+    });
+  }
+
   shouldScanFile(fileOrDirName, isDir) {
     if (this.config.shouldScanFile) {
       return this.config.shouldScanFile(fileOrDirName, isDir);
@@ -572,13 +1259,16 @@ export default class Linter {
       });
 
       await this.scanFiles(filesWithoutJSLibraries);
+      this.checkUnusedPermissions();
+      this.checkFileReferences();
+      await this.applyBaseline(deps);
       this.closeIO();
 
       this.print(deps._console);
       // This is skipped in code coverage because the
       // test runs against un-instrumented code.
       /* istanbul ignore if */
-      if (this.config.runAsBinary === true) {
+      if (this.config.runAsBinary === true && this.config.watch !== true) {
         let exitCode = this.output.errors.length > 0 ? 1 : 0;
         if (exitCode === 0 && this.config.warningsAsErrors === true) {
           exitCode = this.output.warnings.length > 0 ? 1 : 0;
@@ -619,31 +1309,500 @@ export default class Linter {
       }
     }
 
+    if (this.config.migrateToMv3 === true) {
+      try {
+        const report = await this.getMV3MigrationReport(deps);
+        this.closeIO();
+        this.printMV3MigrationReport(report, deps._console);
+        return report;
+      } catch (err) {
+        log.debug(err);
+        this.handleError(err, deps._console);
+        throw err;
+      }
+    }
+
+    if (this.config.fix === true || this.config.fixDryRun === true) {
+      await this.fix(deps);
+
+      if (this.config.fixDryRun === true) {
+        return this.output;
+      }
+    }
+
+    if (this.config.watch === true) {
+      return this.watch(deps);
+    }
+
+    await this.scan(deps);
+
+    return this.output;
+  }
+
+  /*
+   * Apply the fixes proposed by the manifest parser to the manifest.json file
+   * of a directory, or only print them (and the suggestions, see
+   * `ManifestJSONParser.addFix()`) as a diff with `--fix-dry-run`.
+   */
+  async fix({ _fs = fs, _console = console, ...deps } = {}) {
+    const stats = await this.checkFileExists(this.packagePath);
+    if (!stats.isDirectory()) {
+      throw new AddonsLinterUserError(
+        i18n._('The --fix option can only be used with a directory.')
+      );
+    }
+
+    await this.extractMetadata({ ...deps, _console });
+    const fixes =
+      this.config.fixDryRun === true
+        ? this.manifestFixes
+        : this.manifestFixes.filter(({ suggestion }) => !suggestion);
+    if (fixes.length < this.manifestFixes.length) {
+      log.info(
+        `${
+          this.manifestFixes.length - fixes.length
+        } suggestion(s) only shown with --fix-dry-run`
+      );
+    }
+    const patch = fixes.reduce(
+      (operations, { patch: fixPatch }) => operations.concat(fixPatch),
+      []
+    );
+
+    if (!patch.length) {
+      log.info('No fixes to apply');
+      return null;
+    }
+
+    const manifestPath = path.join(this.packagePath, constants.MANIFEST_JSON);
+    const manifest = await _fs.promises.readFile(manifestPath, 'utf8');
+    const fixedManifest = applyJSONPatch(manifest, patch);
+
+    if (this.config.fixDryRun === true) {
+      _console.log(
+        createUnifiedDiff(constants.MANIFEST_JSON, manifest, fixedManifest)
+      );
+      return fixedManifest;
+    }
+
+    log.info(`Applying ${fixes.length} fix(es) to ${manifestPath}`);
+    await _fs.promises.writeFile(manifestPath, fixedManifest);
+
+    // The fixed package is linted from scratch.
+    this.io = null;
+    this.addonMetadata = null;
+    this.manifestFixes = [];
+    this.collector = this.createCollector();
+
+    return fixedManifest;
+  }
+
+  /*
+   * List the changes required to migrate a Manifest Version 2 extension to
+   * Manifest Version 3: the manifest properties to update and the usage of
+   * the APIs removed in Manifest Version 3.
+   */
+  async getMV3MigrationReport({
+    _JavaScriptScanner = JavaScriptScanner,
+    ...deps
+  } = {}) {
+    const addonMetadata = await this.extractMetadata(deps);
+    const report = {
+      manifestVersion: addonMetadata.manifestVersion,
+      count: 0,
+      items: [],
+    };
+
+    if (this.output.errors.length) {
+      report.errors = this.output.errors;
+    }
+
+    if (addonMetadata.manifestVersion !== 2) {
+      return report;
+    }
+
+    const files = await this.io.getFiles();
+    const manifest = await this.io.getFileAsString(constants.MANIFEST_JSON);
+    report.items.push(...getManifestMigrationItemsFromText(manifest));
+
+    // The APIs removed in Manifest Version 3 are reported by the
+    // `webextension-unsupported-api` rule when linting the code as if the
+    // extension was already using Manifest Version 3.
+    const jsFiles = await this.io.getFilesByExt('.js', '.mjs', '.jsm');
+    const apiItems = await Promise.all(
+      jsFiles
+        .filter(
+          (file) =>
+            !Object.prototype.hasOwnProperty.call(addonMetadata.jsLibs, file)
+        )
+        .map(async (file) => {
+          const code = await this.io.getFile(
+            file,
+            _JavaScriptScanner.fileResultType
+          );
+          const scanner = new _JavaScriptScanner(code, file, {
+            addonMetadata: { ...addonMetadata, manifestVersion: 3 },
+            existingFiles: files,
+            privileged: this.config.privileged,
+          });
+          const { linterMessages } = await scanner.scan({
+            _ruleMapping: {
+              'webextension-unsupported-api': constants.ESLINT_WARNING,
+            },
+          });
+
+          return linterMessages
+            .map((message) => ({
+              api: getRemovedApi(message),
+              message,
+            }))
+            .filter(({ api }) => api)
+            .map(({ api, message }) => getApiMigrationItem(api, message));
+        })
+    );
+    apiItems.forEach((items) => report.items.push(...items));
+
+    report.count = report.items.length;
+    return report;
+  }
+
+  printMV3MigrationReport(report, _console = console) {
+    if (this.config.output === 'none') {
+      return;
+    }
+
+    if (this.config.output === 'json') {
+      _console.log(this.toJSON({ input: report }));
+      return;
+    }
+
+    const out = [
+      i18n.sprintf(
+        i18n._('Manifest Version 3 migration: %(count)s change(s) required'),
+        { count: report.count }
+      ),
+    ];
+
+    (report.errors || []).forEach((error) => {
+      out.push(`${this.colorize(error.type)(error.code)} ${error.message}`);
+    });
+
+    report.items.forEach(({ file, line, column, message, replacement }) => {
+      out.push('');
+      out.push(`${this.chalk.bold(`${file}:${line}:${column}`)} ${message}`);
+      if (replacement) {
+        out.push(`  ${this.chalk.green(replacement)}`);
+      }
+    });
+
+    _console.log(out.join('\n'));
+  }
+
+  getAllMessages() {
+    return constants.MESSAGE_TYPES.reduce(
+      (allMessages, type) => allMessages.concat(this.collector[`${type}s`]),
+      []
+    );
+  }
+
+  /*
+   * Scan the package and keep watching it to lint the files again when they
+   * change, this is only supported for directories.
+   */
+  async watch({ _watchDirectory = watchDirectory, ...deps } = {}) {
+    const stats = await this.checkFileExists(this.packagePath);
+    if (!stats.isDirectory()) {
+      throw new AddonsLinterUserError(
+        i18n._('The --watch option can only be used with a directory.')
+      );
+    }
+
     await this.scan(deps);
 
+    let rescanning = Promise.resolve();
+    this.watcher = _watchDirectory(
+      this.packagePath,
+      (changedPaths) => {
+        // Changes detected while a rescan is in progress are handled once it
+        // is done. Errors are reported but don't stop the watcher.
+        rescanning = rescanning
+          .then(() => this.rescan(changedPaths, deps))
+          .catch((err) => this.handleError(err, deps._console));
+        return rescanning;
+      },
+      { shouldWatchDir: (dirPath) => this.shouldScanFile(dirPath, true) }
+    );
+
+    log.info(`Watching ${this.packagePath} for changes`);
     return this.output;
   }
 
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /*
+   * Lint the changed paths (files or directories, relative to the package
+   * directory) again and print the messages that appeared or disappeared.
+   */
+  async rescan(changedPaths, { _Directory = Directory, ...deps } = {}) {
+    const previousMessages = this.getAllMessages();
+    // The metadata is extracted from the manifest and its localized strings.
+    const metadataChanged = changedPaths.some(
+      (changedPath) =>
+        changedPath === constants.MANIFEST_JSON ||
+        changedPath === constants.LOCALES_DIRECTORY ||
+        changedPath.startsWith(`${constants.LOCALES_DIRECTORY}/`)
+    );
+    // The JavaScript rules depend on the metadata (e.g. the manifest version
+    // or the declared permissions), the JavaScript files are scanned again
+    // when it changes.
+    const isChanged = (file) =>
+      (metadataChanged && this.getScanner(file) === JavaScriptScanner) ||
+      changedPaths.some(
+        (changedPath) =>
+          file === changedPath || file.startsWith(`${changedPath}/`)
+      );
+
+    log.info(`Changes detected in: ${changedPaths.join(', ')}`);
+
+    // The baseline is applied again to all the messages: the occurrences it
+    // hides depend on the ones of the unchanged files too.
+    this.collector.restoreMessages(this.baselineMessages);
+    this.baselineMessages = [];
+
+    // Files may have been added or removed, we need a fresh list.
+    this.io = new _Directory({ filePath: this.packagePath, stderr });
+    this.io.setScanFileCallback(this.shouldScanFile);
+    const files = await this.io.getFiles();
+
+    this.collector.removeMessages(
+      this.getAllMessages().filter((message) => {
+        if (message.file) {
+          return (
+            isChanged(message.file) ||
+            (metadataChanged && message.file === constants.MANIFEST_JSON)
+          );
+        }
+        // Messages without a file are reported while extracting the
+        // metadata (e.g. when there is no manifest.json).
+        return metadataChanged;
+      })
+    );
+    this.collector.suppressed = this.collector.suppressed.filter(
+      (message) => !isChanged(message.file)
+    );
+    Object.keys(this.collector.scannedFiles).forEach((file) => {
+      if (isChanged(file)) {
+        delete this.collector.scannedFiles[file];
+      }
+    });
+
+    if (metadataChanged) {
+      // The special files are not related to the manifest, keep them.
+      const { bundledJsLibs, emptyFiles, jsLibs, unknownMinifiedFiles } =
+        this.addonMetadata;
+      this.addonMetadata = null;
+      await this.getAddonMetadata(deps);
+      Object.assign(this.addonMetadata, {
+        bundledJsLibs,
+        emptyFiles,
+        jsLibs,
+        unknownMinifiedFiles,
+      });
+    }
+    // The changed files may have become (or stopped being) libraries, empty
+    // or minified files, they are checked again before being scanned.
+    await this.markChangedSpecialFiles(this.addonMetadata, isChanged);
+    if (metadataChanged) {
+      this.emit('metadata', this.addonMetadata);
+    }
+
+    // The unused permissions and the file references depend on all the
+    // files, they are checked again once the changed files have been scanned.
+    this.collector.removeMessages(
+      this.getAllMessages().filter((message) =>
+        [
+          messages.FILE_UNREACHABLE,
+          messages.MANIFEST_PERMISSION_UNUSED,
+          messages.REFERENCED_FILE_MISSING,
+        ].includes(message.code)
+      )
+    );
+    [this.browserApis, this.fileReferences].forEach((filesData) => {
+      Object.keys(filesData).forEach((file) => {
+        if (isChanged(file)) {
+          // eslint-disable-next-line no-param-reassign
+          delete filesData[file];
+        }
+      });
+    });
+
+    await this.scanFiles(
+      Object.keys(files).filter((file) => {
+        return (
+          isChanged(file) &&
+          !Object.prototype.hasOwnProperty.call(this.addonMetadata.jsLibs, file)
+        );
+      })
+    );
+    this.checkUnusedPermissions();
+    this.checkFileReferences();
+    await this.applyBaseline(deps);
+
+    const diff = diffMessages(previousMessages, this.getAllMessages());
+    this.printMessagesDiff(diff, deps._console);
+    return diff;
+  }
+
+  // Format a message on a single line, e.g. `+ WARNING CODE message file:1:2`.
+  formatMessageLine(prefix, message) {
+    let location = message.file || '';
+    if (location && message.line) {
+      location = `${location}:${message.line}`;
+      if (message.column) {
+        location = `${location}:${message.column}`;
+      }
+    }
+    return [
+      prefix,
+      this.colorize(message.type)(message.type.toUpperCase()),
+      message.code,
+      message.message,
+      location,
+    ]
+      .filter((part) => part)
+      .join(' ');
+  }
+
+  printMessagesDiff({ added, removed }, _console = console) {
+    if (this.config.output === 'none') {
+      return;
+    }
+
+    if (this.config.output === 'json') {
+      _console.log(
+        this.toJSON({
+          input: { added, removed, summary: this.output.summary },
+        })
+      );
+      return;
+    }
+
+    const out = [];
+    if (!added.length && !removed.length) {
+      out.push(i18n._('No messages appeared or disappeared.'));
+    }
+
+    added.forEach((message) => out.push(this.formatMessageLine('+', message)));
+    removed.forEach((message) =>
+      out.push(this.formatMessageLine('-', message))
+    );
+
+    const { summary } = this.output;
+    out.push(
+      i18n.sprintf(
+        i18n._(
+          'errors: %(errors)s, notices: %(notices)s, warnings: %(warnings)s'
+        ),
+        summary
+      )
+    );
+
+    _console.log(out.join('\n'));
+  }
+
   async markSpecialFiles(addonMetadata) {
     let _addonMetadata = await this._markEmptyFiles(addonMetadata);
     _addonMetadata = await this._markJSLibs(_addonMetadata);
     _addonMetadata = this._markBannedLibs(_addonMetadata);
+    _addonMetadata = this._markVulnerableLibs(_addonMetadata);
     return this._markUnknownOrMinifiedCode(_addonMetadata);
   }
 
+  /*
+   * Mark the special files again once some files have changed (see
+   * `markSpecialFiles()`): the libraries of the changed files are detected and
+   * reported again, the ones of the other files are kept.
+   */
+  async markChangedSpecialFiles(addonMetadata, isChanged) {
+    const keepUnchanged = (libs = {}) =>
+      Object.fromEntries(
+        // The bundled libraries are listed as `file#moduleId`.
+        Object.entries(libs).filter(([key]) => !isChanged(key.split('#')[0]))
+      );
+    const changedMetadata = await this._markJSLibs(
+      {},
+      { isSelected: isChanged }
+    );
+    this._markBannedLibs(changedMetadata);
+    this._markVulnerableLibs(changedMetadata);
+
+    // eslint-disable-next-line no-param-reassign
+    addonMetadata.jsLibs = {
+      ...keepUnchanged(addonMetadata.jsLibs),
+      ...changedMetadata.jsLibs,
+    };
+    // eslint-disable-next-line no-param-reassign
+    addonMetadata.bundledJsLibs = {
+      ...keepUnchanged(addonMetadata.bundledJsLibs),
+      ...changedMetadata.bundledJsLibs,
+    };
+    await this._markEmptyFiles(addonMetadata);
+    return this._markUnknownOrMinifiedCode(addonMetadata);
+  }
+
+  // Return the location of a library of `jsLibs`, see `_markJSLibs()`.
+  _getJSLibLocation(addonMetadata, pathToFile) {
+    const bundledJsLib = (addonMetadata.bundledJsLibs || {})[pathToFile];
+
+    return bundledJsLib
+      ? {
+          file: bundledJsLib.file,
+          line: bundledJsLib.start.line,
+          column: bundledJsLib.start.column,
+        }
+      : { file: pathToFile };
+  }
+
   _markBannedLibs(addonMetadata, _unadvisedLibraries = UNADVISED_LIBRARIES) {
     Object.keys(addonMetadata.jsLibs).forEach((pathToFile) => {
+      const location = this._getJSLibLocation(addonMetadata, pathToFile);
+
       if (BANNED_LIBRARIES.includes(addonMetadata.jsLibs[pathToFile])) {
         this.collector.addError({
           ...messages.BANNED_LIBRARY,
-          file: pathToFile,
+          ...location,
         });
       }
 
       if (_unadvisedLibraries.includes(addonMetadata.jsLibs[pathToFile])) {
         this.collector.addWarning({
           ...messages.UNADVISED_LIBRARY,
-          file: pathToFile,
+          ...location,
+        });
+      }
+    });
+
+    return addonMetadata;
+  }
+
+  // Report the libraries affected by the advisories of the dispensary, see
+  // `Dispensary.getAdvisories()`.
+  _markVulnerableLibs(addonMetadata) {
+    Object.keys(addonMetadata.jsLibs).forEach((pathToFile) => {
+      const library = this.dispensary.getLibraryVersion(
+        addonMetadata.jsLibs[pathToFile]
+      );
+      const advisories = library ? this.dispensary.getAdvisories(library) : [];
+
+      if (advisories.length) {
+        this.collector.addWarning({
+          ...messages.vulnerableLibrary({ ...library, advisories }),
+          ...this._getJSLibLocation(addonMetadata, pathToFile),
         });
       }
     });
@@ -676,15 +1835,15 @@ export default class Linter {
     return addonMetadata;
   }
 
-  async _markJSLibs(addonMetadata) {
-    const dispensary = new Dispensary();
+  async _markJSLibs(addonMetadata, { isSelected = () => true } = {}) {
     const jsLibs = {};
-    const files = await this.io.getFilesByExt('.js');
+    const bundledJsLibs = {};
+    const files = (await this.io.getFilesByExt('.js')).filter(isSelected);
 
     await Promise.all(
       files.map(async (filename) => {
         const file = await this.io.getFile(filename);
-        const hashResult = dispensary.match(file);
+        const hashResult = this.dispensary.match(file);
 
         if (hashResult !== false) {
           log.debug(`${hashResult} detected in ${filename}`);
@@ -694,12 +1853,45 @@ export default class Linter {
             ...messages.KNOWN_LIBRARY,
             file: filename,
           });
+          return;
         }
+
+        // The libraries bundled with the code of the extension, e.g. by
+        // webpack, are listed as `file#moduleId`.
+        // Only the modules with the code of a library (`identical`) are not
+        // linted, the ones matched by their banner are only reported.
+        getBundledModules(file).forEach(({ id, code, start, end }) => {
+          const identicalLibrary = this.dispensary.matchModuleCode(code);
+          const library =
+            identicalLibrary || this.dispensary.matchModuleBanner({ id, code });
+
+          if (library !== false) {
+            log.debug(`${library} detected in the ${id} module of ${filename}`);
+            const key = `${filename}#${id}`;
+            jsLibs[key] = library;
+            bundledJsLibs[key] = {
+              file: filename,
+              module: id,
+              start,
+              end,
+              identical: identicalLibrary !== false,
+            };
+
+            this.collector.addNotice({
+              ...messages.KNOWN_LIBRARY,
+              file: filename,
+              line: start.line,
+              column: start.column,
+            });
+          }
+        });
       })
     );
 
     // eslint-disable-next-line no-param-reassign
     addonMetadata.jsLibs = jsLibs;
+    // eslint-disable-next-line no-param-reassign
+    addonMetadata.bundledJsLibs = bundledJsLibs;
     return addonMetadata;
   }
 
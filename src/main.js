@@ -1,6 +1,9 @@
 import { getConfig } from 'cli';
+import Differ, { isDiffCommand } from 'differ';
 import Linter from 'linter';
 import log from 'logger';
+import MultiLinter from 'multi-linter';
+import { hasMultiplePackages } from 'utils';
 
 export function isRunFromCLI(_module = module) {
   return require.main === _module;
@@ -14,11 +17,19 @@ export function createInstance({
   log.info('Creating new linter instance', { config });
   // eslint-disable-next-line no-param-reassign
   config.runAsBinary = runAsBinary;
+  if (isDiffCommand(config._)) {
+    return new Differ(config);
+  }
+  if (hasMultiplePackages(config._)) {
+    return new MultiLinter(config);
+  }
   return new Linter(config);
 }
 
 export default {
+  Differ,
   Linter,
+  MultiLinter,
   createInstance,
   isRunFromCLI,
 };
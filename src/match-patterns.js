@@ -0,0 +1,215 @@
+// The schemes matched by `*` and by `<all_urls>`.
+// See https://developer.mozilla.org/docs/Mozilla/Add-ons/WebExtensions/Match_patterns
+export const WILDCARD_SCHEMES = ['http', 'https', 'ws', 'wss'];
+export const ALL_URLS_SCHEMES = [...WILDCARD_SCHEMES, 'ftp', 'data', 'file'];
+
+// The breadths of the match patterns, from the broadest:
+//
+// - `all_urls`: `<all_urls>`, every URL
+// - `all_hosts`: every host of some schemes, e.g. `*://*/*`
+// - `subdomains`: a domain and its subdomains, e.g. `*://*.example.com/*`
+// - `host`: a single host, e.g. `https://example.com/*`
+export const MATCH_PATTERN_BREADTHS = [
+  'all_urls',
+  'all_hosts',
+  'subdomains',
+  'host',
+];
+
+const MATCH_PATTERN_REGEX =
+  /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/i;
+
+const escapeRegExp = (string) => string.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Return a regular expression matching the strings of a path glob, where `*`
+// matches any string.
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+// Whether some strings are matched by both path globs: when they both have a
+// wildcard, their prefixes (before the first `*`) and suffixes (after the
+// last `*`) must be compatible.
+function pathsIntersect(path, otherPath) {
+  if (!path.includes('*') || !otherPath.includes('*')) {
+    return (
+      globToRegExp(path).test(otherPath) || globToRegExp(otherPath).test(path)
+    );
+  }
+  const [prefix, otherPrefix] = [path, otherPath].map(
+    (glob) => glob.split('*')[0]
+  );
+  const [suffix, otherSuffix] = [path, otherPath].map((glob) =>
+    glob.slice(glob.lastIndexOf('*') + 1)
+  );
+  return (
+    (prefix.startsWith(otherPrefix) || otherPrefix.startsWith(prefix)) &&
+    (suffix.endsWith(otherSuffix) || otherSuffix.endsWith(suffix))
+  );
+}
+
+/*
+ * Parse a match pattern as `{ pattern, scheme, host, path }`, `<all_urls>`
+ * as `{ pattern, allUrls: true }`, or return `null` when it is not a valid
+ * match pattern.
+ */
+export function parseMatchPattern(pattern) {
+  if (pattern === '<all_urls>') {
+    return { pattern, allUrls: true };
+  }
+  const match =
+    typeof pattern === 'string' && MATCH_PATTERN_REGEX.exec(pattern);
+  if (!match) {
+    return null;
+  }
+  const [, scheme, host, path] = match;
+
+  // Only `file:` URLs don't have a host.
+  if (!host && scheme.toLowerCase() !== 'file') {
+    return null;
+  }
+  return {
+    pattern,
+    scheme: scheme.toLowerCase(),
+    host: host.toLowerCase(),
+    path,
+  };
+}
+
+// Return the breadth of a match pattern parsed with `parseMatchPattern()`.
+export function getMatchPatternBreadth(parsedPattern) {
+  if (parsedPattern.allUrls) {
+    return 'all_urls';
+  }
+  if (parsedPattern.host === '*') {
+    return 'all_hosts';
+  }
+  return parsedPattern.host.startsWith('*.') ? 'subdomains' : 'host';
+}
+
+function getSchemes(parsedPattern) {
+  if (parsedPattern.allUrls) {
+    return ALL_URLS_SCHEMES;
+  }
+  return parsedPattern.scheme === '*'
+    ? WILDCARD_SCHEMES
+    : [parsedPattern.scheme];
+}
+
+function hostCovers(host, otherHost) {
+  if (host === '*' || host === otherHost) {
+    return true;
+  }
+  return (
+    host.startsWith('*.') &&
+    otherHost !== '*' &&
+    (otherHost === host.slice(2) || otherHost.endsWith(host.slice(1)))
+  );
+}
+
+/*
+ * Whether a match pattern matches every URL matched by another one, e.g.
+ * `*://*.example.com/*` covers `https://www.example.com/path`. The paths are
+ * ignored when `ignorePath` is set, like the browsers do for the host
+ * permissions.
+ */
+export function matchPatternCovers(
+  parsedPattern,
+  otherPattern,
+  { ignorePath = false } = {}
+) {
+  if (parsedPattern.allUrls) {
+    return getSchemes(otherPattern).every((scheme) =>
+      ALL_URLS_SCHEMES.includes(scheme)
+    );
+  }
+  if (otherPattern.allUrls) {
+    return false;
+  }
+  const schemes = getSchemes(parsedPattern);
+  return (
+    getSchemes(otherPattern).every((scheme) => schemes.includes(scheme)) &&
+    hostCovers(parsedPattern.host, otherPattern.host) &&
+    (ignorePath || globToRegExp(parsedPattern.path).test(otherPattern.path))
+  );
+}
+
+// Whether some URLs are matched by both match patterns.
+export function matchPatternsIntersect(parsedPattern, otherPattern) {
+  if (parsedPattern.allUrls || otherPattern.allUrls) {
+    const other = parsedPattern.allUrls ? otherPattern : parsedPattern;
+    return getSchemes(other).some((scheme) =>
+      ALL_URLS_SCHEMES.includes(scheme)
+    );
+  }
+  const schemes = getSchemes(parsedPattern);
+  return (
+    getSchemes(otherPattern).some((scheme) => schemes.includes(scheme)) &&
+    (hostCovers(parsedPattern.host, otherPattern.host) ||
+      hostCovers(otherPattern.host, parsedPattern.host)) &&
+    pathsIntersect(parsedPattern.path, otherPattern.path)
+  );
+}
+
+/*
+ * Whether a glob of `include_globs` or `exclude_globs` can match a URL
+ * matched by a match pattern. Only the scheme and the host of the glob are
+ * checked, when they don't contain wildcards.
+ */
+export function globCanMatch(glob, parsedPattern) {
+  const match = /^([^*?:/]+):\/\/([^*?/]*)(\/|$)/.exec(glob);
+  if (!match || parsedPattern.allUrls) {
+    return true;
+  }
+  const [, scheme, host] = match;
+  return matchPatternsIntersect(parsedPattern, {
+    scheme: scheme.toLowerCase(),
+    host: host.toLowerCase(),
+    path: '/*',
+  });
+}
+
+/*
+ * Return the match patterns of a list that are already covered by another
+ * one, as `{ index, pattern, coveredBy }` objects. When two patterns are the
+ * same, only the second one is returned.
+ */
+export function getRedundantMatchPatterns(patterns, options) {
+  const parsedPatterns = patterns.map(parseMatchPattern);
+
+  return parsedPatterns
+    .map((parsedPattern, index) => {
+      if (!parsedPattern) {
+        return null;
+      }
+      const coveringIndex = parsedPatterns.findIndex(
+        (other, otherIndex) =>
+          other &&
+          otherIndex !== index &&
+          matchPatternCovers(other, parsedPattern, options) &&
+          (otherIndex < index ||
+            !matchPatternCovers(parsedPattern, other, options))
+      );
+      return coveringIndex === -1
+        ? null
+        : {
+            index,
+            pattern: parsedPattern.pattern,
+            coveredBy: patterns[coveringIndex],
+          };
+    })
+    .filter(Boolean);
+}
+
+// Return the broadest breadth of a list of match patterns, or `null` when
+// there are none.
+export function getBroadestBreadth(patterns) {
+  const breadths = patterns
+    .map(parseMatchPattern)
+    .filter(Boolean)
+    .map(getMatchPatternBreadth);
+
+  return (
+    MATCH_PATTERN_BREADTHS.find((breadth) => breadths.includes(breadth)) || null
+  );
+}
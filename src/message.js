@@ -12,6 +12,9 @@ export const props = [
   'file',
   'line',
   'instancePath',
+  // The location in the original sources of a bundled or minified file, see
+  // `JavaScriptScanner.getOriginalLocation()`.
+  'original',
 ];
 
 export const requiredProps = ['code', 'message', 'description'];
@@ -7,5 +7,6 @@ export * from './javascript';
 export * from './json';
 export * from './layout';
 export * from './manifestjson';
+export * from './remote-code';
 export * from './fluent';
 export * from './locale-messagesjson';
@@ -1,4 +1,5 @@
 import { oneLine } from 'common-tags';
+import semver from 'semver';
 
 import { apiToMessage, i18n } from 'utils';
 
@@ -25,6 +26,38 @@ export const CONTENT_SCRIPT_EMPTY = {
   description: i18n._('Content script file name should not be empty'),
 };
 
+export const MODULE_NOT_FOUND = {
+  code: 'MODULE_NOT_FOUND',
+  legacyCode: null,
+  message: i18n._('Imported module could not be found.'),
+  description: i18n._(oneLine`The file imported with this "import" statement
+    or expression is not in the package.`),
+};
+
+export const MODULE_BARE_SPECIFIER = {
+  code: 'MODULE_BARE_SPECIFIER',
+  legacyCode: null,
+  message: i18n._('Bare module specifiers can not be loaded.'),
+  description: i18n._(oneLine`Extensions can only import modules with a
+    path starting with "/", "./" or "../", modules imported by name (e.g.
+    from node_modules) must be bundled with the extension code.`),
+};
+
+// `{{path}}` lists the variables the data goes through, e.g.
+// `runtime.onMessage → message → html → innerHTML`.
+export const TAINTED_DATA_FLOW = {
+  code: 'TAINTED_DATA_FLOW',
+  legacyCode: null,
+  message: null,
+  messageFormat: i18n._(
+    'Data from {{source}} reaches {{sink}} unsanitized ({{path}}).'
+  ),
+  description: i18n._(oneLine`Data received from another context (extension
+    messaging, "postMessage", "fetch" or the URL of the page) is used as code
+    or HTML. It should be sanitized or checked before being used, or set with
+    safer APIs such as "textContent".`),
+};
+
 export function _nonLiteralUri(method) {
   return {
     code: `${method}_NONLIT_URI`.toUpperCase(),
@@ -94,6 +127,34 @@ export const UNADVISED_LIBRARY = {
     not recommend. Read more: https://bit.ly/1TRIyZY`),
 };
 
+export const VULNERABLE_LIBRARY = 'VULNERABLE_LIBRARY';
+// `advisories` are the advisories of `dispensary/advisories.json` affecting
+// the library, the fixed version is the one fixing all of them.
+export function vulnerableLibrary({ name, version, advisories }) {
+  const [fixedVersion] = advisories
+    .map((advisory) => advisory.fixedVersion)
+    .sort(semver.rcompare);
+
+  return {
+    code: VULNERABLE_LIBRARY,
+    message: i18n.sprintf(
+      i18n._(oneLine`%(name)s %(version)s has known vulnerabilities
+        (%(advisories)s), it is fixed in version %(fixedVersion)s.`),
+      {
+        name,
+        version,
+        advisories: advisories
+          .map(({ id, severity }) => `${id}: ${severity}`)
+          .join(', '),
+        fixedVersion,
+      }
+    ),
+    description: i18n._(oneLine`This version of the JavaScript library is
+      affected by security vulnerabilities. It should be updated to the fixed
+      version or a later one.`),
+  };
+}
+
 export const KNOWN_LIBRARY = {
   code: 'KNOWN_LIBRARY',
   message: i18n._('Known JS library detected'),
@@ -127,6 +188,17 @@ export const REMOVED_MV2_API = {
   description: null,
 };
 
+export const MISSING_API_PERMISSION = {
+  code: 'MISSING_API_PERMISSION',
+  message: null,
+  messageFormat: i18n._(
+    '"{{api}}" requires the {{permissions}} permission, which is not declared'
+  ),
+  description: i18n._(oneLine`This API can only be used when the permission it
+    requires is listed in the "permissions" or "optional_permissions" manifest
+    property.`),
+};
+
 export const DEPRECATED_API = {
   code: 'DEPRECATED_API',
   message: null,
@@ -190,6 +262,73 @@ export const ANDROID_INCOMPATIBLE_API = {
   ),
 };
 
+export const REMOVED_API = {
+  code: 'REMOVED_API',
+  message: null,
+  messageFormat: i18n._('{{api}} was removed in Firefox version {{version}}'),
+  description: i18n._(oneLine`This API is not available in some of the Firefox
+    versions between the given strict_min_version and strict_max_version`),
+};
+
+export const ANDROID_REMOVED_API = {
+  code: 'ANDROID_REMOVED_API',
+  message: null,
+  messageFormat: i18n._(
+    '{{api}} was removed in Firefox for Android version {{version}}'
+  ),
+  description: i18n._(oneLine`This API is not available in some of the Firefox
+    for Android versions between the given minimum and maximum versions`),
+};
+
+export const PARTIAL_API = {
+  code: 'PARTIAL_API',
+  message: null,
+  messageFormat: i18n._(
+    '{{api}} is only partially implemented in Firefox{{notes}}'
+  ),
+  description: i18n._(oneLine`Some of the Firefox versions between the given
+    strict_min_version and strict_max_version only partially implement this
+    API`),
+};
+
+export const ANDROID_PARTIAL_API = {
+  code: 'ANDROID_PARTIAL_API',
+  message: null,
+  messageFormat: i18n._(
+    '{{api}} is only partially implemented in Firefox for Android{{notes}}'
+  ),
+  description: i18n._(oneLine`Some of the Firefox for Android versions
+    between the given minimum and maximum versions only partially implement
+    this API`),
+};
+
+export const ANDROID_UNSUPPORTED_API = {
+  code: 'ANDROID_UNSUPPORTED_API',
+  message: null,
+  messageFormat: i18n._('{{api}} is not supported in Firefox for Android'),
+  description: i18n._(
+    'This API is not implemented by any Firefox for Android version'
+  ),
+};
+
+export const BROWSER_UNSUPPORTED_API = {
+  code: 'BROWSER_UNSUPPORTED_API',
+  message: null,
+  messageFormat: i18n._('{{api}} is not supported by {{browsers}}'),
+  description: i18n._(
+    'This API is not implemented by the latest versions of these browsers'
+  ),
+};
+
+export const INLINE_SUPPRESSION_INVALID = {
+  code: 'INLINE_SUPPRESSION_INVALID',
+  message: i18n._('Invalid addons-linter-disable-next-line comment'),
+  description: i18n._(oneLine`An addons-linter-disable-next-line comment
+    must list the message codes to suppress followed by a justification,
+    e.g. "addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT -- reason".
+    The comment has been ignored.`),
+};
+
 export const ESLINT_OVERWRITE_MESSAGE = {
   'no-eval': DANGEROUS_EVAL,
   'no-implied-eval': NO_IMPLIED_EVAL,
@@ -200,4 +339,5 @@ export const ESLINT_OVERWRITE_MESSAGE = {
   'webextension-deprecated-api': DEPRECATED_API,
   'webextension-api-compat': INCOMPATIBLE_API,
   'webextension-api-compat-android': ANDROID_INCOMPATIBLE_API,
+  'webextension-api-permissions': MISSING_API_PERMISSION,
 };
@@ -108,3 +108,33 @@ export const RESERVED_FILENAME = {
   description: i18n._(oneLine`Files whose names are reserved have been found in
     the add-on. Please refrain from using them and rename your files.`),
 };
+
+export const FILE_UNREACHABLE = 'FILE_UNREACHABLE';
+export function fileUnreachable(file) {
+  return {
+    code: FILE_UNREACHABLE,
+    message: i18n._('File is not loaded by the extension.'),
+    description: i18n._(oneLine`This file is not loaded by the manifest entry
+      points (background scripts, content scripts, extension pages and web
+      accessible resources) or by the files they load. It should be removed if
+      it is not needed.`),
+    file,
+  };
+}
+
+export const REFERENCED_FILE_MISSING = 'REFERENCED_FILE_MISSING';
+export function referencedFileMissing({ file, path, line, column }) {
+  return {
+    code: REFERENCED_FILE_MISSING,
+    message: i18n.sprintf(
+      i18n._('"%(path)s" is referenced but could not be found.'),
+      { path }
+    ),
+    description: i18n._(oneLine`A file loaded by a script, a link, a
+      frame, a stylesheet import or an importScripts() call is not in the
+      package.`),
+    file,
+    line,
+    column,
+  };
+}
@@ -96,6 +96,22 @@ export function manifestPermissionUnsupported(permissionName, error) {
   };
 }
 
+export const MANIFEST_PERMISSION_UNUSED = 'MANIFEST_PERMISSION_UNUSED';
+export function manifestPermissionUnused(permission, instancePath) {
+  return {
+    code: MANIFEST_PERMISSION_UNUSED,
+    message: i18n.sprintf(
+      i18n._('The "%(permission)s" permission is not used by any API call.'),
+      { permission }
+    ),
+    description: i18n._(oneLine`None of the APIs that require this permission
+      is used by the JavaScript files of the extension, it should be removed
+      if it is not needed.`),
+    file: MANIFEST_JSON,
+    instancePath,
+  };
+}
+
 export const MANIFEST_BAD_PERMISSION = {
   code: 'MANIFEST_BAD_PERMISSION',
   message: i18n._('The permission type is unsupported.'),
@@ -188,25 +204,63 @@ export const MANIFEST_VERSION_INVALID = {
   file: MANIFEST_JSON,
 };
 
+// The reasons of the problems returned by `getCspProblems()`, by kind.
+const CSP_PROBLEM_REASONS = {
+  'unsafe-inline': i18n._('runs the inline scripts'),
+  nonce: i18n._('runs the inline scripts with a nonce'),
+  hash: i18n._('runs the inline scripts matching a hash'),
+  wildcard: i18n._('loads scripts from any server'),
+  data: i18n._('loads scripts from "data:" URLs'),
+  blob: i18n._('loads scripts from "blob:" URLs'),
+  insecure: i18n._('loads scripts over insecure connections'),
+  remote: i18n._('loads scripts from remote servers'),
+};
+
+// Return the description of a problem returned by `getCspProblems()`.
+function formatCspProblem({ directive, value, kind }) {
+  if (kind === 'missing') {
+    return i18n._(
+      'neither "script-src" nor "default-src" restricts the scripts'
+    );
+  }
+  return i18n.sprintf(i18n._('"%(directive)s %(value)s" %(reason)s'), {
+    directive,
+    value,
+    reason: CSP_PROBLEM_REASONS[kind],
+  });
+}
+
 export const MANIFEST_CSP = 'MANIFEST_CSP';
-export function manifestCsp(property) {
+// All the problems of the policy of a property are reported in one message.
+export function manifestCsp(property, problems) {
   return {
     // Note: don't change this 'code' without updating addons-server first, as
     // it depends on it to detect add-ons with a custom content security policy.
     code: MANIFEST_CSP,
-    message: i18n._(oneLine`
-      "${property}" allows remote code execution in manifest.json`),
+    message: i18n.sprintf(
+      i18n._(oneLine`"%(property)s" allows remote code execution in
+        manifest.json: %(problems)s.`),
+      { property, problems: problems.map(formatCspProblem).join('; ') }
+    ),
     description: i18n._(`A custom ${property} needs additional review.`),
     file: MANIFEST_JSON,
   };
 }
 
 export const MANIFEST_CSP_UNSAFE_EVAL = 'MANIFEST_CSP_UNSAFE_EVAL';
-export function manifestCspUnsafeEval(property) {
+export function manifestCspUnsafeEval(property, problems) {
   return {
     code: MANIFEST_CSP_UNSAFE_EVAL,
-    message: i18n._(oneLine`
-      ${property} allows 'eval', which has strong security and performance implications.`),
+    message: i18n.sprintf(
+      i18n._(oneLine`%(property)s allows 'eval' (%(sources)s), which has
+        strong security and performance implications.`),
+      {
+        property,
+        sources: problems
+          .map(({ directive }) => `"${directive} 'unsafe-eval'"`)
+          .join(', '),
+      }
+    ),
     description: i18n._(oneLine`
       In most cases the same result can be achieved differently,
       therefore it is generally prohibited`),
@@ -383,6 +437,91 @@ export const MANIFEST_INVALID_CONTENT = {
   file: MANIFEST_JSON,
 };
 
+// The access given by the broad match patterns, by breadth.
+const MATCH_PATTERN_ACCESS = {
+  all_urls: i18n._('every URL'),
+  all_hosts: i18n._('every website'),
+};
+
+export const MANIFEST_BROAD_MATCH_PATTERN = 'MANIFEST_BROAD_MATCH_PATTERN';
+export function manifestBroadMatchPattern(pattern, breadth, instancePath) {
+  return {
+    code: MANIFEST_BROAD_MATCH_PATTERN,
+    message: i18n.sprintf(
+      i18n._('"%(pattern)s" gives access to %(access)s (%(breadth)s).'),
+      { pattern, access: MATCH_PATTERN_ACCESS[breadth], breadth }
+    ),
+    description: i18n._(oneLine`The extension can read and modify the pages
+      of every website, the access should be limited to the websites it
+      needs.`),
+    file: MANIFEST_JSON,
+    instancePath,
+  };
+}
+
+export const MANIFEST_REDUNDANT_MATCH_PATTERN =
+  'MANIFEST_REDUNDANT_MATCH_PATTERN';
+export function manifestRedundantMatchPattern(
+  pattern,
+  coveredBy,
+  instancePath
+) {
+  return {
+    code: MANIFEST_REDUNDANT_MATCH_PATTERN,
+    message: i18n.sprintf(
+      i18n._('"%(pattern)s" is already covered by "%(coveredBy)s".'),
+      { pattern, coveredBy }
+    ),
+    description: i18n._(oneLine`Every URL matched by this pattern is matched
+      by another pattern of the list, it can be removed.`),
+    file: MANIFEST_JSON,
+    instancePath,
+  };
+}
+
+export const MANIFEST_OPTIONAL_HOST_PERMISSION_GRANTED =
+  'MANIFEST_OPTIONAL_HOST_PERMISSION_GRANTED';
+export function manifestOptionalHostPermissionGranted(
+  pattern,
+  coveredBy,
+  instancePath
+) {
+  return {
+    code: MANIFEST_OPTIONAL_HOST_PERMISSION_GRANTED,
+    message: i18n.sprintf(
+      i18n._(oneLine`The optional host permission "%(pattern)s" is already
+        granted by "%(coveredBy)s".`),
+      { pattern, coveredBy }
+    ),
+    description: i18n._(oneLine`The host permissions are granted at install
+      time, requesting this optional permission has no effect.`),
+    file: MANIFEST_JSON,
+    instancePath,
+  };
+}
+
+export const MANIFEST_CONTENT_SCRIPT_UNMATCHABLE =
+  'MANIFEST_CONTENT_SCRIPT_UNMATCHABLE';
+export function manifestContentScriptUnmatchable(
+  pattern,
+  property,
+  instancePath
+) {
+  return {
+    code: MANIFEST_CONTENT_SCRIPT_UNMATCHABLE,
+    message: i18n.sprintf(
+      i18n._(oneLine`"%(pattern)s" in "%(property)s" can never match the URLs
+        of "matches".`),
+      { pattern, property }
+    ),
+    description: i18n._(oneLine`The "include_globs", "exclude_matches" and
+      "exclude_globs" of a content script only apply to the URLs matched by
+      its "matches".`),
+    file: MANIFEST_JSON,
+    instancePath,
+  };
+}
+
 export const ICON_NOT_SQUARE = 'ICON_NOT_SQUARE';
 export function iconIsNotSquare(path) {
   return {
@@ -658,6 +797,70 @@ export function permissionFirefoxAndroidUnsupportedByMinVersion(
   };
 }
 
+export const ANDROID_UNSUPPORTED_MANIFEST_KEY =
+  'ANDROID_UNSUPPORTED_MANIFEST_KEY';
+export function androidUnsupportedManifestKey(key) {
+  return {
+    code: ANDROID_UNSUPPORTED_MANIFEST_KEY,
+    message: i18n.sprintf(
+      i18n._('"%(key)s" is not supported by Firefox for Android'),
+      { key }
+    ),
+    description: i18n._(oneLine`This manifest key is not supported by any
+      Firefox for Android version, it is ignored on Android.`),
+    file: MANIFEST_JSON,
+  };
+}
+
+export const ANDROID_UNSUPPORTED_PERMISSION = 'ANDROID_UNSUPPORTED_PERMISSION';
+export function androidUnsupportedPermission(key) {
+  return {
+    code: ANDROID_UNSUPPORTED_PERMISSION,
+    message: i18n.sprintf(
+      i18n._('"%(key)s" is not supported by Firefox for Android'),
+      { key }
+    ),
+    description: i18n._(oneLine`This permission is not supported by any
+      Firefox for Android version, it is ignored on Android.`),
+    file: MANIFEST_JSON,
+  };
+}
+
+export const BROWSER_UNSUPPORTED_MANIFEST_KEY =
+  'BROWSER_UNSUPPORTED_MANIFEST_KEY';
+export function browserUnsupportedManifestKey(key, browserNames) {
+  return {
+    code: BROWSER_UNSUPPORTED_MANIFEST_KEY,
+    message: i18n.sprintf(
+      i18n._('"%(key)s" is not supported by %(browsers)s'),
+      {
+        key,
+        browsers: browserNames,
+      }
+    ),
+    description: i18n._(oneLine`This manifest key is not supported by the
+      latest versions of these browsers, it is ignored by them.`),
+    file: MANIFEST_JSON,
+  };
+}
+
+export const BROWSER_UNSUPPORTED_PERMISSION = 'BROWSER_UNSUPPORTED_PERMISSION';
+export function browserUnsupportedPermission(key, browserNames) {
+  return {
+    code: BROWSER_UNSUPPORTED_PERMISSION,
+    message: i18n.sprintf(
+      i18n._('"%(key)s" is not supported by %(browsers)s'),
+      {
+        key,
+        browsers: browserNames,
+      }
+    ),
+    description: i18n._(oneLine`This permission is not supported by the
+      latest versions of these browsers, it is ignored by them.`),
+    file: MANIFEST_JSON,
+  };
+}
+
 export const RESTRICTED_HOMEPAGE_URL = {
   code: 'RESTRICTED_HOMEPAGE_URL',
   message: i18n._('Linking to "addons.mozilla.org" is not allowed'),
@@ -0,0 +1,57 @@
+import { oneLine } from 'common-tags';
+
+import { i18n } from 'utils';
+
+// The messages reported when code is loaded from a remote server. The
+// `{{url}}` is the URL of the code, or its static part followed by `…` when it
+// is built at runtime.
+const REMOTE_CODE_DESCRIPTION = i18n._(oneLine`Extensions must include all
+  their code in the package, loading code from a remote server is not allowed
+  as per the Add-on Policies. For more information, refer to
+  https://mzl.la/2uEOkYp.`);
+
+export const REMOTE_CODE_IMPORT = {
+  code: 'REMOTE_CODE_IMPORT',
+  message: null,
+  messageFormat: i18n._('Remote module imported from "{{url}}".'),
+  description: REMOTE_CODE_DESCRIPTION,
+};
+
+export const REMOTE_CODE_IMPORT_SCRIPTS = {
+  code: 'REMOTE_CODE_IMPORT_SCRIPTS',
+  message: null,
+  messageFormat: i18n._(
+    'Remote script loaded from "{{url}}" by importScripts().'
+  ),
+  description: REMOTE_CODE_DESCRIPTION,
+};
+
+export const REMOTE_CODE_SCRIPT_ELEMENT = {
+  code: 'REMOTE_CODE_SCRIPT_ELEMENT',
+  message: null,
+  messageFormat: i18n._('Remote script "{{url}}" added to the page.'),
+  description: REMOTE_CODE_DESCRIPTION,
+};
+
+export const REMOTE_CODE_WORKER = {
+  code: 'REMOTE_CODE_WORKER',
+  message: null,
+  messageFormat: i18n._('Worker started from the remote script "{{url}}".'),
+  description: REMOTE_CODE_DESCRIPTION,
+};
+
+export const REMOTE_CODE_CSS_IMPORT = {
+  code: 'REMOTE_CODE_CSS_IMPORT',
+  message: null,
+  messageFormat: i18n._('Remote stylesheet imported from "{{url}}".'),
+  description: REMOTE_CODE_DESCRIPTION,
+};
+
+// Return the message to report for remote code loaded from `url`.
+export function remoteCodeMessage(remoteCode, url) {
+  return {
+    code: remoteCode.code,
+    message: remoteCode.messageFormat.replace('{{url}}', url),
+    description: remoteCode.description,
+  };
+}
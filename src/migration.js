@@ -0,0 +1,263 @@
+import { oneLine } from 'common-tags';
+import { findNodeAtLocation, parse, parseTree } from 'jsonc-parser';
+
+import { MANIFEST_JSON } from 'const';
+import { i18n } from 'utils';
+
+// The replacements of the APIs removed in Manifest Version 3, either for a
+// whole namespace or a single API.
+export const MV3_API_REPLACEMENTS = {
+  browserAction: 'action',
+  'extension.getURL': 'runtime.getURL',
+  'extension.lastError': 'runtime.lastError',
+  'tabs.executeScript': 'scripting.executeScript',
+  'tabs.insertCSS': 'scripting.insertCSS',
+  'tabs.removeCSS': 'scripting.removeCSS',
+};
+
+export function isHostPermission(permission) {
+  return (
+    typeof permission === 'string' &&
+    (permission === '<all_urls>' || permission.includes('://'))
+  );
+}
+
+function formatProperty(name, value) {
+  return `"${name}": ${JSON.stringify(value)}`;
+}
+
+/*
+ * Return the changes to make to a Manifest Version 2 manifest to migrate it
+ * to Manifest Version 3, as a list of `{ instancePath, message, replacement }`
+ * items.
+ */
+export function getManifestMigrationItems(manifest) {
+  const items = [];
+  const add = (instancePath, message, replacement = null) => {
+    items.push({ instancePath, message, replacement });
+  };
+
+  add(
+    '/manifest_version',
+    i18n._('"manifest_version" must be set to 3.'),
+    formatProperty('manifest_version', 3)
+  );
+
+  if (manifest.browser_action) {
+    add(
+      '/browser_action',
+      i18n._('"browser_action" has been replaced by "action".'),
+      formatProperty('action', manifest.browser_action)
+    );
+  }
+
+  if (manifest.page_action) {
+    add(
+      '/page_action',
+      i18n._(oneLine`"page_action" is still supported by Firefox but other
+        browsers only support "action".`),
+      formatProperty('action', manifest.page_action)
+    );
+  }
+
+  const geckoSettings = (
+    manifest.browser_specific_settings || manifest.applications
+  )?.gecko;
+  const geckoId = geckoSettings?.id || '...';
+
+  if (manifest.applications && manifest.browser_specific_settings) {
+    add(
+      '/applications',
+      i18n._(oneLine`"applications" is no longer allowed, it is ignored in
+        favor of "browser_specific_settings" and must be removed.`)
+    );
+  } else if (manifest.applications) {
+    add(
+      '/applications',
+      i18n._(oneLine`"applications" is no longer allowed, it must be renamed
+        to "browser_specific_settings".`),
+      formatProperty('browser_specific_settings', {
+        ...manifest.applications,
+        gecko: { ...geckoSettings, id: geckoId },
+      })
+    );
+  }
+
+  // Otherwise the extension ID is added with the renamed "applications".
+  if (
+    !geckoSettings?.id &&
+    (manifest.browser_specific_settings || !manifest.applications)
+  ) {
+    add(
+      '/browser_specific_settings',
+      i18n._('The extension ID is required in Manifest Version 3.'),
+      formatProperty('browser_specific_settings', {
+        ...manifest.browser_specific_settings,
+        gecko: { ...geckoSettings, id: geckoId },
+      })
+    );
+  }
+
+  if (
+    Array.isArray(manifest.web_accessible_resources) &&
+    manifest.web_accessible_resources.some(
+      (resource) => typeof resource === 'string'
+    )
+  ) {
+    add(
+      '/web_accessible_resources',
+      i18n._(oneLine`"web_accessible_resources" must be a list of objects with
+        the "resources" and the "matches" (or "extension_ids") allowed to
+        access them.`),
+      formatProperty('web_accessible_resources', [
+        {
+          resources: manifest.web_accessible_resources,
+          matches: ['<all_urls>'],
+        },
+      ])
+    );
+  }
+
+  if (typeof manifest.content_security_policy === 'string') {
+    add(
+      '/content_security_policy',
+      i18n._(oneLine`"content_security_policy" must be an object, the policy
+        of the extension pages is set with "extension_pages".`),
+      formatProperty('content_security_policy', {
+        extension_pages: manifest.content_security_policy,
+      })
+    );
+  }
+
+  ['permissions', 'optional_permissions'].forEach((property) => {
+    const permissions = Array.isArray(manifest[property])
+      ? manifest[property]
+      : [];
+    const hostPermissions = permissions.filter(isHostPermission);
+
+    if (hostPermissions.length) {
+      const hostProperty =
+        property === 'permissions'
+          ? 'host_permissions'
+          : 'optional_host_permissions';
+      add(
+        `/${property}`,
+        i18n.sprintf(
+          i18n._(oneLine`The host permissions must be moved from
+            "%(property)s" to "%(hostProperty)s".`),
+          { property, hostProperty }
+        ),
+        [
+          formatProperty(
+            property,
+            permissions.filter((permission) => !isHostPermission(permission))
+          ),
+          formatProperty(hostProperty, hostPermissions),
+        ].join(', ')
+      );
+    }
+  });
+
+  if (manifest.background && manifest.background.persistent !== false) {
+    const hasPersistent = Object.prototype.hasOwnProperty.call(
+      manifest.background,
+      'persistent'
+    );
+    const { persistent, ...background } = manifest.background;
+    add(
+      hasPersistent ? '/background/persistent' : '/background',
+      i18n._(oneLine`Background pages are no longer persistent, they are
+        suspended when idle and their state must be stored (e.g. using the
+        storage API).`),
+      formatProperty('background', background)
+    );
+  }
+
+  if (manifest.user_scripts) {
+    add(
+      '/user_scripts',
+      i18n._(oneLine`"user_scripts" is no longer supported, the "userScripts"
+        API has changed in Manifest Version 3.`)
+    );
+  }
+
+  return items;
+}
+
+/*
+ * Return the line and column (both starting at 1) of the value at the given
+ * JSON pointer in a JSON text, or of its closest parent.
+ */
+export function getJSONLocation(text, instancePath) {
+  const tree = parseTree(text);
+  const jsonPath = instancePath.split('/').slice(1);
+  let node = null;
+
+  while (!node && jsonPath.length) {
+    node = findNodeAtLocation(tree, jsonPath);
+    // Point to the property name rather than its value.
+    node =
+      node && node.parent && node.parent.type === 'property'
+        ? node.parent
+        : node;
+    jsonPath.pop();
+  }
+
+  if (!node) {
+    return { line: 1, column: 1 };
+  }
+
+  const lines = text.slice(0, node.offset).split('\n');
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+}
+
+/*
+ * Return the API (e.g. `tabs.executeScript`) of a linter message reported by
+ * the `webextension-unsupported-api` rule for an API removed in Manifest
+ * Version 3, or `null` for other messages.
+ */
+export function getRemovedApi(message) {
+  return (message && message.data && message.data.removedApi) || null;
+}
+
+export function getApiReplacement(api) {
+  const [namespace, ...rest] = api.split('.');
+
+  if (MV3_API_REPLACEMENTS[api]) {
+    return MV3_API_REPLACEMENTS[api];
+  }
+  if (MV3_API_REPLACEMENTS[namespace]) {
+    return [MV3_API_REPLACEMENTS[namespace], ...rest].join('.');
+  }
+  return null;
+}
+
+export function getApiMigrationItem(api, { file, line, column }) {
+  const replacement = getApiReplacement(api);
+
+  return {
+    file,
+    line,
+    column,
+    message: i18n.sprintf(
+      i18n._('"%(api)s" has been removed in Manifest Version 3.'),
+      { api }
+    ),
+    replacement,
+  };
+}
+
+/*
+ * Same as `getManifestMigrationItems()` for the content of a manifest.json
+ * file, the items also contain their location in the file.
+ */
+export function getManifestMigrationItemsFromText(text) {
+  return getManifestMigrationItems(parse(text) || {}).map((item) => ({
+    file: MANIFEST_JSON,
+    ...getJSONLocation(text, item.instancePath),
+    ...item,
+  }));
+}
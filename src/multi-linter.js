@@ -0,0 +1,277 @@
+import chalk from 'chalk';
+import columnify from 'columnify';
+import glob from 'glob';
+
+import * as constants from 'const';
+import Dispensary from 'dispensary';
+import Linter from 'linter';
+import log from 'logger';
+import { loadProjectConfig, mergeProjectConfig } from 'project-config';
+import { AddonsLinterUserError, i18n } from 'utils';
+
+// The number of packages linted at the same time.
+export const MAX_CONCURRENT_PACKAGES = 4;
+
+// The options that only make sense for a single package.
+const SINGLE_PACKAGE_OPTIONS = [
+  'baseline',
+  'fix',
+  'fixDryRun',
+  'metadata',
+  'migrateToMv3',
+  'watch',
+  'writeBaseline',
+];
+const MULTIPLE_PACKAGES_OUTPUTS = ['json', 'none', 'text'];
+
+/*
+ * Expand the glob patterns in a list of package paths, the paths are
+ * returned in the order they have been passed and without duplicates.
+ */
+export function expandPackagePaths(patterns, { _glob = glob } = {}) {
+  const packagePaths = [];
+
+  patterns.map(String).forEach((pattern) => {
+    const matches = _glob.hasMagic(pattern)
+      ? _glob.sync(pattern).sort()
+      : [pattern];
+
+    if (!matches.length) {
+      throw new AddonsLinterUserError(
+        i18n.sprintf(i18n._('No package matches "%(pattern)s".'), { pattern })
+      );
+    }
+
+    matches.forEach((packagePath) => {
+      if (!packagePaths.includes(packagePath)) {
+        packagePaths.push(packagePath);
+      }
+    });
+  });
+
+  return packagePaths;
+}
+
+/*
+ * Call `callback` on each item with at most `limit` calls running at the
+ * same time, the results are returned in the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, callback) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    if (next >= items.length) {
+      return;
+    }
+    const index = next;
+    next += 1;
+    results[index] = await callback(items[index]);
+    await worker();
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+/*
+ * Lint several packages with one `Linter` instance per package. The packages
+ * share the same `Dispensary` (and the same schema validator, which is cached
+ * by `getValidator()`), and each of them is linted with its own project
+ * config, if any.
+ */
+export default class MultiLinter {
+  constructor(config) {
+    this.config = config;
+    this.chalk = new chalk.Instance({ enabled: !config.boring });
+    this.dispensary = new Dispensary();
+    this.packagePaths = [];
+    // The `{ packagePath, linter, output }` results of each package, `output`
+    // is replaced by `error` when the package could not be linted.
+    this.results = [];
+  }
+
+  validateConfig() {
+    const option = SINGLE_PACKAGE_OPTIONS.find((name) => this.config[name]);
+    if (option) {
+      throw new AddonsLinterUserError(
+        i18n.sprintf(
+          i18n._(
+            'The "%(option)s" option can only be used with a single package.'
+          ),
+          { option }
+        )
+      );
+    }
+
+    if (!MULTIPLE_PACKAGES_OUTPUTS.includes(this.config.output)) {
+      throw new AddonsLinterUserError(
+        i18n.sprintf(
+          i18n._(
+            'The "%(output)s" output is not supported with multiple packages.'
+          ),
+          { output: this.config.output }
+        )
+      );
+    }
+  }
+
+  getPackageConfig(
+    packagePath,
+    { _loadProjectConfig = loadProjectConfig } = {}
+  ) {
+    const config = { ...this.config, _: [packagePath] };
+
+    const projectConfig = _loadProjectConfig(packagePath, {
+      trusted: this.config.trustProjectConfig,
+    });
+    if (projectConfig) {
+      mergeProjectConfig(config, projectConfig, {
+        defaulted: this.config.defaultedOptions || {},
+      });
+    }
+
+    // The results are printed (and the exit code set) for all the packages.
+    config.output = 'none';
+    config.runAsBinary = false;
+    return config;
+  }
+
+  async lintPackage(
+    packagePath,
+    { _Linter = Linter, _console = console, ...deps } = {}
+  ) {
+    let linter;
+
+    try {
+      // The project config of the package may be rejected, see
+      // `loadProjectConfig()`.
+      linter = new _Linter(this.getPackageConfig(packagePath, deps), {
+        dispensary: this.dispensary,
+      });
+      await linter.run({
+        ...deps,
+        // The errors are printed with the results of the package.
+        _console: { log: _console.log, error: () => {} },
+      });
+      return { packagePath, linter, output: linter.output };
+    } catch (err) {
+      log.debug(err);
+      return { packagePath, linter, error: err };
+    }
+  }
+
+  async run({ _console = console, ...deps } = {}) {
+    this.validateConfig();
+    this.packagePaths = expandPackagePaths(this.config._, deps);
+
+    this.results = await mapWithConcurrency(
+      this.packagePaths,
+      MAX_CONCURRENT_PACKAGES,
+      (packagePath) => this.lintPackage(packagePath, { _console, ...deps })
+    );
+
+    this.print(_console);
+
+    // This is skipped in the code coverage because the
+    // test runs against un-instrumented code.
+    /* istanbul ignore if */
+    if (this.config.runAsBinary === true) {
+      process.exit(this.exitCode);
+    }
+
+    return this.output;
+  }
+
+  get exitCode() {
+    const failed = this.results.some(({ linter, output, error }) => {
+      if (error || output.errors.length) {
+        return true;
+      }
+      return linter.config.warningsAsErrors === true && output.warnings.length;
+    });
+    return failed ? 1 : 0;
+  }
+
+  get output() {
+    const output = {
+      count: 0,
+      summary: { packages: this.results.length, failed: 0 },
+      packages: [],
+    };
+    constants.MESSAGE_TYPES.forEach((type) => {
+      output.summary[`${type}s`] = 0;
+    });
+
+    this.results.forEach(({ packagePath, output: packageOutput, error }) => {
+      if (error) {
+        output.summary.failed += 1;
+        output.packages.push({ packagePath, error: error.message });
+        return;
+      }
+
+      output.count += packageOutput.count;
+      constants.MESSAGE_TYPES.forEach((type) => {
+        output.summary[`${type}s`] += packageOutput.summary[`${type}s`];
+      });
+      output.packages.push({ packagePath, ...packageOutput });
+    });
+
+    return output;
+  }
+
+  print(_console = console) {
+    if (this.config.output === 'none') {
+      return;
+    }
+    if (this.config.output === 'json') {
+      _console.log(
+        JSON.stringify(this.output, null, this.config.pretty ? 4 : undefined)
+      );
+    } else {
+      _console.log(this.textOutput());
+    }
+  }
+
+  textOutput() {
+    const out = [];
+
+    this.results.forEach(({ packagePath, linter, error }) => {
+      out.push(this.chalk.bold(packagePath));
+      out.push('');
+      if (error) {
+        out.push(
+          this.chalk.red(
+            this.config.stack === true ? error.stack : error.message
+          )
+        );
+      } else {
+        out.push(linter.textOutput());
+      }
+      out.push('');
+    });
+
+    const { summary } = this.output;
+    out.push(
+      i18n.sprintf(i18n._('Summary for %(packages)s packages:'), {
+        packages: summary.packages,
+      })
+    );
+    out.push('');
+    out.push(
+      columnify(
+        {
+          errors: summary.errors,
+          notices: summary.notices,
+          warnings: summary.warnings,
+          failed: summary.failed,
+        },
+        { showHeaders: false, minWidth: 15 }
+      )
+    );
+
+    return out.join('\n');
+  }
+}
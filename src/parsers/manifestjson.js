@@ -1,4 +1,5 @@
 /* eslint-disable import/namespace */
+import crypto from 'crypto';
 import path from 'path';
 
 import RJSON from 'relaxed-json';
@@ -17,7 +18,6 @@ import {
   validateStaticTheme,
 } from 'schema/validator';
 import {
-  CSP_KEYWORD_RE,
   DEPRECATED_MANIFEST_PROPERTIES,
   FILE_EXTENSIONS_TO_MIME,
   IMAGE_FILE_EXTENSIONS,
@@ -32,17 +32,34 @@ import {
   SCHEMA_KEYWORDS,
   STATIC_THEME_IMAGE_MIMES,
 } from 'const';
+import { getCspProblems } from 'csp';
 import log from 'logger';
+import {
+  getBroadestBreadth,
+  getMatchPatternBreadth,
+  getRedundantMatchPatterns,
+  globCanMatch,
+  matchPatternCovers,
+  matchPatternsIntersect,
+  parseMatchPattern,
+} from 'match-patterns';
 import * as messages from 'messages';
+import { isHostPermission } from 'migration';
 import JSONParser from 'parsers/json';
+import {
+  formatBrowserNames,
+  getManifestBrowserIssues,
+  getUnsupportedBrowsers,
+} from 'portability';
 import {
   basicCompatVersionComparison,
   firefoxStrictMinVersion,
   firstStableVersion,
+  getAndroidMinVersion,
   isToolkitVersionString,
   isValidVersionString,
   normalizePath,
-  parseCspPolicy,
+  simplifyVersionString,
 } from 'utils';
 import BLOCKED_CONTENT_SCRIPT_HOSTS from 'blocked_content_script_hosts.txt';
 
@@ -83,6 +100,21 @@ function getNormalizedExtension(_path) {
   return path.extname(_path).substring(1).toLowerCase();
 }
 
+// Generate a random extension ID using the UUID format, e.g.
+// `{daf44bf7-a45e-4450-979c-91cf07434c3d}`.
+export function generateExtensionId() {
+  const bytes = crypto.randomBytes(16);
+  /* eslint-disable no-bitwise */
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  /* eslint-enable no-bitwise */
+  const hex = bytes.toString('hex');
+  return `{${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(
+    12,
+    16
+  )}-${hex.slice(16, 20)}-${hex.slice(20)}}`;
+}
+
 export default class ManifestJSONParser extends JSONParser {
   constructor(
     jsonString,
@@ -95,10 +127,20 @@ export default class ManifestJSONParser extends JSONParser {
       io = null,
       isAlreadySigned = false,
       restrictedPermissions = RESTRICTED_PERMISSIONS,
+      target = getDefaultConfigValue('target'),
+      browsers = [],
+      _generateExtensionId = generateExtensionId,
     } = {}
   ) {
     super(jsonString, collector, { filename });
 
+    // The fixes proposed for some of the messages, see `addFix()`.
+    this.fixes = [];
+    // The manifest keys and permissions not supported by the browsers of
+    // `--browsers`, see `validateBrowserSupport()`.
+    this.browserIssues = [];
+    this._generateExtensionId = _generateExtensionId;
+
     this.parse(RelaxedJSON);
 
     // Set up some defaults in case parsing fails.
@@ -113,6 +155,8 @@ export default class ManifestJSONParser extends JSONParser {
       // We've parsed the JSON; now we can validate the manifest.
       this.selfHosted = selfHosted;
       this.schemaValidatorOptions = schemaValidatorOptions;
+      this.target = target;
+      this.browsers = browsers;
 
       const hasManifestKey = (key) =>
         Object.prototype.hasOwnProperty.call(this.parsedJSON, key);
@@ -143,6 +187,16 @@ export default class ManifestJSONParser extends JSONParser {
     }
   }
 
+  /*
+   * Propose a mechanical fix for a message, as a JSON patch (RFC 6902) to
+   * apply to the manifest. The fixes are applied by the linter with `--fix`,
+   * except the suggestions (which change more than the form of the manifest)
+   * that are only printed with `--fix-dry-run`.
+   */
+  addFix(message, patch, { suggestion = false } = {}) {
+    this.fixes.push({ code: message.code, patch, suggestion });
+  }
+
   checkKeySupport(support, minVersion, key, isPermission = false) {
     if (support.firefox) {
       // We don't have to support gaps in the `@mdn/browser-compat-data`
@@ -169,7 +223,9 @@ export default class ManifestJSONParser extends JSONParser {
       }
     }
 
-    if (support.firefox_android) {
+    // The Firefox for Android support is checked by `validateAndroidSupport()`
+    // with `--target android`.
+    if (support.firefox_android && this.target !== 'android') {
       // `@mdn/browser-compat-data` sometimes provides data with gaps, e.g., a
       // feature was supported in Fennec (added in 56 and removed in 79) and
       // then re-added in Fenix (added in 85) and this is expressed with an
@@ -235,6 +291,135 @@ export default class ManifestJSONParser extends JSONParser {
     }
   }
 
+  // Check the support of a manifest key (or a permission) by Firefox for
+  // Android, return whether it is supported by any version.
+  checkAndroidKeySupport(support, minVersionString, key, isPermission = false) {
+    const versionAdded = support.firefox_android
+      ? firstStableVersion(support.firefox_android)
+      : null;
+
+    if (versionAdded === false) {
+      if (!isPermission) {
+        this.collector.addWarning(messages.androidUnsupportedManifestKey(key));
+      } else {
+        this.collector.addNotice(messages.androidUnsupportedPermission(key));
+      }
+      return false;
+    }
+
+    if (
+      minVersionString &&
+      basicCompatVersionComparison(versionAdded, minVersionString)
+    ) {
+      if (!isPermission) {
+        this.collector.addWarning(
+          messages.keyFirefoxAndroidUnsupportedByMinVersion(
+            key,
+            minVersionString,
+            versionAdded
+          )
+        );
+      } else {
+        this.collector.addNotice(
+          messages.permissionFirefoxAndroidUnsupportedByMinVersion(
+            key,
+            minVersionString,
+            versionAdded
+          )
+        );
+      }
+    }
+    return true;
+  }
+
+  /*
+   * Check the manifest keys and the permissions against the Firefox for
+   * Android data of `@mdn/browser-compat-data`, with the minimum Firefox for
+   * Android version (`gecko_android.strict_min_version`, or
+   * `gecko.strict_min_version`). The sub-keys of a key that is not supported
+   * at all are not checked.
+   */
+  validateAndroidSupport() {
+    const minVersionString = getAndroidMinVersion({
+      firefoxAndroidMinVersion:
+        this.getFirefoxAndroidVersion('strict_min_version'),
+      firefoxMinVersion: this.getMetadata().firefoxMinVersion,
+    });
+
+    const checkCompatInfo = (compatInfo, key, manifestKeyValue) => {
+      if (
+        compatInfo.__compat &&
+        !this.checkAndroidKeySupport(
+          compatInfo.__compat.support,
+          minVersionString,
+          key
+        )
+      ) {
+        return;
+      }
+      Object.keys(compatInfo).forEach((subkey) => {
+        if (subkey === '__compat') {
+          return;
+        }
+        if (
+          manifestKeyValue &&
+          typeof manifestKeyValue === 'object' &&
+          !Array.isArray(manifestKeyValue) &&
+          Object.prototype.hasOwnProperty.call(manifestKeyValue, subkey)
+        ) {
+          checkCompatInfo(
+            compatInfo[subkey],
+            `${key}.${subkey}`,
+            manifestKeyValue[subkey]
+          );
+        } else if (
+          (key === 'permissions' || key === 'optional_permissions') &&
+          Array.isArray(manifestKeyValue) &&
+          manifestKeyValue.includes(subkey) &&
+          compatInfo[subkey].__compat
+        ) {
+          this.checkAndroidKeySupport(
+            compatInfo[subkey].__compat.support,
+            minVersionString,
+            `${key}:${subkey}`,
+            true
+          );
+        }
+      });
+    };
+
+    Object.keys(bcd.webextensions.manifest).forEach((key) => {
+      if (Object.prototype.hasOwnProperty.call(this.parsedJSON, key)) {
+        checkCompatInfo(
+          bcd.webextensions.manifest[key],
+          key,
+          this.parsedJSON[key]
+        );
+      }
+    });
+  }
+
+  // Report the manifest keys and permissions not supported by the browsers
+  // given with `--browsers`.
+  validateBrowserSupport() {
+    this.browserIssues = getManifestBrowserIssues(
+      this.parsedJSON,
+      this.browsers
+    );
+    this.browserIssues.forEach(({ type, name, support }) => {
+      const browserNames = formatBrowserNames(getUnsupportedBrowsers(support));
+      if (type === 'permission') {
+        this.collector.addNotice(
+          messages.browserUnsupportedPermission(name, browserNames)
+        );
+      } else {
+        this.collector.addWarning(
+          messages.browserUnsupportedManifestKey(name, browserNames)
+        );
+      }
+    });
+  }
+
   errorLookup(error) {
     // This is the default message.
     let baseObject = messages.JSON_INVALID;
@@ -476,6 +661,13 @@ export default class ManifestJSONParser extends JSONParser {
         this.collector.addWarning(messages.IGNORED_APPLICATIONS_PROPERTY);
       } else if (this.parsedJSON.applications) {
         this.collector.addWarning(messages.APPLICATIONS_DEPRECATED);
+        this.addFix(messages.APPLICATIONS_DEPRECATED, [
+          {
+            op: 'move',
+            from: '/applications',
+            path: '/browser_specific_settings',
+          },
+        ]);
       }
     }
 
@@ -492,6 +684,9 @@ export default class ManifestJSONParser extends JSONParser {
 
     if (this.parsedJSON.update_url) {
       this.collector.addNotice(messages.MANIFEST_UNUSED_UPDATE);
+      this.addFix(messages.MANIFEST_UNUSED_UPDATE, [
+        { op: 'remove', path: '/update_url' },
+      ]);
     }
 
     if (this.parsedJSON.granted_host_permissions) {
@@ -564,6 +759,8 @@ export default class ManifestJSONParser extends JSONParser {
       });
     }
 
+    this.validateMatchPatterns();
+
     if (this.parsedJSON.dictionaries) {
       if (!this.getAddonId()) {
         this.collector.addError(messages.MANIFEST_DICT_MISSING_ID);
@@ -643,6 +840,18 @@ export default class ManifestJSONParser extends JSONParser {
       }
     }
 
+    if (
+      !this.isLanguagePack &&
+      !this.isDictionary &&
+      this.target === 'android'
+    ) {
+      this.validateAndroidSupport();
+    }
+
+    if (!this.isLanguagePack && !this.isDictionary && this.browsers.length) {
+      this.validateBrowserSupport();
+    }
+
     this.validateVersionString();
 
     if (this.parsedJSON.default_locale) {
@@ -756,6 +965,18 @@ export default class ManifestJSONParser extends JSONParser {
       isToolkitVersionString(version)
     ) {
       this.collector.addWarning(messages.VERSION_FORMAT_DEPRECATED);
+
+      const simplifiedVersion = simplifyVersionString(version);
+      // Dropping the pre-release part of the version (e.g. `1.0a1` becomes
+      // `1.0`) can make it lower than the one of an already published
+      // version, the developer has to choose it.
+      if (simplifiedVersion) {
+        this.addFix(
+          messages.VERSION_FORMAT_DEPRECATED,
+          [{ op: 'replace', path: '/version', value: simplifiedVersion }],
+          { suggestion: true }
+        );
+      }
     } else {
       this.collector.addError(messages.VERSION_FORMAT_INVALID);
       this.isValid = false;
@@ -823,6 +1044,29 @@ export default class ManifestJSONParser extends JSONParser {
     if (!this.parsedJSON.applications?.gecko?.id) {
       this.collector.addError(messages.EXTENSION_ID_REQUIRED);
       this.isValid = false;
+
+      // Propose to add a new ID where it is expected.
+      const id = this._generateExtensionId();
+      const settings = this.parsedJSON.browser_specific_settings;
+      let operation = {
+        op: 'add',
+        path: '/browser_specific_settings',
+        value: { gecko: { id } },
+      };
+      if (settings?.gecko) {
+        operation = {
+          op: 'add',
+          path: '/browser_specific_settings/gecko/id',
+          value: id,
+        };
+      } else if (settings) {
+        operation = {
+          op: 'add',
+          path: '/browser_specific_settings/gecko',
+          value: { id },
+        };
+      }
+      this.addFix(messages.EXTENSION_ID_REQUIRED, [operation]);
     }
   }
 
@@ -1024,92 +1268,226 @@ export default class ManifestJSONParser extends JSONParser {
     });
   }
 
+  // Return the host permissions (or the optional ones) as `{ pattern,
+  // instancePath }` objects, including the ones listed in `permissions` in
+  // Manifest Version 2.
+  getHostPermissions({ optional = false } = {}) {
+    const properties = optional
+      ? ['optional_permissions', 'optional_host_permissions']
+      : ['permissions', 'host_permissions'];
+
+    return properties.flatMap((property) =>
+      this.getPermissionList(property)
+        .map((pattern, index) => ({
+          pattern,
+          instancePath: `/${property}/${index}`,
+        }))
+        .filter(({ pattern }) => isHostPermission(pattern))
+    );
+  }
+
+  // Return the patterns of a list of the content scripts (e.g.
+  // `exclude_matches`) as `{ pattern, instancePath }` objects.
+  getContentScriptPatterns(index, property) {
+    const patterns = this.parsedJSON.content_scripts[index][property];
+
+    return Array.isArray(patterns)
+      ? patterns.map((pattern, patternIndex) => ({
+          pattern,
+          instancePath: `/content_scripts/${index}/${property}/${patternIndex}`,
+        }))
+      : [];
+  }
+
+  getContentScriptMatches() {
+    const contentScripts = this.parsedJSON.content_scripts;
+
+    return Array.isArray(contentScripts)
+      ? contentScripts.flatMap((scriptRule, index) =>
+          scriptRule ? this.getContentScriptPatterns(index, 'matches') : []
+        )
+      : [];
+  }
+
+  validateMatchPatterns() {
+    const hostPermissions = this.getHostPermissions();
+    const optionalHostPermissions = this.getHostPermissions({
+      optional: true,
+    });
+
+    const reportBroadPatterns = (patterns) => {
+      patterns.forEach(({ pattern, instancePath }) => {
+        const parsedPattern = parseMatchPattern(pattern);
+        const breadth = parsedPattern && getMatchPatternBreadth(parsedPattern);
+
+        if (['all_urls', 'all_hosts'].includes(breadth)) {
+          this.collector.addNotice(
+            messages.manifestBroadMatchPattern(pattern, breadth, instancePath)
+          );
+        }
+      });
+    };
+
+    const reportRedundantPatterns = (patterns, options) => {
+      getRedundantMatchPatterns(
+        patterns.map(({ pattern }) => pattern),
+        options
+      ).forEach(({ index, pattern, coveredBy }) => {
+        this.collector.addWarning(
+          messages.manifestRedundantMatchPattern(
+            pattern,
+            coveredBy,
+            patterns[index].instancePath
+          )
+        );
+      });
+    };
+
+    // The browsers ignore the paths of the host permissions.
+    reportBroadPatterns(hostPermissions);
+    reportRedundantPatterns(hostPermissions, { ignorePath: true });
+    reportRedundantPatterns(optionalHostPermissions, { ignorePath: true });
+
+    const parsedHostPermissions = hostPermissions
+      .map(({ pattern }) => parseMatchPattern(pattern))
+      .filter(Boolean);
+    optionalHostPermissions.forEach(({ pattern, instancePath }) => {
+      const parsedPattern = parseMatchPattern(pattern);
+      const grantedBy =
+        parsedPattern &&
+        parsedHostPermissions.find((hostPermission) =>
+          matchPatternCovers(hostPermission, parsedPattern, {
+            ignorePath: true,
+          })
+        );
+
+      if (grantedBy) {
+        this.collector.addWarning(
+          messages.manifestOptionalHostPermissionGranted(
+            pattern,
+            grantedBy.pattern,
+            instancePath
+          )
+        );
+      }
+    });
+
+    const contentScripts = Array.isArray(this.parsedJSON.content_scripts)
+      ? this.parsedJSON.content_scripts
+      : [];
+    contentScripts.forEach((scriptRule, index) => {
+      if (!scriptRule) {
+        return;
+      }
+      const matches = this.getContentScriptPatterns(index, 'matches');
+      reportBroadPatterns(matches);
+      reportRedundantPatterns(matches);
+
+      const parsedMatches = matches
+        .map(({ pattern }) => parseMatchPattern(pattern))
+        .filter(Boolean);
+      if (!parsedMatches.length) {
+        return;
+      }
+      const reportUnmatchable = (property, canMatch) => {
+        this.getContentScriptPatterns(index, property).forEach(
+          ({ pattern, instancePath }) => {
+            if (!parsedMatches.some((match) => canMatch(pattern, match))) {
+              this.collector.addWarning(
+                messages.manifestContentScriptUnmatchable(
+                  pattern,
+                  property,
+                  instancePath
+                )
+              );
+            }
+          }
+        );
+      };
+
+      reportUnmatchable('exclude_matches', (pattern, match) => {
+        const parsedPattern = parseMatchPattern(pattern);
+        return !parsedPattern || matchPatternsIntersect(match, parsedPattern);
+      });
+      reportUnmatchable('include_globs', globCanMatch);
+      reportUnmatchable('exclude_globs', globCanMatch);
+    });
+  }
+
+  // Return the breadth and the hosts (e.g. `*.example.com`) of the access
+  // given by the host permissions and the content scripts, and by the
+  // optional host permissions.
+  getHostAccess() {
+    const getAccess = (patterns) => {
+      const hosts = patterns
+        .map(({ pattern }) => parseMatchPattern(pattern))
+        .filter(Boolean)
+        .map((parsedPattern) =>
+          parsedPattern.allUrls ? '*' : parsedPattern.host
+        )
+        .filter(Boolean);
+
+      return {
+        breadth: getBroadestBreadth(patterns.map(({ pattern }) => pattern)),
+        hosts: [...new Set(hosts)].sort(),
+      };
+    };
+    const access = getAccess([
+      ...this.getHostPermissions(),
+      ...this.getContentScriptMatches(),
+    ]);
+    const optionalAccess = getAccess(
+      this.getHostPermissions({ optional: true })
+    );
+
+    return {
+      ...access,
+      optionalBreadth: optionalAccess.breadth,
+      optionalHosts: optionalAccess.hosts,
+    };
+  }
+
   validateCspPolicy(policy) {
     if (typeof policy === 'string') {
-      this.validateCspPolicyString(policy, 'content_security_policy');
+      this.validateCspPolicyString(
+        policy,
+        'content_security_policy',
+        'extension_pages'
+      );
     } else if (policy != null) {
       const keys = Object.keys(policy);
       for (const key of keys) {
         this.validateCspPolicyString(
           policy[key],
-          `content_security_policy.${key}`
+          `content_security_policy.${key}`,
+          key
         );
       }
     }
   }
 
-  validateCspPolicyString(policy, manifestPropName) {
-    const directives = parseCspPolicy(policy);
-
-    // The order is important here, 'default-src' needs to be before
-    // 'script-src' to ensure it can overwrite default-src security policies
-    const candidates = [
-      'default-src',
-      'script-src',
-      'script-src-elem',
-      'script-src-attr',
-      'worker-src',
-    ];
-
-    const isSecureCspValue = (value) => CSP_KEYWORD_RE.test(value);
-
-    // A missing default-src directive is very permissive, thus insecure:
-    let insecureSrcDirective = !directives['default-src'];
-    let warnInsecureCsp = insecureSrcDirective;
-    let warnInsecureEval = false;
-
-    for (let i = 0; i < candidates.length; i++) {
-      /* eslint-disable no-continue */
-      const candidate = candidates[i];
-      if (Object.prototype.hasOwnProperty.call(directives, candidate)) {
-        const values = directives[candidate];
-
-        // If the 'default-src' is insecure, check whether the 'script-src'
-        // makes it secure, ie 'script-src: self;'
-        //
-        // NOTE: this is not yet considering script-src-elem and script-src-attr,
-        // and it can't be extended to them as is, each of them on their
-        // own would not fully cover an insecure src directive and they would
-        // need to be appropriately combined with other directives.
-        if (
-          insecureSrcDirective &&
-          candidate === 'script-src' &&
-          values.every(isSecureCspValue)
-        ) {
-          insecureSrcDirective = false;
-          warnInsecureCsp = false;
-          continue;
-        }
-
-        for (const value of values) {
-          // Add a more detailed message for unsafe-eval to avoid confusion
-          // about why it's forbidden.
-          if (value === "'unsafe-eval'") {
-            warnInsecureEval = true;
-            continue;
-          }
+  validateCspPolicyString(policy, manifestPropName, key) {
+    const problems = getCspProblems(policy, {
+      manifestVersion: this.parsedJSON.manifest_version,
+      key,
+    });
 
-          if (!isSecureCspValue(value)) {
-            warnInsecureCsp = true;
-            // everything else looks like something we don't understand
-            // / support otherwise is invalid so let's warn about that.
-            if (candidate === 'default-src') {
-              // Remember insecure 'default-src' to check whether a later
-              // 'script-src' makes it secure
-              insecureSrcDirective = true;
-            }
-            continue;
-          }
-        }
-      }
-    }
-    if (warnInsecureEval) {
+    // Report 'unsafe-eval' first, with a more detailed message to avoid
+    // confusion about why it's forbidden. There is at most one message of
+    // each code per property.
+    const unsafeEvalProblems = problems.filter(
+      ({ kind }) => kind === 'unsafe-eval'
+    );
+    const otherProblems = problems.filter(({ kind }) => kind !== 'unsafe-eval');
+    if (unsafeEvalProblems.length) {
       this.collector.addWarning(
-        messages.manifestCspUnsafeEval(manifestPropName)
+        messages.manifestCspUnsafeEval(manifestPropName, unsafeEvalProblems)
       );
     }
-    if (warnInsecureCsp) {
-      this.collector.addWarning(messages.manifestCsp(manifestPropName));
+    if (otherProblems.length) {
+      this.collector.addWarning(
+        messages.manifestCsp(manifestPropName, otherProblems)
+      );
     }
   }
 
@@ -1175,6 +1553,26 @@ export default class ManifestJSONParser extends JSONParser {
     return apiPaths;
   }
 
+  // The permissions are also used to check the APIs used by the extension,
+  // see the `webextension-api-permissions` rule and `Linter.scan()`. The
+  // indexes are kept to be able to point to a permission in the manifest.
+  getPermissionList(property) {
+    const permissions = this.parsedJSON[property];
+    return Array.isArray(permissions) ? [...permissions] : [];
+  }
+
+  // Return a version of `gecko_android`, e.g. `strict_min_version`.
+  // `applications` is only replaced by `browser_specific_settings` when the
+  // latter has a `gecko` key, `gecko_android` can be set without it.
+  getFirefoxAndroidVersion(key) {
+    const settings =
+      this.parsedJSON.browser_specific_settings || this.parsedJSON.applications;
+    return (
+      (settings && settings.gecko_android && settings.gecko_android[key]) ||
+      undefined
+    );
+  }
+
   getMetadata() {
     return {
       id: this.getAddonId(),
@@ -1186,7 +1584,18 @@ export default class ManifestJSONParser extends JSONParser {
         this.parsedJSON.applications &&
         this.parsedJSON.applications.gecko &&
         this.parsedJSON.applications.gecko.strict_min_version,
+      firefoxMaxVersion:
+        this.parsedJSON.applications &&
+        this.parsedJSON.applications.gecko &&
+        this.parsedJSON.applications.gecko.strict_max_version,
+      firefoxAndroidMinVersion:
+        this.getFirefoxAndroidVersion('strict_min_version'),
+      firefoxAndroidMaxVersion:
+        this.getFirefoxAndroidVersion('strict_max_version'),
       experimentApiPaths: this.getExperimentApiPaths(),
+      permissions: this.getPermissionList('permissions'),
+      optionalPermissions: this.getPermissionList('optional_permissions'),
+      hostAccess: this.getHostAccess(),
     };
   }
 }
@@ -0,0 +1,193 @@
+import bcd from '@mdn/browser-compat-data';
+
+import { hasBrowserApi } from 'schema/browser-apis';
+import { getApiCompat } from 'utils';
+
+// The browsers accepted by `--browsers`, as named by
+// `@mdn/browser-compat-data`.
+export const PORTABILITY_BROWSERS = [
+  'chrome',
+  'edge',
+  'firefox',
+  'firefox_android',
+  'opera',
+  'safari',
+  'safari_ios',
+];
+
+// The browsers supporting the APIs of the Firefox schemas.
+const FIREFOX_BROWSERS = ['firefox', 'firefox_android'];
+
+// Return the names of some browsers, e.g. `Chrome, Safari`.
+export function formatBrowserNames(browsers) {
+  return browsers.map((browser) => bcd.browsers[browser].name).join(', ');
+}
+
+/*
+ * Whether the latest version of a browser supports a feature, given its
+ * `support` data of `@mdn/browser-compat-data` (e.g. `support.chrome`): some
+ * release must have added it, without removing it or putting it behind a
+ * flag. Return `null` when the support is unknown.
+ */
+export function isCurrentlySupported(supportInfo) {
+  if (!supportInfo) {
+    return null;
+  }
+  const entries = Array.isArray(supportInfo) ? supportInfo : [supportInfo];
+
+  if (entries.every((entry) => entry.version_added === null)) {
+    return null;
+  }
+  return entries.some(
+    (entry) =>
+      (entry.version_added === true ||
+        (typeof entry.version_added === 'string' &&
+          !entry.version_added.startsWith('preview'))) &&
+      !entry.version_removed &&
+      !entry.flags
+  );
+}
+
+// Return the support of a feature by some browsers, given its `support` data
+// of `@mdn/browser-compat-data`, as an object mapping each browser to the
+// value returned by `isCurrentlySupported()`.
+export function getBrowserSupport(support, browsers) {
+  const browserSupport = {};
+  browsers.forEach((browser) => {
+    browserSupport[browser] = isCurrentlySupported(support[browser]);
+  });
+  return browserSupport;
+}
+
+// Return the browsers not supporting a feature, given its support returned by
+// `getBrowserSupport()`. The browsers with an unknown support are not
+// returned.
+export function getUnsupportedBrowsers(browserSupport) {
+  return Object.keys(browserSupport).filter(
+    (browser) => browserSupport[browser] === false
+  );
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/*
+ * Return the manifest keys (e.g. `sidebar_action` or `options_ui.page`) and
+ * the permissions (e.g. `permissions:menus`) of a manifest not supported by
+ * some browsers, as `{ type, name, support }` objects where `type` is
+ * `manifest` or `permission` and `support` is returned by
+ * `getBrowserSupport()`. The sub-keys of a key are only checked with the
+ * browsers supporting it.
+ */
+export function getManifestBrowserIssues(manifest, browsers) {
+  const issues = [];
+
+  const addIssue = (type, name, compat, issueBrowsers) => {
+    const support = getBrowserSupport(compat.support, issueBrowsers);
+    const unsupported = getUnsupportedBrowsers(support);
+    if (unsupported.length) {
+      issues.push({ type, name, support });
+    }
+    return issueBrowsers.filter((browser) => !unsupported.includes(browser));
+  };
+
+  const checkCompatInfo = (compatInfo, key, value, keyBrowsers) => {
+    const supportingBrowsers = compatInfo.__compat
+      ? addIssue('manifest', key, compatInfo.__compat, keyBrowsers)
+      : keyBrowsers;
+
+    Object.keys(compatInfo).forEach((subkey) => {
+      if (subkey === '__compat' || !supportingBrowsers.length) {
+        return;
+      }
+      if (
+        isObject(value) &&
+        Object.prototype.hasOwnProperty.call(value, subkey)
+      ) {
+        checkCompatInfo(
+          compatInfo[subkey],
+          `${key}.${subkey}`,
+          value[subkey],
+          supportingBrowsers
+        );
+      } else if (
+        (key === 'permissions' || key === 'optional_permissions') &&
+        Array.isArray(value) &&
+        value.includes(subkey) &&
+        compatInfo[subkey].__compat
+      ) {
+        addIssue(
+          'permission',
+          `${key}:${subkey}`,
+          compatInfo[subkey].__compat,
+          supportingBrowsers
+        );
+      }
+    });
+  };
+
+  Object.keys(bcd.webextensions.manifest).forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(manifest, key)) {
+      checkCompatInfo(
+        bcd.webextensions.manifest[key],
+        key,
+        manifest[key],
+        browsers
+      );
+    }
+  });
+
+  return issues;
+}
+
+/*
+ * Return the support of an API (e.g. `tabs.create`) by some browsers, see
+ * `getBrowserSupport()`. The APIs that `@mdn/browser-compat-data` doesn't
+ * document (e.g. `offscreen`, only implemented by Chrome) are only known to
+ * be unsupported by Firefox, when they are not in its schemas.
+ */
+export function getApiBrowserSupport(
+  api,
+  browsers,
+  { addonMetadata = {}, _hasBrowserApi = hasBrowserApi } = {}
+) {
+  const compat = getApiCompat(bcd, api);
+  if (compat) {
+    return getBrowserSupport(compat.support, browsers);
+  }
+
+  const [namespace, property] = api.split('.');
+  const inFirefoxSchemas = _hasBrowserApi(namespace, property, addonMetadata);
+  const browserSupport = {};
+  browsers.forEach((browser) => {
+    browserSupport[browser] =
+      inFirefoxSchemas || !FIREFOX_BROWSERS.includes(browser) ? null : false;
+  });
+  return browserSupport;
+}
+
+/*
+ * Return the compatibility matrix of the features not supported by some
+ * browsers, returned by `getManifestBrowserIssues()` or with the `api` type:
+ * the support of each feature by each browser (`null` when it is unknown),
+ * and the number of features not supported by each browser.
+ */
+export function getCompatibilityMatrix(issues, browsers) {
+  const unsupportedCount = {};
+  browsers.forEach((browser) => {
+    unsupportedCount[browser] = issues.filter(
+      ({ support }) => support[browser] === false
+    ).length;
+  });
+
+  return {
+    browsers,
+    features: issues.map(({ type, name, support }) => ({
+      type,
+      name,
+      support: { ...support },
+    })),
+    unsupportedCount,
+  };
+}
@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+
+import Ajv from 'ajv';
+import { oneLine } from 'common-tags';
+
+import { RULE_SEVERITIES, VALIDATION_ERROR } from 'const';
+import log from 'logger';
+import options from 'yargs-options';
+import { AddonsLinterUserError, i18n } from 'utils';
+
+/* global nodeRequire */
+
+// The project config files we look for in the package directory, in order
+// of precedence. The `addons-linter` key of a package.json file is used
+// when none of these files exist.
+export const PROJECT_CONFIG_FILES = [
+  '.addons-linterrc.json',
+  '.addons-linterrc.js',
+];
+export const PACKAGE_JSON = 'package.json';
+export const PACKAGE_JSON_CONFIG_KEY = 'addons-linter';
+
+// The package being linted may not be the one of the developer running the
+// linter: unless `--trust-project-config` is passed, the `.js` config files
+// are not loaded (they would run code of the package) and a project config
+// can only set the options that can't weaken the checks, i.e. the ones
+// below, `warnings-as-errors` when enabled and `rules` raising severities to
+// `error`.
+export const SAFE_CONFIG_OPTIONS = [
+  'boring',
+  'browsers',
+  'disable-xpi-autoclose',
+  'log-level',
+  'output',
+  'pretty',
+  'stack',
+  'target',
+];
+
+// The JSON schema of the options that can't be derived from their yargs
+// definition.
+const PROJECT_CONFIG_SCHEMA_OVERRIDES = {
+  rules: {
+    type: 'object',
+    additionalProperties: { enum: RULE_SEVERITIES },
+  },
+};
+
+export function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+export function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/*
+ * Build the JSON schema of a project config file out of the CLI options,
+ * each option can be set using either its CLI name (e.g. `self-hosted`) or
+ * its camel-cased name (e.g. `selfHosted`) as used by the linter API.
+ */
+export function getProjectConfigSchema(_options = options) {
+  const properties = {};
+
+  Object.keys(_options).forEach((name) => {
+    const option = _options[name];
+    let property = PROJECT_CONFIG_SCHEMA_OVERRIDES[name];
+
+    if (!property) {
+      property = { type: option.type };
+      if (option.choices) {
+        property.enum = option.choices;
+      }
+    }
+
+    properties[name] = property;
+    properties[toCamelCase(name)] = property;
+  });
+
+  return {
+    type: 'object',
+    properties,
+    additionalProperties: false,
+  };
+}
+
+export function validateProjectConfig(
+  config,
+  configPath,
+  { _options = options } = {}
+) {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(getProjectConfigSchema(_options));
+
+  if (!validate(config)) {
+    const errors = validate.errors.map((error) => {
+      if (error.keyword === 'additionalProperties') {
+        return i18n.sprintf(i18n._('unknown option "%(option)s"'), {
+          option: error.params.additionalProperty,
+        });
+      }
+      const option = error.instancePath.replace(/^\//, '');
+      return `"${option}" ${error.message}`;
+    });
+
+    throw new AddonsLinterUserError(
+      i18n.sprintf(
+        i18n._(oneLine`Invalid addons-linter config file
+          %(configPath)s: %(errors)s.`),
+        { configPath, errors: errors.join(', ') }
+      )
+    );
+  }
+
+  // Normalize all the keys to the CLI option names.
+  const normalized = {};
+  Object.keys(config).forEach((key) => {
+    normalized[toKebabCase(key)] = config[key];
+  });
+  return normalized;
+}
+
+/*
+ * Return the options of a normalized project config that can only be set
+ * with `--trust-project-config`, see `SAFE_CONFIG_OPTIONS`.
+ */
+export function getUntrustedConfigOptions(config) {
+  return Object.keys(config).filter((name) => {
+    if (name === 'rules') {
+      return Object.values(config.rules || {}).some(
+        (severity) => severity !== VALIDATION_ERROR
+      );
+    }
+    if (name === 'warnings-as-errors') {
+      return config[name] !== true;
+    }
+    return !SAFE_CONFIG_OPTIONS.includes(name);
+  });
+}
+
+function checkTrustedConfig(config, configPath) {
+  const untrustedOptions = getUntrustedConfigOptions(config);
+
+  if (untrustedOptions.length) {
+    throw new AddonsLinterUserError(
+      i18n.sprintf(
+        i18n._(oneLine`The addons-linter config file %(configPath)s sets
+          %(options)s, which can only be set by a project config with
+          --trust-project-config.`),
+        { configPath, options: untrustedOptions.join(', ') }
+      )
+    );
+  }
+  return config;
+}
+
+function readConfigFile(configPath, { _fs, _require }) {
+  try {
+    if (configPath.endsWith('.js')) {
+      return _require(configPath);
+    }
+    return JSON.parse(_fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new AddonsLinterUserError(
+      i18n.sprintf(
+        i18n._(
+          'Unable to load addons-linter config file %(configPath)s: %(error)s'
+        ),
+        { configPath, error: err.message }
+      )
+    );
+  }
+}
+
+/*
+ * Look for a project config in the directory of the package (or the
+ * directory containing the package file) and return it normalized and
+ * validated, or `null` when there is none. See `SAFE_CONFIG_OPTIONS`
+ * for what `trusted` allows.
+ */
+export function loadProjectConfig(
+  packagePath,
+  {
+    trusted = false,
+    _fs = fs,
+    // `nodeRequire` is set by bin/addons-linter, see also `getI18Data()`.
+    _require = (modulePath) => nodeRequire(modulePath),
+  } = {}
+) {
+  if (!packagePath || !_fs.existsSync(packagePath)) {
+    return null;
+  }
+
+  const packageDir = _fs.statSync(packagePath).isDirectory()
+    ? packagePath
+    : path.dirname(packagePath);
+
+  for (const fileName of PROJECT_CONFIG_FILES) {
+    const configPath = path.resolve(packageDir, fileName);
+    if (_fs.existsSync(configPath)) {
+      if (configPath.endsWith('.js') && !trusted) {
+        throw new AddonsLinterUserError(
+          i18n.sprintf(
+            i18n._(oneLine`The addons-linter config file %(configPath)s runs
+              code, it is only loaded with --trust-project-config.`),
+            { configPath }
+          )
+        );
+      }
+      log.info(`Loading addons-linter config from ${configPath}`);
+      const config = validateProjectConfig(
+        readConfigFile(configPath, { _fs, _require }),
+        configPath
+      );
+      return trusted ? config : checkTrustedConfig(config, configPath);
+    }
+  }
+
+  const packageJSONPath = path.resolve(packageDir, PACKAGE_JSON);
+  if (_fs.existsSync(packageJSONPath)) {
+    const packageJSON = readConfigFile(packageJSONPath, { _fs, _require });
+    if (
+      packageJSON &&
+      Object.prototype.hasOwnProperty.call(packageJSON, PACKAGE_JSON_CONFIG_KEY)
+    ) {
+      log.info(`Loading addons-linter config from ${packageJSONPath}`);
+      const configPath = `${packageJSONPath} ("${PACKAGE_JSON_CONFIG_KEY}" key)`;
+      const config = validateProjectConfig(
+        packageJSON[PACKAGE_JSON_CONFIG_KEY],
+        configPath
+      );
+      return trusted ? config : checkTrustedConfig(config, configPath);
+    }
+  }
+
+  return null;
+}
+
+/*
+ * Merge a project config into the argv object parsed by yargs, the options
+ * explicitly passed on the command line take precedence.
+ */
+export function mergeProjectConfig(
+  argv,
+  projectConfig,
+  { defaulted = {}, _options = options } = {}
+) {
+  Object.keys(projectConfig).forEach((name) => {
+    let value = projectConfig[name];
+
+    if (argv[name] !== undefined && !defaulted[name]) {
+      // The severities passed on the command line override the ones of the
+      // project config per message code.
+      if (name !== 'rules') {
+        return;
+      }
+      value = { ...projectConfig.rules, ...argv.rules };
+    }
+
+    const aliases = [].concat((_options[name] && _options[name].alias) || []);
+    [name, toCamelCase(name), ...aliases].forEach((key) => {
+      // eslint-disable-next-line no-param-reassign
+      argv[key] = value;
+    });
+  });
+
+  return argv;
+}
@@ -0,0 +1,159 @@
+import * as path from 'path';
+
+import { isStrictRelativeUrl } from 'schema/formats';
+import { normalizePath } from 'utils';
+
+function asList(value) {
+  return (Array.isArray(value) ? value : [value]).filter(
+    (item) => typeof item === 'string' && item !== ''
+  );
+}
+
+/*
+ * Return the files loaded by the extension according to its manifest: the
+ * background scripts, content scripts, extension pages and web accessible
+ * resources. The web accessible resources may contain `*` wildcards.
+ */
+export function getManifestEntryPoints(manifest) {
+  const entryPoints = [];
+  const add = (value) => {
+    asList(value).forEach((entryPoint) => entryPoints.push(entryPoint));
+  };
+
+  if (manifest.background) {
+    add(manifest.background.scripts);
+    add(manifest.background.page);
+    add(manifest.background.service_worker);
+  }
+
+  (Array.isArray(manifest.content_scripts)
+    ? manifest.content_scripts
+    : []
+  ).forEach((contentScript) => {
+    add(contentScript?.js);
+    add(contentScript?.css);
+  });
+
+  ['action', 'browser_action', 'page_action'].forEach((property) => {
+    add(manifest[property]?.default_popup);
+  });
+  add(manifest.options_ui?.page);
+  add(manifest.sidebar_action?.default_panel);
+  add(manifest.devtools_page);
+  add(Object.values(manifest.chrome_url_overrides || {}));
+  add(manifest.user_scripts?.api_script);
+  add(manifest.theme_experiment?.stylesheet);
+  Object.values(manifest.experiment_apis || {}).forEach((experimentApi) => {
+    add(experimentApi?.parent?.script);
+    add(experimentApi?.child?.script);
+  });
+
+  (Array.isArray(manifest.web_accessible_resources)
+    ? manifest.web_accessible_resources
+    : []
+  ).forEach((resource) => {
+    // Manifest Version 3 lists objects with the `resources`.
+    add(typeof resource === 'string' ? resource : resource?.resources);
+  });
+
+  return [...new Set(entryPoints)];
+}
+
+// Return the package files matched by an entry point, which may contain `*`
+// wildcards (matching `/` too, like in Firefox).
+export function getMatchingFiles(entryPoint, files) {
+  const pattern = normalizePath(entryPoint);
+
+  if (!pattern.includes('*')) {
+    return files.includes(pattern) ? [pattern] : [];
+  }
+
+  const regexp = new RegExp(
+    `^${pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`
+  );
+  return files.filter((file) => regexp.test(file));
+}
+
+/*
+ * Resolve a reference found in a file (e.g. the `src` of a `<script>`) to a
+ * path in the package, or return `null` when it does not point to a package
+ * file (e.g. a remote URL or a bare module specifier).
+ */
+export function resolveReference(file, { type, value }) {
+  if (
+    typeof value !== 'string' ||
+    !isStrictRelativeUrl(value) ||
+    // e.g. `<link href="#">`.
+    /^[?#]/.test(value)
+  ) {
+    return null;
+  }
+  // `import 'module'` would be resolved by a bundler, not by the browser.
+  if (type === 'import' && !/^\.{0,2}\//.test(value)) {
+    return null;
+  }
+  if (value.startsWith('/')) {
+    return normalizePath(value);
+  }
+  return normalizePath(`${path.posix.dirname(file)}/${value}`);
+}
+
+/*
+ * Walk the package graph from the manifest entry points, following the
+ * references found in each file (`{ type, value, line, column }` objects
+ * listed by file), and return the reachable files and the references to
+ * files that are not in the package.
+ *
+ * The `string` references are strings of the JavaScript code that look like
+ * a package file (e.g. `runtime.getURL('page.html')`), they can be relative
+ * to the file or to the root of the package and they are never missing. The
+ * `anchor` references (the `href` of the `<a>` elements) are never missing
+ * either, the links may be handled by the scripts of the page. The missing
+ * `import` references are reported by the `module-imports` rule.
+ */
+export function getPackageGraph(entryPoints, references, files) {
+  const reachableFiles = new Set();
+  const missingReferences = [];
+  const packageFiles = new Set(files);
+  const queue = entryPoints.flatMap((entryPoint) =>
+    getMatchingFiles(entryPoint, files)
+  );
+
+  while (queue.length) {
+    const file = queue.shift();
+
+    if (!reachableFiles.has(file)) {
+      reachableFiles.add(file);
+
+      (references[file] || []).forEach((reference) => {
+        const candidates =
+          reference.type === 'string'
+            ? [
+                resolveReference(file, reference),
+                resolveReference(file, {
+                  ...reference,
+                  value: `/${reference.value}`,
+                }),
+              ]
+            : [resolveReference(file, reference)];
+        const target = candidates.find(
+          (candidate) => candidate !== null && packageFiles.has(candidate)
+        );
+
+        if (target) {
+          queue.push(target);
+        } else if (
+          !['anchor', 'import', 'string'].includes(reference.type) &&
+          candidates[0] !== null
+        ) {
+          missingReferences.push({ file, path: candidates[0], ...reference });
+        }
+      });
+    }
+  }
+
+  return { reachableFiles, missingReferences };
+}
@@ -1 +1,2 @@
 export * from './invalidNesting';
+export * from './remoteImport';
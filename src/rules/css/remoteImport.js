@@ -0,0 +1,23 @@
+import * as messages from 'messages';
+import { getCssImportUrl, isRemoteUrl } from 'utils';
+
+export function remoteImport(
+  cssNode,
+  filename,
+  { startLine, startColumn } = {}
+) {
+  const messageList = [];
+  if (cssNode.type === 'atrule' && cssNode.name === 'import') {
+    const url = getCssImportUrl(cssNode.params);
+    if (isRemoteUrl(url)) {
+      messageList.push({
+        ...messages.remoteCodeMessage(messages.REMOTE_CODE_CSS_IMPORT, url),
+        type: 'warning',
+        line: startLine,
+        column: startColumn,
+        file: filename,
+      });
+    }
+  }
+  return messageList;
+}
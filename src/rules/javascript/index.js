@@ -1,23 +1,33 @@
 import content_scripts_file_absent from './content-scripts-file-absent';
 import global_require_arg from './global-require-arg';
+import module_imports from './module-imports';
 import no_document_write from './no-document-write';
 import opendialog_nonlit_uri from './opendialog-nonlit-uri';
 import opendialog_remote_uri from './opendialog-remote-uri';
+import remote_code from './remote-code';
+import tainted_data_flow from './tainted-data-flow';
 import webextension_api from './webextension-api';
 import webextension_api_compat from './webextension-api-compat';
 import webextension_api_compat_android from './webextension-api-compat-android';
+import webextension_api_compat_browsers from './webextension-api-compat-browsers';
+import webextension_api_permissions from './webextension-api-permissions';
 import webextension_deprecated_api from './webextension-deprecated-api';
 import webextension_unsupported_api from './webextension-unsupported-api';
 
 export default {
   'content-scripts-file-absent': content_scripts_file_absent,
   'global-require-arg': global_require_arg,
+  'module-imports': module_imports,
   'no-document-write': no_document_write,
   'opendialog-nonlit-uri': opendialog_nonlit_uri,
   'opendialog-remote-uri': opendialog_remote_uri,
+  'remote-code': remote_code,
+  'tainted-data-flow': tainted_data_flow,
   'webextension-api': webextension_api,
   'webextension-api-compat': webextension_api_compat,
   'webextension-api-compat-android': webextension_api_compat_android,
+  'webextension-api-compat-browsers': webextension_api_compat_browsers,
+  'webextension-api-permissions': webextension_api_permissions,
   'webextension-deprecated-api': webextension_deprecated_api,
   'webextension-unsupported-api': webextension_unsupported_api,
 };
@@ -0,0 +1,59 @@
+import { MODULE_BARE_SPECIFIER, MODULE_NOT_FOUND } from 'messages/javascript';
+import { resolveReference } from 'reachability';
+import { isStrictRelativeUrl } from 'schema/formats';
+
+const rule = {
+  create(context) {
+    const { existingFiles } = context.settings;
+
+    const checkSource = (source) => {
+      // Skipping the dynamic imports that are not a static string.
+      if (
+        !source ||
+        source.type !== 'Literal' ||
+        typeof source.value !== 'string'
+      ) {
+        return;
+      }
+      const specifier = source.value;
+
+      // The URLs can't be resolved, the remote ones are reported by the
+      // `remote-code` rule.
+      if (!isStrictRelativeUrl(specifier)) {
+        return;
+      }
+      // Only paths starting with `/`, `./` or `../` are resolved by the
+      // browser, e.g. `import 'lodash'` would need a bundler.
+      if (!/^\.{0,2}\//.test(specifier)) {
+        context.report({
+          loc: source.loc,
+          message: MODULE_BARE_SPECIFIER.code,
+        });
+        return;
+      }
+
+      // The files of the package are not always known, e.g. when the
+      // scanner is used on its own.
+      if (!existingFiles) {
+        return;
+      }
+      const filePath = resolveReference(context.getFilename(), {
+        type: 'import',
+        value: specifier,
+      });
+      if (!Object.prototype.hasOwnProperty.call(existingFiles, filePath)) {
+        context.report({ loc: source.loc, message: MODULE_NOT_FOUND.code });
+      }
+    };
+
+    return {
+      ExportAllDeclaration: (node) => checkSource(node.source),
+      ExportNamedDeclaration: (node) => checkSource(node.source),
+      ImportDeclaration: (node) => checkSource(node.source),
+      ImportExpression: (node) => checkSource(node.source),
+    };
+  },
+};
+
+export default rule;
+export const { create } = rule;
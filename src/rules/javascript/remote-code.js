@@ -0,0 +1,185 @@
+import {
+  REMOTE_CODE_IMPORT,
+  REMOTE_CODE_IMPORT_SCRIPTS,
+  REMOTE_CODE_SCRIPT_ELEMENT,
+  REMOTE_CODE_WORKER,
+} from 'messages/remote-code';
+import { isRemoteUrl } from 'utils';
+
+// Replaces the parts of a URL that are only known at runtime.
+const DYNAMIC_PART = '…';
+
+function findVariable(scope, name) {
+  for (let current = scope; current; current = current.upper) {
+    const variable = current.set.get(name);
+    if (variable) {
+      return variable;
+    }
+  }
+  return null;
+}
+
+// Return the value assigned to a variable when it is only assigned once,
+// where it is declared (e.g. `const url = '...'`), or `null`.
+function getVariableInit(scope, name) {
+  const variable = findVariable(scope, name);
+
+  if (!variable || variable.defs.length !== 1) {
+    return null;
+  }
+  const [definition] = variable.defs;
+  if (
+    definition.type !== 'Variable' ||
+    !definition.node.init ||
+    variable.references.filter((reference) => reference.isWrite()).length !== 1
+  ) {
+    return null;
+  }
+  return { init: definition.node.init, scope: variable.scope };
+}
+
+/*
+ * Return the URL a node evaluates to when it is a string known statically,
+ * e.g. `'https://example.com/' + path` returns `https://example.com/…`, or
+ * `null`.
+ */
+function getUrl(node, scope, variables = []) {
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'string' ? node.value : null;
+    case 'TemplateLiteral':
+      return node.quasis
+        .map((quasi, index) => {
+          const expression = node.expressions[index];
+          return expression
+            ? `${quasi.value.cooked}${
+                getUrl(expression, scope, variables) ?? DYNAMIC_PART
+              }`
+            : quasi.value.cooked;
+        })
+        .join('');
+    case 'BinaryExpression': {
+      if (node.operator !== '+') {
+        return null;
+      }
+      const left = getUrl(node.left, scope, variables);
+      const right = getUrl(node.right, scope, variables);
+      if (left === null && right === null) {
+        return null;
+      }
+      return `${left ?? DYNAMIC_PART}${right ?? DYNAMIC_PART}`;
+    }
+    case 'Identifier': {
+      const variable = getVariableInit(scope, node.name);
+      if (!variable || variables.includes(variable.init)) {
+        return null;
+      }
+      return getUrl(variable.init, variable.scope, [
+        ...variables,
+        variable.init,
+      ]);
+    }
+    default:
+      return null;
+  }
+}
+
+// Whether a node is a `<script>` element created with
+// `document.createElement('script')`, or a variable set to one.
+function isScriptElement(node, scope) {
+  if (node.type === 'Identifier') {
+    const variable = getVariableInit(scope, node.name);
+    return Boolean(variable) && isScriptElement(variable.init, variable.scope);
+  }
+  return (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.property.name === 'createElement' &&
+    node.arguments.length > 0 &&
+    node.arguments[0].type === 'Literal' &&
+    typeof node.arguments[0].value === 'string' &&
+    node.arguments[0].value.toLowerCase() === 'script'
+  );
+}
+
+function getCalleeName(callee) {
+  if (callee.type === 'Identifier') {
+    return callee.name;
+  }
+  if (callee.type === 'MemberExpression' && !callee.computed) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+/*
+ * This rule reports the code loaded from a remote server: remote modules,
+ * `importScripts()`, `<script>` elements and workers.
+ */
+const rule = {
+  meta: {
+    messages: {
+      [REMOTE_CODE_IMPORT.code]: REMOTE_CODE_IMPORT.messageFormat,
+      [REMOTE_CODE_IMPORT_SCRIPTS.code]:
+        REMOTE_CODE_IMPORT_SCRIPTS.messageFormat,
+      [REMOTE_CODE_SCRIPT_ELEMENT.code]:
+        REMOTE_CODE_SCRIPT_ELEMENT.messageFormat,
+      [REMOTE_CODE_WORKER.code]: REMOTE_CODE_WORKER.messageFormat,
+    },
+  },
+
+  create(context) {
+    const check = (node, remoteCode) => {
+      const url = node ? getUrl(node, context.getScope()) : null;
+
+      if (isRemoteUrl(url)) {
+        context.report({ node, messageId: remoteCode.code, data: { url } });
+      }
+    };
+    const checkSource = (node) => check(node.source, REMOTE_CODE_IMPORT);
+
+    return {
+      AssignmentExpression(node) {
+        if (
+          node.left.type === 'MemberExpression' &&
+          !node.left.computed &&
+          node.left.property.name === 'src' &&
+          isScriptElement(node.left.object, context.getScope())
+        ) {
+          check(node.right, REMOTE_CODE_SCRIPT_ELEMENT);
+        }
+      },
+      CallExpression(node) {
+        const name = getCalleeName(node.callee);
+
+        if (name === 'importScripts') {
+          node.arguments.forEach((argument) => {
+            check(argument, REMOTE_CODE_IMPORT_SCRIPTS);
+          });
+        }
+        if (
+          name === 'setAttribute' &&
+          node.callee.type === 'MemberExpression' &&
+          node.arguments.length > 1 &&
+          getUrl(node.arguments[0], context.getScope()) === 'src' &&
+          isScriptElement(node.callee.object, context.getScope())
+        ) {
+          check(node.arguments[1], REMOTE_CODE_SCRIPT_ELEMENT);
+        }
+      },
+      ExportAllDeclaration: checkSource,
+      ExportNamedDeclaration: checkSource,
+      ImportDeclaration: checkSource,
+      ImportExpression: checkSource,
+      NewExpression(node) {
+        if (['SharedWorker', 'Worker'].includes(getCalleeName(node.callee))) {
+          check(node.arguments[0], REMOTE_CODE_WORKER);
+        }
+      },
+    };
+  },
+};
+
+export default rule;
+export const { create } = rule;
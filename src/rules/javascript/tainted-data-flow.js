@@ -0,0 +1,362 @@
+import { TAINTED_DATA_FLOW } from 'messages/javascript';
+
+const GLOBAL_OBJECTS = ['globalThis', 'self', 'window'];
+
+// Functions returning their (tainted) argument in another form.
+const PASS_THROUGH_FUNCTIONS = [
+  'String',
+  'atob',
+  'decodeURI',
+  'decodeURIComponent',
+  'unescape',
+];
+
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+const TIMER_FUNCTIONS = ['setInterval', 'setTimeout'];
+
+const MESSAGE_EVENT_SOURCE = 'a "message" event';
+
+// Return the name of a property key, e.g. `code` for `{ code }` or
+// `{ 'code': ... }`, or `null` when it is computed at runtime.
+function getKeyName(key, computed) {
+  if (!computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  return key.type === 'Literal' ? String(key.value) : null;
+}
+
+function getPropertyName(node) {
+  return node.type === 'MemberExpression'
+    ? getKeyName(node.property, node.computed)
+    : null;
+}
+
+// Remove the `browser.` or `chrome.` namespace from an API name.
+function getApiName(text) {
+  return text.replace(/^(browser|chrome)\./, '');
+}
+
+/*
+ * This rule reports the data received from extension messaging,
+ * `postMessage`, `fetch` or the URL of the page (the sources) that reaches
+ * `innerHTML`, `eval`, `tabs.executeScript({ code })` or `setTimeout(string)`
+ * (the sinks) in the same file.
+ *
+ * A tainted value is `{ source, path }` where `path` lists the variables the
+ * data went through. The analysis doesn't depend on the order of the
+ * statements: a variable is tainted when any of the values assigned to it is.
+ */
+const rule = {
+  meta: {
+    messages: {
+      [TAINTED_DATA_FLOW.code]: TAINTED_DATA_FLOW.messageFormat,
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode();
+    const variableTaints = new Map();
+    let references = null;
+
+    const getReference = (identifier) => {
+      if (!references) {
+        references = new Map();
+        sourceCode.scopeManager.scopes.forEach((scope) => {
+          scope.references.forEach((reference) => {
+            references.set(reference.identifier, reference);
+          });
+        });
+      }
+      return references.get(identifier) || null;
+    };
+
+    const getVariable = (identifier) => {
+      const reference = getReference(identifier);
+      return reference ? reference.resolved : null;
+    };
+
+    // Whether an identifier is a global (e.g. `location`) and not a variable
+    // of the file with the same name.
+    const isGlobal = (node, names) => {
+      if (node.type !== 'Identifier' || !names.includes(node.name)) {
+        return false;
+      }
+      const variable = getVariable(node);
+      return !variable || variable.defs.length === 0;
+    };
+
+    // Whether a node is a global function, e.g. `eval` or `window.eval`.
+    const isGlobalFunction = (node, names) => {
+      return (
+        isGlobal(node, names) ||
+        (node.type === 'MemberExpression' &&
+          names.includes(getPropertyName(node)) &&
+          isGlobal(node.object, GLOBAL_OBJECTS))
+      );
+    };
+
+    const getSourceTaint = (node) => {
+      if (isGlobal(node, ['location'])) {
+        return { source: 'location', path: [] };
+      }
+      if (
+        node.type === 'CallExpression' &&
+        isGlobalFunction(node.callee, ['fetch'])
+      ) {
+        return { source: 'fetch', path: [] };
+      }
+      const property = getPropertyName(node);
+      if (
+        (property === 'location' &&
+          isGlobal(node.object, ['document', ...GLOBAL_OBJECTS])) ||
+        (['URL', 'documentURI'].includes(property) &&
+          isGlobal(node.object, ['document']))
+      ) {
+        return { source: sourceCode.getText(node), path: [] };
+      }
+      return null;
+    };
+
+    let getTaint;
+
+    // Return the taint of a parameter of a function listening to a source
+    // (e.g. `runtime.onMessage.addListener((message) => {})`) or called with
+    // a tainted argument.
+    const getParameterTaint = (fn, index) => {
+      const { parent } = fn;
+
+      if (
+        parent.type === 'AssignmentExpression' &&
+        parent.right === fn &&
+        getPropertyName(parent.left) === 'onmessage'
+      ) {
+        return index === 0 ? { source: MESSAGE_EVENT_SOURCE, path: [] } : null;
+      }
+
+      if (
+        parent.type === 'CallExpression' &&
+        parent.arguments.includes(fn) &&
+        parent.callee.type === 'MemberExpression'
+      ) {
+        const { callee } = parent;
+        const method = getPropertyName(callee);
+
+        if (
+          method === 'addListener' &&
+          ['onMessage', 'onMessageExternal'].includes(
+            getPropertyName(callee.object)
+          )
+        ) {
+          return index === 0
+            ? {
+                source: getApiName(sourceCode.getText(callee.object)),
+                path: [],
+              }
+            : null;
+        }
+        if (
+          method === 'addEventListener' &&
+          parent.arguments[0].type === 'Literal' &&
+          parent.arguments[0].value === 'message'
+        ) {
+          return index === 0
+            ? { source: MESSAGE_EVENT_SOURCE, path: [] }
+            : null;
+        }
+        // e.g. `fetch(url).then((response) => {})`.
+        if (method === 'then' && parent.arguments[0] === fn && index === 0) {
+          return getTaint(callee.object);
+        }
+      }
+
+      // The calls of a named function, e.g. `function render(html) {}`
+      // called with `render(message.html)`.
+      let declarationNode = null;
+      if (fn.type === 'FunctionDeclaration') {
+        declarationNode = fn;
+      } else if (parent.type === 'VariableDeclarator' && parent.init === fn) {
+        declarationNode = parent;
+      }
+      if (!declarationNode) {
+        return null;
+      }
+
+      let taint = null;
+      sourceCode.scopeManager
+        .getDeclaredVariables(declarationNode)
+        .filter((variable) =>
+          variable.defs.some(
+            (def) => def.type === 'FunctionName' || def.type === 'Variable'
+          )
+        )
+        .forEach((variable) => {
+          variable.references.forEach(({ identifier }) => {
+            if (
+              !taint &&
+              identifier.parent.type === 'CallExpression' &&
+              identifier.parent.callee === identifier &&
+              identifier.parent.arguments[index]
+            ) {
+              taint = getTaint(identifier.parent.arguments[index]);
+            }
+          });
+        });
+      return taint;
+    };
+
+    const getVariableTaint = (variable) => {
+      if (variableTaints.has(variable)) {
+        return variableTaints.get(variable);
+      }
+      // Assume the variable is not tainted while it is being checked, to
+      // support the circular assignments.
+      variableTaints.set(variable, null);
+
+      let taint = null;
+      variable.defs.forEach((def) => {
+        if (!taint && def.type === 'Parameter') {
+          const index = def.node.params.findIndex(
+            (param) =>
+              param.range[0] <= def.name.range[0] &&
+              def.name.range[1] <= param.range[1]
+          );
+          taint = getParameterTaint(def.node, index);
+        }
+      });
+      variable.references.forEach((reference) => {
+        if (!taint && reference.isWrite() && reference.writeExpr) {
+          taint = getTaint(reference.writeExpr);
+        }
+      });
+
+      const result = taint
+        ? { source: taint.source, path: [...taint.path, variable.name] }
+        : null;
+      variableTaints.set(variable, result);
+      return result;
+    };
+
+    getTaint = (node) => {
+      const sourceTaint = getSourceTaint(node);
+      if (sourceTaint) {
+        return sourceTaint;
+      }
+
+      const getFirstTaint = (nodes) => {
+        for (const child of nodes) {
+          const taint = child ? getTaint(child) : null;
+          if (taint) {
+            return taint;
+          }
+        }
+        return null;
+      };
+
+      switch (node.type) {
+        case 'Identifier': {
+          const variable = getVariable(node);
+          return variable && variable.defs.length
+            ? getVariableTaint(variable)
+            : null;
+        }
+        case 'MemberExpression':
+          return getTaint(node.object);
+        case 'CallExpression':
+          if (isGlobalFunction(node.callee, PASS_THROUGH_FUNCTIONS)) {
+            return getFirstTaint(node.arguments.slice(0, 1));
+          }
+          // e.g. `JSON.parse(text)`.
+          if (
+            getPropertyName(node.callee) === 'parse' &&
+            isGlobal(node.callee.object, ['JSON'])
+          ) {
+            return getFirstTaint(node.arguments.slice(0, 1));
+          }
+          // The methods of a tainted value, e.g. `response.text()` or
+          // `message.html.trim()`.
+          return node.callee.type === 'MemberExpression'
+            ? getTaint(node.callee.object)
+            : null;
+        case 'AwaitExpression':
+          return getTaint(node.argument);
+        case 'BinaryExpression':
+          return node.operator === '+'
+            ? getFirstTaint([node.left, node.right])
+            : null;
+        case 'TemplateLiteral':
+          return getFirstTaint(node.expressions);
+        case 'ArrayExpression':
+          return getFirstTaint(node.elements);
+        case 'LogicalExpression':
+          return getFirstTaint([node.left, node.right]);
+        case 'ConditionalExpression':
+          return getFirstTaint([node.consequent, node.alternate]);
+        case 'AssignmentExpression':
+          return getTaint(node.right);
+        case 'SequenceExpression':
+          return getTaint(node.expressions[node.expressions.length - 1]);
+        default:
+          return null;
+      }
+    };
+
+    const check = (node, sink) => {
+      const taint = node ? getTaint(node) : null;
+
+      if (taint) {
+        context.report({
+          node,
+          messageId: TAINTED_DATA_FLOW.code,
+          data: {
+            source: taint.source,
+            sink,
+            path: [taint.source, ...taint.path, sink].join(' → '),
+          },
+        });
+      }
+    };
+
+    return {
+      AssignmentExpression(node) {
+        const property = getPropertyName(node.left);
+
+        if (HTML_PROPERTIES.includes(property)) {
+          check(node.right, property);
+        }
+      },
+      CallExpression(node) {
+        const { callee } = node;
+
+        if (isGlobalFunction(callee, ['eval'])) {
+          check(node.arguments[0], 'eval');
+        } else if (isGlobalFunction(callee, TIMER_FUNCTIONS)) {
+          check(node.arguments[0], getPropertyName(callee) || callee.name);
+        } else if (getPropertyName(callee) === 'insertAdjacentHTML') {
+          check(node.arguments[1], 'insertAdjacentHTML');
+        } else if (
+          getPropertyName(callee) === 'executeScript' &&
+          getPropertyName(callee.object) === 'tabs'
+        ) {
+          // The details are the last argument, after the optional tab ID.
+          const details = node.arguments[node.arguments.length - 1];
+
+          if (details && details.type === 'ObjectExpression') {
+            details.properties
+              .filter(
+                (property) =>
+                  property.type === 'Property' &&
+                  getKeyName(property.key, property.computed) === 'code'
+              )
+              .forEach((property) => {
+                check(property.value, 'tabs.executeScript({ code })');
+              });
+          }
+        }
+      },
+    };
+  },
+};
+
+export default rule;
+export const { create } = rule;
@@ -1,17 +1,50 @@
 import bcd from '@mdn/browser-compat-data';
 
-import { ANDROID_INCOMPATIBLE_API } from 'messages/javascript';
-import { createCompatibilityRule } from 'utils';
+import {
+  ANDROID_INCOMPATIBLE_API,
+  ANDROID_PARTIAL_API,
+  ANDROID_REMOVED_API,
+  ANDROID_UNSUPPORTED_API,
+} from 'messages/javascript';
+import {
+  createCompatibilityRule,
+  getAndroidMaxVersion,
+  getAndroidMinVersion,
+} from 'utils';
 import { hasBrowserApi } from 'schema/browser-apis';
 
 const rule = {
+  meta: {
+    messages: {
+      [ANDROID_UNSUPPORTED_API.code]: ANDROID_UNSUPPORTED_API.messageFormat,
+      [ANDROID_REMOVED_API.code]: ANDROID_REMOVED_API.messageFormat,
+      [ANDROID_PARTIAL_API.code]: ANDROID_PARTIAL_API.messageFormat,
+    },
+  },
+
   create(context) {
+    const { addonMetadata, target } = context.settings;
+    const messageIds = {
+      removedMessageId: ANDROID_REMOVED_API.code,
+      partialMessageId: ANDROID_PARTIAL_API.code,
+    };
+
+    // With `--target android`, the APIs not supported by Firefox for Android
+    // are reported too, and its own version range is used when it is set.
     return createCompatibilityRule(
       'firefox_android',
       ANDROID_INCOMPATIBLE_API,
       context,
       bcd,
-      hasBrowserApi
+      hasBrowserApi,
+      target === 'android'
+        ? {
+            ...messageIds,
+            minVersion: addonMetadata && getAndroidMinVersion(addonMetadata),
+            maxVersion: addonMetadata && getAndroidMaxVersion(addonMetadata),
+            unsupportedMessageId: ANDROID_UNSUPPORTED_API.code,
+          }
+        : messageIds
     );
   },
 };
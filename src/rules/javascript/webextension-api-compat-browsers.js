@@ -0,0 +1,52 @@
+import { BROWSER_UNSUPPORTED_API } from 'messages/javascript';
+import { isBrowserNamespace } from 'utils';
+import {
+  formatBrowserNames,
+  getApiBrowserSupport,
+  getUnsupportedBrowsers,
+} from 'portability';
+
+const rule = {
+  meta: {
+    messages: {
+      [BROWSER_UNSUPPORTED_API.code]: BROWSER_UNSUPPORTED_API.messageFormat,
+    },
+  },
+
+  create(context) {
+    const { addonMetadata, browsers } = context.settings;
+
+    // The browsers are only checked with `--browsers`.
+    if (!browsers || !browsers.length) {
+      return {};
+    }
+
+    return {
+      MemberExpression(node) {
+        if (
+          !node.computed &&
+          node.object.type === 'MemberExpression' &&
+          !node.object.computed &&
+          node.object.object.type === 'Identifier' &&
+          isBrowserNamespace(node.object.object.name)
+        ) {
+          const api = `${node.object.property.name}.${node.property.name}`;
+          const unsupported = getUnsupportedBrowsers(
+            getApiBrowserSupport(api, browsers, { addonMetadata })
+          );
+
+          if (unsupported.length) {
+            context.report({
+              node,
+              messageId: BROWSER_UNSUPPORTED_API.code,
+              data: { api, browsers: formatBrowserNames(unsupported) },
+            });
+          }
+        }
+      },
+    };
+  },
+};
+
+export default rule;
+export const { create } = rule;
@@ -1,17 +1,32 @@
 import bcd from '@mdn/browser-compat-data';
 
-import { INCOMPATIBLE_API } from 'messages/javascript';
+import {
+  INCOMPATIBLE_API,
+  PARTIAL_API,
+  REMOVED_API,
+} from 'messages/javascript';
 import { createCompatibilityRule } from 'utils';
 import { hasBrowserApi } from 'schema/browser-apis';
 
 const rule = {
+  meta: {
+    messages: {
+      [REMOVED_API.code]: REMOVED_API.messageFormat,
+      [PARTIAL_API.code]: PARTIAL_API.messageFormat,
+    },
+  },
+
   create(context) {
     return createCompatibilityRule(
       'firefox',
       INCOMPATIBLE_API,
       context,
       bcd,
-      hasBrowserApi
+      hasBrowserApi,
+      {
+        removedMessageId: REMOVED_API.code,
+        partialMessageId: PARTIAL_API.code,
+      }
     );
   },
 };
@@ -0,0 +1,54 @@
+import { MISSING_API_PERMISSION } from 'messages/javascript';
+import { getApiPermissions } from 'schema/browser-apis';
+import { getBrowserApiUses } from 'utils';
+
+const rule = {
+  create(context) {
+    const { addonMetadata } = context.settings;
+
+    // The declared permissions are only known for extensions.
+    if (!addonMetadata || !Array.isArray(addonMetadata.permissions)) {
+      return {};
+    }
+
+    const declaredPermissions = new Set([
+      ...addonMetadata.permissions,
+      ...(addonMetadata.optionalPermissions || []),
+    ]);
+
+    return {
+      // The APIs are also used through the properties destructured from the
+      // namespaces and their aliases, see `getBrowserApiUses()`.
+      'Program:exit': () => {
+        getBrowserApiUses(context.getSourceCode().scopeManager)
+          .filter(({ api }) => api.includes('.'))
+          .forEach(({ api, node }) => {
+            const [namespace, property] = api.split('.');
+
+            getApiPermissions(namespace, property)
+              .filter(
+                (permissions) =>
+                  !permissions.some((permission) =>
+                    declaredPermissions.has(permission)
+                  )
+              )
+              .forEach((permissions) => {
+                context.report({
+                  node,
+                  message: MISSING_API_PERMISSION.messageFormat,
+                  data: {
+                    api,
+                    permissions: permissions
+                      .map((permission) => `"${permission}"`)
+                      .join(' or '),
+                  },
+                });
+              });
+          });
+      },
+    };
+  },
+};
+
+export default rule;
+export const { create } = rule;
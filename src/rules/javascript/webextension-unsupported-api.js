@@ -23,7 +23,9 @@ const rule = {
             context.report({
               node,
               message: REMOVED_MV2_API.messageFormat,
-              data: { api },
+              // `removedApi` tells these messages apart from the other
+              // UNSUPPORTED_API messages, see `getRemovedApi()`.
+              data: { api, removedApi: api },
             });
             return;
           }
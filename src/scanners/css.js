@@ -4,7 +4,7 @@ import BaseScanner from 'scanners/base';
 import log from 'logger';
 import { CSS_SYNTAX_ERROR } from 'messages';
 import { VALIDATION_WARNING } from 'const';
-import { ignorePrivateFunctions } from 'utils';
+import { getCssImportUrl, ignorePrivateFunctions } from 'utils';
 import * as cssRules from 'rules/css';
 
 export default class CSSScanner extends BaseScanner {
@@ -33,7 +33,8 @@ export default class CSSScanner extends BaseScanner {
       return;
     }
 
-    if (cssNode.type === 'atrule') {
+    // The `@import` rules are checked by the rules, e.g. `remoteImport`.
+    if (cssNode.type === 'atrule' && cssNode.name !== 'import') {
       log.debug('Processing media rules');
       if (cssNode.nodes && cssNode.nodes.length) {
         cssNode.nodes.forEach((mediaCssNode) => {
@@ -69,9 +70,34 @@ export default class CSSScanner extends BaseScanner {
     return {
       linterMessages: this.linterMessages,
       scannedFiles: this.scannedFiles,
+      references: this.getReferences(ast),
     };
   }
 
+  /*
+   * Return the stylesheets imported with `@import` as `{ type, value, line,
+   * column }` objects, see `getPackageGraph()`.
+   */
+  getReferences(ast) {
+    const references = [];
+
+    if (ast && ast.walkAtRules) {
+      ast.walkAtRules('import', (atRule) => {
+        const value = getCssImportUrl(atRule.params);
+        if (value) {
+          references.push({
+            type: 'stylesheet',
+            value,
+            line: atRule.source.start.line,
+            column: atRule.source.start.column,
+          });
+        }
+      });
+    }
+
+    return references;
+  }
+
   async _getContents(_cssParser = postcss) {
     try {
       return _cssParser.parse(this.contents, { from: this.filename });
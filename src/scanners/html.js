@@ -10,6 +10,39 @@ export default class HTMLScanner extends BaseScanner {
     return 'html';
   }
 
+  async scan(_rules = this._defaultRules) {
+    const result = await super.scan(_rules);
+
+    return {
+      ...result,
+      references: this.getReferences(await this.getContents()),
+    };
+  }
+
+  /*
+   * Return the files loaded by the page (the `src` of the scripts and the
+   * frames, the `href` of the links) and the pages it links to (the `href`
+   * of the anchors) as `{ type, value }` objects, see `getPackageGraph()`.
+   */
+  getReferences($) {
+    const references = [];
+
+    $('script[src]').each((i, element) => {
+      references.push({ type: 'script', value: $(element).attr('src') });
+    });
+    $('link[href]').each((i, element) => {
+      references.push({ type: 'link', value: $(element).attr('href') });
+    });
+    $('iframe[src], frame[src]').each((i, element) => {
+      references.push({ type: 'frame', value: $(element).attr('src') });
+    });
+    $('a[href]').each((i, element) => {
+      references.push({ type: 'anchor', value: $(element).attr('href') });
+    });
+
+    return references;
+  }
+
   async _getContents() {
     const htmlDoc = cheerio.load(this.contents);
     return htmlDoc;
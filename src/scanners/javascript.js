@@ -4,13 +4,26 @@ import { oneLine } from 'common-tags';
 import * as espree from 'espree';
 import * as vk from 'eslint-visitor-keys';
 import { ECMA_VERSION } from 'addons-scanner-utils/dist/const';
-
-import { ESLINT_RULE_MAPPING, ESLINT_TYPES } from 'const';
+import { SourceMapConsumer } from 'source-map';
+
+import {
+  ESLINT_RULE_MAPPING,
+  ESLINT_TYPES,
+  INLINE_SUPPRESSION_DIRECTIVE,
+  VALIDATION_ERROR,
+  VALIDATION_WARNING,
+} from 'const';
+import log from 'logger';
 import * as messages from 'messages';
-import { ensureFilenameExists } from 'utils';
+import { resolveReference } from 'reachability';
+import { ensureFilenameExists, getBrowserApiUses, walkAst } from 'utils';
 
 import customEslintRules from '../rules/javascript';
 
+// The strings that look like the path of a script, a page or a stylesheet,
+// with an optional query string or fragment.
+const PACKAGE_FILE_STRING_REGEX = /^[\w./-]+\.(css|html?|m?js)([?#].*)?$/i;
+
 export default class JavaScriptScanner {
   disabledRules = [];
 
@@ -19,7 +32,15 @@ export default class JavaScriptScanner {
     this.filename = filename;
     this.options = options;
     this.linterMessages = [];
+    this.suppressedMessages = [];
     this.scannedFiles = [];
+    // The browser APIs used by the code, e.g. `storage` and `storage.local`
+    // for `browser.storage.local.get()`.
+    this.browserApis = [];
+    // The files referenced by the code, see `getReferences()`.
+    this.references = [];
+    // The `data` of the reports of the custom rules, see `keepReportData()`.
+    this.reportData = new Map();
     this._rulesProcessed = 0;
     this.disabledRules =
       typeof options.disabledRules === 'string'
@@ -69,7 +90,7 @@ export default class JavaScriptScanner {
 
     // Load custom eslint rules embedded into addons-linter bundle.
     for (const key of Object.keys(customEslintRules)) {
-      linter.defineRule(key, customEslintRules[key]);
+      linter.defineRule(key, this.keepReportData(key, customEslintRules[key]));
     }
 
     // Load plugins rules.
@@ -107,6 +128,8 @@ export default class JavaScriptScanner {
         addonMetadata: this.options.addonMetadata,
         existingFiles: this.options.existingFiles,
         privileged: this.options.privileged,
+        target: this.options.target,
+        browsers: this.options.browsers,
       },
     };
 
@@ -119,6 +142,14 @@ export default class JavaScriptScanner {
     // strip that out.
     this.scannedFiles.push(this.filename);
 
+    const suppressions = this.getInlineSuppressions(
+      linter.getSourceCode(),
+      _messages
+    );
+    this.browserApis = this.getBrowserApis(linter.getSourceCode());
+    this.references = this.getReferences(linter.getSourceCode());
+    const sourceMapConsumer = this.getSourceMapConsumer();
+
     results.forEach((message) => {
       let extraShortDescription = '';
 
@@ -167,6 +198,15 @@ export default class JavaScriptScanner {
       // their `message` and `description`.
       if (Object.prototype.hasOwnProperty.call(_messages, code)) {
         ({ message: shortDescription, description } = _messages[code]);
+      } else if (
+        message.messageId &&
+        Object.prototype.hasOwnProperty.call(_messages, message.messageId)
+      ) {
+        // Rules reporting several codes use them as `messageId`, the message
+        // is then formatted by ESLint (e.g. with the URL of remote code).
+        code = message.messageId;
+        shortDescription = message.message;
+        ({ description } = _messages[code]);
       } else if (
         Object.prototype.hasOwnProperty.call(
           messages.ESLINT_OVERWRITE_MESSAGE,
@@ -189,7 +229,7 @@ export default class JavaScriptScanner {
         shortDescription += ` ${extraShortDescription}`;
       }
 
-      this.linterMessages.push({
+      const linterMessage = {
         code,
         column: message.column,
         description,
@@ -198,15 +238,267 @@ export default class JavaScriptScanner {
         message: shortDescription,
         sourceCode: message.source,
         type: ESLINT_TYPES[message.severity],
-      });
+      };
+
+      const data = this.reportData.get(
+        `${message.ruleId}:${message.line}:${message.column}`
+      );
+      if (data) {
+        linterMessage.data = data;
+      }
+
+      const original = sourceMapConsumer
+        ? this.getOriginalLocation(sourceMapConsumer, message)
+        : null;
+      if (original) {
+        linterMessage.original = original;
+      }
+
+      // Errors can't be suppressed by inline comments.
+      const suppression =
+        linterMessage.type !== VALIDATION_ERROR &&
+        suppressions[message.line] &&
+        suppressions[message.line].codes.includes(code)
+          ? suppressions[message.line]
+          : null;
+
+      if (suppression) {
+        this.suppressedMessages.push({
+          ...linterMessage,
+          justification: suppression.justification,
+        });
+      } else {
+        this.linterMessages.push(linterMessage);
+      }
     });
 
     return {
       linterMessages: this.linterMessages,
+      suppressedMessages: this.suppressedMessages,
       scannedFiles: this.scannedFiles,
+      browserApis: this.browserApis,
+      references: this.references,
+    };
+  }
+
+  /*
+   * Wrap a custom rule to record the `data` of its reports by rule and
+   * location, ESLint only returns their formatted message. The `data` is
+   * then set on the linter messages (e.g. the API of an `UNSUPPORTED_API`
+   * message), it is not part of the output.
+   */
+  keepReportData(ruleId, rule) {
+    return {
+      ...rule,
+      create: (context) => {
+        // Our rules either pass a descriptor or `(node, message, data)`.
+        const report = (...args) => {
+          const descriptor =
+            args.length === 1
+              ? args[0]
+              : { node: args[0], message: args[1], data: args[2] };
+          const loc = descriptor.loc || descriptor.node.loc;
+          const start = loc.start || loc;
+
+          if (descriptor.data) {
+            this.reportData.set(
+              `${ruleId}:${start.line}:${start.column + 1}`,
+              descriptor.data
+            );
+          }
+          context.report(...args);
+        };
+
+        return rule.create(
+          Object.create(context, { report: { value: report } })
+        );
+      },
+    };
+  }
+
+  /*
+   * Return a consumer of the source map of the file, when it is bundled or
+   * minified and its source map is in the package (`options.sourceMap` is
+   * then `{ file, map }` with the path and the content of the map), or
+   * `null`.
+   */
+  getSourceMapConsumer() {
+    const { sourceMap } = this.options;
+
+    if (!sourceMap) {
+      return null;
+    }
+    try {
+      return new SourceMapConsumer(sourceMap.map);
+    } catch (error) {
+      log.debug(`Invalid source map ${sourceMap.file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /*
+   * Return the location of an ESLint message in the original sources as
+   * `{ file, line, column }`, or `null` when it is not in the source map.
+   * The `file` is relative to the package when the source is a relative
+   * path, e.g. `src/popup.js` for `../src/popup.js` in `dist/popup.js.map`.
+   */
+  getOriginalLocation(sourceMapConsumer, { line, column }) {
+    if (!line) {
+      return null;
+    }
+    // The columns of the source maps start at 0, the ESLint ones at 1.
+    const position = sourceMapConsumer.originalPositionFor({
+      line,
+      column: column ? column - 1 : 0,
+    });
+
+    if (position.source === null || position.line === null) {
+      return null;
+    }
+    return {
+      file:
+        resolveReference(this.options.sourceMap.file, {
+          type: 'source',
+          value: position.source,
+        }) || position.source,
+      line: position.line,
+      column: position.column + 1,
     };
   }
 
+  getBrowserApis(sourceCode) {
+    if (!sourceCode) {
+      return [];
+    }
+
+    return [
+      ...new Set(
+        getBrowserApiUses(sourceCode.scopeManager).map(({ api }) => api)
+      ),
+    ].sort();
+  }
+
+  /*
+   * Return the files referenced by the code as `{ type, value, line, column }`
+   * objects: the `import` sources, the `importScripts()` arguments and the
+   * strings that look like a package file (e.g. `runtime.getURL('a.html')`).
+   * See `getPackageGraph()`.
+   */
+  getReferences(sourceCode) {
+    const references = [];
+
+    if (!sourceCode) {
+      return references;
+    }
+
+    const add = (type, node) => {
+      if (node && node.type === 'Literal' && typeof node.value === 'string') {
+        references.push({
+          type,
+          value: node.value,
+          line: node.loc.start.line,
+          column: node.loc.start.column + 1,
+        });
+        return true;
+      }
+      return false;
+    };
+    // The strings already added as an `import` or `importScripts()` reference.
+    const sources = new Set();
+
+    walkAst(sourceCode.ast, (node) => {
+      if (
+        [
+          'ExportAllDeclaration',
+          'ExportNamedDeclaration',
+          'ImportDeclaration',
+          'ImportExpression',
+        ].includes(node.type) &&
+        add('import', node.source)
+      ) {
+        sources.add(node.source);
+      }
+      if (
+        node.type === 'CallExpression' &&
+        (node.callee.type === 'Identifier'
+          ? node.callee.name
+          : !node.callee.computed && node.callee.property?.name) ===
+          'importScripts'
+      ) {
+        node.arguments.forEach((argument) => {
+          if (add('importScripts', argument)) {
+            sources.add(argument);
+          }
+        });
+      }
+    });
+
+    walkAst(sourceCode.ast, (node) => {
+      if (
+        node.type === 'Literal' &&
+        !sources.has(node) &&
+        typeof node.value === 'string' &&
+        PACKAGE_FILE_STRING_REGEX.test(node.value)
+      ) {
+        add('string', node);
+      }
+    });
+
+    return references.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  /*
+   * Collect the `addons-linter-disable-next-line` comments, which allow to
+   * acknowledge reviewed findings, e.g.:
+   *
+   *   // addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT -- reason
+   *
+   * Returns an object mapping the suppressed line numbers to the codes and
+   * justification. Comments without codes or justification are reported and
+   * ignored.
+   */
+  getInlineSuppressions(sourceCode, _messages = messages) {
+    const suppressions = {};
+
+    if (!sourceCode) {
+      return suppressions;
+    }
+
+    sourceCode.getAllComments().forEach((comment) => {
+      const value = comment.value.replace(/^[\s*]+/, '');
+
+      if (
+        value !== INLINE_SUPPRESSION_DIRECTIVE &&
+        !value.startsWith(`${INLINE_SUPPRESSION_DIRECTIVE} `)
+      ) {
+        return;
+      }
+
+      const [codes, ...justification] = value
+        .slice(INLINE_SUPPRESSION_DIRECTIVE.length)
+        .split('--');
+      const suppression = {
+        codes: codes.split(/[\s,]+/).filter((code) => code),
+        justification: justification.join('--').trim(),
+      };
+
+      if (!suppression.codes.length || !suppression.justification) {
+        this.linterMessages.push({
+          ..._messages.INLINE_SUPPRESSION_INVALID,
+          column: comment.loc.start.column + 1,
+          file: this.filename,
+          line: comment.loc.start.line,
+          type: VALIDATION_WARNING,
+        });
+        return;
+      }
+
+      suppressions[comment.loc.end.line + 1] = suppression;
+    });
+
+    return suppressions;
+  }
+
   _getSourceType(node) {
     const possibleImportExportTypes = [
       'ExportAllDeclaration',
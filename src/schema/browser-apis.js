@@ -216,3 +216,48 @@ export function hasBrowserApi(
 
   return schemaItem && !schemaItem.unsupported;
 }
+
+// Only the named permissions are checked, not the host permissions (e.g.
+// `<all_urls>`) nor the manifest keys (e.g. `manifest:action`).
+function isApiPermission(permission) {
+  return /^[\w.]+$/.test(permission);
+}
+
+/*
+ * Return the permissions required by an API: the ones of its namespace and
+ * the ones of the API itself. Each requirement is a list of alternatives, any
+ * of them grants access to the API, e.g. `[['menus', 'contextMenus']]`.
+ */
+export function getApiPermissions(namespace, property, apiSchemas = schemas) {
+  const schema = apiSchemas[namespace];
+  if (!schema) {
+    return [];
+  }
+  const schemaItem =
+    getObjectProperty(schema, property) || getArrayProperty(schema, property);
+
+  return [schema.permissions, schemaItem && schemaItem.permissions]
+    .map((permissions) => (permissions || []).filter(isApiPermission))
+    .filter((permissions) => permissions.length);
+}
+
+// Return the names of the permissions required by at least one API.
+export function getApiPermissionNames(apiSchemas = schemas) {
+  const names = new Set();
+
+  Object.values(apiSchemas).forEach((schema) => {
+    [
+      schema,
+      ...schemaArrayNames.flatMap((name) =>
+        Array.isArray(schema[name]) ? schema[name] : []
+      ),
+      ...schemaObjectNames.flatMap((name) => Object.values(schema[name] || {})),
+    ].forEach((item) => {
+      (Array.isArray(item.permissions) ? item.permissions : [])
+        .filter(isApiPermission)
+        .forEach((permission) => names.add(permission));
+    });
+  });
+
+  return names;
+}
@@ -1,13 +1,16 @@
 import url from 'url';
 
+import glob from 'glob';
 import upath from 'upath';
 import Jed from 'jed';
 import semver from 'semver';
 import { oneLine } from 'common-tags';
 import osLocale from 'os-locale';
+import * as vk from 'eslint-visitor-keys';
+import { mozCompare } from 'addons-moz-compare';
 
 import log from 'logger';
-import { PACKAGE_TYPES, LOCAL_PROTOCOLS } from 'const';
+import { ANY_BROWSER_API, PACKAGE_TYPES, LOCAL_PROTOCOLS } from 'const';
 
 /* global nodeRequire, localesRoot */
 
@@ -50,6 +53,27 @@ export function isValidVersionString(version) {
   return !parts.some((part) => !/^(0|[1-9][0-9]{0,8})$/.test(part));
 }
 
+// Convert a toolkit version string (e.g. `1.0a1`) into a valid version
+// string by only keeping the numbers each part starts with (e.g. `1.0`).
+// Returns `null` when that's not possible.
+export function simplifyVersionString(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+
+  const simplified = version.split('.').map((part) => {
+    const digits = /^\d+/.exec(part);
+    return digits ? String(parseInt(digits[0], 10)) : null;
+  });
+
+  if (simplified.includes(null)) {
+    return null;
+  }
+
+  const simplifiedVersion = simplified.join('.');
+  return isValidVersionString(simplifiedVersion) ? simplifiedVersion : null;
+}
+
 // Represents an error condition related to a user error (e.g. an invalid
 // configuration option passed to the linter class, usually through the
 // command line arguments).
@@ -233,6 +257,29 @@ export function ensureFilenameExists(filename) {
   }
 }
 
+/*
+ * Whether the paths passed to the linter designate several packages: more
+ * than one path or a glob pattern.
+ */
+export function hasMultiplePackages(packagePaths = [], _glob = glob) {
+  return (
+    packagePaths.length > 1 ||
+    packagePaths.some((packagePath) => _glob.hasMagic(String(packagePath)))
+  );
+}
+
+/*
+ * Escape a string so that it can be used as XML text or attribute value.
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 export function isLocalUrl(urlInput) {
   const parsedUrl = url.parse(urlInput);
   const { protocol, path } = parsedUrl;
@@ -250,6 +297,24 @@ export function isLocalUrl(urlInput) {
   return true;
 }
 
+// Whether a URL points to a remote resource (an `http(s):` or a
+// protocol-relative URL).
+export function isRemoteUrl(value) {
+  return typeof value === 'string' && /^\s*(https?:)?\/\//i.test(value);
+}
+
+// Return the URL of the stylesheet imported by the params of an `@import`
+// rule, e.g. `url("theme.css") screen`, or `null`.
+export function getCssImportUrl(params) {
+  const match = params.match(
+    /^\s*(?:url\(\s*(['"]?)([^'"()\s]+)\1\s*\)|(['"])([^'"]+)\3)/i
+  );
+  if (!match) {
+    return null;
+  }
+  return match[2] || match[4];
+}
+
 export function apiToMessage(string) {
   return string
     .replace(/^extension/, 'ext')
@@ -293,6 +358,150 @@ export function getLineAndColumnFromMatch(match) {
   return { matchedLine, matchedColumn };
 }
 
+// Call `callback` on each node of an AST.
+export function walkAst(ast, callback) {
+  const nodes = [ast];
+  while (nodes.length) {
+    const node = nodes.pop();
+    callback(node);
+
+    (vk.KEYS[node.type] || vk.getKeys(node)).forEach((key) => {
+      [].concat(node[key] || []).forEach((child) => {
+        if (child && typeof child.type === 'string') {
+          nodes.push(child);
+        }
+      });
+    });
+  }
+}
+
+// Return the name of the property accessed by a member expression or defined
+// by a property of an object pattern (e.g. `local` for `storage.local`,
+// `storage["local"]` or `{ local }`), or `null` when it is computed.
+function getPropertyName(node) {
+  const key = node.type === 'MemberExpression' ? node.property : node.key;
+
+  if (!node.computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  if (key.type === 'Literal' && typeof key.value === 'string') {
+    return key.value;
+  }
+  return null;
+}
+
+/*
+ * Return the uses of the browser APIs by the code of an ESLint scope manager
+ * as `{ api, node }` objects, e.g. `storage` and `storage.local` for
+ * `browser.storage.local.get()`. The `browser` and `chrome` namespaces are
+ * followed through their members, the properties destructured from them and
+ * the variables they are assigned to (e.g. `const { storage } = browser` or
+ * `const api = typeof browser === 'undefined' ? chrome : browser`). When the
+ * namespace is used otherwise (e.g. passed to a function), the APIs can't be
+ * known and `ANY_BROWSER_API` is returned.
+ */
+export function getBrowserApiUses(scopeManager) {
+  const uses = [];
+  const followedVariables = new Set();
+
+  const addUse = (api, node) => uses.push({ api, node });
+
+  // Add the uses of the namespace (e.g. `['storage']` for `browser.storage`)
+  // of a pattern the namespace is assigned to.
+  const addPatternUses = (declarator, pattern, path) => {
+    if (pattern.type === 'AssignmentPattern') {
+      addPatternUses(declarator, pattern.left, path);
+    } else if (pattern.type === 'Identifier') {
+      scopeManager
+        .getDeclaredVariables(declarator)
+        .filter(
+          (variable) =>
+            variable.name === pattern.name && !followedVariables.has(variable)
+        )
+        .forEach((variable) => {
+          followedVariables.add(variable);
+          variable.references
+            .filter((reference) => reference.isRead())
+            .forEach((reference) =>
+              // eslint-disable-next-line no-use-before-define
+              addNodeUses(reference.identifier, path)
+            );
+        });
+    } else if (pattern.type === 'ObjectPattern' && path.length < 2) {
+      pattern.properties.forEach((property) => {
+        const name = property.type === 'Property' && getPropertyName(property);
+        if (name) {
+          addUse([...path, name].join('.'), property);
+          addPatternUses(declarator, property.value, [...path, name]);
+        } else if (!path.length) {
+          addUse(ANY_BROWSER_API, property);
+        }
+      });
+    } else if (!path.length) {
+      addUse(ANY_BROWSER_API, pattern);
+    }
+  };
+
+  const addNodeUses = (node, path) => {
+    const { parent } = node;
+
+    if (parent.type === 'MemberExpression' && parent.object === node) {
+      const name = getPropertyName(parent);
+      if (name && path.length < 2) {
+        addUse([...path, name].join('.'), parent);
+        addNodeUses(parent, [...path, name]);
+      } else if (!name && !path.length) {
+        addUse(ANY_BROWSER_API, parent);
+      }
+    } else if (parent.type === 'VariableDeclarator' && parent.init === node) {
+      addPatternUses(parent, parent.id, path);
+    } else if (
+      (parent.type === 'ConditionalExpression' && parent.test !== node) ||
+      parent.type === 'LogicalExpression'
+    ) {
+      addNodeUses(parent, path);
+    } else if (
+      !path.length &&
+      // e.g. `typeof browser`, `browser === undefined` or `if (browser)`.
+      ![
+        'BinaryExpression',
+        'ConditionalExpression',
+        'IfStatement',
+        'UnaryExpression',
+      ].includes(parent.type)
+    ) {
+      addUse(ANY_BROWSER_API, node);
+    }
+  };
+
+  const { globalScope } = scopeManager;
+  // The references to the `browser` and `chrome` globals are resolved when
+  // they are declared, e.g. by the `webextensions` environment of ESLint.
+  new Set([
+    ...globalScope.through,
+    ...globalScope.variables.flatMap((variable) => variable.references),
+  ]).forEach((reference) => {
+    if (
+      isBrowserNamespace(reference.identifier.name) &&
+      (!reference.resolved || reference.resolved.scope === globalScope) &&
+      reference.isRead()
+    ) {
+      addNodeUses(reference.identifier, []);
+    }
+  });
+
+  return uses;
+}
+
+/**
+ * Return the URL of the source map of some JavaScript code, from its
+ * `//# sourceMappingURL=` comment, or `null`.
+ */
+export function getSourceMapUrl(code) {
+  const match = code ? code.match(SOURCE_MAP_RE) : null;
+  return match && match[1] === 'sourceMappingURL' ? match[2] : null;
+}
+
 /**
  * Determines if the source text is minified.
  * Using the percentage no. of the indented lines from a sample set of lines
@@ -361,6 +570,8 @@ export function couldBeMinifiedCode(code) {
   );
 }
 
+// Return `applications.gecko.strict_min_version`, compared with the versions
+// of `@mdn/browser-compat-data` by `basicCompatVersionComparison()`.
 export function firefoxStrictMinVersion(manifestJson) {
   if (
     manifestJson.applications &&
@@ -368,17 +579,53 @@ export function firefoxStrictMinVersion(manifestJson) {
     manifestJson.applications.gecko.strict_min_version &&
     typeof manifestJson.applications.gecko.strict_min_version === 'string'
   ) {
-    return parseInt(
-      manifestJson.applications.gecko.strict_min_version.split('.')[0],
-      10
-    );
+    return manifestJson.applications.gecko.strict_min_version;
   }
   return null;
 }
 
+// Return the minimum Firefox for Android version of the metadata returned by
+// `ManifestJSONParser.getMetadata()`: `gecko_android.strict_min_version`, or
+// `gecko.strict_min_version` when it is not set.
+export function getAndroidMinVersion({
+  firefoxAndroidMinVersion,
+  firefoxMinVersion,
+}) {
+  return firefoxAndroidMinVersion || firefoxMinVersion || null;
+}
+
+// Return the maximum Firefox for Android version of the metadata, like
+// `getAndroidMinVersion()`.
+export function getAndroidMaxVersion({
+  firefoxAndroidMaxVersion,
+  firefoxMaxVersion,
+}) {
+  return firefoxAndroidMaxVersion || firefoxMaxVersion || null;
+}
+
+// Whether a version of `@mdn/browser-compat-data` is a release version, e.g.
+// `57` but not `true`, `preview` or a ranged version like `≤58`.
+function isReleaseVersion(version) {
+  return (
+    (typeof version === 'string' || typeof version === 'number') &&
+    /^\d/.test(String(version))
+  );
+}
+
+// Return the release of a toolkit version, e.g. `60.0` for `60.0a1`: the
+// features added in a release are also in its pre-releases.
+function getReleaseVersion(version) {
+  return String(version).replace(/[a-z].*$/i, '');
+}
+
+// Whether a feature added in `versionAdded` is missing from the `minVersion`
+// of Firefox, the full versions are compared (e.g. `57.0.1` and `57.0a1`).
 export function basicCompatVersionComparison(versionAdded, minVersion) {
-  const asNumber = parseInt(versionAdded, 10);
-  return !Number.isNaN(asNumber) && asNumber > minVersion;
+  return (
+    isReleaseVersion(versionAdded) &&
+    isReleaseVersion(minVersion) &&
+    mozCompare(String(versionAdded), getReleaseVersion(minVersion)) > 0
+  );
 }
 
 /**
@@ -400,7 +647,7 @@ export function firstStableVersion(supportInfo) {
         (supportEntry.version_added &&
           !basicCompatVersionComparison(
             supportEntry.version_added,
-            parseInt(versionAdded, 10)
+            versionAdded
           )))
     ) {
       return supportEntry.version_added;
@@ -409,7 +656,9 @@ export function firstStableVersion(supportInfo) {
   }, false);
 }
 
-export function isCompatible(bcd, path, minVersion, application) {
+// Return the compatibility data of an API (e.g. `tabs.create`), or `null` when
+// the API is not documented.
+export function getApiCompat(bcd, path) {
   const steps = path.split('.');
   let { api } = bcd.webextensions;
   for (const step of steps) {
@@ -419,33 +668,152 @@ export function isCompatible(bcd, path, minVersion, application) {
       break;
     }
   }
+  return api.__compat || null;
+}
+
+export function isCompatible(bcd, path, minVersion, application) {
+  const compat = getApiCompat(bcd, path);
   // API namespace may be undocumented or not implemented, ignore in that case.
-  if (api.__compat) {
-    const supportInfo = api.__compat.support[application];
+  if (compat) {
+    const supportInfo = compat.support[application];
     const versionAdded = firstStableVersion(supportInfo);
     return !basicCompatVersionComparison(versionAdded, minVersion);
   }
   return true;
 }
 
+function formatCompatNotes(notes) {
+  return (Array.isArray(notes) ? notes : [notes])
+    .filter(Boolean)
+    .map((note) => note.replace(/<[^>]+>/g, ''))
+    .join(' ');
+}
+
+/*
+ * Return the problems of a feature in the `[minVersion, maxVersion]` range of
+ * versions of an application (any bound can be `null`), given its support
+ * data of `@mdn/browser-compat-data` (e.g. `support.firefox`):
+ *
+ * - `{ kind: 'added', version }`: the first stable version supporting it is
+ *   after `minVersion`
+ * - `{ kind: 'removed', version }`: it was removed, and not added again, in
+ *   a version before `maxVersion`
+ * - `{ kind: 'partial', notes }`: it is only partially implemented by some
+ *   versions of the range
+ */
+export function getVersionRangeProblems(
+  supportInfo,
+  { minVersion = null, maxVersion = null } = {}
+) {
+  const problems = [];
+  if (!supportInfo) {
+    return problems;
+  }
+
+  const versionAdded = firstStableVersion(supportInfo);
+  if (minVersion && basicCompatVersionComparison(versionAdded, minVersion)) {
+    problems.push({ kind: 'added', version: versionAdded });
+  }
+
+  // The entries of other names (e.g. a prefixed version) are ignored.
+  const entries = (
+    Array.isArray(supportInfo) ? supportInfo : [supportInfo]
+  ).filter(
+    (entry) =>
+      !entry.flags &&
+      !entry.alternative_name &&
+      !entry.prefix &&
+      (entry.version_added === true || isReleaseVersion(entry.version_added))
+  );
+
+  const versionsRemoved = entries
+    .map((entry) => entry.version_removed)
+    .filter(isReleaseVersion)
+    .sort(mozCompare);
+  const versionRemoved = versionsRemoved[versionsRemoved.length - 1];
+  if (
+    entries.length &&
+    entries.every((entry) => entry.version_removed) &&
+    versionRemoved &&
+    (!maxVersion || mozCompare(versionRemoved, maxVersion) <= 0)
+  ) {
+    problems.push({ kind: 'removed', version: versionRemoved });
+  }
+
+  const partialEntry = entries.find(
+    (entry) =>
+      entry.partial_implementation &&
+      (!maxVersion ||
+        entry.version_added === true ||
+        !basicCompatVersionComparison(entry.version_added, maxVersion)) &&
+      (!minVersion ||
+        !isReleaseVersion(entry.version_removed) ||
+        basicCompatVersionComparison(entry.version_removed, minVersion))
+  );
+  if (partialEntry) {
+    problems.push({
+      kind: 'partial',
+      notes: formatCompatNotes(partialEntry.notes),
+    });
+  }
+
+  return problems;
+}
+
+// Whether an API is supported by an application (e.g. `firefox_android`) in
+// any version, the undocumented APIs are considered supported.
+export function isSupported(bcd, path, application) {
+  const compat = getApiCompat(bcd, path);
+  if (compat && compat.support[application]) {
+    return firstStableVersion(compat.support[application]) !== false;
+  }
+  return true;
+}
+
+/*
+ * Create the visitor of a rule reporting the APIs not supported by the
+ * versions of an application, see `getVersionRangeProblems()`. The range is
+ * `[strict_min_version, strict_max_version]` unless `minVersion` or
+ * `maxVersion` is set. The APIs added after the minimum version are reported
+ * with `message`, the ones removed in the range with `removedMessageId` and
+ * the ones partially implemented with `partialMessageId`. With
+ * `unsupportedMessageId`, the APIs not supported in any version are reported
+ * with this `messageId` too, even without a range.
+ */
 export function createCompatibilityRule(
   application,
   message,
   context,
   bcd,
-  hasBrowserApi
+  hasBrowserApi,
+  {
+    minVersion: minVersionOption,
+    maxVersion: maxVersionOption,
+    unsupportedMessageId = null,
+    removedMessageId = null,
+    partialMessageId = null,
+  } = {}
 ) {
   const { addonMetadata } = context.settings;
-  const minVersion =
-    addonMetadata &&
-    firefoxStrictMinVersion({
-      applications: {
-        gecko: {
-          strict_min_version: context.settings.addonMetadata.firefoxMinVersion,
-        },
+  const metadata = addonMetadata || {};
+  const minVersion = firefoxStrictMinVersion({
+    applications: {
+      gecko: {
+        strict_min_version:
+          minVersionOption === undefined
+            ? metadata.firefoxMinVersion
+            : minVersionOption,
       },
-    });
-  if (minVersion) {
+    },
+  });
+  const maxVersionString =
+    maxVersionOption === undefined
+      ? metadata.firefoxMaxVersion
+      : maxVersionOption;
+  const maxVersion =
+    typeof maxVersionString === 'string' ? maxVersionString : null;
+
+  if (minVersion || maxVersion || unsupportedMessageId) {
     return {
       MemberExpression(node) {
         if (
@@ -456,15 +824,44 @@ export function createCompatibilityRule(
           const namespace = node.object.property.name;
           const property = node.property.name;
           const api = `${namespace}.${property}`;
-          if (
-            hasBrowserApi(namespace, property, addonMetadata) &&
-            !isCompatible(bcd, api, minVersion, application)
-          ) {
-            context.report(node, message.messageFormat, {
-              api,
-              minVersion: addonMetadata.firefoxMinVersion,
+          if (!hasBrowserApi(namespace, property, addonMetadata)) {
+            return;
+          }
+          if (unsupportedMessageId && !isSupported(bcd, api, application)) {
+            context.report({
+              node,
+              messageId: unsupportedMessageId,
+              data: { api },
             });
+            return;
+          }
+
+          // API namespace may be undocumented or not implemented, ignore in
+          // that case.
+          const compat = getApiCompat(bcd, api);
+          if (!compat || (!minVersion && !maxVersion)) {
+            return;
           }
+          getVersionRangeProblems(compat.support[application], {
+            minVersion,
+            maxVersion,
+          }).forEach(({ kind, version, notes }) => {
+            if (kind === 'added') {
+              context.report(node, message.messageFormat, { api, minVersion });
+            } else if (kind === 'removed' && removedMessageId) {
+              context.report({
+                node,
+                messageId: removedMessageId,
+                data: { api, version },
+              });
+            } else if (kind === 'partial' && partialMessageId) {
+              context.report({
+                node,
+                messageId: partialMessageId,
+                data: { api, notes: notes ? ` (${notes})` : '' },
+              });
+            }
+          });
         }
       },
     };
@@ -0,0 +1,182 @@
+import fs from 'fs';
+import path from 'path';
+
+import upath from 'upath';
+
+import log from 'logger';
+
+// How long to wait for more changes before reporting them, editors usually
+// write a file in several steps (e.g. truncate, write, rename).
+export const WATCH_DEBOUNCE_DELAY = 100;
+
+/*
+ * Watch a directory and its sub-directories, `onChange` is called with the
+ * list of the changed paths (relative to `dirPath`, using unix separators)
+ * once no change has been detected for `delay` milliseconds.
+ *
+ * `fs.watch()` is not recursive on all the platforms and nodejs versions we
+ * support, which is why each directory is watched on its own.
+ *
+ * Returns an object with a `close()` method to stop watching.
+ */
+export function watchDirectory(
+  dirPath,
+  onChange,
+  {
+    shouldWatchDir = () => true,
+    delay = WATCH_DEBOUNCE_DELAY,
+    _fs = fs,
+    _setTimeout = setTimeout,
+    _clearTimeout = clearTimeout,
+  } = {}
+) {
+  const watchers = {};
+  let changedPaths = new Set();
+  let timeout = null;
+
+  const flush = () => {
+    timeout = null;
+    const paths = [...changedPaths].sort();
+    changedPaths = new Set();
+    onChange(paths);
+  };
+
+  const isDirectory = (relativePath) => {
+    try {
+      return _fs.statSync(path.join(dirPath, relativePath)).isDirectory();
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const unwatchDir = (relativeDir) => {
+    Object.keys(watchers).forEach((watchedDir) => {
+      if (
+        relativeDir === '' ||
+        watchedDir === relativeDir ||
+        watchedDir.startsWith(`${relativeDir}/`)
+      ) {
+        watchers[watchedDir].close();
+        delete watchers[watchedDir];
+      }
+    });
+  };
+
+  const watchDir = (relativeDir) => {
+    if (watchers[relativeDir]) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = _fs.readdirSync(path.join(dirPath, relativeDir), {
+        withFileTypes: true,
+      });
+    } catch (err) {
+      log.debug(`Unable to watch "${relativeDir}": ${err}`);
+      return;
+    }
+
+    const watcher = _fs.watch(
+      path.join(dirPath, relativeDir),
+      (eventType, filename) => {
+        if (!filename) {
+          return;
+        }
+
+        const changedPath = upath.toUnix(path.join(relativeDir, filename));
+        if (isDirectory(changedPath)) {
+          if (!shouldWatchDir(changedPath)) {
+            return;
+          }
+          watchDir(changedPath);
+        } else if (watchers[changedPath]) {
+          // The directory has been removed.
+          unwatchDir(changedPath);
+        }
+
+        changedPaths.add(changedPath);
+        if (timeout) {
+          _clearTimeout(timeout);
+        }
+        timeout = _setTimeout(flush, delay);
+      }
+    );
+    // The watched directory may be removed at any time, this is reported by
+    // the watcher of its parent directory.
+    watcher.on('error', (err) => {
+      log.debug(`Stopped watching "${relativeDir}": ${err}`);
+      unwatchDir(relativeDir);
+    });
+    watchers[relativeDir] = watcher;
+
+    entries.forEach((entry) => {
+      const entryPath = upath.toUnix(path.join(relativeDir, entry.name));
+      if (entry.isDirectory() && shouldWatchDir(entryPath)) {
+        watchDir(entryPath);
+      }
+    });
+  };
+
+  watchDir('');
+
+  return {
+    close() {
+      if (timeout) {
+        _clearTimeout(timeout);
+        timeout = null;
+      }
+      unwatchDir('');
+    },
+  };
+}
+
+function getMessageKey(message) {
+  return JSON.stringify([
+    message.type,
+    message.code,
+    message.file,
+    message.line,
+    message.column,
+    message.instancePath,
+    message.message,
+  ]);
+}
+
+/*
+ * Compare two lists of messages and return the messages that appeared
+ * (`added`) and disappeared (`removed`) in the second one.
+ */
+export function diffMessages(previousMessages, currentMessages) {
+  const previousCounts = {};
+  previousMessages.forEach((message) => {
+    const key = getMessageKey(message);
+    previousCounts[key] = (previousCounts[key] || 0) + 1;
+  });
+
+  const added = currentMessages.filter((message) => {
+    const key = getMessageKey(message);
+    if (previousCounts[key] > 0) {
+      previousCounts[key]--;
+      return false;
+    }
+    return true;
+  });
+
+  const currentCounts = {};
+  currentMessages.forEach((message) => {
+    const key = getMessageKey(message);
+    currentCounts[key] = (currentCounts[key] || 0) + 1;
+  });
+
+  const removed = previousMessages.filter((message) => {
+    const key = getMessageKey(message);
+    if (currentCounts[key] > 0) {
+      currentCounts[key]--;
+      return false;
+    }
+    return true;
+  });
+
+  return { added, removed };
+}
@@ -1,3 +1,5 @@
+import { oneLine } from 'common-tags';
+
 const options = {
   'log-level': {
     describe: 'The log-level to generate',
@@ -15,7 +17,7 @@ const options = {
     describe: 'The type of output to generate',
     type: 'string',
     default: 'text',
-    choices: ['json', 'text'],
+    choices: ['json', 'junit', 'sarif', 'text'],
   },
   metadata: {
     describe: 'Output only metadata as JSON',
@@ -77,6 +79,66 @@ const options = {
     type: 'string',
     requiresArg: true,
   },
+  rules: {
+    describe: oneLine`Override the severity of a message code (off, notice,
+      warning or error), e.g. --rules.MANIFEST_CSP=off`,
+    requiresArg: true,
+  },
+  baseline: {
+    describe: 'Hide the messages already listed in the given baseline file',
+    type: 'string',
+    requiresArg: true,
+  },
+  'write-baseline': {
+    describe: 'Write the messages found to the given baseline file',
+    type: 'string',
+    requiresArg: true,
+  },
+  'migrate-to-mv3': {
+    describe: oneLine`Output the changes required to migrate a Manifest
+      Version 2 extension to Manifest Version 3`,
+    type: 'boolean',
+    default: false,
+  },
+  fix: {
+    describe: 'Fix the manifest.json problems that can be fixed automatically',
+    type: 'boolean',
+    default: false,
+  },
+  'fix-dry-run': {
+    describe: oneLine`Print the fixes of the manifest.json problems that can
+      be fixed automatically as a diff, without applying them, along with the
+      suggested changes that --fix never applies`,
+    type: 'boolean',
+    default: false,
+  },
+  watch: {
+    describe: oneLine`Keep linting the directory when its files change, only
+      the messages that appeared or disappeared are printed`,
+    type: 'boolean',
+    default: false,
+  },
+  target: {
+    describe: oneLine`Check the compatibility of the whole package with a
+      platform: the APIs, the manifest keys and the permissions`,
+    type: 'string',
+    choices: ['android'],
+    requiresArg: true,
+  },
+  browsers: {
+    describe: oneLine`Report the manifest keys, permissions and APIs not
+      supported by a comma separated list of browsers (chrome, edge, firefox,
+      firefox_android, opera, safari or safari_ios)`,
+    type: 'string',
+    requiresArg: true,
+  },
+  'trust-project-config': {
+    describe: oneLine`Load the .addons-linterrc.js file of the package and
+      allow its project config to set the options weakening the checks, only
+      use it with your own add-ons`,
+    type: 'boolean',
+    default: false,
+  },
   'disable-xpi-autoclose': {
     describe: 'Disable the auto-close feature when linting XPI files',
     type: 'boolean',
@@ -1,4 +1,8 @@
+import semver from 'semver';
+
 import Dispensary from 'dispensary';
+import ADVISORIES from 'dispensary/advisories';
+import LIBRARIES from 'dispensary/libraries';
 
 describe(__filename, () => {
   it('should match a hash', () => {
@@ -29,4 +33,189 @@ describe(__filename, () => {
     expect(match).toBeFalsy();
     expect(getSpy.calledOnce).toBe(true);
   });
+
+  const createModuleDispensary = () => {
+    const dispensary = new Dispensary();
+    sinon
+      .stub(dispensary, '_getCachedHashes')
+      .returns([
+        '9320ea11f6d427aec4949634dc8676136b2fa8cdad289d22659b44541abb8c51 mylib.1.0.0.js',
+      ]);
+    sinon.stub(dispensary, '_getLibraries').returns([
+      {
+        name: 'mylib',
+        versions: ['1.0.0', '2.1.0'],
+        filename: 'mylib-$VERSION.js',
+        filenameOutput: 'mylib.js',
+        filenameMinified: 'mylib.min.js',
+      },
+    ]);
+    return dispensary;
+  };
+
+  describe('matchModuleCode()', () => {
+    it('should match the code of a module', () => {
+      const dispensary = createModuleDispensary();
+
+      expect(dispensary.matchModuleCode('\nhasher\n')).toEqual(
+        'mylib.1.0.0.js'
+      );
+      expect(dispensary.matchModuleCode('\n\nhasher\n\n/***/ ')).toEqual(
+        'mylib.1.0.0.js'
+      );
+    });
+
+    it('should match the indented code of a module', () => {
+      const dispensary = createModuleDispensary();
+      sinon.stub(dispensary, 'match').returns(false);
+      dispensary.match.withArgs('a();\n  b();\n').returns('mylib.1.0.0.js');
+
+      expect(dispensary.matchModuleCode('\n  a();\n    b();\n')).toEqual(
+        'mylib.1.0.0.js'
+      );
+    });
+
+    it('should not match the banner of a module', () => {
+      const dispensary = createModuleDispensary();
+
+      expect(
+        dispensary.matchModuleCode('/*! MyLib v2.1.0 | MIT */\neval(a);')
+      ).toBe(false);
+    });
+  });
+
+  describe('matchModuleBanner()', () => {
+    it('should match the file name and the banner of a module', () => {
+      const dispensary = createModuleDispensary();
+
+      expect(
+        dispensary.matchModuleBanner({
+          id: './node_modules/mylib/dist/mylib.min.js',
+          code: '/*! MyLib v2.1.0 | MIT */\nvar mylib = {};',
+        })
+      ).toEqual('mylib.2.1.0.mylib.min.js');
+    });
+
+    it('should not match the unknown modules', () => {
+      const dispensary = createModuleDispensary();
+
+      [
+        // Not a known version.
+        {
+          id: './node_modules/mylib/dist/mylib.js',
+          code: '/*! MyLib v3.0.0 */',
+        },
+        // Not a known file of the library.
+        {
+          id: './node_modules/mylib/src/index.js',
+          code: '/*! MyLib v2.1.0 */',
+        },
+        // Not a package.
+        { id: './src/mylib.js', code: '/*! MyLib v2.1.0 */' },
+        // No banner.
+        { id: './node_modules/mylib/dist/mylib.js', code: 'var mylib = {};' },
+      ].forEach((module) => {
+        expect(dispensary.matchModuleBanner(module)).toBe(false);
+      });
+    });
+  });
+
+  describe('getLibraryVersion()', () => {
+    it('should return the name and the version of a library', () => {
+      const dispensary = new Dispensary();
+
+      expect(
+        dispensary.getLibraryVersion('jquery.3.2.1.jquery.min.js')
+      ).toEqual({ name: 'jquery', version: '3.2.1', file: 'jquery.min.js' });
+      expect(
+        dispensary.getLibraryVersion('jquery-ui.1.12.1.jquery-ui.js')
+      ).toEqual({ name: 'jquery-ui', version: '1.12.1', file: 'jquery-ui.js' });
+      expect(
+        dispensary.getLibraryVersion(
+          'react-dom16.16.4.0.react-dom.production.min.js'
+        )
+      ).toEqual({
+        name: 'react-dom16',
+        version: '16.4.0',
+        file: 'react-dom.production.min.js',
+      });
+    });
+
+    it('should return null for the unknown libraries', () => {
+      const dispensary = new Dispensary();
+
+      expect(dispensary.getLibraryVersion('mylib.1.0.0.js')).toEqual(null);
+      expect(dispensary.getLibraryVersion('jquery.0.0.1.jquery.js')).toEqual(
+        null
+      );
+    });
+  });
+
+  describe('getAdvisories()', () => {
+    const advisories = [
+      {
+        id: 'CVE-1',
+        library: 'mylib',
+        severity: 'high',
+        vulnerableVersions: '<1.2.0',
+        fixedVersion: '1.2.0',
+      },
+      {
+        id: 'CVE-2',
+        library: 'mylib',
+        severity: 'low',
+        vulnerableVersions: '>=1.1.0 <2.0.1',
+        fixedVersion: '2.0.1',
+      },
+      {
+        id: 'CVE-3',
+        library: 'otherlib',
+        severity: 'low',
+        vulnerableVersions: '*',
+        fixedVersion: '2.0.0',
+      },
+    ];
+
+    it('should return the advisories affecting a library', () => {
+      const dispensary = new Dispensary();
+      sinon.stub(dispensary, '_getAdvisories').returns(advisories);
+
+      expect(
+        dispensary
+          .getAdvisories({ name: 'mylib', version: '1.1.3' })
+          .map(({ id }) => id)
+      ).toEqual(['CVE-1', 'CVE-2']);
+      expect(
+        dispensary
+          .getAdvisories({ name: 'mylib', version: '2.0.0-beta.1' })
+          .map(({ id }) => id)
+      ).toEqual(['CVE-2']);
+      expect(
+        dispensary.getAdvisories({ name: 'mylib', version: '2.0.1' })
+      ).toEqual([]);
+      // The versions that are not semver are coerced.
+      expect(
+        dispensary
+          .getAdvisories({ name: 'mylib', version: '1.0' })
+          .map(({ id }) => id)
+      ).toEqual(['CVE-1']);
+    });
+
+    it('should have valid advisories', () => {
+      const names = LIBRARIES.map(({ name }) => name);
+
+      ADVISORIES.forEach((advisory) => {
+        expect(names).toContain(advisory.library);
+        expect(advisory.id).toMatch(/^CVE-\d{4}-\d+$/);
+        expect(['low', 'medium', 'high', 'critical']).toContain(
+          advisory.severity
+        );
+        expect(semver.validRange(advisory.vulnerableVersions)).not.toBe(null);
+        expect(semver.valid(advisory.fixedVersion)).not.toBe(null);
+        expect(
+          semver.satisfies(advisory.fixedVersion, advisory.vulnerableVersions)
+        ).toBe(false);
+      });
+    });
+  });
 });
@@ -5,8 +5,12 @@ import { oneLine } from 'common-tags';
 import bcd from '@mdn/browser-compat-data';
 
 import Linter from 'linter';
-import ManifestJSONParser from 'parsers/manifestjson';
-import { MANIFEST_VERSION_DEFAULT, PACKAGE_EXTENSION } from 'const';
+import ManifestJSONParser, { generateExtensionId } from 'parsers/manifestjson';
+import {
+  ANDROID_MESSAGE_CODES,
+  MANIFEST_VERSION_DEFAULT,
+  PACKAGE_EXTENSION,
+} from 'const';
 import * as messages from 'messages';
 import { firstStableVersion } from 'utils';
 import { getDefaultConfigValue } from 'yargs-options';
@@ -1770,14 +1774,13 @@ describe('ManifestJSONParser', () => {
         expect(manifestV3JSONParser.isValid).toEqual(true);
         const { warnings } = addonLinter.collector;
 
-        const keys = Object.keys(contentSecurityPolicy);
-        for (let i = 0; i < keys.length; i++) {
-          expect(warnings[i].code).toEqual(messages.MANIFEST_CSP);
-          expect(warnings[i].message).toContain(
-            `content_security_policy.${keys[i]}`
+        expect(warnings.length).toBeGreaterThan(0);
+        warnings.forEach((warning) => {
+          expect(warning.code).toEqual(messages.MANIFEST_CSP);
+          expect(warning.message).toContain(
+            'content_security_policy.extension_pages'
           );
-        }
-        expect(warnings.length).toBe(1);
+        });
       };
 
       it.each(invalidValues)('on invalid MV2 CSP %s', testInvalidValueMV2);
@@ -1869,20 +1872,36 @@ describe('ManifestJSONParser', () => {
     });
 
     const unsafeEvalValues = [
-      "script-src 'self' 'unsafe-eval';",
-      "script-src-elem 'self' 'unsafe-eval';",
-      "script-src-attr 'self' 'unsafe-eval';",
+      ["script-src 'self' 'unsafe-eval';", ['script-src']],
+      ["script-src-elem 'self' 'unsafe-eval';", ['script-src-elem'], true],
+      ["script-src-attr 'self' 'unsafe-eval';", ['script-src-attr'], true],
       // While worker-src does not recognize 'unsafe-eval' in practice, the
       // implementation rejects 'unsafe-eval' in every validated directive.
-      // Here we verify that we won't receive duplicate warnings for the same.
-      "default-src http: 'unsafe-eval'; script-src 'self' 'unsafe-eval'; worker-src 'unsafe-eval';",
+      // The default-src doesn't apply to the scripts here.
+      [
+        "default-src http: 'unsafe-eval'; script-src 'self' 'unsafe-eval'; worker-src 'unsafe-eval';",
+        ['script-src', 'worker-src'],
+      ],
     ];
     it.each(unsafeEvalValues)(
       'Should issue a detailed warning for %s',
-      (unsafeEvalValue) => {
+      (unsafeEvalValue, directives, isMissingScriptSrc = false) => {
         const invalidValue = unsafeEvalValue;
         const addonLinter = new Linter({ _: ['bar'] });
 
+        const expectWarnings = (warnings, property) => {
+          expect(warnings.map(({ code }) => code)).toEqual([
+            messages.MANIFEST_CSP_UNSAFE_EVAL,
+            ...(isMissingScriptSrc ? [messages.MANIFEST_CSP] : []),
+          ]);
+          expect(warnings[0].message).toEqual(
+            messages.manifestCspUnsafeEval(
+              property,
+              directives.map((directive) => ({ directive }))
+            ).message
+          );
+        };
+
         // Manifest v2 formats.
         const json = validManifestJSON({
           content_security_policy: invalidValue,
@@ -1894,17 +1913,10 @@ describe('ManifestJSONParser', () => {
         );
 
         expect(manifestJSONParser.isValid).toEqual(true);
-        const { warnings } = addonLinter.collector;
-        expect(warnings[0].code).toEqual(messages.MANIFEST_CSP_UNSAFE_EVAL);
-        expect(warnings[0].message).toEqual(
-          messages.manifestCspUnsafeEval('content_security_policy').message
+        expectWarnings(
+          addonLinter.collector.warnings,
+          'content_security_policy'
         );
-        expect(warnings[1].code).toEqual(messages.MANIFEST_CSP);
-        expect(warnings.length).toEqual(2);
-
-        // Clear any warnings and errors collected.
-        addonLinter.collector.warnings = [];
-        addonLinter.collector.errors = [];
 
         // Manifest v3 formats.
         const contentSecurityPolicy = {
@@ -1914,39 +1926,306 @@ describe('ManifestJSONParser', () => {
           isolated_world: invalidValue,
         };
 
-        const jsonV3 = validManifestJSON({
-          manifest_version: 3,
-          content_security_policy: contentSecurityPolicy,
-          browser_specific_settings: {
-            // The new content_security_policy syntax is only supported
-            // on Firefox >= 72.
-            gecko: { strict_min_version: '72.0', id: 'some@id' },
-          },
-        });
-
-        const manifestV3JSONParser = new ManifestJSONParser(
-          jsonV3,
-          addonLinter.collector,
-          { schemaValidatorOptions: { maxManifestVersion: 3 } }
-        );
+        Object.keys(contentSecurityPolicy).forEach((key) => {
+          // Clear any warnings and errors collected.
+          addonLinter.collector.warnings = [];
+          addonLinter.collector.errors = [];
 
-        expect(manifestV3JSONParser.isValid).toEqual(true);
-        const warningsV3 = addonLinter.collector.warnings;
+          const jsonV3 = validManifestJSON({
+            manifest_version: 3,
+            content_security_policy: { [key]: invalidValue },
+            browser_specific_settings: {
+              // The new content_security_policy syntax is only supported
+              // on Firefox >= 72.
+              gecko: { strict_min_version: '72.0', id: 'some@id' },
+            },
+          });
 
-        const keys = Object.keys(contentSecurityPolicy);
-        for (let i = 0; i < keys.length; i++) {
-          // Expecting 2 codes for each test case: MANIFEST_CSP_UNSAFE_EVAL + MANIFEST_CSP.
-          expect(warningsV3[i * 2].code).toEqual(
-            messages.MANIFEST_CSP_UNSAFE_EVAL
+          const manifestV3JSONParser = new ManifestJSONParser(
+            jsonV3,
+            addonLinter.collector,
+            { schemaValidatorOptions: { maxManifestVersion: 3 } }
           );
-          expect(warningsV3[i * 2].message).toContain(
-            `content_security_policy.${keys[i]}`
+
+          expect(manifestV3JSONParser.isValid).toEqual(true);
+          expectWarnings(
+            addonLinter.collector.warnings,
+            `content_security_policy.${key}`
           );
-          expect(warningsV3[i * 2 + 1].code).toEqual(messages.MANIFEST_CSP);
-        }
-        expect(warningsV3.length).toEqual(6);
+        });
       }
     );
+
+    it('should report each problem with its directive and value', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const json = validManifestJSON({
+        content_security_policy: oneLine`default-src 'self'; script-src 'self'
+          https://cdn.example.com 'nonce-abc'; script-src-attr
+          'sha256-/b/HvSeUCyUL0XlV1ZK0nwDk18O2BpM5Scj+dZ1weIY='; worker-src
+          blob: data: http: *.example.com; img-src *`,
+      });
+
+      const manifestJSONParser = new ManifestJSONParser(
+        json,
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(
+        addonLinter.collector.warnings.map(({ code, message }) => [
+          code,
+          message,
+        ])
+      ).toEqual([
+        [
+          messages.MANIFEST_CSP,
+          `"content_security_policy" allows remote code execution in manifest.json: ${[
+            '"script-src https://cdn.example.com" loads scripts from remote servers',
+            `"script-src 'nonce-abc'" runs the inline scripts with a nonce`,
+            `"script-src-attr 'sha256-/b/hvseucyul0xlv1zk0nwdk18o2bpm5scj+dz1weiy='" runs the inline scripts matching a hash`,
+            '"worker-src blob:" loads scripts from "blob:" URLs',
+            '"worker-src data:" loads scripts from "data:" URLs',
+            '"worker-src http:" loads scripts over insecure connections',
+            '"worker-src *.example.com" loads scripts from any server',
+          ].join('; ')}.`,
+        ],
+      ]);
+    });
+
+    it('should not report the keywords allowing no remote code', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const json = validManifestJSON({
+        content_security_policy: oneLine`script-src 'self' 'strict-dynamic'
+          'report-sample' 'wasm-unsafe-eval'; object-src 'none'`,
+      });
+
+      const manifestJSONParser = new ManifestJSONParser(
+        json,
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(addonLinter.collector.warnings).toEqual([]);
+    });
+
+    it('should report a missing script-src once', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const json = validManifestJSON({
+        content_security_policy: "object-src 'self'",
+      });
+
+      const manifestJSONParser = new ManifestJSONParser(
+        json,
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(addonLinter.collector.warnings).toEqual([
+        expect.objectContaining({
+          code: messages.MANIFEST_CSP,
+          message: oneLine`"content_security_policy" allows remote code
+            execution in manifest.json: neither "script-src" nor "default-src"
+            restricts the scripts.`,
+        }),
+      ]);
+    });
+
+    it('should allow the sources of the default sandbox policy', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const json = validManifestJSON({
+        manifest_version: 3,
+        content_security_policy: {
+          sandbox: oneLine`sandbox allow-scripts; script-src 'self'
+            'unsafe-inline' 'unsafe-eval' https://example.com`,
+        },
+        browser_specific_settings: {
+          gecko: { strict_min_version: '72.0', id: 'some@id' },
+        },
+      });
+
+      const manifestJSONParser = new ManifestJSONParser(
+        json,
+        addonLinter.collector,
+        { schemaValidatorOptions: { maxManifestVersion: 3 } }
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(
+        addonLinter.collector.warnings.map(({ code, message }) => [
+          code,
+          message,
+        ])
+      ).toEqual([
+        [
+          messages.MANIFEST_CSP,
+          oneLine`"content_security_policy.sandbox" allows remote code
+            execution in manifest.json: "script-src https://example.com" loads
+            scripts from remote servers.`,
+        ],
+      ]);
+    });
+  });
+
+  describe('match patterns', () => {
+    const parse = (manifest, options) => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON(manifest),
+        addonLinter.collector,
+        options
+      );
+      return { collector: addonLinter.collector, manifestJSONParser };
+    };
+
+    const getMessages = (list, code) =>
+      list
+        .filter((message) => message.code === code)
+        .map(({ message, instancePath }) => [message, instancePath]);
+
+    it('should report the broad patterns', () => {
+      const { collector } = parse({
+        permissions: ['tabs', '<all_urls>', 'https://example.com/*'],
+        content_scripts: [{ matches: ['*://*/*'] }],
+      });
+
+      expect(
+        getMessages(collector.notices, messages.MANIFEST_BROAD_MATCH_PATTERN)
+      ).toEqual([
+        [
+          '"<all_urls>" gives access to every URL (all_urls).',
+          '/permissions/1',
+        ],
+        [
+          '"*://*/*" gives access to every website (all_hosts).',
+          '/content_scripts/0/matches/0',
+        ],
+      ]);
+    });
+
+    it('should report the redundant patterns', () => {
+      const { collector } = parse({
+        permissions: ['*://*.example.com/*', 'https://www.example.com/path'],
+        content_scripts: [
+          {
+            matches: ['https://example.org/*', 'https://example.org/path'],
+          },
+        ],
+      });
+
+      expect(
+        getMessages(
+          collector.warnings,
+          messages.MANIFEST_REDUNDANT_MATCH_PATTERN
+        )
+      ).toEqual([
+        [
+          oneLine`"https://www.example.com/path" is already covered by
+            "*://*.example.com/*".`,
+          '/permissions/1',
+        ],
+        [
+          oneLine`"https://example.org/path" is already covered by
+            "https://example.org/*".`,
+          '/content_scripts/0/matches/1',
+        ],
+      ]);
+    });
+
+    it('should report the optional host permissions already granted', () => {
+      const { collector, manifestJSONParser } = parse(
+        {
+          manifest_version: 3,
+          host_permissions: ['https://*.example.com/*'],
+          optional_host_permissions: [
+            'https://www.example.com/*',
+            'https://example.org/*',
+          ],
+          browser_specific_settings: {
+            gecko: { strict_min_version: '109.0', id: 'some@id' },
+          },
+        },
+        { schemaValidatorOptions: { maxManifestVersion: 3 } }
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(
+        getMessages(
+          collector.warnings,
+          messages.MANIFEST_OPTIONAL_HOST_PERMISSION_GRANTED
+        )
+      ).toEqual([
+        [
+          oneLine`The optional host permission "https://www.example.com/*" is
+            already granted by "https://*.example.com/*".`,
+          '/optional_host_permissions/0',
+        ],
+      ]);
+    });
+
+    it('should report the content script patterns that never match', () => {
+      const { collector } = parse({
+        content_scripts: [
+          {
+            matches: ['https://*.example.com/*'],
+            exclude_matches: [
+              'https://www.example.com/private/*',
+              'https://example.org/*',
+            ],
+            include_globs: ['http://www.example.com/*', '*/path/*'],
+            exclude_globs: ['https://example.org/*'],
+          },
+        ],
+      });
+
+      expect(
+        getMessages(
+          collector.warnings,
+          messages.MANIFEST_CONTENT_SCRIPT_UNMATCHABLE
+        )
+      ).toEqual([
+        [
+          oneLine`"https://example.org/*" in "exclude_matches" can never match
+            the URLs of "matches".`,
+          '/content_scripts/0/exclude_matches/1',
+        ],
+        [
+          oneLine`"http://www.example.com/*" in "include_globs" can never match
+            the URLs of "matches".`,
+          '/content_scripts/0/include_globs/0',
+        ],
+        [
+          oneLine`"https://example.org/*" in "exclude_globs" can never match
+            the URLs of "matches".`,
+          '/content_scripts/0/exclude_globs/0',
+        ],
+      ]);
+    });
+
+    it('should add the host access to the metadata', () => {
+      const { manifestJSONParser } = parse({
+        permissions: ['tabs', 'https://example.com/*'],
+        optional_permissions: ['*://*/*'],
+        content_scripts: [{ matches: ['*://*.example.org/*'] }],
+      });
+
+      expect(manifestJSONParser.getMetadata().hostAccess).toEqual({
+        breadth: 'subdomains',
+        hosts: ['*.example.org', 'example.com'],
+        optionalBreadth: 'all_hosts',
+        optionalHosts: ['*'],
+      });
+    });
+
+    it('should add an empty host access to the metadata', () => {
+      const { manifestJSONParser } = parse({ permissions: ['tabs'] });
+
+      expect(manifestJSONParser.getMetadata().hostAccess).toEqual({
+        breadth: null,
+        hosts: [],
+        optionalBreadth: null,
+        optionalHosts: [],
+      });
+    });
   });
 
   describe('update_url', () => {
@@ -4171,6 +4450,195 @@ describe('ManifestJSONParser', () => {
     });
   });
 
+  describe('validateAndroidSupport', () => {
+    const parse = (manifestProps, options = {}) => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON(manifestProps),
+        addonLinter.collector,
+        { target: 'android', ...options }
+      );
+      const isAndroidMessage = ({ code }) =>
+        ANDROID_MESSAGE_CODES.includes(code);
+
+      return {
+        manifestJSONParser,
+        warnings: addonLinter.collector.warnings.filter(isAndroidMessage),
+        notices: addonLinter.collector.notices.filter(isAndroidMessage),
+      };
+    };
+
+    it('should report the keys and permissions not supported on Android', () => {
+      const { manifestJSONParser, warnings, notices } = parse({
+        sidebar_action: { default_panel: 'sidebar.html' },
+        commands: {},
+        permissions: ['bookmarks', 'tabs'],
+      });
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(warnings).toEqual([
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_MANIFEST_KEY,
+          message: '"commands" is not supported by Firefox for Android',
+        }),
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_MANIFEST_KEY,
+          message: '"sidebar_action" is not supported by Firefox for Android',
+        }),
+      ]);
+      expect(notices).toEqual([
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_PERMISSION,
+          message: oneLine`"permissions:bookmarks" is not supported by
+            Firefox for Android`,
+        }),
+        expect.objectContaining({
+          code: messages.PERMISSION_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION,
+          description: expect.stringContaining('"permissions:tabs"'),
+        }),
+      ]);
+    });
+
+    it('should use the gecko_android strict_min_version', () => {
+      const { manifestJSONParser, warnings, notices } = parse({
+        browser_specific_settings: {
+          gecko: {
+            id: '{daf44bf7-a45e-4450-979c-91cf07434c3d}',
+            strict_min_version: '58.0',
+          },
+          gecko_android: { strict_min_version: '55.0' },
+        },
+        options_ui: { page: 'options.html' },
+        permissions: ['tabs'],
+      });
+
+      expect(manifestJSONParser.getMetadata().firefoxAndroidMinVersion).toEqual(
+        '55.0'
+      );
+      expect(warnings).toEqual([
+        expect.objectContaining({
+          code: messages.KEY_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION,
+          description: oneLine`"strict_min_version" requires Firefox for
+            Android 55.0, which was released before version 57 introduced
+            support for "options_ui".`,
+        }),
+        expect.objectContaining({
+          code: messages.KEY_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION,
+          description: expect.stringContaining('"options_ui.page"'),
+        }),
+      ]);
+      expect(notices).toEqual([]);
+    });
+
+    it('should compare the full gecko_android versions', () => {
+      const { manifestJSONParser, warnings } = parse({
+        browser_specific_settings: {
+          gecko: { id: '{daf44bf7-a45e-4450-979c-91cf07434c3d}' },
+          gecko_android: {
+            strict_min_version: '57.0a1',
+            strict_max_version: '120.*',
+          },
+        },
+        options_ui: { page: 'options.html' },
+      });
+
+      expect(manifestJSONParser.getMetadata()).toEqual(
+        expect.objectContaining({
+          firefoxAndroidMinVersion: '57.0a1',
+          firefoxAndroidMaxVersion: '120.*',
+        })
+      );
+      expect(warnings).toEqual([]);
+    });
+
+    it('should fall back to the gecko strict_min_version', () => {
+      const { manifestJSONParser, warnings } = parse({
+        options_ui: { page: 'options.html' },
+      });
+
+      expect(manifestJSONParser.getMetadata().firefoxAndroidMinVersion).toEqual(
+        undefined
+      );
+      expect(warnings).toHaveLength(2);
+      expect(warnings[0]).toEqual(
+        expect.objectContaining({
+          code: messages.KEY_FIREFOX_ANDROID_UNSUPPORTED_BY_MIN_VERSION,
+          description: expect.stringContaining('Android 48.0.0'),
+        })
+      );
+    });
+
+    it('should only be done with --target android', () => {
+      const { warnings, notices } = parse(
+        {
+          sidebar_action: { default_panel: 'sidebar.html' },
+          permissions: ['bookmarks'],
+        },
+        { target: undefined }
+      );
+
+      expect(warnings).toEqual([]);
+      expect(notices).toEqual([]);
+    });
+  });
+
+  describe('validateBrowserSupport', () => {
+    const parse = (manifestProps, browsers) => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON(manifestProps),
+        addonLinter.collector,
+        { browsers }
+      );
+      const isBrowserMessage = ({ code }) => code.startsWith('BROWSER_');
+
+      return {
+        manifestJSONParser,
+        warnings: addonLinter.collector.warnings.filter(isBrowserMessage),
+        notices: addonLinter.collector.notices.filter(isBrowserMessage),
+      };
+    };
+
+    it('should report the keys and permissions not supported by the browsers', () => {
+      const { manifestJSONParser, warnings, notices } = parse(
+        {
+          sidebar_action: { default_panel: 'sidebar.html' },
+          permissions: ['menus'],
+        },
+        ['chrome', 'edge', 'firefox']
+      );
+
+      expect(manifestJSONParser.isValid).toEqual(true);
+      expect(warnings).toEqual([
+        expect.objectContaining({
+          code: messages.BROWSER_UNSUPPORTED_MANIFEST_KEY,
+          message: oneLine`"browser_specific_settings" is not supported by
+            Chrome, Edge`,
+        }),
+        expect.objectContaining({
+          code: messages.BROWSER_UNSUPPORTED_MANIFEST_KEY,
+          message: '"sidebar_action" is not supported by Chrome, Edge',
+        }),
+      ]);
+      expect(notices).toEqual([
+        expect.objectContaining({
+          code: messages.BROWSER_UNSUPPORTED_PERMISSION,
+          message: '"permissions:menus" is not supported by Chrome, Edge',
+        }),
+      ]);
+      expect(manifestJSONParser.browserIssues).toHaveLength(3);
+    });
+
+    it('should only be done with --browsers', () => {
+      const { manifestJSONParser, warnings } = parse({
+        sidebar_action: { default_panel: 'sidebar.html' },
+      });
+
+      expect(warnings).toEqual([]);
+      expect(manifestJSONParser.browserIssues).toEqual([]);
+    });
+  });
+
   describe('restricted permissions', () => {
     const validate = ({ manifestProps, restrictedPermissions }) => {
       const linter = new Linter({ _: ['bar'] });
@@ -4991,4 +5459,133 @@ describe('ManifestJSONParser', () => {
       });
     });
   });
+
+  describe('fixes', () => {
+    it('should generate extension IDs using the UUID format', () => {
+      const id = generateExtensionId();
+
+      expect(id).toMatch(
+        /^\{[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\}$/
+      );
+      expect(generateExtensionId()).not.toEqual(id);
+    });
+
+    it('should not propose fixes for a valid manifest', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON(),
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.fixes).toEqual([]);
+    });
+
+    it('should propose to rename applications', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON({
+          browser_specific_settings: undefined,
+          applications: { gecko: { id: '@foo' } },
+        }),
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.fixes).toEqual([
+        {
+          code: messages.APPLICATIONS_DEPRECATED.code,
+          patch: [
+            {
+              op: 'move',
+              from: '/applications',
+              path: '/browser_specific_settings',
+            },
+          ],
+          suggestion: false,
+        },
+      ]);
+    });
+
+    it('should propose to simplify the version', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON({ version: '1.0beta2' }),
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.fixes).toEqual([
+        {
+          code: messages.VERSION_FORMAT_DEPRECATED.code,
+          patch: [{ op: 'replace', path: '/version', value: '1.0' }],
+          suggestion: true,
+        },
+      ]);
+    });
+
+    it('should propose to remove update_url', () => {
+      const addonLinter = new Linter({ _: ['bar'] });
+      const manifestJSONParser = new ManifestJSONParser(
+        validManifestJSON({ update_url: 'https://foo.com/bar' }),
+        addonLinter.collector
+      );
+
+      expect(manifestJSONParser.fixes).toEqual([
+        {
+          code: messages.MANIFEST_UNUSED_UPDATE.code,
+          patch: [{ op: 'remove', path: '/update_url' }],
+          suggestion: false,
+        },
+      ]);
+    });
+
+    it.each([
+      [
+        { gecko: { strict_min_version: '109.0' } },
+        {
+          op: 'add',
+          path: '/browser_specific_settings/gecko/id',
+          value: '{some-id}',
+        },
+      ],
+      [
+        {},
+        {
+          op: 'add',
+          path: '/browser_specific_settings/gecko',
+          value: { id: '{some-id}' },
+        },
+      ],
+      [
+        undefined,
+        {
+          op: 'add',
+          path: '/browser_specific_settings',
+          value: { gecko: { id: '{some-id}' } },
+        },
+      ],
+    ])(
+      'should propose to add the required extension ID (%o)',
+      (settings, operation) => {
+        const addonLinter = new Linter({ _: ['bar'] });
+        const manifestJSONParser = new ManifestJSONParser(
+          validManifestJSON({
+            manifest_version: 3,
+            browser_specific_settings: settings,
+          }),
+          addonLinter.collector,
+          {
+            schemaValidatorOptions: { maxManifestVersion: 3 },
+            _generateExtensionId: () => '{some-id}',
+          }
+        );
+
+        expect(manifestJSONParser.fixes).toEqual([
+          {
+            code: messages.EXTENSION_ID_REQUIRED.code,
+            patch: [operation],
+            suggestion: false,
+          },
+        ]);
+      }
+    );
+  });
 });
@@ -0,0 +1,98 @@
+import { VALIDATION_ERROR } from 'const';
+import { MISSING_API_PERMISSION } from 'messages/javascript';
+import JavaScriptScanner from 'scanners/javascript';
+
+import { runJsScanner } from '../../helpers';
+
+describe('webextension-api-permissions', () => {
+  const scan = async (code, addonMetadata) => {
+    const jsScanner = new JavaScriptScanner(code, 'code.js', {
+      addonMetadata: { manifestVersion: 2, ...addonMetadata },
+    });
+    const { linterMessages } = await runJsScanner(jsScanner);
+    return linterMessages.filter(
+      ({ code: messageCode }) => messageCode === MISSING_API_PERMISSION.code
+    );
+  };
+
+  it('flags an API used without its permission', async () => {
+    const linterMessages = await scan('browser.storage.local.get("key");', {
+      permissions: ['tabs'],
+      optionalPermissions: [],
+    });
+
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].message).toEqual(
+      '"storage.local" requires the "storage" permission, which is not declared'
+    );
+    expect(linterMessages[0].type).toEqual(VALIDATION_ERROR);
+    expect(linterMessages[0].line).toEqual(1);
+  });
+
+  it('lists the alternative permissions', async () => {
+    const linterMessages = await scan('chrome.contextMenus.create({});', {
+      permissions: [],
+    });
+
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].message).toEqual(
+      '"contextMenus.create" requires the "menus" or "contextMenus" permission, which is not declared'
+    );
+  });
+
+  it('flags the permissions required by a single API', async () => {
+    const linterMessages = await scan('browser.downloads.open(1);', {
+      permissions: ['downloads'],
+    });
+
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].message).toContain('"downloads.open"');
+  });
+
+  it('flags the APIs used through destructuring and aliases', async () => {
+    const linterMessages = await scan(
+      [
+        'const { storage } = browser;',
+        'storage.local.get("key");',
+        'const api = typeof browser === "undefined" ? chrome : browser;',
+        'api.bookmarks.search("");',
+        'const { local: { get } } = chrome.storage;',
+      ].join('\n'),
+      { permissions: [] }
+    );
+
+    expect(
+      linterMessages.map(({ message, line }) => [message.split(' ')[0], line])
+    ).toEqual([
+      ['"storage.local"', 2],
+      ['"bookmarks.search"', 4],
+      ['"storage.local"', 5],
+    ]);
+  });
+
+  it('does not flag an API when the permission is declared', async () => {
+    expect(
+      await scan('browser.storage.local.get("key");', {
+        permissions: ['storage'],
+      })
+    ).toEqual([]);
+    expect(
+      await scan('browser.contextMenus.create({});', {
+        permissions: [],
+        optionalPermissions: ['menus'],
+      })
+    ).toEqual([]);
+  });
+
+  it('does not flag the APIs that require no permission', async () => {
+    expect(
+      await scan('browser.runtime.getURL("a.html"); browser.tabs.query({});', {
+        permissions: [],
+      })
+    ).toEqual([]);
+  });
+
+  it('does nothing without the declared permissions', async () => {
+    expect(await scan('browser.storage.local.get("key");', {})).toEqual([]);
+  });
+});
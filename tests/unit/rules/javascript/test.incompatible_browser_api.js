@@ -1,4 +1,12 @@
 import { VALIDATION_WARNING } from 'const';
+import {
+  ANDROID_INCOMPATIBLE_API,
+  ANDROID_REMOVED_API,
+  ANDROID_UNSUPPORTED_API,
+  BROWSER_UNSUPPORTED_API,
+  DEPRECATED_API,
+  REMOVED_API,
+} from 'messages/javascript';
 import JavaScriptScanner from 'scanners/javascript';
 
 import { runJsScanner } from '../../helpers';
@@ -65,4 +73,138 @@ describe('incompatible browser APIs', () => {
     const { linterMessages } = await runJsScanner(jsScanner);
     expect(linterMessages.length).toEqual(0);
   });
+
+  it('compares the minor versions', async () => {
+    const code = 'browser.clipboard.setImageData({}, "png");';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: { firefoxMinVersion: '56.0.2' },
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.map(({ message }) => message)).toContain(
+      'clipboard.setImageData is not supported in Firefox version 56.0.2'
+    );
+  });
+
+  it('flags APIs removed in the version range', async () => {
+    const code = 'browser.proxy.register("proxy.js");';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: { firefoxMinVersion: '60.0' },
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    const removedMessages = linterMessages.filter(
+      ({ code: messageCode }) => messageCode === REMOVED_API.code
+    );
+    expect(removedMessages.length).toEqual(1);
+    expect(removedMessages[0].type).toEqual(VALIDATION_WARNING);
+    expect(removedMessages[0].message).toEqual(
+      'proxy.register was removed in Firefox version 71'
+    );
+  });
+
+  it('does not flag APIs removed after strict_max_version', async () => {
+    const code = 'browser.proxy.register("proxy.js");';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: { firefoxMinVersion: '60.0', firefoxMaxVersion: '70.*' },
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.map(({ code: messageCode }) => messageCode)).toEqual([
+      DEPRECATED_API.code,
+    ]);
+  });
+});
+
+describe('incompatible browser APIs with --target android', () => {
+  it('flags APIs that are not implemented on Android', async () => {
+    const code = 'browser.sidebarAction.open();';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: {},
+      target: 'android',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].code).toEqual(ANDROID_UNSUPPORTED_API.code);
+    expect(linterMessages[0].type).toEqual(VALIDATION_WARNING);
+    expect(linterMessages[0].message).toEqual(
+      'sidebarAction.open is not supported in Firefox for Android'
+    );
+  });
+
+  it('uses the gecko_android strict_min_version', async () => {
+    const code = 'browser.clipboard.setImageData({}, "png");';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: {
+        firefoxMinVersion: '57.0a1',
+        firefoxAndroidMinVersion: '50.0',
+      },
+      target: 'android',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].code).toEqual(ANDROID_INCOMPATIBLE_API.code);
+    expect(linterMessages[0].message).toEqual(
+      'clipboard.setImageData is not supported in Firefox for Android version 50.0'
+    );
+  });
+
+  it('flags APIs removed from Android in the version range', async () => {
+    const code = 'browser.browsingData.removeDownloads({});';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: { firefoxAndroidMinVersion: '68.0' },
+      target: 'android',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.length).toEqual(1);
+    expect(linterMessages[0].code).toEqual(ANDROID_REMOVED_API.code);
+    expect(linterMessages[0].message).toEqual(
+      'browsingData.removeDownloads was removed in Firefox for Android version 79'
+    );
+  });
+
+  it('does not flag APIs implemented on Android', async () => {
+    const code = 'browser.tabs.query({});';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: {},
+      target: 'android',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages.length).toEqual(0);
+  });
+});
+
+describe('browser APIs with --browsers', () => {
+  it('flags APIs that are not implemented by the browsers', async () => {
+    const code =
+      'chrome.sidebarAction.open(); chrome.offscreen.createDocument();';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: {},
+      browsers: ['chrome', 'firefox'],
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    const browserMessages = linterMessages.filter(
+      ({ code: messageCode }) => messageCode === BROWSER_UNSUPPORTED_API.code
+    );
+    expect(browserMessages.map(({ message }) => message)).toEqual([
+      'sidebarAction.open is not supported by Chrome',
+      'offscreen.createDocument is not supported by Firefox',
+    ]);
+    expect(browserMessages[0].type).toEqual(VALIDATION_WARNING);
+  });
+
+  it('does not flag APIs without --browsers', async () => {
+    const code = 'chrome.sidebarAction.open();';
+    const jsScanner = new JavaScriptScanner(code, 'badcode.js', {
+      addonMetadata: {},
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+    expect(linterMessages).toEqual([]);
+  });
 });
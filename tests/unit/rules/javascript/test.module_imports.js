@@ -0,0 +1,100 @@
+import { VALIDATION_ERROR } from 'const';
+import { MODULE_BARE_SPECIFIER, MODULE_NOT_FOUND } from 'messages/javascript';
+import JavaScriptScanner from 'scanners/javascript';
+
+import { runJsScanner } from '../../helpers';
+
+function createJsScanner(code, filename, existingFiles = {}) {
+  return new JavaScriptScanner(code, filename, {
+    addonMetadata: { id: 'test' },
+    existingFiles: {
+      ...existingFiles,
+      [filename]: '',
+    },
+  });
+}
+
+describe('module_imports', () => {
+  it('should not show an error when the imported modules exist', async () => {
+    const code = [
+      "import { a } from './a.js';",
+      "import b from '../lib/b.js';",
+      "export { c } from '/lib/c.js';",
+      "export * from './d.js';",
+      "import('./lazy.js');",
+    ].join('\n');
+    const jsScanner = createJsScanner(code, 'src/index.mjs', {
+      'src/a.js': '',
+      'lib/b.js': '',
+      'lib/c.js': '',
+      'src/d.js': '',
+      'src/lazy.js': '',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+
+    expect(linterMessages).toEqual([]);
+  });
+
+  it('should show an error for a missing module', async () => {
+    const code = [
+      "import { a } from './a.js';",
+      "export * from '../missing.js';",
+      "import('./lazy.js?v=1');",
+    ].join('\n');
+    const jsScanner = createJsScanner(code, 'src/index.mjs', {
+      'src/a.js': '',
+    });
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+
+    expect(linterMessages.map(({ code: c, line }) => [c, line])).toEqual([
+      [MODULE_NOT_FOUND.code, 2],
+      [MODULE_NOT_FOUND.code, 3],
+    ]);
+    expect(linterMessages[0].type).toEqual(VALIDATION_ERROR);
+    expect(linterMessages[0].column).toEqual(15);
+  });
+
+  it('should show an error for a bare module specifier', async () => {
+    const code = "import _ from 'lodash'; import('some-module/index.js');";
+    const jsScanner = createJsScanner(code, 'index.mjs');
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+
+    expect(linterMessages.map(({ code: c }) => c)).toEqual([
+      MODULE_BARE_SPECIFIER.code,
+      MODULE_BARE_SPECIFIER.code,
+    ]);
+  });
+
+  it('should ignore the dynamic and the other URL imports', async () => {
+    const code = [
+      'import(moduleName);',
+      "import('https://example.com/module.js');",
+      "import('data:text/javascript,export default 1');",
+      "import('moz-extension://uuid/module.js');",
+    ].join('\n');
+    const jsScanner = createJsScanner(code, 'index.js');
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+
+    expect(
+      linterMessages.filter(({ code: c }) =>
+        [MODULE_BARE_SPECIFIER.code, MODULE_NOT_FOUND.code].includes(c)
+      )
+    ).toEqual([]);
+  });
+
+  it('should not check the missing modules without the package files', async () => {
+    const jsScanner = new JavaScriptScanner(
+      "import './missing.js';",
+      'index.mjs',
+      { addonMetadata: { id: 'test' } }
+    );
+
+    const { linterMessages } = await runJsScanner(jsScanner);
+
+    expect(linterMessages).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+import { VALIDATION_WARNING } from 'const';
+import {
+  REMOTE_CODE_IMPORT,
+  REMOTE_CODE_IMPORT_SCRIPTS,
+  REMOTE_CODE_SCRIPT_ELEMENT,
+  REMOTE_CODE_WORKER,
+} from 'messages';
+import JavaScriptScanner from 'scanners/javascript';
+
+import { runJsScanner } from '../../helpers';
+
+const REMOTE_CODES = [
+  REMOTE_CODE_IMPORT.code,
+  REMOTE_CODE_IMPORT_SCRIPTS.code,
+  REMOTE_CODE_SCRIPT_ELEMENT.code,
+  REMOTE_CODE_WORKER.code,
+];
+
+async function scan(code, filename = 'code.js') {
+  const jsScanner = new JavaScriptScanner(code, filename, {
+    addonMetadata: { id: 'test' },
+  });
+  const { linterMessages } = await runJsScanner(jsScanner);
+  return linterMessages.filter(({ code: c }) => REMOTE_CODES.includes(c));
+}
+
+describe('remote_code', () => {
+  it('should report the remote modules', async () => {
+    const linterMessages = await scan(
+      [
+        "import x from 'https://example.com/x.js';",
+        "export * from '//example.com/y.js';",
+        "import('https://example.com/lazy.js');",
+        "import('./local.js');",
+      ].join('\n'),
+      'code.mjs'
+    );
+
+    expect(linterMessages.map(({ code, line }) => [code, line])).toEqual([
+      [REMOTE_CODE_IMPORT.code, 1],
+      [REMOTE_CODE_IMPORT.code, 2],
+      [REMOTE_CODE_IMPORT.code, 3],
+    ]);
+    expect(linterMessages[0]).toMatchObject({
+      type: VALIDATION_WARNING,
+      message: 'Remote module imported from "https://example.com/x.js".',
+      description: REMOTE_CODE_IMPORT.description,
+    });
+  });
+
+  it('should report the remote scripts loaded by importScripts()', async () => {
+    const linterMessages = await scan(
+      [
+        "importScripts('lib.js', 'https://example.com/a.js');",
+        "self.importScripts('http://example.com/b.js');",
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message }) => message)).toEqual([
+      'Remote script loaded from "https://example.com/a.js" by importScripts().',
+      'Remote script loaded from "http://example.com/b.js" by importScripts().',
+    ]);
+    expect(linterMessages[0].code).toEqual(REMOTE_CODE_IMPORT_SCRIPTS.code);
+  });
+
+  it('should report the remote script elements', async () => {
+    const linterMessages = await scan(
+      [
+        "const script = document.createElement('script');",
+        "script.src = 'https://example.com/a.js';",
+        "script.setAttribute('src', 'https://example.com/b.js');",
+        "document.createElement('SCRIPT').src = 'https://example.com/c.js';",
+        "const image = document.createElement('img');",
+        "image.src = 'https://example.com/a.png';",
+        "script.src = 'local.js';",
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ code, line }) => [code, line])).toEqual([
+      [REMOTE_CODE_SCRIPT_ELEMENT.code, 2],
+      [REMOTE_CODE_SCRIPT_ELEMENT.code, 3],
+      [REMOTE_CODE_SCRIPT_ELEMENT.code, 4],
+    ]);
+  });
+
+  it('should report the remote workers', async () => {
+    const linterMessages = await scan(
+      [
+        "new Worker('https://example.com/worker.js');",
+        "new SharedWorker('https://example.com/shared.js');",
+        "new Worker('worker.js');",
+        'new Worker();',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ code }) => code)).toEqual([
+      REMOTE_CODE_WORKER.code,
+      REMOTE_CODE_WORKER.code,
+    ]);
+  });
+
+  it('should extract the URLs known statically', async () => {
+    const linterMessages = await scan(
+      [
+        "const HOST = 'https://example.com';",
+        'function load(name) {',
+        `  const url = \`\${HOST}/\${name}.js\`;`,
+        '  importScripts(url);',
+        "  importScripts(HOST + '/lib/' + name);",
+        `  importScripts(\`\${HOST}/constant.js\`);`,
+        '}',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message }) => message)).toEqual([
+      'Remote script loaded from "https://example.com/….js" by importScripts().',
+      'Remote script loaded from "https://example.com/lib/…" by importScripts().',
+      'Remote script loaded from "https://example.com/constant.js" by importScripts().',
+    ]);
+  });
+
+  it('should not report the URLs only known at runtime', async () => {
+    const linterMessages = await scan(
+      [
+        'let url = "https://example.com/a.js";',
+        'url = getUrl();',
+        'importScripts(url);',
+        'importScripts(getUrl() + "/a.js");',
+        `new Worker(\`\${base}/worker.js\`);`,
+        'const a = a;',
+        'importScripts(a);',
+      ].join('\n')
+    );
+
+    expect(linterMessages).toEqual([]);
+  });
+
+  it('should allow suppressing the messages', async () => {
+    const jsScanner = new JavaScriptScanner(
+      [
+        '// addons-linter-disable-next-line REMOTE_CODE_WORKER -- reviewed',
+        "new Worker('https://example.com/worker.js');",
+      ].join('\n'),
+      'code.js',
+      { addonMetadata: { id: 'test' } }
+    );
+
+    const { linterMessages, suppressedMessages } = await runJsScanner(
+      jsScanner
+    );
+
+    expect(linterMessages).toEqual([]);
+    expect(suppressedMessages).toEqual([
+      expect.objectContaining({
+        code: REMOTE_CODE_WORKER.code,
+        justification: 'reviewed',
+      }),
+    ]);
+  });
+});
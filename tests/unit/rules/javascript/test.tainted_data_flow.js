@@ -0,0 +1,176 @@
+import { VALIDATION_WARNING } from 'const';
+import { TAINTED_DATA_FLOW } from 'messages';
+import JavaScriptScanner from 'scanners/javascript';
+
+import { runJsScanner } from '../../helpers';
+
+async function scan(code) {
+  const jsScanner = new JavaScriptScanner(code, 'code.js', {
+    addonMetadata: { id: 'test' },
+  });
+  const { linterMessages } = await runJsScanner(jsScanner);
+  return linterMessages.filter(({ code: c }) => c === TAINTED_DATA_FLOW.code);
+}
+
+describe('tainted_data_flow', () => {
+  it('should report the messages reaching innerHTML', async () => {
+    const linterMessages = await scan(
+      [
+        'browser.runtime.onMessage.addListener((message) => {',
+        '  const html = message.html;',
+        "  document.getElementById('output').innerHTML = html;",
+        '});',
+      ].join('\n')
+    );
+
+    expect(linterMessages).toEqual([
+      expect.objectContaining({
+        code: TAINTED_DATA_FLOW.code,
+        type: VALIDATION_WARNING,
+        message: [
+          'Data from runtime.onMessage reaches innerHTML unsanitized',
+          '(runtime.onMessage → message → html → innerHTML).',
+        ].join(' '),
+        description: TAINTED_DATA_FLOW.description,
+        line: 3,
+      }),
+    ]);
+  });
+
+  it('should follow the calls of the functions of the file', async () => {
+    const linterMessages = await scan(
+      [
+        'function render(element, html) {',
+        `  element.outerHTML = \`<div>\${html}</div>\`;`,
+        '}',
+        'const run = (code) => setTimeout(code, 100);',
+        'chrome.runtime.onMessageExternal.addListener(({ markup, code }) => {',
+        "  render(document.body, 'safe');",
+        '  render(document.body, markup.trim());',
+        '  run(code);',
+        '});',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message, line }) => [message, line])).toEqual([
+      [
+        expect.stringContaining(
+          '(runtime.onMessageExternal → markup → html → outerHTML)'
+        ),
+        2,
+      ],
+      [
+        expect.stringContaining(
+          '(runtime.onMessageExternal → code → code → setTimeout)'
+        ),
+        4,
+      ],
+    ]);
+  });
+
+  it('should report the data received with postMessage', async () => {
+    const linterMessages = await scan(
+      [
+        "window.addEventListener('message', (event) => {",
+        '  eval(event.data);',
+        '});',
+        'port.onMessage.addListener((message) => eval(message));',
+        'self.onmessage = function (event) {',
+        "  window.setInterval('tick(' + event.data.id + ')', 10);",
+        '};',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message }) => message)).toEqual([
+      [
+        'Data from a "message" event reaches eval unsanitized',
+        '(a "message" event → event → eval).',
+      ].join(' '),
+      [
+        'Data from port.onMessage reaches eval unsanitized',
+        '(port.onMessage → message → eval).',
+      ].join(' '),
+      expect.stringContaining('(a "message" event → event → setInterval)'),
+    ]);
+  });
+
+  it('should report the fetch responses', async () => {
+    const linterMessages = await scan(
+      [
+        'async function load(tabId) {',
+        "  const response = await fetch('https://example.com/');",
+        '  const text = await response.text();',
+        '  browser.tabs.executeScript(tabId, { code: text });',
+        '}',
+        "fetch('/data.json')",
+        '  .then((response) => response.json())',
+        '  .then((data) => {',
+        "    document.body.insertAdjacentHTML('beforeend', data.html);",
+        '  });',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message, line }) => [message, line])).toEqual([
+      [
+        expect.stringContaining(
+          '(fetch → response → text → tabs.executeScript({ code }))'
+        ),
+        4,
+      ],
+      [expect.stringContaining('(fetch → data → insertAdjacentHTML)'), 9],
+    ]);
+  });
+
+  it('should report the URL of the page', async () => {
+    const linterMessages = await scan(
+      [
+        'let hash;',
+        "const base = '#';",
+        'hash = decodeURIComponent(location.hash.slice(1));',
+        'document.body.innerHTML = hash;',
+        `document.body.innerHTML = \`<a href="\${document.URL}">link</a>\`;`,
+        "eval(JSON.parse(window.location.search.split('=')[1]));",
+        'document.body.innerHTML = base;',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message }) => message)).toEqual([
+      expect.stringContaining('(location → hash → innerHTML)'),
+      expect.stringContaining('(document.URL → innerHTML)'),
+      expect.stringContaining('(window.location → eval)'),
+    ]);
+  });
+
+  it('should not report the untainted data', async () => {
+    const linterMessages = await scan(
+      [
+        'const location = { hash: "#" };',
+        'document.body.innerHTML = location.hash;',
+        'browser.runtime.onMessage.addListener((message, sender) => {',
+        '  document.body.innerHTML = sender.id;',
+        '  document.body.textContent = message;',
+        '  setTimeout(() => eval(message.length > 1 ? "a" : "b"), 10);',
+        '  browser.tabs.executeScript({ file: message.file });',
+        '});',
+        "document.addEventListener('click', (event) => eval(event.data));",
+      ].join('\n')
+    );
+
+    expect(linterMessages).toEqual([]);
+  });
+
+  it('should support the circular assignments', async () => {
+    const linterMessages = await scan(
+      [
+        'let a = "";',
+        'let b = a;',
+        'a = b + location.hash;',
+        'document.body.innerHTML = b;',
+      ].join('\n')
+    );
+
+    expect(linterMessages.map(({ message }) => message)).toEqual([
+      expect.stringContaining('(location → a → b → innerHTML)'),
+    ]);
+  });
+});
@@ -30,6 +30,7 @@ describe('unsupported manifest v2 APIs tested with mock', () => {
           message: expect.stringMatching(
             /"pageAction.show" has been removed in Manifest Version 3/
           ),
+          data: { api: 'pageAction.show', removedApi: 'pageAction.show' },
         }),
       ])
     );
@@ -96,4 +96,61 @@ describe('CSSScanner', () => {
     const { linterMessages } = await cssScanner.scan();
     expect(linterMessages.length).toEqual(0);
   });
+
+  it('should return the imported stylesheets', async () => {
+    const code = [
+      '@import "base.css";',
+      "@import url('/theme/dark.css') screen;",
+      '@import url(fonts.css);',
+      '.myClass { color: red; }',
+    ].join('\n');
+    const cssScanner = new CSSScanner(code, 'styles/main.css');
+
+    const { references } = await cssScanner.scan();
+
+    expect(references).toEqual([
+      { type: 'stylesheet', value: 'base.css', line: 1, column: 1 },
+      { type: 'stylesheet', value: '/theme/dark.css', line: 2, column: 1 },
+      { type: 'stylesheet', value: 'fonts.css', line: 3, column: 1 },
+    ]);
+  });
+
+  it('should not return references for invalid css', async () => {
+    const cssScanner = new CSSScanner('@import "base.css"; #a {', 'a.css');
+
+    const { references } = await cssScanner.scan();
+
+    expect(references).toEqual([]);
+  });
+
+  it('should report the remote stylesheets', async () => {
+    const code = [
+      '@import "base.css";',
+      '@import url(https://example.com/theme.css) screen;',
+      '@media print {',
+      '  .myClass { color: red; }',
+      '}',
+      "@import '//example.com/fonts.css';",
+    ].join('\n');
+    const cssScanner = new CSSScanner(code, 'main.css');
+
+    const { linterMessages } = await cssScanner.scan();
+
+    expect(linterMessages).toEqual([
+      {
+        code: messages.REMOTE_CODE_CSS_IMPORT.code,
+        message:
+          'Remote stylesheet imported from "https://example.com/theme.css".',
+        description: messages.REMOTE_CODE_CSS_IMPORT.description,
+        type: VALIDATION_WARNING,
+        line: 2,
+        column: 1,
+        file: 'main.css',
+      },
+      expect.objectContaining({
+        code: messages.REMOTE_CODE_CSS_IMPORT.code,
+        line: 6,
+      }),
+    ]);
+  });
 });
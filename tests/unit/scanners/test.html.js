@@ -136,4 +136,49 @@ describe('HTML', () => {
       Object.keys(ignorePrivateFunctions(rules)).length
     );
   });
+
+  it('should return the files loaded by the page', async () => {
+    const contents = oneLine`<!DOCTYPE html><html><head>
+      <link rel="stylesheet" href="popup.css">
+      <script src="/lib/jquery.js"></script>
+      <script>console.log('inline');</script>
+      </head><body><script type="module" src="./popup.js"></script>
+      </body></html>`;
+    const htmlScanner = new HTMLScanner(contents, 'popup/index.html');
+
+    const { references } = await htmlScanner.scan();
+
+    expect(references).toEqual([
+      { type: 'script', value: '/lib/jquery.js' },
+      { type: 'script', value: './popup.js' },
+      { type: 'link', value: 'popup.css' },
+    ]);
+  });
+
+  it('should return the frames and the pages linked by the page', async () => {
+    const contents = oneLine`<!DOCTYPE html><html><body>
+      <iframe src="frame.html"></iframe>
+      <a href="options.html#general">Options</a>
+      <a href="https://example.com/">Example</a>
+      </body></html>`;
+    const htmlScanner = new HTMLScanner(contents, 'popup/index.html');
+
+    const { references } = await htmlScanner.scan();
+
+    expect(references).toEqual([
+      { type: 'frame', value: 'frame.html' },
+      { type: 'anchor', value: 'options.html#general' },
+      { type: 'anchor', value: 'https://example.com/' },
+    ]);
+  });
+
+  it('should return the frames of a frameset', async () => {
+    const contents = oneLine`<!DOCTYPE html><html><frameset>
+      <frame src="/pages/frame.html"></frameset></html>`;
+    const htmlScanner = new HTMLScanner(contents, 'index.html');
+
+    const { references } = await htmlScanner.scan();
+
+    expect(references).toEqual([{ type: 'frame', value: '/pages/frame.html' }]);
+  });
 });
@@ -1,7 +1,9 @@
 import ESLint from 'eslint';
 import { oneLine } from 'common-tags';
+import { SourceMapGenerator } from 'source-map';
 
 import {
+  ANY_BROWSER_API,
   ESLINT_ERROR,
   ESLINT_RULE_MAPPING,
   EXTERNAL_RULE_MAPPING,
@@ -140,7 +142,7 @@ describe('JavaScript Scanner', () => {
   });
 
   it('should support dynamic imports', async () => {
-    const code = `(async () => { await import('some-script.js'); })();`;
+    const code = `(async () => { await import('./some-script.js'); })();`;
 
     const jsScanner = new JavaScriptScanner(code, 'code.js');
 
@@ -249,6 +251,10 @@ describe('JavaScript Scanner', () => {
       verify() {
         return [{ fatal: false }];
       }
+
+      getSourceCode() {
+        return null;
+      }
     }
 
     const FakeESLint = {
@@ -344,7 +350,7 @@ describe('JavaScript Scanner', () => {
     await runJsScanner(jsScanner);
     // This is the number of custom ESLint rules we have in addons-linter. When
     // adding a new rule, please increase this value.
-    expect(jsScanner._rulesProcessed).toEqual(15);
+    expect(jsScanner._rulesProcessed).toEqual(20);
   });
 
   TEMPORARY_APIS.forEach((api) => {
@@ -426,8 +432,145 @@ describe('JavaScript Scanner', () => {
       linterMessages: [
         expect.objectContaining({ code: 'UNSAFE_VAR_ASSIGNMENT' }),
       ],
+      suppressedMessages: [],
       scannedFiles: ['code.js'],
+      browserApis: [],
+      references: [],
+    });
+  });
+
+  it('should return the browser APIs used by the code', async () => {
+    const code = [
+      'const storage = browser.storage;',
+      'browser.storage.local.get("key");',
+      'chrome.tabs.query({}, () => {',
+      '  chrome.runtime.lastError;',
+      '});',
+      'browser["alarms"].create();',
+      'notBrowser.bookmarks.search("");',
+    ].join('\n');
+    const jsScanner = new JavaScriptScanner(code, 'code.js', {
+      addonMetadata: validMetadata({}),
+    });
+
+    const { browserApis } = await jsScanner.scan();
+
+    expect(browserApis).toEqual([
+      'alarms',
+      'alarms.create',
+      'runtime',
+      'runtime.lastError',
+      'storage',
+      'storage.local',
+      'tabs',
+      'tabs.query',
+    ]);
+  });
+
+  it('should return the browser APIs used through destructuring and aliases', async () => {
+    const code = [
+      'const { storage, tabs: { query } } = browser;',
+      'storage.local.get("key");',
+      'const api = typeof browser === "undefined" ? chrome : browser;',
+      'api.bookmarks.search("");',
+      'const { onAlarm } = api.alarms;',
+      'function f(browser) { browser.history.search({}); }',
+      'if (!browser || browser.menus) {}',
+    ].join('\n');
+    const jsScanner = new JavaScriptScanner(code, 'code.js', {
+      addonMetadata: validMetadata({}),
+    });
+
+    const { browserApis } = await jsScanner.scan();
+
+    expect(browserApis).toEqual([
+      'alarms',
+      'alarms.onAlarm',
+      'bookmarks',
+      'bookmarks.search',
+      'menus',
+      'storage',
+      'storage.local',
+      'tabs',
+      'tabs.query',
+    ]);
+  });
+
+  it.each([
+    'register(browser);',
+    'const api = browser; register(api);',
+    'browser[name].create();',
+    'const { ...apis } = chrome;',
+  ])(
+    'should return any browser API when the namespace is passed around: %s',
+    async (code) => {
+      const jsScanner = new JavaScriptScanner(code, 'code.js', {
+        addonMetadata: validMetadata({}),
+      });
+
+      const { browserApis } = await jsScanner.scan();
+
+      expect(browserApis).toContain(ANY_BROWSER_API);
+    }
+  );
+
+  it('should return the files referenced by the code', async () => {
+    const code = [
+      "import { a } from './a.js';",
+      "export * from '../lib/b.mjs';",
+      "import 'lodash';",
+      "import('./lazy.js');",
+      "importScripts('worker-lib.js', '/vendor/c.js');",
+      "self.importScripts('d.js');",
+      "browser.runtime.getURL('pages/options.html?tab=1');",
+      "const message = 'not a file';",
+    ].join('\n');
+    const jsScanner = new JavaScriptScanner(code, 'code.mjs', {
+      addonMetadata: validMetadata({}),
     });
+
+    const { references } = await jsScanner.scan();
+
+    expect(
+      references.map(({ type, value, line }) => [type, value, line])
+    ).toEqual([
+      ['import', './a.js', 1],
+      ['import', '../lib/b.mjs', 2],
+      ['import', 'lodash', 3],
+      ['import', './lazy.js', 4],
+      ['importScripts', 'worker-lib.js', 5],
+      ['importScripts', '/vendor/c.js', 5],
+      ['importScripts', 'd.js', 6],
+      ['string', 'pages/options.html?tab=1', 7],
+    ]);
+    expect(references[5].column).toEqual(32);
+  });
+
+  it('should not return browser APIs for invalid code', async () => {
+    const jsScanner = new JavaScriptScanner('browser.storage.', 'code.js');
+
+    const { browserApis } = await jsScanner.scan();
+
+    expect(browserApis).toEqual([]);
+  });
+
+  it('should keep the data of the reports of the custom rules', async () => {
+    const jsScanner = new JavaScriptScanner(
+      oneLine`browser.tabs.foo();
+        import('https://example.com/remote.js');`,
+      'code.js',
+      { addonMetadata: validMetadata({}) }
+    );
+
+    const { linterMessages } = await jsScanner.scan();
+
+    expect(linterMessages.map(({ code, data }) => ({ code, data }))).toEqual([
+      { code: messages.UNSUPPORTED_API.code, data: { api: 'tabs.foo' } },
+      {
+        code: messages.REMOTE_CODE_IMPORT.code,
+        data: { url: 'https://example.com/remote.js' },
+      },
+    ]);
   });
 
   describe('detectSourceType', () => {
@@ -529,4 +672,207 @@ describe('JavaScript Scanner', () => {
       });
     });
   });
+
+  describe('inline suppressions', () => {
+    it('should suppress the findings on the next line', async () => {
+      const code = [
+        '// addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT -- reviewed',
+        'a.innerHTML = b;',
+        'c.innerHTML = d;',
+      ].join('\n');
+      const jsScanner = new JavaScriptScanner(code, 'code.js');
+
+      const { linterMessages, suppressedMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([
+        expect.objectContaining({ code: 'UNSAFE_VAR_ASSIGNMENT', line: 3 }),
+      ]);
+      expect(suppressedMessages).toEqual([
+        expect.objectContaining({
+          code: 'UNSAFE_VAR_ASSIGNMENT',
+          line: 2,
+          justification: 'reviewed',
+        }),
+      ]);
+    });
+
+    it('should support multiple codes and block comments', async () => {
+      const code = [
+        '/* addons-linter-disable-next-line DANGEROUS_EVAL, NO_IMPLIED_EVAL',
+        ' * -- the code is generated at build time */',
+        'eval(foo); setTimeout("bar()", 1);',
+      ].join('\n');
+      const jsScanner = new JavaScriptScanner(code, 'code.js');
+
+      const { linterMessages, suppressedMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([]);
+      expect(suppressedMessages.map(({ code: c }) => c).sort()).toEqual([
+        'DANGEROUS_EVAL',
+        'NO_IMPLIED_EVAL',
+      ]);
+      expect(suppressedMessages[0].justification).toEqual(
+        'the code is generated at build time'
+      );
+    });
+
+    it('should not suppress other codes', async () => {
+      const code = [
+        '// addons-linter-disable-next-line NO_IMPLIED_EVAL -- reviewed',
+        'a.innerHTML = b;',
+      ].join('\n');
+      const jsScanner = new JavaScriptScanner(code, 'code.js');
+
+      const { linterMessages, suppressedMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([
+        expect.objectContaining({ code: 'UNSAFE_VAR_ASSIGNMENT' }),
+      ]);
+      expect(suppressedMessages).toEqual([]);
+    });
+
+    it.each([
+      ['// addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT'],
+      ['// addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT --'],
+      ['// addons-linter-disable-next-line -- no codes'],
+    ])('should ignore and report invalid comments: %s', async (comment) => {
+      const code = [comment, 'a.innerHTML = b;'].join('\n');
+      const jsScanner = new JavaScriptScanner(code, 'code.js');
+
+      const { linterMessages, suppressedMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([
+        expect.objectContaining({
+          code: messages.INLINE_SUPPRESSION_INVALID.code,
+          type: VALIDATION_WARNING,
+          line: 1,
+          column: 1,
+        }),
+        expect.objectContaining({ code: 'UNSAFE_VAR_ASSIGNMENT', line: 2 }),
+      ]);
+      expect(suppressedMessages).toEqual([]);
+    });
+
+    it('should not suppress errors', async () => {
+      const code = [
+        '// addons-linter-disable-next-line JS_SYNTAX_ERROR -- reviewed',
+        'var a = ;',
+      ].join('\n');
+      const jsScanner = new JavaScriptScanner(code, 'code.js');
+
+      const { linterMessages, suppressedMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([
+        expect.objectContaining({
+          code: messages.JS_SYNTAX_ERROR.code,
+          type: VALIDATION_ERROR,
+        }),
+      ]);
+      expect(suppressedMessages).toEqual([]);
+    });
+
+    it('should report the suppressed findings in the linter output', async () => {
+      const code = [
+        '// addons-linter-disable-next-line UNSAFE_VAR_ASSIGNMENT -- reviewed',
+        'a.innerHTML = b;',
+      ].join('\n');
+      const addonLinter = new Linter({ _: ['bar'] });
+      addonLinter.io = {
+        files: { 'code.js': { size: code.length } },
+        getFile: async () => code,
+      };
+
+      await addonLinter.scanFile('code.js');
+
+      expect(addonLinter.output.warnings).toEqual([]);
+      expect(addonLinter.output.suppressed).toEqual([
+        expect.objectContaining({
+          code: 'UNSAFE_VAR_ASSIGNMENT',
+          file: 'code.js',
+          line: 2,
+          justification: 'reviewed',
+        }),
+      ]);
+      expect(JSON.parse(addonLinter.toJSON()).suppressed).toEqual([
+        expect.objectContaining({ justification: 'reviewed' }),
+      ]);
+    });
+  });
+
+  describe('source maps', () => {
+    const createSourceMap = () => {
+      const generator = new SourceMapGenerator({ file: 'bundle.js' });
+      generator.addMapping({
+        source: '../src/popup.js',
+        original: { line: 3, column: 4 },
+        generated: { line: 1, column: 9 },
+      });
+      generator.addMapping({
+        source: 'webpack://extension/./src/utils.js',
+        original: { line: 7, column: 0 },
+        generated: { line: 1, column: 20 },
+      });
+      return generator.toJSON();
+    };
+
+    it('should add the original locations of the messages', async () => {
+      const jsScanner = new JavaScriptScanner(
+        'var a=1;\teval(a);\ta.innerHTML=b;',
+        'dist/bundle.js',
+        { sourceMap: { file: 'dist/bundle.js.map', map: createSourceMap() } }
+      );
+
+      const { linterMessages } = await jsScanner.scan();
+
+      expect(
+        linterMessages.map(({ code, line, column, original }) => ({
+          code,
+          line,
+          column,
+          original,
+        }))
+      ).toEqual([
+        {
+          code: messages.DANGEROUS_EVAL.code,
+          line: 1,
+          column: 10,
+          original: { file: 'src/popup.js', line: 3, column: 5 },
+        },
+        {
+          code: 'UNSAFE_VAR_ASSIGNMENT',
+          line: 1,
+          column: 19,
+          original: { file: 'src/popup.js', line: 3, column: 5 },
+        },
+      ]);
+    });
+
+    it('should keep the sources that are not package files', async () => {
+      const jsScanner = new JavaScriptScanner(
+        'var a=1;\teval(a);\t\t\teval(b);',
+        'dist/bundle.js',
+        { sourceMap: { file: 'dist/bundle.js.map', map: createSourceMap() } }
+      );
+
+      const { linterMessages } = await jsScanner.scan();
+
+      expect(linterMessages[1].original).toEqual({
+        file: 'webpack://extension/src/utils.js',
+        line: 7,
+        column: 1,
+      });
+    });
+
+    it('should ignore the invalid source maps', async () => {
+      const jsScanner = new JavaScriptScanner('eval(a);', 'bundle.js', {
+        sourceMap: { file: 'bundle.js.map', map: { version: 2 } },
+      });
+
+      const { linterMessages } = await jsScanner.scan();
+
+      expect(linterMessages).toEqual([
+        expect.not.objectContaining({ original: expect.anything() }),
+      ]);
+    });
+  });
 });
@@ -1,5 +1,7 @@
 import { DEPRECATED_JAVASCRIPT_APIS, TEMPORARY_APIS } from 'const';
 import {
+  getApiPermissionNames,
+  getApiPermissions,
   getManifestVersion,
   getMaxManifestVersion,
   getMinManifestVersion,
@@ -297,4 +299,44 @@ describe('browserApis', () => {
       }
     });
   });
+
+  describe('getApiPermissions', () => {
+    it('returns the permissions of the namespace and the API', () => {
+      expect(getApiPermissions('storage', 'local')).toEqual([['storage']]);
+      expect(getApiPermissions('menus', 'overrideContext')).toEqual([
+        ['menus'],
+        ['menus.overrideContext'],
+      ]);
+      expect(getApiPermissions('contextMenus', 'create')).toEqual([
+        ['menus', 'contextMenus'],
+      ]);
+      expect(getApiPermissions('runtime', 'connectNative')).toEqual([
+        ['nativeMessaging'],
+      ]);
+    });
+
+    it('ignores the host permissions and the manifest keys', () => {
+      expect(getApiPermissions('tabs', 'captureVisibleTab')).toEqual([]);
+      expect(getApiPermissions('browserAction', 'setBadgeText')).toEqual([]);
+    });
+
+    it('returns no permissions for unknown APIs', () => {
+      expect(getApiPermissions('runtime', 'getURL')).toEqual([]);
+      expect(getApiPermissions(fakeNs, fakeProp)).toEqual([]);
+      expect(getApiPermissions('storage')).toEqual([['storage']]);
+    });
+  });
+
+  describe('getApiPermissionNames', () => {
+    it('returns the permissions required by the APIs', () => {
+      const names = getApiPermissionNames();
+
+      expect(names.has('storage')).toEqual(true);
+      expect(names.has('nativeMessaging')).toEqual(true);
+      expect(names.has('downloads.open')).toEqual(true);
+      expect(names.has('<all_urls>')).toEqual(false);
+      expect(names.has('manifest:action')).toEqual(false);
+      expect(names.has('unlimitedStorage')).toEqual(false);
+    });
+  });
 });
@@ -0,0 +1,117 @@
+import {
+  BASELINE_VERSION,
+  createBaseline,
+  getBaselineMatches,
+  getMessageFingerprint,
+  parseBaseline,
+} from 'baseline';
+import { AddonsLinterUserError } from 'utils';
+
+import { fakeMessageData } from './helpers';
+
+describe('baseline', () => {
+  describe('getMessageFingerprint', () => {
+    it('should not depend on the line and column numbers', () => {
+      const message = { ...fakeMessageData, file: 'a.js', line: 1, column: 3 };
+      expect(getMessageFingerprint(message, '  foo.innerHTML = bar;')).toEqual(
+        getMessageFingerprint(
+          { ...message, line: 42, column: 5 },
+          'foo.innerHTML = bar;'
+        )
+      );
+    });
+
+    it('should depend on the code, file and source line', () => {
+      const message = { ...fakeMessageData, file: 'a.js', line: 1 };
+      const fingerprint = getMessageFingerprint(message, 'eval(foo);');
+
+      expect(fingerprint).not.toEqual(
+        getMessageFingerprint({ ...message, code: 'OTHER' }, 'eval(foo);')
+      );
+      expect(fingerprint).not.toEqual(
+        getMessageFingerprint({ ...message, file: 'b.js' }, 'eval(foo);')
+      );
+      expect(fingerprint).not.toEqual(
+        getMessageFingerprint(message, 'eval(bar);')
+      );
+    });
+
+    it('should support messages without a file or a source line', () => {
+      expect(getMessageFingerprint(fakeMessageData)).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('createBaseline', () => {
+    it('should count the messages by fingerprint', () => {
+      const message = { ...fakeMessageData, file: 'a.js' };
+      expect(
+        createBaseline([
+          { message: { ...message, code: 'B' }, fingerprint: 'f2' },
+          { message, fingerprint: 'f1' },
+          { message, fingerprint: 'f1' },
+        ])
+      ).toEqual({
+        version: BASELINE_VERSION,
+        messages: [
+          { code: 'B', file: 'a.js', fingerprint: 'f2', count: 1 },
+          { code: 'WHATEVER_CODE', file: 'a.js', fingerprint: 'f1', count: 2 },
+        ],
+      });
+    });
+  });
+
+  describe('parseBaseline', () => {
+    it('should parse a baseline file', () => {
+      const baseline = { version: BASELINE_VERSION, messages: [] };
+      expect(parseBaseline(JSON.stringify(baseline), 'baseline.json')).toEqual(
+        baseline
+      );
+    });
+
+    it.each([['{ invalid'], ['{}'], ['{"version": 999, "messages": []}']])(
+      'should throw a user error on invalid baseline: %s',
+      (content) => {
+        expect(() => parseBaseline(content, 'baseline.json')).toThrow(
+          AddonsLinterUserError
+        );
+        expect(() => parseBaseline(content, 'baseline.json')).toThrow(
+          'Invalid baseline file baseline.json'
+        );
+      }
+    );
+  });
+
+  describe('getBaselineMatches', () => {
+    it('should only match as many messages as the baseline count', () => {
+      const baseline = {
+        version: BASELINE_VERSION,
+        messages: [{ fingerprint: 'f1', count: 2 }],
+      };
+      const entries = [
+        { message: 'first', fingerprint: 'f1' },
+        { message: 'other', fingerprint: 'f2' },
+        { message: 'second', fingerprint: 'f1' },
+        { message: 'third', fingerprint: 'f1' },
+      ];
+
+      expect(getBaselineMatches(baseline, entries)).toEqual([
+        entries[0],
+        entries[2],
+      ]);
+    });
+
+    it('should match the first occurrences in the file', () => {
+      const baseline = {
+        version: BASELINE_VERSION,
+        messages: [{ fingerprint: 'f1', count: 1 }],
+      };
+      const entries = [
+        { message: { line: 3, column: 1 }, fingerprint: 'f1' },
+        { message: { line: 1, column: 5 }, fingerprint: 'f1' },
+        { message: { line: 1, column: 2 }, fingerprint: 'f1' },
+      ];
+
+      expect(getBaselineMatches(baseline, entries)).toEqual([entries[2]]);
+    });
+  });
+});
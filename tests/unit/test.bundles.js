@@ -0,0 +1,123 @@
+import { getBundledModules, isInBundledModule } from 'bundles';
+
+describe('getBundledModules()', () => {
+  it('should return the modules of a webpack bundle', () => {
+    const code = [
+      '(() => {',
+      '  var __webpack_modules__ = ({',
+      '    "./node_modules/lib/index.js": ((module) => {',
+      '      module.exports = 42;',
+      '    }),',
+      '    "./src/index.js": ((module, exports, __webpack_require__) => {',
+      '      __webpack_require__("./node_modules/lib/index.js");',
+      '    }),',
+      '  });',
+      '  function __webpack_require__(moduleId) {',
+      '    return { getters: { a: () => {} } };',
+      '  }',
+      '})();',
+    ].join('\n');
+
+    expect(getBundledModules(code)).toEqual([
+      {
+        id: './node_modules/lib/index.js',
+        code: '\n      module.exports = 42;\n    ',
+        start: { line: 3, column: 49 },
+        end: { line: 5, column: 5 },
+      },
+      {
+        id: './src/index.js',
+        code: '\n      __webpack_require__("./node_modules/lib/index.js");\n    ',
+        start: { line: 6, column: 66 },
+        end: { line: 8, column: 5 },
+      },
+    ]);
+  });
+
+  it('should return the modules of a webpack production bundle', () => {
+    const code = [
+      '!function(e){function __webpack_require__(n){}}([',
+      'function(e,t){e.exports=1},',
+      ',',
+      'function(e,t,n){n(0)}',
+      ']);',
+    ].join('\n');
+
+    expect(getBundledModules(code).map(({ id, code: c }) => [id, c])).toEqual([
+      ['0', 'e.exports=1'],
+      ['2', 'n(0)'],
+    ]);
+  });
+
+  it('should return the modules of a browserify bundle', () => {
+    const code = [
+      '(function(){function r(e,n,t){var i="function"==typeof require&&require}',
+      'return r})()({1:[function(require,module,exports){',
+      'module.exports = 1;',
+      '},{}],2:[function(require,module,exports){',
+      'require("./a");',
+      '},{"./a":1}]},{},[2]);',
+    ].join('\n');
+
+    expect(getBundledModules(code).map(({ id, code: c }) => [id, c])).toEqual([
+      ['1', '\nmodule.exports = 1;\n'],
+      ['2', '\nrequire("./a");\n'],
+    ]);
+  });
+
+  it('should return the CommonJS modules of a rollup bundle', () => {
+    const code = [
+      "var commonjsGlobal = typeof globalThis !== 'undefined' ? globalThis : {};",
+      'var lib = { exports: {} };',
+      '(function (module) {',
+      '  module.exports = 1;',
+      '} (lib));',
+    ].join('\n');
+
+    expect(getBundledModules(code).map(({ id, code: c }) => [id, c])).toEqual([
+      ['lib', '\n  module.exports = 1;\n'],
+    ]);
+  });
+
+  it('should not return the modules of a bundled module', () => {
+    const code = [
+      '__webpack_require__({',
+      '  "./node_modules/lib/dist/lib.js": function (module) {',
+      '    module.exports = __webpack_require__({',
+      '      "./src/a.js": function (module) {},',
+      '    });',
+      '  },',
+      '});',
+    ].join('\n');
+
+    expect(getBundledModules(code).map(({ id }) => id)).toEqual([
+      './node_modules/lib/dist/lib.js',
+    ]);
+  });
+
+  it('should not return the functions of the other files', () => {
+    expect(getBundledModules('var a = { "./a.js": function () {} };')).toEqual(
+      []
+    );
+    expect(getBundledModules('var __webpack_require__ = {')).toEqual([]);
+    expect(
+      getBundledModules('__webpack_require__({ a: function () {} });')
+    ).toEqual([]);
+  });
+});
+
+describe('isInBundledModule()', () => {
+  const module = {
+    start: { line: 2, column: 10 },
+    end: { line: 4, column: 5 },
+  };
+
+  it('should return whether a location is in a module', () => {
+    expect(isInBundledModule({ line: 2, column: 10 }, module)).toBe(true);
+    expect(isInBundledModule({ line: 3 }, module)).toBe(true);
+    expect(isInBundledModule({ line: 4, column: 5 }, module)).toBe(true);
+    expect(isInBundledModule({ line: 2, column: 9 }, module)).toBe(false);
+    expect(isInBundledModule({ line: 4, column: 6 }, module)).toBe(false);
+    expect(isInBundledModule({ line: 1, column: 20 }, module)).toBe(false);
+  });
+});
@@ -1,4 +1,5 @@
 import { getConfig, terminalWidth } from 'cli';
+import { AddonsLinterUserError } from 'utils';
 
 // Unmock cli to test it (jest automatically host this call before the import
 // section above.
@@ -34,6 +35,24 @@ describe('Basic CLI tests', function cliCallback() {
     expect(args.o).toEqual('text');
   });
 
+  it('should support the sarif output', () => {
+    const args = cli.parse(['foo/bar.zip', '--output', 'sarif']);
+    expect(args.output).toEqual('sarif');
+  });
+
+  it('should support a --rules option', () => {
+    const args = cli.parse([
+      'foo/bar.zip',
+      '--rules.MANIFEST_CSP=off',
+      '--rules.UNSAFE_VAR_ASSIGNMENT',
+      'error',
+    ]);
+    expect(args.rules).toEqual({
+      MANIFEST_CSP: 'off',
+      UNSAFE_VAR_ASSIGNMENT: 'error',
+    });
+  });
+
   it('should default stack to false', () => {
     const args = cli.parse(['foo/bar.zip']);
     expect(args.stack).toEqual(false);
@@ -92,6 +111,66 @@ describe('Basic CLI tests', function cliCallback() {
     ).toBeTruthy();
   });
 
+  it('should merge the project config from .addons-linterrc.json', () => {
+    const args = cli.parse([
+      'tests/fixtures/project-config/rc-json',
+      '--trust-project-config',
+    ]);
+    expect(args.selfHosted).toEqual(true);
+    expect(args['self-hosted']).toEqual(true);
+    expect(args.maxManifestVersion).toEqual(3);
+    expect(args.output).toEqual('json');
+    expect(args.o).toEqual('json');
+    // Options not set in the project config keep their default values.
+    expect(args.privileged).toEqual(false);
+  });
+
+  it('should merge the project config from package.json', () => {
+    const args = cli.parse([
+      'tests/fixtures/project-config/package-json',
+      '--trust-project-config',
+    ]);
+    expect(args.privileged).toEqual(true);
+    expect(args.disableLinterRules).toEqual('no-eval');
+  });
+
+  it('should only merge the options weakening the checks when trusted', () => {
+    expect(() =>
+      cli.parse(['tests/fixtures/project-config/package-json'])
+    ).toThrow(AddonsLinterUserError);
+    expect(() =>
+      cli.parse(['tests/fixtures/project-config/package-json'])
+    ).toThrow(/sets privileged, disable-linter-rules/);
+  });
+
+  it('should not merge a project config when linting several packages', () => {
+    const args = cli.parse([
+      'tests/fixtures/project-config/rc-json',
+      'tests/fixtures/project-config/package-json',
+      '--privileged',
+    ]);
+    expect(args.output).toEqual('text');
+    expect(args.privileged).toEqual(true);
+    // The options that have not been passed are kept to merge the project
+    // config of each package, see MultiLinter.
+    expect(args.defaultedOptions.output).toEqual(true);
+    expect(args.defaultedOptions.privileged).toBeUndefined();
+    expect(Object.keys(args)).not.toContain('defaultedOptions');
+  });
+
+  it('should give precedence to the command line options', () => {
+    const args = cli.parse([
+      'tests/fixtures/project-config/rc-json',
+      '--trust-project-config',
+      '--output',
+      'text',
+      '--no-self-hosted',
+    ]);
+    expect(args.output).toEqual('text');
+    expect(args.selfHosted).toEqual(false);
+    expect(args.maxManifestVersion).toEqual(3);
+  });
+
   it('should use 78 as a width if process.stdout.columns is undefined', () => {
     let fakeProcess = null;
     expect(terminalWidth(fakeProcess)).toEqual(78);
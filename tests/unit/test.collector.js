@@ -1,5 +1,6 @@
 // eslint-disable-next-line import/no-named-default
 import { default as Collector } from 'collector';
+import * as constants from 'const';
 
 import { fakeMessageData } from './helpers';
 
@@ -197,6 +198,115 @@ describe('Collector', () => {
     expect(collection.notices[0].file).toEqual('test.js');
   });
 
+  it('should override the message type if config.rules is defined', () => {
+    const collection = new Collector({
+      rules: {
+        WHATEVER_CODE: constants.VALIDATION_ERROR,
+        OTHER_CODE: constants.VALIDATION_NOTICE,
+      },
+    });
+    collection.addWarning(fakeMessageData);
+    collection.addError({ ...fakeMessageData, code: 'OTHER_CODE' });
+    collection.addNotice({ ...fakeMessageData, code: 'NOT_OVERRIDDEN' });
+
+    expect(collection.errors.length).toEqual(1);
+    expect(collection.errors[0].code).toEqual('WHATEVER_CODE');
+    expect(collection.errors[0].type).toEqual(constants.VALIDATION_ERROR);
+    expect(collection.warnings.length).toEqual(0);
+    expect(collection.notices.length).toEqual(2);
+    expect(collection.notices[0].code).toEqual('OTHER_CODE');
+    expect(collection.notices[0].type).toEqual(constants.VALIDATION_NOTICE);
+    expect(collection.notices[1].code).toEqual('NOT_OVERRIDDEN');
+  });
+
+  it('should drop the messages turned off in config.rules', () => {
+    const collection = new Collector({
+      rules: { WHATEVER_CODE: constants.RULE_SEVERITY_OFF },
+    });
+    collection.addError(fakeMessageData);
+    collection.addWarning(fakeMessageData);
+    collection.addNotice({ ...fakeMessageData, code: 'OTHER_CODE' });
+
+    expect(collection.length).toEqual(1);
+    expect(collection.notices[0].code).toEqual('OTHER_CODE');
+  });
+
+  it('should remove the given messages', () => {
+    const collection = new Collector();
+    collection.addError(fakeMessageData);
+    collection.addWarning({ ...fakeMessageData, code: 'KEPT' });
+    collection.addNotice(fakeMessageData);
+
+    collection.removeMessages([collection.errors[0], collection.notices[0]]);
+
+    expect(collection.length).toEqual(1);
+    expect(collection.warnings[0].code).toEqual('KEPT');
+  });
+
+  it('should allow to add the removed messages again', () => {
+    const collection = new Collector();
+    const messageData = { ...fakeMessageData, instancePath: '/foo' };
+    collection.addError(messageData);
+
+    collection.removeMessages([collection.errors[0]]);
+    collection.addError(messageData);
+
+    expect(collection.length).toEqual(1);
+    expect(collection.messagesAtInstancePath('/foo').length).toEqual(1);
+  });
+
+  it('should restore the removed messages', () => {
+    const onMessage = sinon.spy();
+    const collection = new Collector({}, { onMessage });
+    collection.addError({ ...fakeMessageData, instancePath: '/foo' });
+    collection.addWarning(fakeMessageData);
+    const removedMessages = [collection.errors[0], collection.warnings[0]];
+    collection.removeMessages(removedMessages);
+
+    collection.restoreMessages(removedMessages);
+
+    expect(collection.errors).toEqual([removedMessages[0]]);
+    expect(collection.warnings).toEqual([removedMessages[1]]);
+    expect(collection.messagesAtInstancePath('/foo')).toEqual([
+      removedMessages[0],
+    ]);
+    sinon.assert.calledTwice(onMessage);
+  });
+
+  it('should call onMessage with the recorded messages', () => {
+    const onMessage = sinon.spy();
+    const collection = new Collector({}, { onMessage });
+
+    collection.addError(fakeMessageData);
+    // Duplicate messages are not recorded.
+    collection.addWarning({ ...fakeMessageData, instancePath: '/foo' });
+    collection.addWarning({ ...fakeMessageData, instancePath: '/foo' });
+
+    sinon.assert.calledTwice(onMessage);
+    sinon.assert.calledWith(onMessage, collection.errors[0]);
+    sinon.assert.calledWith(onMessage, collection.warnings[0]);
+  });
+
+  it('should record suppressed messages separately', () => {
+    const collection = new Collector({ scanFile: ['a.js'] });
+    collection.addSuppressedMessage(constants.VALIDATION_WARNING, {
+      ...fakeMessageData,
+      file: 'a.js',
+      justification: 'reviewed',
+    });
+    collection.addSuppressedMessage(constants.VALIDATION_WARNING, {
+      ...fakeMessageData,
+      file: 'b.js',
+      justification: 'reviewed',
+    });
+
+    expect(collection.length).toEqual(0);
+    expect(collection.suppressed.length).toEqual(1);
+    expect(collection.suppressed[0].file).toEqual('a.js');
+    expect(collection.suppressed[0].type).toEqual(constants.VALIDATION_WARNING);
+    expect(collection.suppressed[0].justification).toEqual('reviewed');
+  });
+
   it('should throw when getting messages for an undefined instancePath', () => {
     const collection = new Collector();
     expect(() => {
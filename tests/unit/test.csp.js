@@ -0,0 +1,136 @@
+import {
+  DEFAULT_CSP,
+  getCspProblems,
+  getCspSourceKind,
+  getDefaultCsp,
+  getEffectiveDirective,
+} from 'csp';
+import { parseCspPolicy } from 'utils';
+
+describe('getEffectiveDirective()', () => {
+  it('should follow the CSP3 fallback lists', () => {
+    const directives = parseCspPolicy(
+      "default-src 'none'; script-src 'self'; child-src https:"
+    );
+
+    expect(getEffectiveDirective(directives, 'script-src-elem')).toEqual({
+      name: 'script-src',
+      values: ["'self'"],
+    });
+    expect(getEffectiveDirective(directives, 'worker-src')).toEqual({
+      name: 'child-src',
+      values: ['https:'],
+    });
+    expect(getEffectiveDirective(directives, 'img-src')).toEqual({
+      name: 'default-src',
+      values: ["'none'"],
+    });
+    expect(getEffectiveDirective(directives, 'sandbox')).toEqual(null);
+  });
+
+  it('should return null when the resource type is not restricted', () => {
+    expect(
+      getEffectiveDirective(parseCspPolicy("img-src 'self'"), 'worker-src')
+    ).toEqual(null);
+  });
+});
+
+describe('getCspSourceKind()', () => {
+  it.each([
+    ["'self'", null],
+    ["'none'", null],
+    ["'wasm-unsafe-eval'", null],
+    ["'strict-dynamic'", null],
+    ["'report-sample'", null],
+    ["'unsafe-allow-redirects'", null],
+    ["'unknown-keyword'", null],
+    ['moz-extension:', null],
+    ["'unsafe-eval'", 'unsafe-eval'],
+    ["'unsafe-inline'", 'unsafe-inline'],
+    ["'unsafe-hashes'", 'unsafe-inline'],
+    ["'nonce-abc'", 'nonce'],
+    ["'sha384-abc'", 'hash'],
+    ['*', 'wildcard'],
+    ['https://*.example.com', 'wildcard'],
+    ['data:', 'data'],
+    ['blob:', 'blob'],
+    ['http:', 'insecure'],
+    ['ws://example.com', 'insecure'],
+    ['https:', 'remote'],
+    ['example.com', 'remote'],
+    ['https://cdn.example.com:8443/lib/', 'remote'],
+    ['filesystem:', 'remote'],
+    ['self', 'remote'],
+    ['https://exa mple.com', null],
+  ])('should return the kind of %s', (value, kind) => {
+    expect(getCspSourceKind(value)).toEqual(kind);
+  });
+});
+
+describe('getDefaultCsp()', () => {
+  it('should return the default policy of a manifest version and key', () => {
+    expect(getDefaultCsp(2)).toEqual(DEFAULT_CSP[2].extension_pages);
+    expect(getDefaultCsp(3, 'extension_pages')).toEqual(
+      DEFAULT_CSP[3].extension_pages
+    );
+    expect(getDefaultCsp(3, 'sandbox')).toEqual(DEFAULT_CSP[3].sandbox);
+    expect(getDefaultCsp(3, 'content_scripts')).toEqual(
+      DEFAULT_CSP[3].extension_pages
+    );
+  });
+
+  it('should not return problems for the default policies', () => {
+    expect(getCspProblems(getDefaultCsp(2))).toEqual([]);
+    expect(getCspProblems(getDefaultCsp(3), { manifestVersion: 3 })).toEqual(
+      []
+    );
+    expect(
+      getCspProblems(getDefaultCsp(3, 'sandbox'), {
+        manifestVersion: 3,
+        key: 'sandbox',
+      })
+    ).toEqual([]);
+  });
+});
+
+describe('getCspProblems()', () => {
+  it('should return the problems of the effective directives', () => {
+    expect(
+      getCspProblems(
+        "default-src *; script-src 'self' https:; script-src-attr 'unsafe-inline'"
+      )
+    ).toEqual([
+      { directive: 'script-src', value: 'https:', kind: 'remote' },
+      {
+        directive: 'script-src-attr',
+        value: "'unsafe-inline'",
+        kind: 'unsafe-inline',
+      },
+    ]);
+  });
+
+  it('should return the missing script-src once', () => {
+    expect(getCspProblems("script-src-elem 'self'")).toEqual([
+      { directive: 'script-src', value: null, kind: 'missing' },
+    ]);
+    expect(getCspProblems('')).toEqual([
+      { directive: 'script-src', value: null, kind: 'missing' },
+    ]);
+  });
+
+  it('should allow the kinds of sources of the default policy', () => {
+    const policy = "script-src 'self' 'unsafe-eval' 'unsafe-inline'";
+
+    expect(
+      getCspProblems(policy, { manifestVersion: 3, key: 'sandbox' })
+    ).toEqual([]);
+    expect(getCspProblems(policy, { manifestVersion: 3 })).toEqual([
+      { directive: 'script-src', value: "'unsafe-eval'", kind: 'unsafe-eval' },
+      {
+        directive: 'script-src',
+        value: "'unsafe-inline'",
+        kind: 'unsafe-inline',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,322 @@
+import fs from 'fs';
+
+import tmp from 'tmp-promise';
+
+import Differ, {
+  diffLists,
+  diffManifests,
+  diffMessageEntries,
+  getContentSecurityPolicies,
+  getPermissions,
+  isDiffCommand,
+} from 'differ';
+import * as messages from 'messages';
+import { AddonsLinterUserError } from 'utils';
+
+import { validManifestJSON } from './helpers';
+
+describe('isDiffCommand()', () => {
+  it('should detect the diff command', () => {
+    expect(isDiffCommand(['diff', 'old.xpi', 'new.xpi'])).toEqual(true);
+    expect(isDiffCommand(['diff', 'new.xpi'])).toEqual(false);
+    expect(isDiffCommand(['old.xpi', 'diff', 'new.xpi'])).toEqual(false);
+    expect(isDiffCommand()).toEqual(false);
+  });
+});
+
+describe('diffLists()', () => {
+  it('should return the added and removed values', () => {
+    expect(diffLists(['a', 'b', 'b'], ['c', 'b', 'a', 'd'])).toEqual({
+      added: ['c', 'd'],
+      removed: [],
+    });
+    expect(diffLists(['a', 'b'], [])).toEqual({
+      added: [],
+      removed: ['a', 'b'],
+    });
+  });
+});
+
+describe('getPermissions()', () => {
+  it('should split the host permissions', () => {
+    expect(
+      getPermissions({
+        permissions: ['tabs', '<all_urls>'],
+        host_permissions: ['*://example.com/*'],
+        optional_permissions: ['bookmarks'],
+        optional_host_permissions: ['https://example.org/*'],
+      })
+    ).toEqual({
+      permissions: ['tabs'],
+      hostPermissions: ['<all_urls>', '*://example.com/*'],
+      optionalPermissions: ['bookmarks', 'https://example.org/*'],
+    });
+  });
+
+  it('should ignore invalid permissions', () => {
+    expect(
+      getPermissions({ permissions: 'tabs', host_permissions: [{}] })
+    ).toEqual({
+      permissions: [],
+      hostPermissions: [],
+      optionalPermissions: [],
+    });
+  });
+});
+
+describe('getContentSecurityPolicies()', () => {
+  it('should support the string and object forms', () => {
+    expect(
+      getContentSecurityPolicies({
+        content_security_policy: "script-src 'self'",
+      })
+    ).toEqual({ extension_pages: "script-src 'self'" });
+    expect(
+      getContentSecurityPolicies({
+        content_security_policy: { sandbox: 'sandbox allow-scripts' },
+      })
+    ).toEqual({ sandbox: 'sandbox allow-scripts' });
+    expect(getContentSecurityPolicies({})).toEqual({});
+  });
+});
+
+describe('diffManifests()', () => {
+  it('should compare the permissions and the policies', () => {
+    expect(
+      diffManifests(
+        {
+          permissions: ['tabs', 'https://example.com/*'],
+          content_security_policy: "script-src 'self'",
+        },
+        {
+          manifest_version: 3,
+          permissions: ['storage'],
+          host_permissions: ['https://example.com/*', '<all_urls>'],
+          content_security_policy: {
+            extension_pages: "script-src 'self' 'wasm-unsafe-eval'",
+            sandbox: 'sandbox allow-scripts',
+          },
+        }
+      )
+    ).toEqual({
+      permissions: { added: ['storage'], removed: ['tabs'] },
+      hostPermissions: { added: ['<all_urls>'], removed: [] },
+      optionalPermissions: { added: [], removed: [] },
+      csp: [
+        {
+          key: 'extension_pages',
+          old: "script-src 'self'",
+          new: "script-src 'self' 'wasm-unsafe-eval'",
+        },
+        { key: 'sandbox', old: null, new: 'sandbox allow-scripts' },
+      ],
+    });
+  });
+});
+
+describe('diffMessageEntries()', () => {
+  it('should return the new and resolved messages', () => {
+    const first = { code: 'FIRST' };
+    const second = { code: 'SECOND' };
+    const third = { code: 'THIRD' };
+
+    expect(
+      diffMessageEntries(
+        [
+          { message: first, fingerprint: 'a' },
+          { message: second, fingerprint: 'b' },
+        ],
+        [
+          { message: { ...first, line: 10 }, fingerprint: 'a' },
+          { message: third, fingerprint: 'c' },
+          { message: { ...third, line: 12 }, fingerprint: 'c' },
+        ]
+      )
+    ).toEqual({ added: [third, { ...third, line: 12 }], removed: [second] });
+  });
+});
+
+describe('Differ', () => {
+  let tmpDir;
+
+  const writePackage = (name, manifest, files = {}) => {
+    fs.mkdirSync(`${tmpDir.name}/${name}`);
+    fs.writeFileSync(`${tmpDir.name}/${name}/manifest.json`, manifest);
+    Object.keys(files).forEach((file) => {
+      fs.writeFileSync(`${tmpDir.name}/${name}/${file}`, files[file]);
+    });
+  };
+
+  const createConfig = (extra) => ({
+    _: ['diff', `${tmpDir.name}/old`, `${tmpDir.name}/new`],
+    output: 'none',
+    boring: true,
+    ...extra,
+  });
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    writePackage(
+      'old',
+      validManifestJSON({
+        version: '1.2',
+        permissions: ['tabs'],
+        background: { scripts: ['background.js', 'options.js'] },
+      }),
+      {
+        'background.js': 'document.body.innerHTML = window.name;\n',
+        'options.js': '',
+      }
+    );
+    writePackage(
+      'new',
+      validManifestJSON({
+        version: '1.3',
+        permissions: ['tabs', '<all_urls>'],
+        background: { scripts: ['background.js', 'popup.js'] },
+      }),
+      {
+        'background.js': [
+          '// The message is not new because it moved.',
+          'document.body.innerHTML = window.name;',
+          'eval(window.name);',
+          '',
+        ].join('\n'),
+        'popup.js': '',
+      }
+    );
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  it('should compare the two packages', async () => {
+    const differ = new Differ(createConfig());
+
+    const diff = await differ.run();
+
+    expect(diff.old).toEqual({
+      packagePath: `${tmpDir.name}/old`,
+      version: '1.2',
+    });
+    expect(diff.new.version).toEqual('1.3');
+    expect(diff.files).toEqual({
+      added: ['popup.js'],
+      removed: ['options.js'],
+    });
+    expect(diff.hostPermissions).toEqual({
+      added: ['<all_urls>'],
+      removed: [],
+    });
+    expect(diff.permissions).toEqual({ added: [], removed: [] });
+    expect(diff.messages.added.map(({ code }) => code)).toEqual([
+      messages.MANIFEST_BROAD_MATCH_PATTERN,
+      messages.DANGEROUS_EVAL.code,
+    ]);
+    expect(diff.messages.removed).toEqual([]);
+    expect(differ.exitCode).toEqual(0);
+  });
+
+  it('should fail when new errors are found', async () => {
+    const differ = new Differ(createConfig());
+    await differ.run();
+
+    differ.diff.messages.added[0]._type = 'error';
+    expect(differ.exitCode).toEqual(1);
+  });
+
+  it('should share the dispensary between the packages', async () => {
+    const differ = new Differ(createConfig());
+
+    await differ.run();
+
+    expect(differ.oldLinter.dispensary).toBe(differ.dispensary);
+    expect(differ.newLinter.dispensary).toBe(differ.dispensary);
+  });
+
+  it('should print the changes', async () => {
+    const differ = new Differ(createConfig({ output: 'text' }));
+    const fakeConsole = { log: sinon.stub() };
+
+    await differ.run({ _console: fakeConsole });
+
+    sinon.assert.calledOnce(fakeConsole.log);
+    const text = fakeConsole.log.firstCall.args[0];
+    expect(text).toContain(
+      `Comparing ${tmpDir.name}/old (1.2) to ${tmpDir.name}/new (1.3)`
+    );
+    expect(text).toContain('Files:\n  + popup.js\n  - options.js');
+    expect(text).toContain('Libraries:\n  No changes.');
+    expect(text).toContain('Host permissions:\n  + <all_urls>');
+    expect(text).toContain(
+      `+ WARNING ${messages.DANGEROUS_EVAL.code} eval can be harmful.`
+    );
+  });
+
+  it('should output JSON', async () => {
+    const differ = new Differ(createConfig({ output: 'json' }));
+    const fakeConsole = { log: sinon.stub() };
+
+    await differ.run({ _console: fakeConsole });
+
+    const output = JSON.parse(fakeConsole.log.firstCall.args[0]);
+    expect(output.files.added).toEqual(['popup.js']);
+  });
+
+  it('should compare a package with a broken manifest', async () => {
+    fs.writeFileSync(`${tmpDir.name}/new/manifest.json`, '{ "name": ');
+    const differ = new Differ(createConfig());
+
+    const diff = await differ.run();
+
+    expect(diff.new.version).toEqual(null);
+    expect(diff.libraries).toEqual({ added: [], removed: [] });
+    expect(diff.messages.added.map(({ code }) => code)).toContain(
+      messages.JSON_INVALID.code
+    );
+    expect(differ.exitCode).toEqual(1);
+  });
+
+  it('should compare a package that can not be opened', async () => {
+    fs.writeFileSync(`${tmpDir.name}/new.xpi`, 'not a zip file');
+    const differ = new Differ(
+      createConfig({
+        _: ['diff', `${tmpDir.name}/old`, `${tmpDir.name}/new.xpi`],
+      })
+    );
+
+    const diff = await differ.run();
+
+    expect(differ.newLinter.addonMetadata).toEqual(null);
+    expect(diff.new.version).toEqual(null);
+    expect(diff.libraries).toEqual({ added: [], removed: [] });
+    expect(diff.messages.added.map(({ code }) => code)).toEqual([
+      messages.BAD_ZIPFILE.code,
+    ]);
+  });
+
+  it('should throw when a package does not exist', async () => {
+    const differ = new Differ(
+      createConfig({
+        _: ['diff', `${tmpDir.name}/missing`, `${tmpDir.name}/new`],
+      })
+    );
+
+    await expect(differ.run()).rejects.toThrow('does not exist');
+  });
+
+  it('should not support the watch option', async () => {
+    const differ = new Differ(createConfig({ watch: true }));
+
+    await expect(differ.run()).rejects.toThrow(AddonsLinterUserError);
+  });
+
+  it('should not support the sarif output', async () => {
+    const differ = new Differ(createConfig({ output: 'sarif' }));
+
+    await expect(differ.run()).rejects.toThrow(
+      'The "sarif" output is not supported with "diff".'
+    );
+  });
+});
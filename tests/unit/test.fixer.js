@@ -0,0 +1,168 @@
+import { parse, parseTree } from 'jsonc-parser';
+
+import {
+  applyJSONPatch,
+  createUnifiedDiff,
+  getFormattingOptions,
+  parseJSONPointer,
+} from 'fixer';
+
+describe('parseJSONPointer()', () => {
+  it('should convert a JSON pointer to a path', () => {
+    const tree = parseTree('{"a": {"b/c": [{"d": 1}]}}');
+
+    expect(parseJSONPointer('/a/b~1c/0/d', tree)).toEqual(['a', 'b/c', 0, 'd']);
+    expect(parseJSONPointer('/a/0', tree)).toEqual(['a', '0']);
+    expect(parseJSONPointer('/x/y', tree)).toEqual(['x', 'y']);
+  });
+});
+
+describe('getFormattingOptions()', () => {
+  it('should detect the indentation', () => {
+    expect(getFormattingOptions('{\n    "a": 1\n}')).toEqual({
+      insertSpaces: true,
+      tabSize: 4,
+      eol: '\n',
+    });
+    expect(getFormattingOptions('{\r\n\t"a": 1\r\n}')).toEqual({
+      insertSpaces: false,
+      tabSize: 1,
+      eol: '\r\n',
+    });
+    expect(getFormattingOptions('{"a": 1}')).toEqual({
+      insertSpaces: true,
+      tabSize: 2,
+      eol: '\n',
+    });
+  });
+});
+
+describe('applyJSONPatch()', () => {
+  const manifest = [
+    '{',
+    '    // The add-on name.',
+    '    "name": "my extension",',
+    '    "version": "1.0a1", /* pre-release */',
+    '    "applications": {',
+    '        "gecko": {}',
+    '    },',
+    '    "update_url": "https://example.com/updates.json"',
+    '}',
+    '',
+  ].join('\n');
+
+  it('should rename a property in place', () => {
+    expect(
+      applyJSONPatch(manifest, [
+        {
+          op: 'move',
+          from: '/applications',
+          path: '/browser_specific_settings',
+        },
+      ])
+    ).toEqual(
+      manifest.replace('"applications"', '"browser_specific_settings"')
+    );
+  });
+
+  it('should move a property to another object', () => {
+    const fixed = applyJSONPatch(manifest, [
+      { op: 'move', from: '/update_url', path: '/applications/gecko/url' },
+    ]);
+
+    expect(parse(fixed)).toEqual({
+      name: 'my extension',
+      version: '1.0a1',
+      applications: { gecko: { url: 'https://example.com/updates.json' } },
+    });
+  });
+
+  it('should replace a value and keep the comments', () => {
+    expect(
+      applyJSONPatch(manifest, [
+        { op: 'replace', path: '/version', value: '1.0' },
+      ])
+    ).toEqual(manifest.replace('"1.0a1"', '"1.0"'));
+  });
+
+  it('should remove a property', () => {
+    expect(
+      applyJSONPatch(manifest, [{ op: 'remove', path: '/update_url' }])
+    ).toEqual(
+      manifest.replace(
+        ',\n    "update_url": "https://example.com/updates.json"',
+        ''
+      )
+    );
+  });
+
+  it('should add a property using the same indentation', () => {
+    expect(
+      applyJSONPatch(manifest, [
+        { op: 'add', path: '/applications/gecko/id', value: '@my-addon' },
+      ])
+    ).toContain(
+      ['"gecko": {', '            "id": "@my-addon"', '        }'].join('\n')
+    );
+  });
+
+  it('should not reformat the other properties', () => {
+    const text = '{\n  "a": { "b": 1 },\n  "c": 2\n}\n';
+
+    expect(applyJSONPatch(text, [{ op: 'remove', path: '/c' }])).toEqual(
+      '{\n  "a": { "b": 1 }\n}\n'
+    );
+    expect(
+      applyJSONPatch(text, [{ op: 'add', path: '/d', value: { e: [3] } }])
+    ).toEqual(
+      [
+        '{',
+        '  "a": { "b": 1 },',
+        '  "c": 2,',
+        '  "d": {',
+        '    "e": [',
+        '      3',
+        '    ]',
+        '  }',
+        '}',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should apply the operations in order', () => {
+    const fixed = applyJSONPatch('{"a": 1}', [
+      { op: 'move', from: '/a', path: '/b' },
+      { op: 'replace', path: '/b', value: 2 },
+    ]);
+
+    expect(JSON.parse(fixed)).toEqual({ b: 2 });
+  });
+
+  it('should throw for unsupported operations', () => {
+    expect(() =>
+      applyJSONPatch('{}', [{ op: 'test', path: '/a', value: 1 }])
+    ).toThrow('Unsupported JSON patch operation "test"');
+  });
+
+  it('should throw when moving a missing property', () => {
+    expect(() =>
+      applyJSONPatch('{}', [{ op: 'move', from: '/a', path: '/b' }])
+    ).toThrow('Unable to move "/a": not found');
+  });
+});
+
+describe('createUnifiedDiff()', () => {
+  it('should create a unified diff', () => {
+    const diff = createUnifiedDiff(
+      'manifest.json',
+      '{\n  "version": "1.0a1"\n}\n',
+      '{\n  "version": "1.0"\n}\n'
+    );
+
+    expect(diff).toContain('--- a/manifest.json');
+    expect(diff).toContain('+++ b/manifest.json');
+    expect(diff).toContain('@@ -1,3 +1,3 @@');
+    expect(diff).toContain('-  "version": "1.0a1"\n+  "version": "1.0"');
+  });
+});
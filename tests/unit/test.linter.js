@@ -1,7 +1,10 @@
 /* eslint-disable max-classes-per-file */
 import fs from 'fs';
+import { dirname } from 'path';
 
 import { oneLine } from 'common-tags';
+import { SourceMapGenerator } from 'source-map';
+import tmp from 'tmp-promise';
 import { Xpi } from 'addons-scanner-utils/dist/io';
 import {
   DuplicateZipEntryError,
@@ -10,6 +13,7 @@ import {
 import { createFakeStderr } from 'addons-scanner-utils/dist/test-helpers';
 
 import Linter from 'linter';
+import { BASELINE_VERSION } from 'baseline';
 import * as constants from 'const';
 import * as messages from 'messages';
 import ManifestJSONParser from 'parsers/manifestjson';
@@ -76,6 +80,90 @@ describe('Linter', () => {
     });
   });
 
+  describe('validateConfig rules', () => {
+    it('should accept valid rules', () => {
+      const addonLinter = new Linter({
+        _: ['foo'],
+        rules: {
+          MANIFEST_CSP: 'off',
+          UNSAFE_VAR_ASSIGNMENT: 'error',
+          FILE_TOO_LARGE: 'warning',
+          KNOWN_LIBRARY: 'notice',
+        },
+      });
+      expect(() => addonLinter.validateConfig()).not.toThrow();
+    });
+
+    it('should throw when rules is not an object', () => {
+      const addonLinter = new Linter({ _: ['foo'], rules: 'MANIFEST_CSP' });
+      expect(() => addonLinter.validateConfig()).toThrow(AddonsLinterUserError);
+      expect(() => addonLinter.validateConfig()).toThrow(
+        /Invalid rules option/
+      );
+    });
+
+    it('should throw on invalid severities', () => {
+      const addonLinter = new Linter({
+        _: ['foo'],
+        rules: { MANIFEST_CSP: 'fatal' },
+      });
+      expect(() => addonLinter.validateConfig()).toThrow(AddonsLinterUserError);
+      expect(() => addonLinter.validateConfig()).toThrow(
+        'Invalid severity "fatal" for the "MANIFEST_CSP" rule'
+      );
+    });
+  });
+
+  describe('validateConfig browsers', () => {
+    it('should split the comma separated browsers', () => {
+      const addonLinter = new Linter({
+        _: ['foo'],
+        browsers: 'chrome, safari,,firefox',
+      });
+      expect(addonLinter.config.browsers).toEqual([
+        'chrome',
+        'safari',
+        'firefox',
+      ]);
+      expect(() => addonLinter.validateConfig()).not.toThrow();
+    });
+
+    it('should throw on unknown browsers', () => {
+      const addonLinter = new Linter({ _: ['foo'], browsers: 'chrome,ie' });
+      expect(() => addonLinter.validateConfig()).toThrow(AddonsLinterUserError);
+      expect(() => addonLinter.validateConfig()).toThrow(
+        'Invalid browsers option: unknown browser(s) ie'
+      );
+    });
+  });
+
+  it('should apply the rules to the messages of every scanner', async () => {
+    const addonLinter = new Linter({
+      _: ['tests/fixtures/webextension_bad_permissions.zip'],
+    });
+    addonLinter.print = sinon.stub();
+    await addonLinter.scan();
+    const codes = addonLinter.output.warnings.map(({ code }) => code);
+    expect(codes.length).toBeGreaterThan(0);
+
+    const rules = {};
+    codes.forEach((code) => {
+      rules[code] = constants.VALIDATION_ERROR;
+    });
+    const overriddenLinter = new Linter({
+      _: ['tests/fixtures/webextension_bad_permissions.zip'],
+      rules,
+    });
+    overriddenLinter.print = sinon.stub();
+    await overriddenLinter.scan();
+    expect(overriddenLinter.output.warnings).toEqual([]);
+    codes.forEach((code) => {
+      expect(overriddenLinter.output.errors).toEqual(
+        expect.arrayContaining([expect.objectContaining({ code })])
+      );
+    });
+  });
+
   it('should detect an invalid file with ENOENT', async () => {
     const addonLinter = new Linter({ _: ['foo'] });
     addonLinter.handleError = sinon.stub();
@@ -571,6 +659,232 @@ describe('Linter.toJSON()', () => {
   });
 });
 
+describe('Linter.toSARIF()', () => {
+  it('should print as sarif when config.output is sarif', () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.config.output = 'sarif';
+    addonLinter.toSARIF = sinon.stub();
+    const fakeConsole = {
+      log: sinon.stub(),
+    };
+    addonLinter.print(fakeConsole);
+    sinon.assert.calledOnce(addonLinter.toSARIF);
+    sinon.assert.calledOnce(fakeConsole.log);
+  });
+
+  it('should provide a SARIF 2.1.0 log', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    const sarif = JSON.parse(addonLinter.toSARIF());
+    expect(sarif.version).toEqual('2.1.0');
+    expect(sarif.$schema).toEqual(constants.SARIF_SCHEMA_URL);
+    expect(sarif.runs).toHaveLength(1);
+    expect(sarif.runs[0].tool.driver.name).toEqual('addons-linter');
+    expect(sarif.runs[0].tool.driver.rules).toEqual([]);
+    expect(sarif.runs[0].results).toEqual([]);
+  });
+
+  it('should map each message to a result', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.addError({
+      ...messages.JS_SYNTAX_ERROR,
+      file: 'content.js',
+      line: 3,
+      column: 12,
+    });
+    addonLinter.collector.addWarning({
+      ...fakeMessageData,
+      file: 'manifest.json',
+    });
+    addonLinter.collector.addNotice(fakeMessageData);
+
+    const { results } = JSON.parse(addonLinter.toSARIF()).runs[0];
+    expect(results).toEqual([
+      {
+        ruleId: 'JS_SYNTAX_ERROR',
+        ruleIndex: 0,
+        level: 'error',
+        message: { text: messages.JS_SYNTAX_ERROR.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: 'content.js' },
+              region: { startLine: 3, startColumn: 12 },
+            },
+          },
+        ],
+      },
+      {
+        ruleId: 'WHATEVER_CODE',
+        ruleIndex: 1,
+        level: 'note',
+        message: { text: fakeMessageData.message },
+      },
+      {
+        ruleId: 'WHATEVER_CODE',
+        ruleIndex: 1,
+        level: 'warning',
+        message: { text: fakeMessageData.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: 'manifest.json' },
+            },
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('should emit one rule descriptor per message code', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.addError({
+      ...messages.JS_SYNTAX_ERROR,
+      message: 'JavaScript syntax error (Parsing as module error)',
+      file: 'content.js',
+      line: 3,
+    });
+    addonLinter.collector.addError({
+      ...messages.JS_SYNTAX_ERROR,
+      file: 'background.js',
+      line: 1,
+    });
+    addonLinter.collector.addWarning(fakeMessageData);
+
+    const { rules } = JSON.parse(addonLinter.toSARIF()).runs[0].tool.driver;
+    expect(rules).toEqual([
+      {
+        id: 'JS_SYNTAX_ERROR',
+        // The rule text is taken from the message definition.
+        shortDescription: { text: messages.JS_SYNTAX_ERROR.message },
+        fullDescription: { text: messages.JS_SYNTAX_ERROR.description },
+        defaultConfiguration: { level: 'error' },
+      },
+      {
+        id: 'WHATEVER_CODE',
+        shortDescription: { text: fakeMessageData.message },
+        fullDescription: { text: fakeMessageData.description },
+        defaultConfiguration: { level: 'warning' },
+      },
+    ]);
+  });
+
+  it('should support generated messages without a definition object', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.addWarning(
+      messages.manifestFieldPrivilegedOnly('l10n_resources')
+    );
+
+    const { rules } = JSON.parse(addonLinter.toSARIF()).runs[0].tool.driver;
+    expect(rules[0].id).toEqual(messages.MANIFEST_FIELD_PRIVILEGEDONLY);
+    expect(rules[0].shortDescription.text).toContain('l10n_resources');
+  });
+
+  it('should pretty print the SARIF log when requested', () => {
+    const addonLinter = new Linter({ _: ['bar'], pretty: true });
+    expect(addonLinter.toSARIF()).toContain('\n    "version": "2.1.0"');
+    expect(addonLinter.toSARIF({ pretty: false })).not.toContain('\n');
+  });
+});
+
+describe('Linter.toJUnit()', () => {
+  it('should print as junit when config.output is junit', () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.config.output = 'junit';
+    addonLinter.toJUnit = sinon.stub();
+    const fakeConsole = {
+      log: sinon.stub(),
+    };
+    addonLinter.print(fakeConsole);
+    sinon.assert.calledOnce(addonLinter.toJUnit);
+    sinon.assert.calledOnce(fakeConsole.log);
+  });
+
+  it('should report files without messages as passing testcases', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.recordScannedFile('background.js', 'javascript');
+
+    const xml = addonLinter.toJUnit();
+    expect(xml).toContain('<?xml version="1.0" encoding="UTF-8"?>');
+    expect(xml).toContain(
+      '<testsuites name="addons-linter" tests="1" failures="0" errors="0">'
+    );
+    expect(xml).toContain(oneLine`<testsuite name="background.js" tests="1"
+      failures="0" errors="0" skipped="0">`);
+    expect(xml).toContain(
+      '<testcase classname="background.js" name="background.js" />'
+    );
+    expect(xml).not.toContain('<failure');
+  });
+
+  it('should report a failing testcase per error and warning', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.recordScannedFile('background.js', 'javascript');
+    addonLinter.collector.recordScannedFile('content.js', 'javascript');
+    addonLinter.collector.addError({
+      ...fakeMessageData,
+      code: 'SOME_ERROR',
+      file: 'content.js',
+      line: 3,
+      column: 12,
+    });
+    addonLinter.collector.addWarning({
+      ...fakeMessageData,
+      code: 'SOME_WARNING',
+      file: 'content.js',
+      line: 5,
+    });
+    addonLinter.collector.addNotice({
+      ...fakeMessageData,
+      code: 'SOME_NOTICE',
+      file: 'content.js',
+    });
+
+    const xml = addonLinter.toJUnit();
+    expect(xml).toContain(
+      '<testsuites name="addons-linter" tests="3" failures="2" errors="0">'
+    );
+    expect(xml).toContain(oneLine`<testsuite name="content.js" tests="2"
+      failures="2" errors="0" skipped="0">`);
+    expect(xml).toContain(
+      '<testcase classname="content.js" name="SOME_ERROR (content.js:3:12)">'
+    );
+    expect(xml).toContain(
+      '<failure type="error" message="message">description\ncontent.js:3:12</failure>'
+    );
+    expect(xml).toContain(
+      '<testcase classname="content.js" name="SOME_WARNING (content.js:5)">'
+    );
+    expect(xml).toContain('<failure type="warning" message="message">');
+    // Notices are not reported as failures.
+    expect(xml).not.toContain('SOME_NOTICE');
+  });
+
+  it('should group messages without a file under the package', () => {
+    const addonLinter = new Linter({ _: ['my-addon.zip'] });
+    addonLinter.collector.addError(messages.TYPE_NO_MANIFEST_JSON);
+
+    const xml = addonLinter.toJUnit();
+    expect(xml).toContain(oneLine`<testsuite name="my-addon.zip" tests="1"
+      failures="1" errors="0" skipped="0">`);
+    expect(xml).toContain(
+      oneLine`<testcase classname="my-addon.zip"
+        name="TYPE_NO_MANIFEST_JSON (my-addon.zip)">`
+    );
+  });
+
+  it('should escape the messages', () => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.collector.addError({
+      ...fakeMessageData,
+      message: '<script> & "quotes"',
+      file: 'popup.html',
+    });
+
+    const xml = addonLinter.toJUnit();
+    expect(xml).toContain('message="&lt;script&gt; &amp; &quot;quotes&quot;"');
+  });
+});
+
 describe('Linter.textOutput()', () => {
   // Return a large number from terminalWidth() so text doesn't wrap,
   // forcing the strings we check for to be far apart.
@@ -687,6 +1001,146 @@ describe('Linter.textOutput()', () => {
   });
 });
 
+describe('Linter.getAndroidReadiness()', () => {
+  function createLinter(config = { target: 'android' }) {
+    const addonLinter = new Linter({ _: ['foo'], ...config });
+    addonLinter.addonMetadata = {
+      firefoxMinVersion: '58.0',
+      firefoxAndroidMinVersion: '79.0',
+    };
+    addonLinter.collector.addWarning(
+      messages.androidUnsupportedManifestKey('sidebar_action')
+    );
+    addonLinter.collector.addNotice(
+      messages.androidUnsupportedPermission('permissions:bookmarks')
+    );
+    addonLinter.collector.addWarning({
+      code: 'WHATEVER_WARNING',
+      message: 'whatever warning message',
+      description: 'whatever warning description',
+    });
+    return addonLinter;
+  }
+
+  it('should return the Firefox for Android messages', () => {
+    const { android } = createLinter().output;
+
+    expect(android).toEqual({
+      minVersion: '79.0',
+      ready: false,
+      issues: [
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_PERMISSION,
+        }),
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_MANIFEST_KEY,
+        }),
+      ],
+    });
+  });
+
+  it('should be ready when there are only notices', () => {
+    const addonLinter = new Linter({ _: ['foo'], target: 'android' });
+    addonLinter.collector.addNotice(
+      messages.androidUnsupportedPermission('permissions:bookmarks')
+    );
+
+    expect(addonLinter.output.android).toEqual({
+      minVersion: null,
+      ready: true,
+      issues: [
+        expect.objectContaining({
+          code: messages.ANDROID_UNSUPPORTED_PERMISSION,
+        }),
+      ],
+    });
+  });
+
+  it('should only be in the output with --target android', () => {
+    expect(createLinter({}).output.android).toBeUndefined();
+  });
+
+  it('should have a readiness section in textOutput()', () => {
+    const text = createLinter().textOutput(() => 1000);
+
+    expect(text).toContain('FIREFOX FOR ANDROID READINESS:');
+    expect(text).toContain('The add-on is not ready for Firefox for Android.');
+    expect(text).toContain('Minimum Firefox for Android version: 79.0');
+    expect(text).toContain(
+      '"sidebar_action" is not supported by Firefox for Android (manifest.json)'
+    );
+    expect(createLinter({}).textOutput(() => 1000)).not.toContain(
+      'FIREFOX FOR ANDROID READINESS:'
+    );
+  });
+});
+
+describe('Linter.getBrowserCompatibility()', () => {
+  function createLinter(config = { browsers: 'chrome,firefox' }) {
+    const addonLinter = new Linter({ _: ['foo'], ...config });
+    addonLinter.addonMetadata = {};
+    addonLinter.manifestBrowserIssues = [
+      {
+        type: 'manifest',
+        name: 'sidebar_action',
+        support: { chrome: false, firefox: true },
+      },
+    ];
+    addonLinter.browserApis = {
+      'background.js': [
+        'offscreen',
+        'offscreen.createDocument',
+        'tabs',
+        'tabs.query',
+      ],
+      'popup.js': ['sidebarAction', 'sidebarAction.open'],
+    };
+    return addonLinter;
+  }
+
+  it('should return the compatibility matrix', () => {
+    expect(createLinter().output.browsers).toEqual({
+      browsers: ['chrome', 'firefox'],
+      features: [
+        {
+          type: 'manifest',
+          name: 'sidebar_action',
+          support: { chrome: false, firefox: true },
+        },
+        {
+          type: 'api',
+          name: 'offscreen.createDocument',
+          support: { chrome: null, firefox: false },
+        },
+        {
+          type: 'api',
+          name: 'sidebarAction.open',
+          support: { chrome: false, firefox: true },
+        },
+      ],
+      unsupportedCount: { chrome: 2, firefox: 1 },
+    });
+  });
+
+  it('should only be in the output with --browsers', () => {
+    expect(createLinter({}).output.browsers).toBeUndefined();
+  });
+
+  it('should have a compatibility section in textOutput()', () => {
+    const addonLinter = createLinter({
+      browsers: 'chrome,firefox',
+      boring: true,
+    });
+    const text = addonLinter.textOutput(() => 1000);
+
+    expect(text).toContain('BROWSER COMPATIBILITY:');
+    expect(text).toMatch(/Feature +Chrome +Firefox/);
+    expect(text).toMatch(/offscreen\.createDocument +\? +no/);
+    expect(text).toContain('Chrome: 2 unsupported feature(s)');
+    expect(text).toContain('Firefox: 1 unsupported feature(s)');
+  });
+});
+
 describe('Linter.getAddonMetadata()', () => {
   it('should init with null metadata', async () => {
     const addonLinter = new Linter({
@@ -1158,6 +1612,184 @@ describe('Linter.extractMetadata()', () => {
     expect(notices[0].code).toEqual(messages.KNOWN_LIBRARY.code);
   });
 
+  it('should flag the JS libraries bundled in a file', async () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.checkFileExists = fakeCheckFileExists;
+    addonLinter.scanFiles = () => Promise.resolve();
+    // suppress output.
+    addonLinter.print = sinon.stub();
+
+    const read = (filename) =>
+      fs.readFileSync(`tests/fixtures/jslibs/${filename}`, 'utf-8');
+    const bundle = [
+      '(function (modules) {',
+      '  function __webpack_require__(moduleId) {}',
+      '})({',
+      '/***/ "./node_modules/jquery/dist/jquery.min.js":',
+      '/***/ (function(module, exports, __webpack_require__) {',
+      '',
+      read('jquery-3.2.1.min.js'),
+      '/***/ }),',
+      '/***/ "./node_modules/angular/angular.min.js":',
+      '/***/ (function(module, exports) {',
+      read('angular-1.2.28.min.js'),
+      '/***/ }),',
+      '/***/ "./src/index.js":',
+      '/***/ (function(module, exports, __webpack_require__) {',
+      '__webpack_require__("./node_modules/jquery/dist/jquery.min.js");',
+      '/***/ })',
+      '});',
+    ].join('\n');
+    const lines = bundle.split('\n');
+    const angularLine = lines.indexOf('/***/ (function(module, exports) {') + 1;
+
+    class FakeXpi extends FakeIOBase {
+      async getFile(filename) {
+        return this.getFileAsString(filename);
+      }
+
+      async getFiles() {
+        return {
+          'manifest.json': { uncompressedSize: 839 },
+          'vendor.js': { uncompressedSize: bundle.length },
+        };
+      }
+
+      async getFilesByExt() {
+        return ['vendor.js'];
+      }
+
+      async getFileAsString(filename) {
+        return filename === constants.MANIFEST_JSON
+          ? validManifestJSON()
+          : bundle;
+      }
+    }
+
+    const metadata = await addonLinter.extractMetadata({
+      _console: fakeConsole,
+      _Xpi: FakeXpi,
+    });
+    expect(metadata.jsLibs).toEqual({
+      'vendor.js#./node_modules/angular/angular.min.js':
+        'angularjs.1.2.28.angular.min.js',
+      'vendor.js#./node_modules/jquery/dist/jquery.min.js':
+        'jquery.3.2.1.jquery.min.js',
+    });
+    expect(
+      metadata.bundledJsLibs[
+        'vendor.js#./node_modules/jquery/dist/jquery.min.js'
+      ]
+    ).toEqual({
+      file: 'vendor.js',
+      module: './node_modules/jquery/dist/jquery.min.js',
+      start: { line: 5, column: 55 },
+      end: { line: lines.indexOf('/***/ }),') + 1, column: 7 },
+      identical: true,
+    });
+
+    const { errors, notices } = addonLinter.collector;
+    expect(notices.map(({ code, file, line }) => [code, file, line])).toEqual(
+      expect.arrayContaining([
+        [messages.KNOWN_LIBRARY.code, 'vendor.js', 5],
+        [messages.KNOWN_LIBRARY.code, 'vendor.js', angularLine],
+      ])
+    );
+    expect(errors.map(({ code, file, line }) => [code, file, line])).toEqual([
+      [messages.BANNED_LIBRARY.code, 'vendor.js', angularLine],
+    ]);
+  });
+
+  it('should not report the code of the bundled JS libraries', async () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.io = { files: { 'vendor.js': { size: 10 } } };
+    addonLinter.io.getFile = async () =>
+      ['eval(a);', 'eval(b);', 'eval(c);'].join('\n');
+    addonLinter.addonMetadata = {
+      bundledJsLibs: {
+        'vendor.js#1': {
+          file: 'vendor.js',
+          module: '1',
+          start: { line: 1, column: 9 },
+          end: { line: 2, column: 9 },
+          identical: true,
+        },
+      },
+    };
+
+    await addonLinter.scanFile('vendor.js');
+
+    expect(
+      addonLinter.collector.warnings
+        .filter(({ code }) => code === messages.DANGEROUS_EVAL.code)
+        .map(({ line }) => line)
+    ).toEqual([1, 3]);
+  });
+
+  it('should report the code of the modules only matched by their banner', async () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.checkFileExists = fakeCheckFileExists;
+    addonLinter.scan = () => Promise.resolve();
+    addonLinter.print = sinon.stub();
+
+    const bundle = [
+      '(() => {',
+      '  var __webpack_modules__ = ({',
+      '    "./node_modules/jquery/dist/jquery.js": ((module) => {',
+      '/*! jQuery v3.4.1 | (c) JS Foundation and other contributors */',
+      'eval(location.hash);',
+      'document.body.innerHTML = location.hash;',
+      '    }),',
+      '  });',
+      '  function __webpack_require__(moduleId) {}',
+      '})();',
+    ].join('\n');
+
+    class FakeXpi extends FakeIOBase {
+      async getFile(filename) {
+        return this.getFileAsString(filename);
+      }
+
+      async getFiles() {
+        return {
+          'manifest.json': { uncompressedSize: 839 },
+          'vendor.js': { uncompressedSize: bundle.length },
+        };
+      }
+
+      async getFilesByExt() {
+        return ['vendor.js'];
+      }
+
+      async getFileAsString(filename) {
+        return filename === constants.MANIFEST_JSON
+          ? validManifestJSON()
+          : bundle;
+      }
+    }
+
+    const metadata = await addonLinter.extractMetadata({
+      _console: fakeConsole,
+      _Xpi: FakeXpi,
+    });
+    expect(metadata.jsLibs).toEqual({
+      'vendor.js#./node_modules/jquery/dist/jquery.js':
+        'jquery.3.4.1.jquery.js',
+    });
+    expect(
+      metadata.bundledJsLibs['vendor.js#./node_modules/jquery/dist/jquery.js']
+        .identical
+    ).toBe(false);
+
+    addonLinter.io = { files: { 'vendor.js': { size: bundle.length } } };
+    addonLinter.io.getFile = async () => bundle;
+    await addonLinter.scanFile('vendor.js');
+
+    const codes = addonLinter.collector.warnings.map(({ code }) => code);
+    expect(codes).toContain(messages.DANGEROUS_EVAL.code);
+    expect(codes).toContain('UNSAFE_VAR_ASSIGNMENT');
+  });
+
   it('should not scan known JS libraries', async () => {
     const addonLinter = new Linter({ _: ['foo'] });
     addonLinter.checkFileExists = fakeCheckFileExists;
@@ -1194,7 +1826,10 @@ describe('Linter.extractMetadata()', () => {
       _console: fakeConsole,
       _Xpi: FakeXpi,
     });
-    expect(addonLinter.collector.warnings.length).toBe(0);
+    // jQuery 3.2.1 is only reported for its known vulnerabilities.
+    expect(addonLinter.collector.warnings.map(({ code }) => code)).toEqual([
+      messages.VULNERABLE_LIBRARY,
+    ]);
   });
 
   // Uses our angular-bad-library extension, with the following file layout:
@@ -1253,6 +1888,46 @@ describe('Linter.extractMetadata()', () => {
     expect(warnings[0].code).toEqual(messages.UNADVISED_LIBRARY.code);
   });
 
+  it('should flag vulnerable JS libraries', () => {
+    const addonLinter = new Linter({ _: ['fake.zip'] });
+    const fakeMetadata = {
+      jsLibs: {
+        'data/jquery.js': 'jquery.3.2.1.jquery.js',
+        'data/jquery-new.js': 'jquery.3.6.0.jquery.js',
+        'data/bootstrap.js': 'bootstrap.3.3.7.bootstrap.min.js',
+        'vendor.js#./node_modules/moment/moment.js': 'moment.2.29.1.moment.js',
+        'data/unknown.js': 'unknown.1.0.0.unknown.js',
+      },
+      bundledJsLibs: {
+        'vendor.js#./node_modules/moment/moment.js': {
+          file: 'vendor.js',
+          module: './node_modules/moment/moment.js',
+          start: { line: 12, column: 3 },
+          end: { line: 20, column: 1 },
+        },
+      },
+    };
+
+    addonLinter._markVulnerableLibs(fakeMetadata);
+
+    const { warnings } = addonLinter.collector;
+    expect(warnings.map(({ code, file, line }) => [code, file, line])).toEqual([
+      [messages.VULNERABLE_LIBRARY, 'data/jquery.js', undefined],
+      [messages.VULNERABLE_LIBRARY, 'data/bootstrap.js', undefined],
+      [messages.VULNERABLE_LIBRARY, 'vendor.js', 12],
+    ]);
+    expect(warnings[0].message).toEqual(
+      oneLine`jquery 3.2.1 has known vulnerabilities (CVE-2019-11358: medium,
+        CVE-2020-11022: medium, CVE-2020-11023: medium), it is fixed in
+        version 3.5.0.`
+    );
+    expect(warnings[1].message).toContain('it is fixed in version 3.4.1.');
+    expect(warnings[2].message).toEqual(
+      oneLine`moment 2.29.1 has known vulnerabilities (CVE-2022-24785: high,
+        CVE-2022-31129: high), it is fixed in version 2.29.4.`
+    );
+  });
+
   it('should flag potentially minified JS files', async () => {
     const addonLinter = new Linter({ _: ['foo'] });
     const markUnknownOrMinifiedCodeSpy = sinon.spy(
@@ -1573,10 +2248,682 @@ describe('Linter.extractMetadata()', () => {
   });
 });
 
-describe('Linter.run()', () => {
-  const fakeConsole = {
-    log: sinon.stub(),
-  };
+describe('Linter.applyBaseline()', () => {
+  function fakeIO(files) {
+    return {
+      files,
+      getFileAsString: sinon.spy(async (filename) => files[filename].content),
+    };
+  }
+
+  it('should do nothing without a baseline option', async () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.collector.addError(fakeMessageData);
+    const _fs = {
+      promises: { readFile: sinon.stub(), writeFile: sinon.stub() },
+    };
+
+    await addonLinter.applyBaseline({ _fs });
+
+    sinon.assert.notCalled(_fs.promises.readFile);
+    sinon.assert.notCalled(_fs.promises.writeFile);
+    expect(addonLinter.output.count).toEqual(1);
+  });
+
+  it('should write the messages to a baseline file', async () => {
+    const addonLinter = new Linter({
+      _: ['foo'],
+      writeBaseline: 'baseline.json',
+    });
+    addonLinter.io = fakeIO({ 'a.js': { content: 'foo;\neval(x);' } });
+    addonLinter.collector.addWarning({
+      ...fakeMessageData,
+      file: 'a.js',
+      line: 2,
+    });
+    addonLinter.collector.addNotice(fakeMessageData);
+    const _fs = { promises: { writeFile: sinon.stub().resolves() } };
+
+    await addonLinter.applyBaseline({ _fs });
+
+    sinon.assert.calledWith(_fs.promises.writeFile, 'baseline.json');
+    const baseline = JSON.parse(_fs.promises.writeFile.firstCall.args[1]);
+    expect(baseline.version).toEqual(BASELINE_VERSION);
+    expect(baseline.messages).toEqual([
+      expect.objectContaining({ code: 'WHATEVER_CODE', count: 1 }),
+      expect.objectContaining({
+        code: 'WHATEVER_CODE',
+        file: 'a.js',
+        count: 1,
+      }),
+    ]);
+    // The messages are still reported.
+    expect(addonLinter.output.count).toEqual(2);
+  });
+
+  it('should hide the messages already in the baseline', async () => {
+    const baselineLinter = new Linter({ _: ['foo'], writeBaseline: 'b.json' });
+    baselineLinter.io = fakeIO({ 'a.js': { content: 'foo;\neval(x);' } });
+    baselineLinter.collector.addWarning({
+      ...fakeMessageData,
+      file: 'a.js',
+      line: 2,
+    });
+    const writeFile = sinon.stub().resolves();
+    await baselineLinter.applyBaseline({ _fs: { promises: { writeFile } } });
+    const baselineContent = writeFile.firstCall.args[1];
+
+    const addonLinter = new Linter({ _: ['foo'], baseline: 'b.json' });
+    // Lines have been added above the existing finding, and a new finding
+    // has been introduced.
+    addonLinter.io = fakeIO({
+      'a.js': { content: 'foo;\nbar;\neval(x);\neval(y);' },
+    });
+    addonLinter.collector.addWarning({
+      ...fakeMessageData,
+      file: 'a.js',
+      line: 3,
+    });
+    addonLinter.collector.addWarning({
+      ...fakeMessageData,
+      file: 'a.js',
+      line: 4,
+    });
+    const readFile = sinon.stub().resolves(baselineContent);
+
+    await addonLinter.applyBaseline({ _fs: { promises: { readFile } } });
+
+    sinon.assert.calledWith(readFile, 'b.json', 'utf8');
+    expect(addonLinter.output.warnings).toEqual([
+      expect.objectContaining({ code: 'WHATEVER_CODE', line: 4 }),
+    ]);
+  });
+
+  it('should throw a user error when the baseline cannot be read', async () => {
+    const addonLinter = new Linter({ _: ['foo'], baseline: 'missing.json' });
+    const readFile = sinon.stub().rejects(new Error('ENOENT'));
+
+    await expect(
+      addonLinter.applyBaseline({ _fs: { promises: { readFile } } })
+    ).rejects.toThrow(AddonsLinterUserError);
+    await expect(
+      addonLinter.applyBaseline({ _fs: { promises: { readFile } } })
+    ).rejects.toThrow('Unable to read baseline file missing.json: ENOENT');
+  });
+
+  it('should only report new findings when linting a package', async () => {
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const baselinePath = `${tmpDir.name}/baseline.json`;
+    const packagePath = 'tests/fixtures/webextension_bad_permissions.zip';
+
+    const baselineLinter = new Linter({
+      _: [packagePath],
+      writeBaseline: baselinePath,
+    });
+    baselineLinter.print = sinon.stub();
+    await baselineLinter.scan();
+    expect(baselineLinter.output.count).toBeGreaterThan(0);
+
+    const addonLinter = new Linter({
+      _: [packagePath],
+      baseline: baselinePath,
+    });
+    addonLinter.print = sinon.stub();
+    await addonLinter.scan();
+    expect(addonLinter.output.count).toEqual(0);
+
+    tmpDir.removeCallback();
+  });
+});
+
+describe('Linter.fix()', () => {
+  let tmpDir;
+  let manifestPath;
+  const manifest = [
+    '{',
+    '  // My extension.',
+    '  "manifest_version": 2,',
+    '  "name": "my extension",',
+    '  "version": "1.0beta2",',
+    '  "applications": { "gecko": { "id": "@my-extension" } },',
+    '  "update_url": "https://example.com/updates.json"',
+    '}',
+    '',
+  ].join('\n');
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    manifestPath = `${tmpDir.name}/manifest.json`;
+    fs.writeFileSync(manifestPath, manifest);
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  it('should only support directories', async () => {
+    const addonLinter = new Linter({
+      _: ['tests/fixtures/webextension.zip'],
+      fix: true,
+    });
+
+    await expect(addonLinter.fix()).rejects.toThrow(AddonsLinterUserError);
+  });
+
+  it('should fix the manifest and lint the fixed package', async () => {
+    const addonLinter = new Linter({ _: [tmpDir.name], fix: true });
+    addonLinter.print = sinon.stub();
+
+    await addonLinter.run();
+
+    expect(fs.readFileSync(manifestPath, 'utf8')).toEqual(
+      [
+        '{',
+        '  // My extension.',
+        '  "manifest_version": 2,',
+        '  "name": "my extension",',
+        '  "version": "1.0beta2",',
+        '  "browser_specific_settings": { "gecko": { "id": "@my-extension" } }',
+        '}',
+        '',
+      ].join('\n')
+    );
+    sinon.assert.calledOnce(addonLinter.print);
+    // The version is only simplified with --fix-dry-run.
+    expect(addonLinter.output.count).toEqual(1);
+    assertHasMatchingError(addonLinter.output.warnings, {
+      code: messages.VERSION_FORMAT_DEPRECATED.code,
+    });
+  });
+
+  it('should not apply the suggestions', async () => {
+    const versionManifest = validManifestJSON({ version: '1.0beta2' });
+    fs.writeFileSync(manifestPath, versionManifest);
+    const addonLinter = new Linter({ _: [tmpDir.name], fix: true });
+    const fakeConsole = { log: sinon.stub() };
+
+    expect(await addonLinter.fix({ _console: fakeConsole })).toEqual(null);
+    expect(fs.readFileSync(manifestPath, 'utf8')).toEqual(versionManifest);
+  });
+
+  it('should print the fixes with --fix-dry-run', async () => {
+    const addonLinter = new Linter({ _: [tmpDir.name], fixDryRun: true });
+    addonLinter.print = sinon.stub();
+    const fakeConsole = { log: sinon.stub() };
+
+    const output = await addonLinter.run({ _console: fakeConsole });
+
+    expect(fs.readFileSync(manifestPath, 'utf8')).toEqual(manifest);
+    sinon.assert.notCalled(addonLinter.print);
+    sinon.assert.calledOnce(fakeConsole.log);
+    const diff = fakeConsole.log.firstCall.args[0];
+    expect(diff).toContain('--- a/manifest.json');
+    expect(diff).toContain('-  "version": "1.0beta2",');
+    expect(diff).toContain('+  "version": "1.0",');
+    expect(diff).toContain(
+      '-  "update_url": "https://example.com/updates.json"'
+    );
+    // The messages found before fixing the manifest are returned.
+    assertHasMatchingError(output.warnings, {
+      code: messages.APPLICATIONS_DEPRECATED.code,
+    });
+  });
+
+  it('should do nothing when there is nothing to fix', async () => {
+    fs.writeFileSync(manifestPath, validManifestJSON());
+    const addonLinter = new Linter({ _: [tmpDir.name], fixDryRun: true });
+    const _fs = { promises: { readFile: sinon.stub() } };
+    const fakeConsole = { log: sinon.stub() };
+
+    expect(await addonLinter.fix({ _fs, _console: fakeConsole })).toEqual(null);
+    sinon.assert.notCalled(_fs.promises.readFile);
+    sinon.assert.notCalled(fakeConsole.log);
+  });
+});
+
+describe('Linter events', () => {
+  it('should emit events while linting a package', async () => {
+    const addonLinter = new Linter({
+      _: ['tests/fixtures/webextension_bad_permissions.zip'],
+    });
+    addonLinter.print = sinon.stub();
+    const events = [];
+    ['metadata', 'file:start', 'file:done', 'message'].forEach((name) => {
+      addonLinter.on(name, (data) => events.push({ name, data }));
+    });
+
+    await addonLinter.scan();
+
+    // The metadata is extracted before scanning the files.
+    const metadataEvents = events.filter(({ name }) => name === 'metadata');
+    expect(metadataEvents).toEqual([
+      { name: 'metadata', data: addonLinter.addonMetadata },
+    ]);
+    expect(events.indexOf(metadataEvents[0])).toBeLessThan(
+      events.findIndex(({ name }) => name === 'file:start')
+    );
+
+    const scannedFiles = Object.keys(addonLinter.io.files);
+    const started = events.filter(({ name }) => name === 'file:start');
+    const done = events.filter(({ name }) => name === 'file:done');
+    expect(started.map(({ data }) => data.file).sort()).toEqual(
+      scannedFiles.sort()
+    );
+    expect(done.map(({ data }) => data.file).sort()).toEqual(
+      scannedFiles.sort()
+    );
+    started.forEach(({ data }) => {
+      const startIndex = events.findIndex(
+        (event) => event.name === 'file:start' && event.data.file === data.file
+      );
+      const doneIndex = events.findIndex(
+        (event) => event.name === 'file:done' && event.data.file === data.file
+      );
+      expect(startIndex).toBeLessThan(doneIndex);
+    });
+
+    const reported = events
+      .filter(({ name }) => name === 'message')
+      .map(({ data }) => data);
+    expect(reported.length).toBeGreaterThan(0);
+    expect(reported.length).toEqual(addonLinter.output.count);
+    expect(reported).toEqual(expect.arrayContaining(addonLinter.output.errors));
+  });
+});
+
+describe('Linter.watch()', () => {
+  let tmpDir;
+
+  function writeFile(filename, content) {
+    const filePath = `${tmpDir.name}/${filename}`;
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  function readJSLibFixture(filename) {
+    return fs.readFileSync(`tests/fixtures/jslibs/${filename}`, 'utf-8');
+  }
+
+  async function createWatchingLinter(config = {}) {
+    const addonLinter = new Linter({
+      _: [tmpDir.name],
+      watch: true,
+      ...config,
+    });
+    addonLinter.print = sinon.stub();
+    const _watchDirectory = sinon.stub().returns({ close: sinon.stub() });
+    const fakeConsole = { log: sinon.stub() };
+
+    await addonLinter.watch({ _watchDirectory, _console: fakeConsole });
+
+    return { addonLinter, _watchDirectory, fakeConsole };
+  }
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    writeFile(
+      'manifest.json',
+      validManifestJSON({
+        content_scripts: [
+          { matches: ['https://example.com/*'], js: ['content.js'] },
+        ],
+      })
+    );
+    writeFile('content.js', 'console.log("hello");');
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  it('should only support directories', async () => {
+    const addonLinter = new Linter({
+      _: ['tests/fixtures/webextension.zip'],
+      watch: true,
+    });
+    const _watchDirectory = sinon.stub();
+
+    await expect(addonLinter.watch({ _watchDirectory })).rejects.toThrow(
+      AddonsLinterUserError
+    );
+    sinon.assert.notCalled(_watchDirectory);
+  });
+
+  it('should scan the directory and start watching it', async () => {
+    const { addonLinter, _watchDirectory } = await createWatchingLinter();
+
+    sinon.assert.calledOnce(addonLinter.print);
+    sinon.assert.calledWith(_watchDirectory, tmpDir.name);
+    expect(Object.keys(addonLinter.collector.scannedFiles)).toContain(
+      'content.js'
+    );
+
+    addonLinter.stopWatching();
+    sinon.assert.calledOnce(_watchDirectory.firstCall.returnValue.close);
+    expect(addonLinter.watcher).toEqual(null);
+  });
+
+  it('should be used by run() when the watch option is set', async () => {
+    const addonLinter = new Linter({ _: ['foo'], watch: true });
+    addonLinter.watch = sinon.stub().resolves({});
+    addonLinter.scan = sinon.stub();
+
+    await addonLinter.run();
+
+    sinon.assert.calledOnce(addonLinter.watch);
+    sinon.assert.notCalled(addonLinter.scan);
+  });
+
+  it('should rescan the changed files', async () => {
+    const { addonLinter, _watchDirectory, fakeConsole } =
+      await createWatchingLinter();
+    const scanFileSpy = sinon.spy(addonLinter, 'scanFile');
+    const getAddonMetadataSpy = sinon.spy(addonLinter, 'getAddonMetadata');
+
+    writeFile('content.js', 'eval("hello");');
+    const onChange = _watchDirectory.firstCall.args[1];
+    await onChange(['content.js']);
+
+    sinon.assert.calledOnce(scanFileSpy);
+    sinon.assert.calledWith(scanFileSpy, 'content.js');
+    sinon.assert.notCalled(getAddonMetadataSpy);
+    assertHasMatchingError(addonLinter.output.warnings, {
+      code: 'DANGEROUS_EVAL',
+      file: 'content.js',
+    });
+    expect(fakeConsole.log.firstCall.args[0]).toContain(
+      '+ WARNING DANGEROUS_EVAL'
+    );
+  });
+
+  it('should report the messages that disappeared', async () => {
+    writeFile('content.js', 'eval("hello");');
+    const { addonLinter, fakeConsole } = await createWatchingLinter({
+      output: 'json',
+    });
+    const { count } = addonLinter.output;
+
+    writeFile('content.js', 'console.log("hello");');
+    const { added, removed } = await addonLinter.rescan(['content.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(added).toEqual([]);
+    expect(removed).toEqual([
+      expect.objectContaining({ code: 'DANGEROUS_EVAL', file: 'content.js' }),
+    ]);
+    expect(addonLinter.output.count).toEqual(count - 1);
+    expect(JSON.parse(fakeConsole.log.firstCall.args[0])).toEqual({
+      added: [],
+      removed: [expect.objectContaining({ code: 'DANGEROUS_EVAL' })],
+      summary: addonLinter.output.summary,
+    });
+  });
+
+  it('should remove the messages of deleted files', async () => {
+    writeFile('lib/other.js', 'eval("hello");');
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+
+    fs.rmSync(`${tmpDir.name}/lib`, { recursive: true });
+    const { removed } = await addonLinter.rescan(['lib'], {
+      _console: fakeConsole,
+    });
+
+    expect(removed).toEqual([
+      expect.objectContaining({
+        code: messages.FILE_UNREACHABLE,
+        file: 'lib/other.js',
+      }),
+      expect.objectContaining({ code: 'DANGEROUS_EVAL', file: 'lib/other.js' }),
+    ]);
+    expect(Object.keys(addonLinter.collector.scannedFiles)).not.toContain(
+      'lib/other.js'
+    );
+  });
+
+  it('should extract the metadata again when the manifest changes', async () => {
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    expect(addonLinter.output.count).toEqual(0);
+
+    const contentScripts = [
+      { matches: ['https://example.com/*'], js: ['content.js'] },
+    ];
+    writeFile(
+      'manifest.json',
+      validManifestJSON({
+        version: '1.0.0.0.0',
+        content_scripts: contentScripts,
+      }).replace('"name"', '"nom"')
+    );
+    const { added } = await addonLinter.rescan(['manifest.json'], {
+      _console: fakeConsole,
+    });
+
+    expect(added.length).toBeGreaterThan(0);
+    expect(added.every(({ file }) => file === 'manifest.json')).toEqual(true);
+    expect(addonLinter.addonMetadata.version).toEqual('1.0.0.0.0');
+    expect(addonLinter.addonMetadata.jsLibs).toEqual({});
+
+    writeFile(
+      'manifest.json',
+      validManifestJSON({ content_scripts: contentScripts })
+    );
+    const { removed } = await addonLinter.rescan(['manifest.json'], {
+      _console: fakeConsole,
+    });
+
+    expect(removed).toEqual(added);
+    expect(addonLinter.output.count).toEqual(0);
+    expect(fakeConsole.log.lastCall.args[0]).toContain('- ERROR');
+  });
+
+  it('should keep reporting the unchanged manifest messages', async () => {
+    writeFile('manifest.json', validManifestJSON({ name: 'x' }));
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    const { count } = addonLinter.output;
+    expect(count).toBeGreaterThan(0);
+
+    writeFile(
+      'manifest.json',
+      validManifestJSON({ name: 'x', description: 'foo' })
+    );
+    const diff = await addonLinter.rescan(['manifest.json'], {
+      _console: fakeConsole,
+    });
+
+    expect(diff).toEqual({ added: [], removed: [] });
+    expect(addonLinter.output.count).toEqual(count);
+  });
+
+  it('should scan the JavaScript files again when the manifest changes', async () => {
+    writeFile('content.js', 'browser.storage.local.get("key");');
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    assertHasMatchingError(addonLinter.output.errors, {
+      code: 'MISSING_API_PERMISSION',
+      file: 'content.js',
+    });
+
+    writeFile(
+      'manifest.json',
+      validManifestJSON({
+        content_scripts: [
+          { matches: ['https://example.com/*'], js: ['content.js'] },
+        ],
+        permissions: ['storage'],
+      })
+    );
+    const { added, removed } = await addonLinter.rescan(['manifest.json'], {
+      _console: fakeConsole,
+    });
+
+    expect(added).toEqual([]);
+    expect(removed).toEqual([
+      expect.objectContaining({
+        code: 'MISSING_API_PERMISSION',
+        file: 'content.js',
+      }),
+    ]);
+  });
+
+  it('should check the file references again', async () => {
+    writeFile('unused.js', '');
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    assertHasMatchingError(addonLinter.output.notices, {
+      code: messages.FILE_UNREACHABLE,
+      file: 'unused.js',
+    });
+
+    writeFile('content.js', 'importScripts("unused.js");');
+    const { added, removed } = await addonLinter.rescan(['content.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(added).toEqual([]);
+    expect(removed).toEqual([
+      expect.objectContaining({
+        code: messages.FILE_UNREACHABLE,
+        file: 'unused.js',
+      }),
+    ]);
+  });
+
+  it('should check the unused permissions again', async () => {
+    writeFile(
+      'manifest.json',
+      validManifestJSON({
+        content_scripts: [
+          { matches: ['https://example.com/*'], js: ['content.js'] },
+        ],
+        permissions: ['alarms'],
+      })
+    );
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    assertHasMatchingError(addonLinter.output.warnings, {
+      code: messages.MANIFEST_PERMISSION_UNUSED,
+    });
+
+    writeFile('content.js', 'browser.alarms.create({ when: 0 });');
+    const { added, removed } = await addonLinter.rescan(['content.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(added).toEqual([]);
+    expect(removed).toEqual([
+      expect.objectContaining({ code: messages.MANIFEST_PERMISSION_UNUSED }),
+    ]);
+  });
+
+  it('should scan a library again once it has been changed', async () => {
+    writeFile('lib/jquery.js', readJSLibFixture('jquery-3.2.1.min.js'));
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    expect(Object.keys(addonLinter.addonMetadata.jsLibs)).toEqual([
+      'lib/jquery.js',
+    ]);
+
+    writeFile('lib/jquery.js', 'eval("hello");');
+    const { added, removed } = await addonLinter.rescan(['lib/jquery.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(added.map(({ code, file }) => [code, file])).toEqual([
+      ['DANGEROUS_EVAL', 'lib/jquery.js'],
+    ]);
+    expect(removed.map(({ code, file }) => [code, file])).toEqual([
+      [messages.KNOWN_LIBRARY.code, 'lib/jquery.js'],
+      [messages.VULNERABLE_LIBRARY, 'lib/jquery.js'],
+    ]);
+    expect(addonLinter.addonMetadata.jsLibs).toEqual({});
+  });
+
+  it('should not scan the added libraries', async () => {
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    const scanFileSpy = sinon.spy(addonLinter, 'scanFile');
+
+    writeFile('lib/jquery.js', readJSLibFixture('jquery-3.2.1.min.js'));
+    const { added } = await addonLinter.rescan(['lib/jquery.js'], {
+      _console: fakeConsole,
+    });
+
+    sinon.assert.notCalled(scanFileSpy);
+    expect(added.map(({ code, file }) => [code, file])).toEqual([
+      [messages.KNOWN_LIBRARY.code, 'lib/jquery.js'],
+      [messages.FILE_UNREACHABLE, 'lib/jquery.js'],
+      [messages.VULNERABLE_LIBRARY, 'lib/jquery.js'],
+    ]);
+    expect(addonLinter.addonMetadata.jsLibs).toEqual({
+      'lib/jquery.js': 'jquery.3.2.1.jquery.min.js',
+    });
+  });
+
+  it('should keep the libraries of the unchanged files', async () => {
+    writeFile('lib/jquery.js', readJSLibFixture('jquery-3.2.1.min.js'));
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+    const { jsLibs } = addonLinter.addonMetadata;
+
+    writeFile('content.js', 'console.log("hi");');
+    const diff = await addonLinter.rescan(['content.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(diff).toEqual({ added: [], removed: [] });
+    expect(addonLinter.addonMetadata.jsLibs).toEqual(jsLibs);
+  });
+
+  it('should apply the baseline to all the messages again', async () => {
+    const baselinePath = `${tmpDir.name}/baseline.json`;
+    writeFile(
+      'manifest.json',
+      validManifestJSON({
+        content_scripts: [
+          {
+            matches: ['https://example.com/*'],
+            js: ['content.js', 'other.js'],
+          },
+        ],
+      })
+    );
+    writeFile('other.js', 'console.log("other");');
+    writeFile('content.js', 'eval("hello");');
+    const { addonLinter: baselineLinter } = await createWatchingLinter({
+      writeBaseline: baselinePath,
+    });
+    baselineLinter.stopWatching();
+
+    // The baseline only hides one of the occurrences.
+    writeFile('content.js', 'eval("hello");\neval("hello");');
+    const { addonLinter, fakeConsole } = await createWatchingLinter({
+      baseline: baselinePath,
+    });
+    expect(addonLinter.output.warnings).toEqual([
+      expect.objectContaining({ code: 'DANGEROUS_EVAL', file: 'content.js' }),
+    ]);
+
+    writeFile('other.js', 'console.log("changed");');
+    const diff = await addonLinter.rescan(['other.js'], {
+      _console: fakeConsole,
+    });
+
+    expect(diff).toEqual({ added: [], removed: [] });
+    expect(addonLinter.output.warnings).toEqual([
+      expect.objectContaining({ code: 'DANGEROUS_EVAL', file: 'content.js' }),
+    ]);
+  });
+
+  it('should print when nothing changed', async () => {
+    const { addonLinter, fakeConsole } = await createWatchingLinter();
+
+    await addonLinter.rescan(['content.js'], { _console: fakeConsole });
+
+    expect(fakeConsole.log.firstCall.args[0]).toContain(
+      'No messages appeared or disappeared.'
+    );
+  });
+});
+
+describe('Linter.run()', () => {
+  const fakeConsole = {
+    log: sinon.stub(),
+  };
 
   it('should run extractMetadata() when metadata is true', async () => {
     const addonLinter = new Linter({ _: ['foo'], metadata: true });
@@ -1787,3 +3134,479 @@ describe('Linter.run()', () => {
     });
   });
 });
+
+describe('Linter.getMV3MigrationReport()', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    fs.writeFileSync(
+      `${tmpDir.name}/manifest.json`,
+      [
+        '{',
+        '  "manifest_version": 2,',
+        '  "name": "my extension",',
+        '  "version": "1.0",',
+        '  "browser_specific_settings": { "gecko": { "id": "@my-ext" } },',
+        '  "browser_action": { "default_title": "my extension" },',
+        '  "permissions": ["tabs", "https://example.com/*"],',
+        '  "background": { "scripts": ["background.js"] }',
+        '}',
+        '',
+      ].join('\n')
+    );
+    fs.writeFileSync(
+      `${tmpDir.name}/background.js`,
+      [
+        'browser.tabs.query({}).then(([tab]) => {',
+        '  browser.tabs.executeScript(tab.id, { file: "content.js" });',
+        '});',
+        '',
+      ].join('\n')
+    );
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  it('should list the manifest changes and the removed APIs', async () => {
+    const addonLinter = new Linter({ _: [tmpDir.name] });
+
+    const report = await addonLinter.getMV3MigrationReport();
+
+    expect(report.manifestVersion).toEqual(2);
+    expect(report.count).toEqual(report.items.length);
+    expect(
+      report.items.map(({ file, line, column }) => `${file}:${line}:${column}`)
+    ).toEqual([
+      'manifest.json:2:3',
+      'manifest.json:6:3',
+      'manifest.json:7:3',
+      'manifest.json:8:3',
+      'background.js:2:3',
+    ]);
+    expect(report.items[1].replacement).toEqual(
+      '"action": {"default_title":"my extension"}'
+    );
+    expect(report.items[2].replacement).toEqual(
+      '"permissions": ["tabs"], "host_permissions": ["https://example.com/*"]'
+    );
+    expect(report.items[4]).toEqual({
+      file: 'background.js',
+      line: 2,
+      column: 3,
+      message: '"tabs.executeScript" has been removed in Manifest Version 3.',
+      replacement: 'scripting.executeScript',
+    });
+  });
+
+  it('should rename applications', async () => {
+    fs.writeFileSync(
+      `${tmpDir.name}/manifest.json`,
+      [
+        '{',
+        '  "manifest_version": 2,',
+        '  "name": "my extension",',
+        '  "version": "1.0",',
+        '  "applications": { "gecko": { "strict_min_version": "91.0" } }',
+        '}',
+        '',
+      ].join('\n')
+    );
+    const addonLinter = new Linter({ _: [tmpDir.name] });
+
+    const report = await addonLinter.getMV3MigrationReport();
+
+    const manifestItems = report.items.filter(
+      ({ file }) => file === 'manifest.json'
+    );
+    expect(manifestItems).toEqual([
+      expect.objectContaining({ instancePath: '/manifest_version' }),
+      expect.objectContaining({
+        line: 5,
+        column: 3,
+        instancePath: '/applications',
+        replacement: oneLine`"browser_specific_settings":
+          {"gecko":{"strict_min_version":"91.0","id":"..."}}`,
+      }),
+    ]);
+  });
+
+  it('should not report anything for a Manifest Version 3 extension', async () => {
+    fs.writeFileSync(
+      `${tmpDir.name}/manifest.json`,
+      validManifestJSON({ manifest_version: 3 })
+    );
+    const addonLinter = new Linter({
+      _: [tmpDir.name],
+      maxManifestVersion: 3,
+    });
+
+    const report = await addonLinter.getMV3MigrationReport();
+
+    expect(report).toEqual({ manifestVersion: 3, count: 0, items: [] });
+  });
+
+  it('should print the report with --migrate-to-mv3', async () => {
+    const addonLinter = new Linter({ _: [tmpDir.name], migrateToMv3: true });
+    addonLinter.print = sinon.stub();
+    const fakeConsole = { log: sinon.stub() };
+
+    const report = await addonLinter.run({ _console: fakeConsole });
+
+    sinon.assert.notCalled(addonLinter.print);
+    sinon.assert.calledOnce(fakeConsole.log);
+    const output = fakeConsole.log.firstCall.args[0];
+    expect(output).toContain(
+      'Manifest Version 3 migration: 5 change(s) required'
+    );
+    expect(output).toContain(
+      '"tabs.executeScript" has been removed in Manifest Version 3.'
+    );
+    expect(output).toContain('scripting.executeScript');
+    expect(report.count).toEqual(5);
+  });
+
+  it('should output JSON', async () => {
+    const addonLinter = new Linter({
+      _: [tmpDir.name],
+      migrateToMv3: true,
+      output: 'json',
+    });
+    const fakeConsole = { log: sinon.stub() };
+
+    await addonLinter.run({ _console: fakeConsole });
+
+    const output = JSON.parse(fakeConsole.log.firstCall.args[0]);
+    expect(output.count).toEqual(5);
+    expect(output.items[0].instancePath).toEqual('/manifest_version');
+  });
+});
+
+describe('Linter.checkUnusedPermissions()', () => {
+  function createLinter({ permissions, optionalPermissions = [], ...config }) {
+    const addonLinter = new Linter({ _: ['foo'], ...config });
+    addonLinter.addonMetadata = { permissions, optionalPermissions };
+    return addonLinter;
+  }
+
+  it('should report the permissions not required by the used APIs', () => {
+    const addonLinter = createLinter({
+      permissions: ['storage', 'alarms', '<all_urls>', 'unlimitedStorage'],
+      optionalPermissions: ['bookmarks', 'menus'],
+    });
+    addonLinter.browserApis = {
+      'background.js': ['storage', 'storage.local'],
+      'popup.js': ['contextMenus', 'contextMenus.create'],
+    };
+
+    addonLinter.checkUnusedPermissions();
+
+    const { warnings } = addonLinter.output;
+    expect(warnings.map(({ instancePath }) => instancePath)).toEqual([
+      '/permissions/1',
+      '/optional_permissions/0',
+    ]);
+    expect(warnings[0]).toMatchObject({
+      code: messages.MANIFEST_PERMISSION_UNUSED,
+      file: 'manifest.json',
+      message: 'The "alarms" permission is not used by any API call.',
+    });
+  });
+
+  it('should not report the permissions not only used by APIs', () => {
+    const addonLinter = createLinter({
+      permissions: ['clipboardWrite', 'webRequest', 'webRequestBlocking'],
+    });
+    addonLinter.browserApis = {
+      'background.js': ['webRequest.onBeforeRequest'],
+    };
+
+    addonLinter.checkUnusedPermissions();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should not check the permissions when the namespace is passed around', () => {
+    const addonLinter = createLinter({ permissions: ['alarms'] });
+    addonLinter.browserApis = {
+      'background.js': ['storage', 'storage.local'],
+      'lib.js': [constants.ANY_BROWSER_API],
+    };
+
+    addonLinter.checkUnusedPermissions();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should not check the permissions when known libraries are not scanned', () => {
+    const addonLinter = createLinter({ permissions: ['alarms'] });
+    addonLinter.addonMetadata.jsLibs = { 'lib/alarms.js': 'alarms.1.0.0.js' };
+    addonLinter.browserApis = { 'background.js': ['storage'] };
+
+    addonLinter.checkUnusedPermissions();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should not check the permissions when only some files are scanned', () => {
+    const addonLinter = createLinter({
+      permissions: ['alarms'],
+      scanFile: ['background.js'],
+    });
+
+    addonLinter.checkUnusedPermissions();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should not check the permissions without metadata', () => {
+    const addonLinter = new Linter({ _: ['foo'] });
+    addonLinter.addonMetadata = {};
+
+    addonLinter.checkUnusedPermissions();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+});
+
+describe('Linter.checkFileReferences()', () => {
+  function createLinter({ entryPoints, references, files, ...config }) {
+    const addonLinter = new Linter({ _: ['foo'], ...config });
+    addonLinter.manifestEntryPoints = entryPoints;
+    addonLinter.fileReferences = references;
+    addonLinter.io = {
+      files: files.reduce((result, file) => ({ ...result, [file]: {} }), {}),
+    };
+    return addonLinter;
+  }
+
+  it('should report the unreachable files and the missing references', () => {
+    const addonLinter = createLinter({
+      entryPoints: ['popup.html'],
+      references: {
+        'popup.html': [
+          { type: 'script', value: 'popup.js' },
+          { type: 'script', value: 'missing.js' },
+        ],
+        'unused.js': [{ type: 'import', value: './other-missing.js' }],
+      },
+      files: [
+        'manifest.json',
+        'popup.html',
+        'popup.js',
+        'unused.js',
+        'unused.css',
+        'icon.png',
+        '__MACOSX/popup.js',
+      ],
+    });
+
+    addonLinter.checkFileReferences();
+
+    const { notices, warnings } = addonLinter.output;
+    expect(notices.map(({ code, file }) => [code, file])).toEqual([
+      [messages.FILE_UNREACHABLE, 'unused.js'],
+      [messages.FILE_UNREACHABLE, 'unused.css'],
+    ]);
+    expect(warnings.map(({ code, file }) => [code, file])).toEqual([
+      [messages.REFERENCED_FILE_MISSING, 'popup.html'],
+    ]);
+    expect(warnings[0].message).toEqual(
+      '"missing.js" is referenced but could not be found.'
+    );
+  });
+
+  it('should not check the references when only some files are scanned', () => {
+    const addonLinter = createLinter({
+      entryPoints: [],
+      references: {},
+      files: ['unused.js'],
+      scanFile: ['unused.js'],
+    });
+
+    addonLinter.checkFileReferences();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should not check the references of the other add-on types', () => {
+    const addonLinter = createLinter({
+      entryPoints: null,
+      references: {},
+      files: ['unused.js'],
+    });
+
+    addonLinter.checkFileReferences();
+
+    expect(addonLinter.output.warnings).toEqual([]);
+  });
+
+  it('should check the references of a package', async () => {
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const files = {
+      'manifest.json': validManifestJSON({
+        browser_action: { default_popup: 'popup/index.html' },
+      }),
+      'popup/index.html':
+        '<script src="popup.js"></script><script src="/lib.js"></script>',
+      'popup/popup.js': 'import("./module.js");',
+      'popup/module.js': '',
+      'unused.js': '',
+    };
+    Object.keys(files).forEach((file) => {
+      fs.mkdirSync(dirname(`${tmpDir.name}/${file}`), { recursive: true });
+      fs.writeFileSync(`${tmpDir.name}/${file}`, files[file]);
+    });
+    const addonLinter = new Linter({ _: [tmpDir.name] });
+    addonLinter.print = sinon.stub();
+
+    try {
+      await addonLinter.scan();
+    } finally {
+      tmpDir.removeCallback();
+    }
+
+    const { notices, warnings } = addonLinter.output;
+    expect(
+      notices
+        .filter(({ code }) => code === messages.FILE_UNREACHABLE)
+        .map(({ file }) => file)
+    ).toEqual(['unused.js']);
+    expect(
+      warnings
+        .filter(({ code }) => code === messages.REFERENCED_FILE_MISSING)
+        .map(({ file }) => file)
+    ).toEqual(['popup/index.html']);
+  });
+
+  it('should follow the frames and the links of the pages', async () => {
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const files = {
+      'manifest.json': validManifestJSON({
+        browser_action: { default_popup: 'popup.html' },
+      }),
+      'popup.html': oneLine`<iframe src="frame.html"></iframe>
+        <a href="help.html#usage">Help</a>`,
+      'frame.html': '<script src="frame.js"></script>',
+      'frame.js': '',
+      'help.html': '',
+    };
+    Object.keys(files).forEach((file) => {
+      fs.writeFileSync(`${tmpDir.name}/${file}`, files[file]);
+    });
+    const addonLinter = new Linter({ _: [tmpDir.name] });
+    addonLinter.print = sinon.stub();
+
+    try {
+      await addonLinter.scan();
+    } finally {
+      tmpDir.removeCallback();
+    }
+
+    expect(
+      [...addonLinter.output.notices, ...addonLinter.output.warnings].filter(
+        ({ code }) =>
+          [
+            messages.FILE_UNREACHABLE,
+            messages.REFERENCED_FILE_MISSING,
+          ].includes(code)
+      )
+    ).toEqual([]);
+  });
+});
+
+describe('Linter.getSourceMap()', () => {
+  const createLinter = (files) => {
+    const addonLinter = new Linter({ _: ['bar'] });
+    addonLinter.io = {
+      files: Object.keys(files).reduce(
+        (sizes, file) => ({ ...sizes, [file]: { size: files[file].length } }),
+        {}
+      ),
+      getFileAsString: async (file) => files[file],
+    };
+    return addonLinter;
+  };
+
+  it('should return the source map of the package', async () => {
+    const addonLinter = createLinter({
+      'dist/bundle.js.map': '{"version":3,"sources":[],"mappings":""}',
+    });
+
+    expect(
+      await addonLinter.getSourceMap(
+        'dist/bundle.js',
+        'eval(a);\n//# sourceMappingURL=bundle.js.map'
+      )
+    ).toEqual({
+      file: 'dist/bundle.js.map',
+      map: { version: 3, sources: [], mappings: '' },
+    });
+  });
+
+  it('should return null without a source map in the package', async () => {
+    const addonLinter = createLinter({ 'invalid.js.map': '{' });
+
+    expect(await addonLinter.getSourceMap('a.js', 'eval(a);')).toEqual(null);
+    expect(
+      await addonLinter.getSourceMap(
+        'a.js',
+        '//# sourceMappingURL=missing.js.map'
+      )
+    ).toEqual(null);
+    expect(
+      await addonLinter.getSourceMap(
+        'a.js',
+        '//# sourceMappingURL=https://example.com/a.js.map'
+      )
+    ).toEqual(null);
+    expect(
+      await addonLinter.getSourceMap(
+        'invalid.js',
+        '//# sourceMappingURL=invalid.js.map'
+      )
+    ).toEqual(null);
+  });
+
+  it('should report the original locations of the messages', async () => {
+    const tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    const generator = new SourceMapGenerator({ file: 'bundle.js' });
+    generator.addMapping({
+      source: '../src/background.js',
+      original: { line: 12, column: 2 },
+      generated: { line: 1, column: 10 },
+    });
+    const files = {
+      'manifest.json': validManifestJSON({
+        background: { scripts: ['dist/bundle.js'] },
+      }),
+      'dist/bundle.js':
+        'var a=1;\t\teval(a);\n//# sourceMappingURL=bundle.js.map\n',
+      'dist/bundle.js.map': generator.toString(),
+    };
+    Object.keys(files).forEach((file) => {
+      fs.mkdirSync(dirname(`${tmpDir.name}/${file}`), { recursive: true });
+      fs.writeFileSync(`${tmpDir.name}/${file}`, files[file]);
+    });
+    const addonLinter = new Linter({ _: [tmpDir.name] });
+    addonLinter.print = sinon.stub();
+
+    try {
+      await addonLinter.scan();
+    } finally {
+      tmpDir.removeCallback();
+    }
+
+    const warning = addonLinter.output.warnings.find(
+      ({ code }) => code === messages.DANGEROUS_EVAL.code
+    );
+    expect(warning).toMatchObject({
+      file: 'dist/bundle.js',
+      line: 1,
+      column: 11,
+      original: { file: 'src/background.js', line: 12, column: 3 },
+    });
+  });
+});
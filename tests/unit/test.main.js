@@ -1,5 +1,8 @@
 import { getConfig } from 'cli';
+import Differ from 'differ';
+import Linter from 'linter';
 import { createInstance, isRunFromCLI } from 'main';
+import MultiLinter from 'multi-linter';
 
 // Unmock cli to test it (jest automatically host this call before the import
 // section above.
@@ -28,6 +31,28 @@ describe('Main module tests', () => {
     }).not.toThrow();
   });
 
+  it('should create a MultiLinter for several packages', () => {
+    const createConfig = (paths) => ({ _: paths, logLevel: 'fatal' });
+
+    expect(
+      createInstance({ config: createConfig(['first-addon', 'second-addon']) })
+    ).toBeInstanceOf(MultiLinter);
+    expect(
+      createInstance({ config: createConfig(['addons/*']) })
+    ).toBeInstanceOf(MultiLinter);
+    expect(createInstance({ config: createConfig(['addon']) })).toBeInstanceOf(
+      Linter
+    );
+  });
+
+  it('should create a Differ for the diff command', () => {
+    expect(
+      createInstance({
+        config: { _: ['diff', 'old.xpi', 'new.xpi'], logLevel: 'fatal' },
+      })
+    ).toBeInstanceOf(Differ);
+  });
+
   it("should return false when modules don't match up", () => {
     expect(isRunFromCLI(null)).toBe(false);
   });
@@ -0,0 +1,173 @@
+import {
+  getBroadestBreadth,
+  getMatchPatternBreadth,
+  getRedundantMatchPatterns,
+  globCanMatch,
+  matchPatternCovers,
+  matchPatternsIntersect,
+  parseMatchPattern,
+} from 'match-patterns';
+
+describe('parseMatchPattern()', () => {
+  it('should parse the match patterns', () => {
+    expect(parseMatchPattern('<all_urls>')).toEqual({
+      pattern: '<all_urls>',
+      allUrls: true,
+    });
+    expect(parseMatchPattern('*://*.Example.com/path/*')).toEqual({
+      pattern: '*://*.Example.com/path/*',
+      scheme: '*',
+      host: '*.example.com',
+      path: '/path/*',
+    });
+    expect(parseMatchPattern('file:///home/*')).toEqual({
+      pattern: 'file:///home/*',
+      scheme: 'file',
+      host: '',
+      path: '/home/*',
+    });
+  });
+
+  it.each([
+    'example.com',
+    'https://example.com',
+    'https:///path',
+    'https://www.*.com/',
+    '*',
+    null,
+  ])('should return null for %s', (pattern) => {
+    expect(parseMatchPattern(pattern)).toEqual(null);
+  });
+});
+
+describe('getMatchPatternBreadth()', () => {
+  it.each([
+    ['<all_urls>', 'all_urls'],
+    ['*://*/*', 'all_hosts'],
+    ['https://*/path', 'all_hosts'],
+    ['*://*.example.com/*', 'subdomains'],
+    ['https://example.com/*', 'host'],
+  ])('should return the breadth of %s', (pattern, breadth) => {
+    expect(getMatchPatternBreadth(parseMatchPattern(pattern))).toEqual(breadth);
+  });
+});
+
+describe('getBroadestBreadth()', () => {
+  it('should return the broadest breadth', () => {
+    expect(
+      getBroadestBreadth(['https://example.com/*', '*://*.example.org/*'])
+    ).toEqual('subdomains');
+    expect(getBroadestBreadth(['invalid'])).toEqual(null);
+    expect(getBroadestBreadth([])).toEqual(null);
+  });
+});
+
+describe('matchPatternCovers()', () => {
+  const covers = (pattern, otherPattern, options) =>
+    matchPatternCovers(
+      parseMatchPattern(pattern),
+      parseMatchPattern(otherPattern),
+      options
+    );
+
+  it('should compare the schemes, the hosts and the paths', () => {
+    expect(covers('<all_urls>', '*://*/*')).toEqual(true);
+    expect(covers('<all_urls>', 'moz-extension://id/*')).toEqual(false);
+    expect(covers('*://*/*', '<all_urls>')).toEqual(false);
+    expect(covers('*://*/*', 'wss://example.com/*')).toEqual(true);
+    expect(covers('*://*/*', 'ftp://example.com/*')).toEqual(false);
+    expect(covers('https://*/*', '*://example.com/*')).toEqual(false);
+    expect(covers('*://*.example.com/*', 'https://a.b.example.com/')).toEqual(
+      true
+    );
+    expect(covers('*://*.example.com/*', 'https://example.com/')).toEqual(true);
+    expect(covers('*://*.example.com/*', 'https://notexample.com/')).toEqual(
+      false
+    );
+    expect(covers('*://example.com/*', '*://*.example.com/*')).toEqual(false);
+    expect(covers('https://a.com/foo*', 'https://a.com/foo/*')).toEqual(true);
+    expect(covers('https://a.com/foo/*', 'https://a.com/*')).toEqual(false);
+  });
+
+  it('should ignore the paths when ignorePath is set', () => {
+    expect(
+      covers('https://a.com/foo/*', 'https://a.com/*', { ignorePath: true })
+    ).toEqual(true);
+  });
+});
+
+describe('matchPatternsIntersect()', () => {
+  const intersect = (pattern, otherPattern) =>
+    matchPatternsIntersect(
+      parseMatchPattern(pattern),
+      parseMatchPattern(otherPattern)
+    );
+
+  it('should return whether some URLs are matched by both patterns', () => {
+    expect(intersect('https://*.example.com/*', '*://a.example.com/')).toEqual(
+      true
+    );
+    expect(intersect('https://a.com/foo/*', 'https://a.com/*/bar')).toEqual(
+      true
+    );
+    expect(intersect('https://a.com/*', 'http://a.com/*')).toEqual(false);
+    expect(intersect('https://a.com/*', 'https://b.com/*')).toEqual(false);
+    expect(intersect('https://a.com/foo', 'https://a.com/bar')).toEqual(false);
+    expect(intersect('<all_urls>', 'file:///*')).toEqual(true);
+  });
+});
+
+describe('globCanMatch()', () => {
+  const match = parseMatchPattern('https://*.example.com/*');
+
+  it('should compare the scheme and the host of the glob', () => {
+    expect(globCanMatch('https://www.example.com/*', match)).toEqual(true);
+    expect(globCanMatch('http://www.example.com/*', match)).toEqual(false);
+    expect(globCanMatch('https://example.org/*', match)).toEqual(false);
+  });
+
+  it('should not check the globs with wildcards in the host', () => {
+    expect(globCanMatch('https://*.org/*', match)).toEqual(true);
+    expect(globCanMatch('*example.org*', match)).toEqual(true);
+  });
+});
+
+describe('getRedundantMatchPatterns()', () => {
+  it('should return the patterns covered by another one', () => {
+    expect(
+      getRedundantMatchPatterns([
+        'https://example.com/*',
+        '*://*.example.com/*',
+        'https://example.org/*',
+        'invalid',
+        '*://*.example.com/*',
+      ])
+    ).toEqual([
+      {
+        index: 0,
+        pattern: 'https://example.com/*',
+        coveredBy: '*://*.example.com/*',
+      },
+      {
+        index: 4,
+        pattern: '*://*.example.com/*',
+        coveredBy: '*://*.example.com/*',
+      },
+    ]);
+  });
+
+  it('should pass the options', () => {
+    const patterns = ['https://example.com/*', 'https://example.com/path'];
+
+    expect(getRedundantMatchPatterns(patterns.slice().reverse())).toEqual([
+      {
+        index: 0,
+        pattern: 'https://example.com/path',
+        coveredBy: 'https://example.com/*',
+      },
+    ]);
+    expect(
+      getRedundantMatchPatterns(patterns, { ignorePath: true })
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,252 @@
+import {
+  getApiMigrationItem,
+  getApiReplacement,
+  getJSONLocation,
+  getManifestMigrationItems,
+  getManifestMigrationItemsFromText,
+  getRemovedApi,
+  isHostPermission,
+} from 'migration';
+
+describe('isHostPermission()', () => {
+  it('should detect the host permissions', () => {
+    expect(isHostPermission('<all_urls>')).toEqual(true);
+    expect(isHostPermission('*://*.example.com/*')).toEqual(true);
+    expect(isHostPermission('tabs')).toEqual(false);
+    expect(isHostPermission({})).toEqual(false);
+  });
+});
+
+describe('getManifestMigrationItems()', () => {
+  const getPaths = (manifest) =>
+    getManifestMigrationItems(manifest).map(({ instancePath }) => instancePath);
+
+  it('should always require manifest_version 3', () => {
+    expect(
+      getManifestMigrationItems({
+        browser_specific_settings: { gecko: { id: '@my-ext' } },
+      })
+    ).toEqual([
+      {
+        instancePath: '/manifest_version',
+        message: '"manifest_version" must be set to 3.',
+        replacement: '"manifest_version": 3',
+      },
+    ]);
+  });
+
+  it('should require an extension ID', () => {
+    const [, item] = getManifestMigrationItems({
+      browser_specific_settings: {
+        gecko: { strict_min_version: '91.0' },
+        gecko_android: {},
+      },
+    });
+
+    expect(item.instancePath).toEqual('/browser_specific_settings');
+    expect(JSON.parse(`{${item.replacement}}`)).toEqual({
+      browser_specific_settings: {
+        gecko: { strict_min_version: '91.0', id: '...' },
+        gecko_android: {},
+      },
+    });
+    expect(getPaths({})).toContain('/browser_specific_settings');
+  });
+
+  it('should rename applications and add the extension ID in the same edit', () => {
+    const items = getManifestMigrationItems({
+      applications: { gecko: { strict_min_version: '91.0' } },
+    });
+
+    expect(items.map(({ instancePath }) => instancePath)).toEqual([
+      '/manifest_version',
+      '/applications',
+    ]);
+    expect(JSON.parse(`{${items[1].replacement}}`)).toEqual({
+      browser_specific_settings: {
+        gecko: { strict_min_version: '91.0', id: '...' },
+      },
+    });
+  });
+
+  it('should remove applications when browser_specific_settings is set', () => {
+    const [, item] = getManifestMigrationItems({
+      applications: { gecko: { id: '@old-id' } },
+      browser_specific_settings: { gecko: { id: '@my-ext' } },
+    });
+
+    expect(item).toEqual({
+      instancePath: '/applications',
+      message: expect.stringContaining('must be removed'),
+      replacement: null,
+    });
+  });
+
+  it('should replace browser_action and page_action with action', () => {
+    expect(
+      getPaths({ browser_action: {}, page_action: { default_title: 'x' } })
+    ).toEqual(expect.arrayContaining(['/browser_action', '/page_action']));
+  });
+
+  it('should convert web_accessible_resources', () => {
+    const item = getManifestMigrationItems({
+      web_accessible_resources: ['images/*.png'],
+    }).find(({ instancePath }) => instancePath === '/web_accessible_resources');
+
+    expect(JSON.parse(`{${item.replacement}}`)).toEqual({
+      web_accessible_resources: [
+        { resources: ['images/*.png'], matches: ['<all_urls>'] },
+      ],
+    });
+    expect(
+      getPaths({
+        web_accessible_resources: [
+          { resources: ['images/*.png'], matches: ['<all_urls>'] },
+        ],
+      })
+    ).not.toContain('/web_accessible_resources');
+  });
+
+  it('should convert a string content_security_policy', () => {
+    const item = getManifestMigrationItems({
+      content_security_policy: "script-src 'self'",
+    }).find(({ instancePath }) => instancePath === '/content_security_policy');
+
+    expect(JSON.parse(`{${item.replacement}}`)).toEqual({
+      content_security_policy: { extension_pages: "script-src 'self'" },
+    });
+  });
+
+  it('should split the host permissions', () => {
+    const items = getManifestMigrationItems({
+      permissions: ['storage', '<all_urls>'],
+      optional_permissions: ['https://example.com/*'],
+    });
+
+    expect(
+      JSON.parse(
+        `{${
+          items.find(({ instancePath }) => instancePath === '/permissions')
+            .replacement
+        }}`
+      )
+    ).toEqual({ permissions: ['storage'], host_permissions: ['<all_urls>'] });
+    expect(
+      JSON.parse(
+        `{${
+          items.find(
+            ({ instancePath }) => instancePath === '/optional_permissions'
+          ).replacement
+        }}`
+      )
+    ).toEqual({
+      optional_permissions: [],
+      optional_host_permissions: ['https://example.com/*'],
+    });
+  });
+
+  it('should report persistent background pages', () => {
+    expect(getPaths({ background: { scripts: ['bg.js'] } })).toContain(
+      '/background'
+    );
+    expect(
+      getPaths({ background: { page: 'bg.html', persistent: true } })
+    ).toContain('/background/persistent');
+    expect(
+      getPaths({ background: { scripts: ['bg.js'], persistent: false } })
+    ).not.toContain('/background');
+  });
+
+  it('should report user_scripts', () => {
+    const item = getManifestMigrationItems({
+      user_scripts: { api_script: 'api.js' },
+    }).find(({ instancePath }) => instancePath === '/user_scripts');
+
+    expect(item.replacement).toEqual(null);
+  });
+});
+
+describe('getJSONLocation()', () => {
+  const text = '{\n  "a": 1,\n  "b": {\n    "c": [1, 2]\n  }\n}';
+
+  it('should point to the property', () => {
+    expect(getJSONLocation(text, '/a')).toEqual({ line: 2, column: 3 });
+    expect(getJSONLocation(text, '/b/c')).toEqual({ line: 4, column: 5 });
+  });
+
+  it('should point to the closest parent of a missing property', () => {
+    expect(getJSONLocation(text, '/b/d')).toEqual({ line: 3, column: 3 });
+    expect(getJSONLocation(text, '/d')).toEqual({ line: 1, column: 1 });
+  });
+});
+
+describe('getManifestMigrationItemsFromText()', () => {
+  it('should add the location of the items', () => {
+    const [item] = getManifestMigrationItemsFromText(
+      [
+        '{',
+        '  // Comments are allowed.',
+        '  "manifest_version": 2,',
+        '  "browser_specific_settings": { "gecko": { "id": "@my-ext" } }',
+        '}',
+      ].join('\n')
+    );
+
+    expect(item).toMatchObject({
+      file: 'manifest.json',
+      line: 3,
+      column: 3,
+      instancePath: '/manifest_version',
+    });
+  });
+});
+
+describe('getRemovedApi()', () => {
+  it('should return the API of a REMOVED_MV2_API message', () => {
+    expect(
+      getRemovedApi({
+        code: 'UNSUPPORTED_API',
+        message: 'Les API "tabs.executeScript" ont été supprimées',
+        data: { api: 'tabs.executeScript', removedApi: 'tabs.executeScript' },
+      })
+    ).toEqual('tabs.executeScript');
+    expect(
+      getRemovedApi({
+        code: 'UNSUPPORTED_API',
+        message: '"tabs.foo" has been removed in Manifest Version 3',
+        data: { api: 'tabs.foo' },
+      })
+    ).toEqual(null);
+    expect(getRemovedApi({ code: 'UNSUPPORTED_API' })).toEqual(null);
+    expect(getRemovedApi(undefined)).toEqual(null);
+  });
+});
+
+describe('getApiReplacement()', () => {
+  it('should return the replacement of an API', () => {
+    expect(getApiReplacement('tabs.insertCSS')).toEqual('scripting.insertCSS');
+    expect(getApiReplacement('browserAction.setBadgeText')).toEqual(
+      'action.setBadgeText'
+    );
+    expect(getApiReplacement('userScripts.register')).toEqual(null);
+  });
+});
+
+describe('getApiMigrationItem()', () => {
+  it('should create an item for a removed API', () => {
+    expect(
+      getApiMigrationItem('extension.getURL', {
+        file: 'bg.js',
+        line: 3,
+        column: 7,
+        code: 'UNSUPPORTED_API',
+      })
+    ).toEqual({
+      file: 'bg.js',
+      line: 3,
+      column: 7,
+      message: '"extension.getURL" has been removed in Manifest Version 3.',
+      replacement: 'runtime.getURL',
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import fs from 'fs';
+
+import tmp from 'tmp-promise';
+
+import * as messages from 'messages';
+import MultiLinter, {
+  MAX_CONCURRENT_PACKAGES,
+  expandPackagePaths,
+  mapWithConcurrency,
+} from 'multi-linter';
+import { AddonsLinterUserError } from 'utils';
+
+import { validManifestJSON } from './helpers';
+
+describe('expandPackagePaths()', () => {
+  it('should expand the glob patterns', () => {
+    const _glob = {
+      hasMagic: (pattern) => pattern.includes('*'),
+      sync: sinon.stub().returns(['addons/b', 'addons/a']),
+    };
+
+    expect(
+      expandPackagePaths(['first.zip', 'addons/*', 'addons/a'], { _glob })
+    ).toEqual(['first.zip', 'addons/a', 'addons/b']);
+    sinon.assert.calledWith(_glob.sync, 'addons/*');
+  });
+
+  it('should throw when a pattern does not match anything', () => {
+    expect(() => expandPackagePaths(['does-not-exist/*'])).toThrow(
+      'No package matches "does-not-exist/*".'
+    );
+  });
+});
+
+describe('mapWithConcurrency()', () => {
+  it('should limit the number of concurrent calls', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await mapWithConcurrency(
+      [1, 2, 3, 4, 5],
+      2,
+      async (item) => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => {
+          setTimeout(resolve, 6 - item);
+        });
+        running -= 1;
+        return item * 2;
+      }
+    );
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(maxRunning).toEqual(2);
+  });
+
+  it('should support empty lists', async () => {
+    expect(
+      await mapWithConcurrency([], MAX_CONCURRENT_PACKAGES, sinon.stub())
+    ).toEqual([]);
+  });
+});
+
+describe('MultiLinter', () => {
+  let tmpDir;
+
+  const createConfig = (extra) => ({
+    _: [`${tmpDir.name}/*`],
+    output: 'none',
+    boring: true,
+    ...extra,
+  });
+
+  beforeEach(() => {
+    tmpDir = tmp.dirSync({ unsafeCleanup: true });
+    fs.mkdirSync(`${tmpDir.name}/first`);
+    fs.writeFileSync(`${tmpDir.name}/first/manifest.json`, validManifestJSON());
+    fs.mkdirSync(`${tmpDir.name}/second`);
+    fs.writeFileSync(
+      `${tmpDir.name}/second/manifest.json`,
+      validManifestJSON({ name: undefined })
+    );
+  });
+
+  afterEach(() => {
+    tmpDir.removeCallback();
+  });
+
+  it('should lint each package', async () => {
+    const addonLinter = new MultiLinter(createConfig());
+
+    const output = await addonLinter.run();
+
+    expect(output.packages.map(({ packagePath }) => packagePath)).toEqual([
+      `${tmpDir.name}/first`,
+      `${tmpDir.name}/second`,
+    ]);
+    expect(output.packages[0].errors).toEqual([]);
+    expect(output.packages[1].errors).toEqual([
+      expect.objectContaining({ code: messages.MANIFEST_FIELD_REQUIRED.code }),
+    ]);
+    expect(output.summary).toMatchObject({
+      packages: 2,
+      failed: 0,
+      errors: 1,
+    });
+    expect(output.count).toEqual(
+      output.packages[0].count + output.packages[1].count
+    );
+    expect(addonLinter.exitCode).toEqual(1);
+  });
+
+  it('should share the dispensary between the packages', async () => {
+    const addonLinter = new MultiLinter(createConfig());
+
+    await addonLinter.run();
+
+    addonLinter.results.forEach(({ linter }) => {
+      expect(linter.dispensary).toBe(addonLinter.dispensary);
+    });
+  });
+
+  it('should merge the project config of each package', async () => {
+    fs.writeFileSync(
+      `${tmpDir.name}/second/.addons-linterrc.json`,
+      JSON.stringify({ rules: { MANIFEST_FIELD_REQUIRED: 'off' } })
+    );
+    const addonLinter = new MultiLinter(
+      createConfig({
+        defaultedOptions: { rules: true },
+        trustProjectConfig: true,
+      })
+    );
+
+    const output = await addonLinter.run();
+
+    expect(output.summary.errors).toEqual(0);
+    expect(addonLinter.exitCode).toEqual(0);
+    expect(addonLinter.results[0].linter.config.rules).toBeUndefined();
+  });
+
+  it('should report the packages with an untrusted project config', async () => {
+    fs.writeFileSync(
+      `${tmpDir.name}/second/.addons-linterrc.json`,
+      JSON.stringify({ rules: { MANIFEST_FIELD_REQUIRED: 'off' } })
+    );
+    const addonLinter = new MultiLinter(
+      createConfig({ defaultedOptions: { rules: true } })
+    );
+
+    const output = await addonLinter.run();
+
+    expect(output.summary).toMatchObject({ packages: 2, failed: 1 });
+    expect(output.packages[1]).toEqual({
+      packagePath: `${tmpDir.name}/second`,
+      error: expect.stringContaining('--trust-project-config'),
+    });
+  });
+
+  it('should use the warningsAsErrors option of each package', () => {
+    const addonLinter = new MultiLinter(createConfig());
+    const output = { errors: [], warnings: [{ code: 'SOME_WARNING' }] };
+    addonLinter.results = [
+      { linter: { config: { warningsAsErrors: false } }, output },
+    ];
+    expect(addonLinter.exitCode).toEqual(0);
+
+    addonLinter.results = [
+      { linter: { config: { warningsAsErrors: true } }, output },
+    ];
+    expect(addonLinter.exitCode).toEqual(1);
+  });
+
+  it('should report the packages that could not be linted', async () => {
+    const addonLinter = new MultiLinter(
+      createConfig({ _: [`${tmpDir.name}/first`, `${tmpDir.name}/missing`] })
+    );
+
+    const output = await addonLinter.run();
+
+    expect(output.summary).toMatchObject({ packages: 2, failed: 1 });
+    expect(output.packages[1]).toEqual({
+      packagePath: `${tmpDir.name}/missing`,
+      error: expect.stringContaining('does not exist'),
+    });
+    expect(addonLinter.exitCode).toEqual(1);
+  });
+
+  it('should print the results of each package and a summary', async () => {
+    const addonLinter = new MultiLinter(createConfig({ output: 'text' }));
+    const fakeConsole = { log: sinon.stub(), error: sinon.stub() };
+
+    await addonLinter.run({ _console: fakeConsole });
+
+    sinon.assert.calledOnce(fakeConsole.log);
+    const text = fakeConsole.log.firstCall.args[0];
+    expect(text).toContain(`${tmpDir.name}/first\n`);
+    expect(text).toContain(`${tmpDir.name}/second\n`);
+    expect(text).toContain(messages.MANIFEST_FIELD_REQUIRED.code);
+    expect(text).toContain('Summary for 2 packages:');
+  });
+
+  it('should output JSON', async () => {
+    const addonLinter = new MultiLinter(createConfig({ output: 'json' }));
+    const fakeConsole = { log: sinon.stub() };
+
+    await addonLinter.run({ _console: fakeConsole });
+
+    const output = JSON.parse(fakeConsole.log.firstCall.args[0]);
+    expect(output.summary.packages).toEqual(2);
+    expect(output.packages).toHaveLength(2);
+  });
+
+  it.each([['metadata'], ['watch'], ['baseline'], ['migrateToMv3']])(
+    'should not support the %s option',
+    async (option) => {
+      const addonLinter = new MultiLinter(createConfig({ [option]: true }));
+
+      await expect(addonLinter.run()).rejects.toThrow(AddonsLinterUserError);
+    }
+  );
+
+  it('should not fix the packages', async () => {
+    const addonLinter = new MultiLinter(createConfig({ fix: true }));
+
+    await expect(addonLinter.run()).rejects.toThrow(
+      'The "fix" option can only be used with a single package.'
+    );
+  });
+
+  it('should not support the sarif output', async () => {
+    const addonLinter = new MultiLinter(createConfig({ output: 'sarif' }));
+
+    await expect(addonLinter.run()).rejects.toThrow(
+      'The "sarif" output is not supported with multiple packages.'
+    );
+  });
+});
@@ -0,0 +1,147 @@
+import {
+  formatBrowserNames,
+  getApiBrowserSupport,
+  getBrowserSupport,
+  getCompatibilityMatrix,
+  getManifestBrowserIssues,
+  getUnsupportedBrowsers,
+  isCurrentlySupported,
+} from 'portability';
+
+describe('isCurrentlySupported()', () => {
+  it.each([
+    [{ version_added: '88' }, true],
+    [{ version_added: true }, true],
+    [{ version_added: false }, false],
+    [{ version_added: '15', version_removed: '79' }, false],
+    [{ version_added: '90', flags: [{ type: 'preference' }] }, false],
+    [{ version_added: 'preview' }, false],
+    [
+      [{ version_added: '85' }, { version_added: '56', version_removed: '79' }],
+      true,
+    ],
+    [{ version_added: null }, null],
+    [undefined, null],
+  ])('should return the support of %j', (supportInfo, expected) => {
+    expect(isCurrentlySupported(supportInfo)).toEqual(expected);
+  });
+});
+
+describe('getBrowserSupport()', () => {
+  it('should return the support of each browser', () => {
+    const browserSupport = getBrowserSupport(
+      { chrome: { version_added: false }, firefox: { version_added: '57' } },
+      ['chrome', 'firefox', 'safari']
+    );
+
+    expect(browserSupport).toEqual({
+      chrome: false,
+      firefox: true,
+      safari: null,
+    });
+    expect(getUnsupportedBrowsers(browserSupport)).toEqual(['chrome']);
+  });
+});
+
+describe('formatBrowserNames()', () => {
+  it('should return the names of the browsers', () => {
+    expect(formatBrowserNames(['chrome', 'firefox_android'])).toEqual(
+      'Chrome, Firefox for Android'
+    );
+  });
+});
+
+describe('getManifestBrowserIssues()', () => {
+  it('should return the keys and permissions not supported', () => {
+    const issues = getManifestBrowserIssues(
+      {
+        browser_specific_settings: { gecko: { id: 'a@b.c' } },
+        sidebar_action: { default_panel: 'sidebar.html' },
+        permissions: ['menus', 'tabs'],
+      },
+      ['chrome', 'firefox']
+    );
+
+    expect(issues).toEqual([
+      {
+        type: 'manifest',
+        name: 'browser_specific_settings',
+        support: { chrome: false, firefox: true },
+      },
+      {
+        type: 'permission',
+        name: 'permissions:menus',
+        support: { chrome: false, firefox: true },
+      },
+      {
+        type: 'manifest',
+        name: 'sidebar_action',
+        support: { chrome: false, firefox: true },
+      },
+    ]);
+  });
+
+  it('should only check the sub-keys with the browsers supporting the key', () => {
+    const issues = getManifestBrowserIssues(
+      {
+        sidebar_action: {
+          default_panel: 'sidebar.html',
+          open_at_install: true,
+        },
+      },
+      ['chrome', 'safari']
+    );
+
+    expect(issues.map(({ name }) => name)).toEqual(['sidebar_action']);
+  });
+
+  it('should not return anything without browsers', () => {
+    expect(getManifestBrowserIssues({ sidebar_action: {} }, [])).toEqual([]);
+  });
+});
+
+describe('getApiBrowserSupport()', () => {
+  it('should return the support of a documented API', () => {
+    expect(
+      getApiBrowserSupport('sidebarAction.open', ['chrome', 'firefox'])
+    ).toEqual({ chrome: false, firefox: true });
+  });
+
+  it('should only know the Firefox support of the undocumented APIs', () => {
+    expect(
+      getApiBrowserSupport('offscreen.createDocument', [
+        'chrome',
+        'firefox',
+        'firefox_android',
+      ])
+    ).toEqual({ chrome: null, firefox: false, firefox_android: false });
+    expect(
+      getApiBrowserSupport('foo.bar', ['firefox'], {
+        _hasBrowserApi: () => true,
+      })
+    ).toEqual({ firefox: null });
+  });
+});
+
+describe('getCompatibilityMatrix()', () => {
+  it('should return the support of the features and the counts', () => {
+    const issues = [
+      {
+        type: 'manifest',
+        name: 'sidebar_action',
+        support: { chrome: false, safari: false },
+      },
+      {
+        type: 'api',
+        name: 'offscreen.createDocument',
+        support: { chrome: null, safari: null },
+      },
+    ];
+
+    expect(getCompatibilityMatrix(issues, ['chrome', 'safari'])).toEqual({
+      browsers: ['chrome', 'safari'],
+      features: issues,
+      unsupportedCount: { chrome: 1, safari: 1 },
+    });
+  });
+});
@@ -0,0 +1,333 @@
+import path from 'path';
+
+import {
+  getProjectConfigSchema,
+  getUntrustedConfigOptions,
+  loadProjectConfig,
+  mergeProjectConfig,
+  toCamelCase,
+  toKebabCase,
+  validateProjectConfig,
+} from 'project-config';
+import { AddonsLinterUserError } from 'utils';
+
+function fakeFS({ directories = [], files = {} } = {}) {
+  const resolve = (filePath) => path.resolve(filePath);
+  const resolvedFiles = {};
+  Object.keys(files).forEach((filePath) => {
+    resolvedFiles[resolve(filePath)] = files[filePath];
+  });
+  const resolvedDirectories = directories.map(resolve);
+
+  return {
+    existsSync: sinon.spy(
+      (filePath) =>
+        resolvedDirectories.includes(resolve(filePath)) ||
+        resolve(filePath) in resolvedFiles
+    ),
+    statSync: (filePath) => ({
+      isDirectory: () => resolvedDirectories.includes(resolve(filePath)),
+    }),
+    readFileSync: (filePath) => resolvedFiles[resolve(filePath)],
+  };
+}
+
+describe('project-config', () => {
+  describe('toCamelCase / toKebabCase', () => {
+    it('should convert option names', () => {
+      expect(toCamelCase('max-manifest-version')).toEqual('maxManifestVersion');
+      expect(toCamelCase('privileged')).toEqual('privileged');
+      expect(toKebabCase('maxManifestVersion')).toEqual('max-manifest-version');
+      expect(toKebabCase('self-hosted')).toEqual('self-hosted');
+    });
+  });
+
+  describe('getProjectConfigSchema', () => {
+    it('should accept the CLI and camel-cased option names', () => {
+      const schema = getProjectConfigSchema({
+        'self-hosted': { type: 'boolean', default: false },
+        output: { type: 'string', choices: ['json', 'text'] },
+      });
+
+      expect(schema.additionalProperties).toEqual(false);
+      expect(schema.properties['self-hosted']).toEqual({ type: 'boolean' });
+      expect(schema.properties.selfHosted).toEqual({ type: 'boolean' });
+      expect(schema.properties.output).toEqual({
+        type: 'string',
+        enum: ['json', 'text'],
+      });
+    });
+  });
+
+  describe('validateProjectConfig', () => {
+    it('should return the config with normalized keys', () => {
+      expect(
+        validateProjectConfig(
+          { selfHosted: true, 'max-manifest-version': 3 },
+          '.addons-linterrc.json'
+        )
+      ).toEqual({ 'self-hosted': true, 'max-manifest-version': 3 });
+    });
+
+    it('should throw a user error on unknown options', () => {
+      expect(() =>
+        validateProjectConfig({ unknownOption: true }, '.addons-linterrc.json')
+      ).toThrow(AddonsLinterUserError);
+      expect(() =>
+        validateProjectConfig({ unknownOption: true }, '.addons-linterrc.json')
+      ).toThrow(
+        'Invalid addons-linter config file .addons-linterrc.json: unknown option "unknownOption".'
+      );
+    });
+
+    it('should throw a user error on invalid values', () => {
+      expect(() =>
+        validateProjectConfig(
+          { output: 'xml', privileged: 'yes' },
+          '.addons-linterrc.json'
+        )
+      ).toThrow(
+        /"output" must be equal to one of the allowed values, "privileged" must be boolean/
+      );
+    });
+
+    it('should validate the rules severities', () => {
+      expect(
+        validateProjectConfig(
+          { rules: { MANIFEST_CSP: 'off', FILE_TOO_LARGE: 'warning' } },
+          '.addons-linterrc.json'
+        )
+      ).toEqual({ rules: { MANIFEST_CSP: 'off', FILE_TOO_LARGE: 'warning' } });
+
+      expect(() =>
+        validateProjectConfig(
+          { rules: { MANIFEST_CSP: 'fatal' } },
+          '.addons-linterrc.json'
+        )
+      ).toThrow(/"rules\/MANIFEST_CSP" must be equal to one of the allowed/);
+    });
+
+    it('should throw a user error when the config is not an object', () => {
+      expect(() => validateProjectConfig([], 'package.json')).toThrow(
+        AddonsLinterUserError
+      );
+    });
+  });
+
+  describe('getUntrustedConfigOptions', () => {
+    it('should return the options weakening the checks', () => {
+      expect(
+        getUntrustedConfigOptions({
+          output: 'json',
+          privileged: true,
+          'scan-file': ['a.js'],
+          'write-baseline': 'baseline.json',
+          'trust-project-config': true,
+          'min-manifest-version': 3,
+          'max-manifest-version': 2,
+          'enable-background-service-worker': true,
+          'warnings-as-errors': false,
+          rules: { MANIFEST_CSP: 'warning' },
+        })
+      ).toEqual([
+        'privileged',
+        'scan-file',
+        'write-baseline',
+        'trust-project-config',
+        'min-manifest-version',
+        'max-manifest-version',
+        'enable-background-service-worker',
+        'warnings-as-errors',
+        'rules',
+      ]);
+    });
+
+    it('should allow the options strengthening the checks', () => {
+      expect(
+        getUntrustedConfigOptions({
+          'warnings-as-errors': true,
+          target: 'android',
+          rules: { UNSAFE_VAR_ASSIGNMENT: 'error' },
+        })
+      ).toEqual([]);
+    });
+  });
+
+  describe('loadProjectConfig', () => {
+    it('should return null without a package path', () => {
+      expect(loadProjectConfig(undefined)).toEqual(null);
+      expect(loadProjectConfig('does/not/exist.zip')).toEqual(null);
+    });
+
+    it('should return null when there is no project config', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: { 'addon/package.json': '{"name": "addon"}' },
+      });
+      expect(loadProjectConfig('addon', { _fs })).toEqual(null);
+    });
+
+    it('should load .addons-linterrc.json from the package directory', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: {
+          'addon/.addons-linterrc.json': '{"logLevel": "debug"}',
+          'addon/package.json': '{"addons-linter": {"output": "json"}}',
+        },
+      });
+      expect(loadProjectConfig('addon', { _fs })).toEqual({
+        'log-level': 'debug',
+      });
+    });
+
+    it('should load .addons-linterrc.js with trusted', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: { 'addon/.addons-linterrc.js': '' },
+      });
+      const _require = sinon.spy(() => ({ privileged: true }));
+
+      expect(
+        loadProjectConfig('addon', { trusted: true, _fs, _require })
+      ).toEqual({ privileged: true });
+      sinon.assert.calledWith(
+        _require,
+        path.resolve('addon/.addons-linterrc.js')
+      );
+    });
+
+    it('should not load .addons-linterrc.js without trusted', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: { 'addon/.addons-linterrc.js': '' },
+      });
+      const _require = sinon.spy(() => ({}));
+
+      expect(() => loadProjectConfig('addon', { _fs, _require })).toThrow(
+        AddonsLinterUserError
+      );
+      expect(() => loadProjectConfig('addon', { _fs, _require })).toThrow(
+        /\.addons-linterrc\.js runs code, it is only loaded with --trust-project-config/
+      );
+      sinon.assert.notCalled(_require);
+    });
+
+    it('should reject the options weakening the checks without trusted', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: {
+          'addon/.addons-linterrc.json': JSON.stringify({
+            selfHosted: true,
+            rules: { MANIFEST_CSP: 'off' },
+          }),
+          'addon/package.json': JSON.stringify({
+            'addons-linter': { privileged: true },
+          }),
+        },
+      });
+
+      expect(() => loadProjectConfig('addon', { _fs })).toThrow(
+        AddonsLinterUserError
+      );
+      expect(() => loadProjectConfig('addon', { _fs })).toThrow(
+        /sets self-hosted, rules, which can only be set by a project config with --trust-project-config/
+      );
+      expect(loadProjectConfig('addon', { trusted: true, _fs })).toEqual({
+        'self-hosted': true,
+        rules: { MANIFEST_CSP: 'off' },
+      });
+    });
+
+    it('should load the project config next to a package file', () => {
+      const _fs = fakeFS({
+        files: {
+          'dist/addon.zip': '',
+          'dist/.addons-linterrc.json': '{"output": "json"}',
+        },
+      });
+      expect(loadProjectConfig('dist/addon.zip', { _fs })).toEqual({
+        output: 'json',
+      });
+    });
+
+    it('should load the addons-linter key of package.json', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: {
+          'addon/package.json': JSON.stringify({
+            name: 'addon',
+            'addons-linter': { target: 'android' },
+          }),
+        },
+      });
+      expect(loadProjectConfig('addon', { _fs })).toEqual({
+        target: 'android',
+      });
+
+      const untrustedFs = fakeFS({
+        directories: ['addon'],
+        files: {
+          'addon/package.json': JSON.stringify({
+            'addons-linter': { disableLinterRules: 'no-eval' },
+          }),
+        },
+      });
+      expect(() => loadProjectConfig('addon', { _fs: untrustedFs })).toThrow(
+        /package\.json \("addons-linter" key\) sets disable-linter-rules/
+      );
+    });
+
+    it('should throw a user error on invalid JSON', () => {
+      const _fs = fakeFS({
+        directories: ['addon'],
+        files: { 'addon/.addons-linterrc.json': '{ invalid' },
+      });
+      expect(() => loadProjectConfig('addon', { _fs })).toThrow(
+        AddonsLinterUserError
+      );
+      expect(() => loadProjectConfig('addon', { _fs })).toThrow(
+        /Unable to load addons-linter config file .*\.addons-linterrc\.json/
+      );
+    });
+  });
+
+  describe('mergeProjectConfig', () => {
+    it('should set the options and their aliases', () => {
+      const argv = mergeProjectConfig(
+        { _: ['addon'], output: 'text', o: 'text' },
+        { output: 'json', 'self-hosted': true },
+        { defaulted: { output: true } }
+      );
+
+      expect(argv).toEqual({
+        _: ['addon'],
+        output: 'json',
+        o: 'json',
+        'self-hosted': true,
+        selfHosted: true,
+      });
+    });
+
+    it('should not override the options passed on the command line', () => {
+      const argv = mergeProjectConfig(
+        { _: ['addon'], output: 'text', o: 'text' },
+        { output: 'json' }
+      );
+
+      expect(argv.output).toEqual('text');
+      expect(argv.o).toEqual('text');
+    });
+
+    it('should merge the rules per message code', () => {
+      const argv = mergeProjectConfig(
+        { _: ['addon'], rules: { MANIFEST_CSP: 'off' } },
+        { rules: { MANIFEST_CSP: 'error', UNSAFE_VAR_ASSIGNMENT: 'error' } }
+      );
+
+      expect(argv.rules).toEqual({
+        MANIFEST_CSP: 'off',
+        UNSAFE_VAR_ASSIGNMENT: 'error',
+      });
+    });
+  });
+});
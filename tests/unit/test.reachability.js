@@ -0,0 +1,260 @@
+import {
+  getManifestEntryPoints,
+  getMatchingFiles,
+  getPackageGraph,
+  resolveReference,
+} from 'reachability';
+
+describe('getManifestEntryPoints()', () => {
+  it('should return the files loaded by the manifest', () => {
+    expect(
+      getManifestEntryPoints({
+        background: { scripts: ['bg/a.js', 'bg/b.js'], page: 'bg.html' },
+        content_scripts: [
+          { matches: ['<all_urls>'], js: ['content.js'], css: ['content.css'] },
+          { matches: ['<all_urls>'], js: ['content.js'] },
+        ],
+        browser_action: { default_popup: 'popup.html' },
+        page_action: { default_popup: 'page.html' },
+        options_ui: { page: 'options.html' },
+        sidebar_action: { default_panel: 'sidebar.html' },
+        devtools_page: 'devtools.html',
+        chrome_url_overrides: { newtab: 'newtab.html' },
+        web_accessible_resources: ['images/*', 'inject.js'],
+      })
+    ).toEqual([
+      'bg/a.js',
+      'bg/b.js',
+      'bg.html',
+      'content.js',
+      'content.css',
+      'popup.html',
+      'page.html',
+      'options.html',
+      'sidebar.html',
+      'devtools.html',
+      'newtab.html',
+      'images/*',
+      'inject.js',
+    ]);
+  });
+
+  it('should support Manifest Version 3', () => {
+    expect(
+      getManifestEntryPoints({
+        background: { service_worker: 'worker.js' },
+        action: { default_popup: 'popup.html' },
+        web_accessible_resources: [
+          { resources: ['a.js', 'b.html'], matches: ['<all_urls>'] },
+          { extension_ids: ['*'] },
+        ],
+      })
+    ).toEqual(['worker.js', 'popup.html', 'a.js', 'b.html']);
+  });
+
+  it('should return the experiment scripts', () => {
+    expect(
+      getManifestEntryPoints({
+        experiment_apis: {
+          foo: {
+            parent: { script: 'parent.js' },
+            child: { script: 'child.js' },
+          },
+        },
+        theme_experiment: { stylesheet: 'theme.css' },
+        user_scripts: { api_script: 'api.js' },
+      })
+    ).toEqual(['api.js', 'theme.css', 'parent.js', 'child.js']);
+  });
+
+  it('should ignore the invalid values', () => {
+    expect(
+      getManifestEntryPoints({
+        background: { scripts: [42, ''] },
+        content_scripts: [null],
+        web_accessible_resources: 'inject.js',
+      })
+    ).toEqual([]);
+  });
+});
+
+describe('getMatchingFiles()', () => {
+  const files = ['images/a.png', 'images/icons/b.png', 'inject.js', 'a.js'];
+
+  it('should match a file', () => {
+    expect(getMatchingFiles('/inject.js', files)).toEqual(['inject.js']);
+    expect(getMatchingFiles('missing.js', files)).toEqual([]);
+  });
+
+  it('should match the wildcards', () => {
+    expect(getMatchingFiles('images/*', files)).toEqual([
+      'images/a.png',
+      'images/icons/b.png',
+    ]);
+    expect(getMatchingFiles('*.js', files)).toEqual(['inject.js', 'a.js']);
+  });
+});
+
+describe('resolveReference()', () => {
+  it('should resolve the relative paths from the file', () => {
+    expect(
+      resolveReference('popup/index.html', { type: 'script', value: 'a.js' })
+    ).toEqual('popup/a.js');
+    expect(
+      resolveReference('popup/index.html', {
+        type: 'script',
+        value: '../lib/b.js?v=1',
+      })
+    ).toEqual('lib/b.js');
+    expect(
+      resolveReference('index.html', { type: 'link', value: './c.css#x' })
+    ).toEqual('c.css');
+  });
+
+  it('should resolve the absolute paths from the root', () => {
+    expect(
+      resolveReference('popup/index.html', {
+        type: 'script',
+        value: '/lib/a.js',
+      })
+    ).toEqual('lib/a.js');
+  });
+
+  it('should not resolve the URLs', () => {
+    ['https://example.com/a.js', '//example.com/a.js', 'data:,a', '#'].forEach(
+      (value) => {
+        expect(resolveReference('index.html', { type: 'script', value })).toBe(
+          null
+        );
+      }
+    );
+  });
+
+  it('should not resolve the bare module specifiers', () => {
+    expect(
+      resolveReference('background.js', { type: 'import', value: 'lodash' })
+    ).toBe(null);
+    expect(
+      resolveReference('worker.js', { type: 'importScripts', value: 'lib.js' })
+    ).toEqual('lib.js');
+  });
+});
+
+describe('getPackageGraph()', () => {
+  const files = [
+    'background.html',
+    'background.js',
+    'lib/a.js',
+    'lib/b.js',
+    'popup.html',
+    'popup.js',
+    'styles/main.css',
+    'styles/base.css',
+    'unused.js',
+  ];
+  const references = {
+    'background.html': [
+      { type: 'script', value: 'background.js' },
+      { type: 'script', value: 'https://example.com/remote.js' },
+    ],
+    'background.js': [
+      { type: 'import', value: './lib/a.js', line: 1, column: 1 },
+      { type: 'import', value: './lib/missing.js', line: 2, column: 1 },
+      { type: 'importScripts', value: 'missing.js', line: 3, column: 15 },
+      { type: 'string', value: 'popup.html', line: 4, column: 10 },
+      { type: 'string', value: 'not-a-file.js', line: 5, column: 10 },
+    ],
+    'lib/a.js': [{ type: 'importScripts', value: 'b.js', line: 1, column: 15 }],
+    'popup.html': [{ type: 'link', value: 'styles/main.css' }],
+    'styles/main.css': [
+      { type: 'stylesheet', value: 'base.css', line: 1, column: 1 },
+    ],
+    'unused.js': [{ type: 'import', value: './missing.js', line: 1 }],
+  };
+
+  it('should follow the references from the entry points', () => {
+    const { reachableFiles, missingReferences } = getPackageGraph(
+      ['background.html'],
+      references,
+      files
+    );
+
+    expect([...reachableFiles]).toEqual([
+      'background.html',
+      'background.js',
+      'lib/a.js',
+      'popup.html',
+      'lib/b.js',
+      'styles/main.css',
+      'styles/base.css',
+    ]);
+    expect(missingReferences).toEqual([
+      {
+        file: 'background.js',
+        path: 'missing.js',
+        type: 'importScripts',
+        value: 'missing.js',
+        line: 3,
+        column: 15,
+      },
+    ]);
+  });
+
+  it('should follow the frames and the links of the pages', () => {
+    const { reachableFiles, missingReferences } = getPackageGraph(
+      ['popup.html'],
+      {
+        'popup.html': [
+          { type: 'frame', value: 'frame.html' },
+          { type: 'frame', value: 'missing-frame.html' },
+          { type: 'anchor', value: 'options.html?tab=1' },
+          { type: 'anchor', value: 'missing-page.html' },
+          { type: 'anchor', value: 'mailto:someone@example.com' },
+        ],
+      },
+      ['popup.html', 'frame.html', 'options.html']
+    );
+
+    expect([...reachableFiles]).toEqual([
+      'popup.html',
+      'frame.html',
+      'options.html',
+    ]);
+    expect(missingReferences).toEqual([
+      {
+        file: 'popup.html',
+        path: 'missing-frame.html',
+        type: 'frame',
+        value: 'missing-frame.html',
+      },
+    ]);
+  });
+
+  it('should not follow the references of the unreachable files', () => {
+    const { reachableFiles, missingReferences } = getPackageGraph(
+      ['popup.html', 'missing.html'],
+      references,
+      files
+    );
+
+    expect([...reachableFiles]).toEqual([
+      'popup.html',
+      'styles/main.css',
+      'styles/base.css',
+    ]);
+    expect(missingReferences).toEqual([]);
+  });
+
+  it('should support circular references', () => {
+    const { reachableFiles } = getPackageGraph(
+      ['a.js'],
+      {
+        'a.js': [{ type: 'import', value: './b.js' }],
+        'b.js': [{ type: 'import', value: './a.js' }],
+      },
+      ['a.js', 'b.js']
+    );
+
+    expect([...reachableFiles]).toEqual(['a.js', 'b.js']);
+  });
+});
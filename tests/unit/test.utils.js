@@ -6,18 +6,29 @@ import {
   basicCompatVersionComparison,
   buildI18nObject,
   checkMinNodeVersion,
+  createCompatibilityRule,
   ensureFilenameExists,
   errorParamsToUnsupportedVersionRange,
+  escapeXML,
   firefoxStrictMinVersion,
+  getAndroidMaxVersion,
+  getAndroidMinVersion,
+  getCssImportUrl,
   getPackageTypeAsString,
+  getSourceMapUrl,
   getRootExpression,
   getVariable,
+  getVersionRangeProblems,
+  hasMultiplePackages,
   i18n,
   ignorePrivateFunctions,
   isBrowserNamespace,
   isCompatible,
   isLocalUrl,
+  isRemoteUrl,
+  isSupported,
   isToolkitVersionString,
+  simplifyVersionString,
   isValidVersionString,
   normalizePath,
   parseCspPolicy,
@@ -306,6 +317,54 @@ describe('getPackageTypeAsString()', () => {
   });
 });
 
+describe('getCssImportUrl', () => {
+  it('should return the imported URL', () => {
+    expect(getCssImportUrl('"theme.css"')).toEqual('theme.css');
+    expect(getCssImportUrl("url('theme.css') screen")).toEqual('theme.css');
+    expect(getCssImportUrl('url( https://example.com/a.css )')).toEqual(
+      'https://example.com/a.css'
+    );
+  });
+
+  it('should return null for invalid params', () => {
+    expect(getCssImportUrl('')).toEqual(null);
+    expect(getCssImportUrl('url()')).toEqual(null);
+  });
+});
+
+describe('getSourceMapUrl', () => {
+  it('should return the URL of the source map', () => {
+    expect(
+      getSourceMapUrl('var a=1;\n//# sourceMappingURL=bundle.js.map\n')
+    ).toEqual('bundle.js.map');
+    expect(getSourceMapUrl('//@ sourceMappingURL=maps/a.map')).toEqual(
+      'maps/a.map'
+    );
+  });
+
+  it('should return null without a source map', () => {
+    expect(getSourceMapUrl('var a = 1;')).toEqual(null);
+    expect(getSourceMapUrl('//# sourceURL=a.js')).toEqual(null);
+    expect(getSourceMapUrl('')).toEqual(null);
+  });
+});
+
+describe('isRemoteUrl', () => {
+  it('should match the http(s) and protocol-relative urls', () => {
+    expect(isRemoteUrl('http://foo.com/a.js')).toEqual(true);
+    expect(isRemoteUrl('HTTPS://foo.com/a.js')).toEqual(true);
+    expect(isRemoteUrl(' //foo.com/a.js')).toEqual(true);
+  });
+
+  it('should not match the other urls', () => {
+    expect(isRemoteUrl('/foo.com/a.js')).toEqual(false);
+    expect(isRemoteUrl('./a.js')).toEqual(false);
+    expect(isRemoteUrl('data:text/javascript,1')).toEqual(false);
+    expect(isRemoteUrl('moz-extension://uuid/a.js')).toEqual(false);
+    expect(isRemoteUrl(null)).toEqual(false);
+  });
+});
+
 describe('isLocalUrl', () => {
   it('should not match remote urls', () => {
     expect(isLocalUrl('http://foo.com')).toBeFalsy();
@@ -340,6 +399,28 @@ describe('isLocalUrl', () => {
   });
 });
 
+describe('escapeXML', () => {
+  it('should escape XML special characters', () => {
+    expect(escapeXML(`<a href="x">Tom & Jerry's</a>`)).toEqual(
+      '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;'
+    );
+  });
+
+  it('should convert non-string values', () => {
+    expect(escapeXML(42)).toEqual('42');
+  });
+});
+
+describe('hasMultiplePackages', () => {
+  it('should be true for several paths or a glob pattern', () => {
+    expect(hasMultiplePackages(['addon.zip'])).toEqual(false);
+    expect(hasMultiplePackages(['a.zip', 'b.zip'])).toEqual(true);
+    expect(hasMultiplePackages(['addons/*/'])).toEqual(true);
+    expect(hasMultiplePackages(['addons/{a,b}.zip'])).toEqual(true);
+    expect(hasMultiplePackages([])).toEqual(false);
+  });
+});
+
 describe('isBrowserNamespace', () => {
   it('is true for browser', () => {
     expect(isBrowserNamespace('browser')).toEqual(true);
@@ -426,17 +507,17 @@ describe('firefoxStrictMinVersion', () => {
     );
   });
 
-  it('should return the first number in applications.gecko.strict_min_version', () => {
+  it('should return the full applications.gecko.strict_min_version', () => {
     expect(
       firefoxStrictMinVersion({
         applications: { gecko: { strict_min_version: '6' } },
       })
-    ).toEqual(6);
+    ).toEqual('6');
     expect(
       firefoxStrictMinVersion({
         applications: { gecko: { strict_min_version: '60.0a1' } },
       })
-    ).toEqual(60);
+    ).toEqual('60.0a1');
   });
 
   it('should return null when value is not a string', () => {
@@ -464,6 +545,22 @@ describe('basicCompatVersionComparison', () => {
   it('should return false when version added is smaller than min version', () => {
     expect(basicCompatVersionComparison('59', 60)).toBe(false);
   });
+
+  it('should compare the full versions', () => {
+    expect(basicCompatVersionComparison('60.0.1', '60.0')).toBe(true);
+    expect(basicCompatVersionComparison('60.0.1', '60.0.2')).toBe(false);
+    expect(basicCompatVersionComparison('60', '59.0.3')).toBe(true);
+  });
+
+  it('should consider the features of a release in its pre-releases', () => {
+    expect(basicCompatVersionComparison('60', '60.0a1')).toBe(false);
+    expect(basicCompatVersionComparison('61', '60.0b3')).toBe(true);
+  });
+
+  it('should return false for the ranged versions', () => {
+    expect(basicCompatVersionComparison('≤79', '58.0')).toBe(false);
+    expect(basicCompatVersionComparison('preview', '58.0')).toBe(false);
+  });
 });
 
 describe('isCompatible', () => {
@@ -626,6 +723,219 @@ describe('isCompatible', () => {
   });
 });
 
+describe('getVersionRangeProblems', () => {
+  it('should return the version adding a feature after the minimum one', () => {
+    expect(
+      getVersionRangeProblems({ version_added: '61' }, { minVersion: '60.0' })
+    ).toEqual([{ kind: 'added', version: '61' }]);
+    expect(
+      getVersionRangeProblems({ version_added: '61' }, { minVersion: '61.0' })
+    ).toEqual([]);
+  });
+
+  it('should return the version removing a feature in the range', () => {
+    const supportInfo = { version_added: '56', version_removed: '71' };
+
+    expect(
+      getVersionRangeProblems(supportInfo, { minVersion: '60.0' })
+    ).toEqual([{ kind: 'removed', version: '71' }]);
+    expect(
+      getVersionRangeProblems(supportInfo, {
+        minVersion: '60.0',
+        maxVersion: '71.*',
+      })
+    ).toEqual([{ kind: 'removed', version: '71' }]);
+    expect(
+      getVersionRangeProblems(supportInfo, {
+        minVersion: '60.0',
+        maxVersion: '70.*',
+      })
+    ).toEqual([]);
+  });
+
+  it('should not return the features added again', () => {
+    expect(
+      getVersionRangeProblems(
+        [
+          { version_added: '85' },
+          { version_added: '56', version_removed: '79' },
+        ],
+        { minVersion: '60.0' }
+      )
+    ).toEqual([]);
+  });
+
+  it('should ignore the entries of other names and behind flags', () => {
+    expect(
+      getVersionRangeProblems(
+        [
+          { version_added: '56' },
+          {
+            alternative_name: 'foo',
+            version_added: '55',
+            version_removed: '60',
+          },
+          { version_added: '50', partial_implementation: true, flags: [] },
+        ],
+        { minVersion: '58.0' }
+      )
+    ).toEqual([]);
+  });
+
+  it('should return the partial implementations in the range', () => {
+    const supportInfo = [
+      { version_added: '70' },
+      {
+        version_added: '60',
+        version_removed: '70',
+        partial_implementation: true,
+        notes: ['Only supports <code>foo</code>.', 'Not on Linux.'],
+      },
+    ];
+
+    expect(
+      getVersionRangeProblems(supportInfo, { minVersion: '65.0' })
+    ).toEqual([{ kind: 'partial', notes: 'Only supports foo. Not on Linux.' }]);
+    expect(
+      getVersionRangeProblems(supportInfo, { minVersion: '70.0' })
+    ).toEqual([]);
+    expect(
+      getVersionRangeProblems(supportInfo, { maxVersion: '59.*' })
+    ).toEqual([]);
+  });
+
+  it('should not return anything without support data', () => {
+    expect(getVersionRangeProblems(undefined, { minVersion: '60.0' })).toEqual(
+      []
+    );
+  });
+});
+
+describe('createCompatibilityRule', () => {
+  const compatData = {
+    webextensions: {
+      api: {
+        foo: {
+          bar: {
+            __compat: {
+              support: {
+                firefox: [
+                  { version_added: '70' },
+                  {
+                    version_added: '60',
+                    version_removed: '70',
+                    partial_implementation: true,
+                    notes: 'Only supports strings.',
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+  const node = {
+    computed: false,
+    object: { object: { name: 'browser' }, property: { name: 'foo' } },
+    property: { name: 'bar' },
+  };
+
+  const createRule = (addonMetadata) => {
+    const context = { settings: { addonMetadata }, report: sinon.stub() };
+    const rule = createCompatibilityRule(
+      'firefox',
+      { messageFormat: '{{api}} is not supported' },
+      context,
+      compatData,
+      () => true,
+      { partialMessageId: 'PARTIAL_API' }
+    );
+    return { context, rule };
+  };
+
+  it('should report the partial implementations in the version range', () => {
+    const { context, rule } = createRule({ firefoxMinVersion: '65.0' });
+    rule.MemberExpression(node);
+
+    sinon.assert.calledOnce(context.report);
+    sinon.assert.calledWith(context.report, {
+      node,
+      messageId: 'PARTIAL_API',
+      data: { api: 'foo.bar', notes: ' (Only supports strings.)' },
+    });
+  });
+
+  it('should not report the implementations after the version range', () => {
+    const { context, rule } = createRule({ firefoxMaxVersion: '59.*' });
+    rule.MemberExpression(node);
+
+    sinon.assert.notCalled(context.report);
+  });
+
+  it('should not check the APIs without a version range', () => {
+    expect(createRule({}).rule).toEqual({});
+  });
+});
+
+describe('getAndroidMaxVersion', () => {
+  it('should return the Firefox for Android maximum version', () => {
+    expect(
+      getAndroidMaxVersion({
+        firefoxAndroidMaxVersion: '100.*',
+        firefoxMaxVersion: '90.*',
+      })
+    ).toEqual('100.*');
+    expect(getAndroidMaxVersion({ firefoxMaxVersion: '90.*' })).toEqual('90.*');
+    expect(getAndroidMaxVersion({})).toEqual(null);
+  });
+});
+
+describe('isSupported', () => {
+  const getBCD = (supportData) => ({
+    webextensions: {
+      api: {
+        foo: { __compat: { support: { firefox_android: supportData } } },
+      },
+    },
+  });
+
+  it('should be false when no version supports the given key path', () => {
+    expect(
+      isSupported(getBCD({ version_added: false }), 'foo', 'firefox_android')
+    ).toBe(false);
+  });
+
+  it('should be true when a version supports the given key path', () => {
+    expect(
+      isSupported(getBCD({ version_added: '61' }), 'foo.bar', 'firefox_android')
+    ).toBe(true);
+  });
+
+  it('should be true without compatibility data', () => {
+    expect(isSupported(getBCD({}), 'bar', 'firefox_android')).toBe(true);
+    expect(
+      isSupported(getBCD({ version_added: false }), 'foo', 'firefox')
+    ).toBe(true);
+  });
+});
+
+describe('getAndroidMinVersion', () => {
+  it('should return the Firefox for Android minimum version', () => {
+    expect(
+      getAndroidMinVersion({
+        firefoxAndroidMinVersion: '79.0',
+        firefoxMinVersion: '58.0',
+      })
+    ).toEqual('79.0');
+  });
+
+  it('should fall back to the Firefox minimum version', () => {
+    expect(getAndroidMinVersion({ firefoxMinVersion: '58.0' })).toEqual('58.0');
+    expect(getAndroidMinVersion({})).toEqual(null);
+  });
+});
+
 describe('errorParamsToUnsupportedVersionRange', () => {
   it.each([
     ['< 3', { min_manifest_version: 3 }],
@@ -758,3 +1068,22 @@ describe('isToolkitVersionString', () => {
     }
   );
 });
+
+describe('simplifyVersionString', () => {
+  it.each([
+    ['1.01a', '1.1'],
+    ['1.0.0beta2', '1.0.0'],
+    ['4.1.1.2pre-3', '4.1.1.2'],
+    ['57.0.1buildid20210928100000', '57.0.1'],
+    ['1.0', '1.0'],
+  ])('simplifies %s into %s', (version, simplifiedVersion) => {
+    expect(simplifyVersionString(version)).toEqual(simplifiedVersion);
+  });
+
+  it.each([2, 'beta', '1.a', '1.0.0.0.1', '1234567890'])(
+    'returns null when %s cannot be simplified',
+    (version) => {
+      expect(simplifyVersionString(version)).toEqual(null);
+    }
+  );
+});
@@ -0,0 +1,184 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+
+import { diffMessages, watchDirectory } from 'watcher';
+
+describe('watchDirectory()', () => {
+  // A fake `fs` module for a package directory containing the given
+  // sub-directories (relative paths).
+  function fakeFS(dirs = []) {
+    const allDirs = new Set(['', ...dirs]);
+    const watchers = {};
+
+    const toRelative = (dirPath) =>
+      path.relative('/package', dirPath).split(path.sep).join('/');
+
+    return {
+      allDirs,
+      watchers,
+      readdirSync: sinon.spy((dirPath) => {
+        const relativeDir = toRelative(dirPath);
+        if (!allDirs.has(relativeDir)) {
+          throw new Error(`ENOENT: ${dirPath}`);
+        }
+        return [...allDirs]
+          .filter((dir) => dir && path.dirname(dir) === (relativeDir || '.'))
+          .map((dir) => ({
+            name: path.basename(dir),
+            isDirectory: () => true,
+          }));
+      }),
+      statSync: (filePath) => ({
+        isDirectory: () => allDirs.has(toRelative(filePath)),
+      }),
+      watch: sinon.spy((dirPath, listener) => {
+        const watcher = new EventEmitter();
+        watcher.close = sinon.spy();
+        watcher.listener = listener;
+        watchers[toRelative(dirPath)] = watcher;
+        return watcher;
+      }),
+    };
+  }
+
+  function fakeTimers() {
+    return {
+      _setTimeout: sinon.spy((callback) => callback),
+      _clearTimeout: sinon.spy(),
+    };
+  }
+
+  it('should watch the directory and its sub-directories', () => {
+    const _fs = fakeFS(['lib', 'lib/vendor', 'node_modules']);
+
+    watchDirectory('/package', sinon.stub(), {
+      _fs,
+      shouldWatchDir: (dir) => dir !== 'node_modules',
+      ...fakeTimers(),
+    });
+
+    expect(Object.keys(_fs.watchers).sort()).toEqual(['', 'lib', 'lib/vendor']);
+  });
+
+  it('should report the changed paths once', () => {
+    const _fs = fakeFS(['lib']);
+    const onChange = sinon.stub();
+    const timers = fakeTimers();
+
+    watchDirectory('/package', onChange, { _fs, ...timers });
+    _fs.watchers.lib.listener('change', 'foo.js');
+    _fs.watchers[''].listener('rename', 'manifest.json');
+    _fs.watchers.lib.listener('change', 'foo.js');
+    _fs.watchers.lib.listener('change', null);
+
+    sinon.assert.notCalled(onChange);
+    sinon.assert.calledThrice(timers._setTimeout);
+    sinon.assert.calledTwice(timers._clearTimeout);
+
+    // Run the last scheduled callback.
+    timers._setTimeout.lastCall.args[0]();
+
+    sinon.assert.calledOnce(onChange);
+    sinon.assert.calledWith(onChange, ['lib/foo.js', 'manifest.json']);
+  });
+
+  it('should watch the new directories', () => {
+    const _fs = fakeFS();
+    const onChange = sinon.stub();
+    const timers = fakeTimers();
+
+    watchDirectory('/package', onChange, { _fs, ...timers });
+    _fs.allDirs.add('lib');
+    _fs.watchers[''].listener('rename', 'lib');
+    timers._setTimeout.lastCall.args[0]();
+
+    expect(Object.keys(_fs.watchers)).toContain('lib');
+    sinon.assert.calledWith(onChange, ['lib']);
+  });
+
+  it('should stop watching the removed directories', () => {
+    const _fs = fakeFS(['lib', 'lib/vendor']);
+    const onChange = sinon.stub();
+    const timers = fakeTimers();
+
+    watchDirectory('/package', onChange, { _fs, ...timers });
+    const { lib, 'lib/vendor': vendor } = _fs.watchers;
+    _fs.allDirs.delete('lib');
+    _fs.allDirs.delete('lib/vendor');
+    _fs.watchers[''].listener('rename', 'lib');
+    timers._setTimeout.lastCall.args[0]();
+
+    sinon.assert.calledOnce(lib.close);
+    sinon.assert.calledOnce(vendor.close);
+    sinon.assert.notCalled(_fs.watchers[''].close);
+    sinon.assert.calledWith(onChange, ['lib']);
+  });
+
+  it('should stop watching a directory on error', () => {
+    const _fs = fakeFS(['lib']);
+
+    watchDirectory('/package', sinon.stub(), { _fs, ...fakeTimers() });
+    const { lib } = _fs.watchers;
+    lib.emit('error', new Error('EPERM'));
+
+    sinon.assert.calledOnce(lib.close);
+  });
+
+  it('should close all the watchers', () => {
+    const _fs = fakeFS(['lib']);
+    const timers = fakeTimers();
+
+    const watcher = watchDirectory('/package', sinon.stub(), {
+      _fs,
+      ...timers,
+    });
+    _fs.watchers.lib.listener('change', 'foo.js');
+    watcher.close();
+
+    sinon.assert.calledOnce(_fs.watchers[''].close);
+    sinon.assert.calledOnce(_fs.watchers.lib.close);
+    sinon.assert.calledOnce(timers._clearTimeout);
+  });
+});
+
+describe('diffMessages()', () => {
+  const message = (extra) => ({
+    type: 'warning',
+    code: 'SOME_CODE',
+    message: 'some message',
+    file: 'foo.js',
+    line: 1,
+    column: 1,
+    ...extra,
+  });
+
+  it('should return the added and removed messages', () => {
+    const kept = message();
+    const removed = message({ line: 2 });
+    const added = message({ line: 3 });
+
+    expect(diffMessages([kept, removed], [message(), added])).toEqual({
+      added: [added],
+      removed: [removed],
+    });
+  });
+
+  it('should take the number of identical messages into account', () => {
+    expect(
+      diffMessages([message()], [message(), message(), message()])
+    ).toEqual({ added: [message(), message()], removed: [] });
+    expect(diffMessages([message(), message()], [message()])).toEqual({
+      added: [],
+      removed: [message()],
+    });
+  });
+
+  it('should compare the type of the messages', () => {
+    const error = message({ type: 'error' });
+
+    expect(diffMessages([message()], [error])).toEqual({
+      added: [error],
+      removed: [message()],
+    });
+  });
+});